@@ -0,0 +1,63 @@
+const Event = require('../models/Event');
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { defineJob } = require('../services/scheduler');
+const { sendTaskReminders } = require('../services/notifications');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Read notifications are kept for this long
+const NOTIFICATION_RETENTION_DAYS = Number(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+// Published events move to 'completed' once they have ended
+defineJob('complete-past-events', { interval: 15 * MINUTE }, async (now) => {
+  const result = await Event.updateMany(
+    { status: 'published', endDate: { $lt: now } },
+    { $set: { status: 'completed' } }
+  );
+  return { completed: result.modifiedCount };
+});
+
+// Keep Task.overdueAt in step with the due date so overdue tasks can be queried
+defineJob('flag-overdue-tasks', { interval: 15 * MINUTE }, async (now) => {
+  const flagged = await Task.updateMany(
+    { status: { $nin: ['completed', 'cancelled'] }, dueDate: { $lt: now }, overdueAt: null },
+    { $set: { overdueAt: now } }
+  );
+  const cleared = await Task.updateMany(
+    {
+      overdueAt: { $ne: null },
+      $or: [{ status: { $in: ['completed', 'cancelled'] } }, { dueDate: { $gte: now } }]
+    },
+    { $set: { overdueAt: null } }
+  );
+  return { flagged: flagged.modifiedCount, cleared: cleared.modifiedCount };
+});
+
+defineJob('send-task-reminders', { interval: HOUR }, async (now) => {
+  const sent = await sendTaskReminders(now);
+  return { sent };
+});
+
+// Remove expired tokens and stale records that nothing reads any more
+defineJob('cleanup-expired', { interval: HOUR }, async (now) => {
+  const resetTokens = await User.updateMany(
+    { passwordResetExpires: { $lt: now } },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+  );
+  const verificationTokens = await User.updateMany(
+    { emailVerificationExpires: { $lt: now } },
+    { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } }
+  );
+  const notifications = await Notification.deleteMany({
+    readAt: { $ne: null, $lt: new Date(now.getTime() - NOTIFICATION_RETENTION_DAYS * DAY) }
+  });
+  return {
+    resetTokens: resetTokens.modifiedCount,
+    verificationTokens: verificationTokens.modifiedCount,
+    notifications: notifications.deletedCount
+  };
+});
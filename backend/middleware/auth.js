@@ -1,5 +1,11 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { touchSession } = require('../services/sessions');
+const { isRequiredFor } = require('../services/twoFactor');
+const { ACTIONS, can, loadRoles } = require('../services/permissions');
+
+const VENDOR_ACCOUNT_ROUTES = ['/api/auth', '/api/portal'];
 
 const protect = async (req, res, next) => {
   let token;
@@ -12,6 +18,12 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Check the token's session has not been logged out
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isActive || !session.user.equals(decoded.id)) {
+        return res.status(401).json({ message: 'Session has ended, please log in again', code: 'SESSION_REVOKED' });
+      }
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -19,8 +31,31 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'User not found' });
       }
 
+      req.authSession = session;
+      touchSession(session);
+      await loadRoles();
+
+      // Vendor accounts only ever see their own vendor, through the portal
+      if (req.user.accountType === 'vendor' && !VENDOR_ACCOUNT_ROUTES.includes(req.baseUrl)) {
+        return res.status(403).json({
+          message: 'Vendor accounts can only use the vendor portal',
+          code: 'VENDOR_PORTAL_ONLY'
+        });
+      }
+
+      // Accounts that must use 2FA can only reach the account routes (where they set it up) until they do
+      if (req.baseUrl !== '/api/auth' && !req.user.twoFactor.enabled && await isRequiredFor(req.user)) {
+        return res.status(403).json({
+          message: 'Set up two-factor authentication to continue',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
       next();
     } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
+      }
       console.error('Token verification error:', error);
       return res.status(401).json({ message: 'Not authorized, token failed' });
     }
@@ -31,15 +66,24 @@ const protect = async (req, res, next) => {
   }
 };
 
-const authorize = (...roles) => {
+// Authenticate when a token is sent, but let anonymous requests through
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return protect(req, res, next);
+};
+
+// Require an action granted by the user's role (for routes not tied to a single record)
+const requirePermission = (action) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Not authorized' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!can(req.user, action)) {
       return res.status(403).json({ 
-        message: `User role ${req.user.role} is not authorized to access this route` 
+        message: `Not authorized to ${ACTIONS[action].toLowerCase()}` 
       });
     }
 
@@ -47,4 +91,15 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize }; 
\ No newline at end of file
+// Require a verified email address when REQUIRE_VERIFIED_EMAIL is on
+const requireVerified = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL === 'true' && !req.user.isVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+module.exports = { protect, optionalAuth, requirePermission, requireVerified }; 
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+
+// Resolve the active organization for the request. Clients send it in the
+// X-Organization-Id header; without one the user's oldest organization (their
+// personal workspace) is used. Must run after protect.
+const loadOrganization = async (req, res, next) => {
+  try {
+    const requested = req.get('X-Organization-Id');
+    let organization;
+
+    if (requested) {
+      if (!mongoose.isValidObjectId(requested)) {
+        return res.status(400).json({ message: 'Invalid organization', code: 'ORGANIZATION_INVALID' });
+      }
+      organization = await Organization.findById(requested);
+      if (!organization || (!organization.getMemberRole(req.user._id) && req.user.role !== 'admin')) {
+        return res.status(403).json({ message: 'You are not a member of this organization', code: 'ORGANIZATION_FORBIDDEN' });
+      }
+    } else {
+      organization = await Organization.findOne({ 'members.user': req.user._id }).sort({ createdAt: 1 });
+      // Accounts from before organizations existed get their workspace on first use
+      if (!organization) {
+        organization = await Organization.createPersonal(req.user);
+      }
+    }
+
+    req.organization = organization;
+    req.orgRole = organization.getMemberRole(req.user._id);
+    next();
+  } catch (error) {
+    console.error('Load organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Require at least the given role in the active organization (site admins always pass)
+const requireOrgRole = (minimum) => {
+  return (req, res, next) => {
+    if (req.user.role !== 'admin' && !Organization.roleAtLeast(req.orgRole, minimum)) {
+      return res.status(403).json({
+        message: `Your role in ${req.organization.name} does not allow this`
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { loadOrganization, requireOrgRole };
@@ -0,0 +1,111 @@
+const multer = require('multer');
+const { MAX_IMAGE_PIXELS, imageSize } = require('../utils/imageSize');
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const DOCUMENT_TYPES = [
+  ...IMAGE_TYPES,
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain',
+  'text/csv'
+];
+
+// Leading bytes of the binary formats we accept. The declared MIME type is
+// only trusted when the file content agrees with it.
+const SIGNATURES = [
+  { types: ['image/jpeg'], bytes: [0xff, 0xd8, 0xff] },
+  { types: ['image/png'], bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { types: ['image/gif'], bytes: [0x47, 0x49, 0x46, 0x38] },
+  { types: ['image/webp'], bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+  { types: ['application/pdf'], bytes: [0x25, 0x50, 0x44, 0x46] },
+  // Office Open XML files are zip archives
+  {
+    types: [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ],
+    bytes: [0x50, 0x4b, 0x03, 0x04]
+  },
+  // Legacy Office files are OLE compound documents
+  { types: ['application/msword', 'application/vnd.ms-excel'], bytes: [0xd0, 0xcf, 0x11, 0xe0] }
+];
+
+const DATA_TYPES = ['text/csv', 'text/plain', 'application/json'];
+
+const TEXT_TYPES = ['text/plain', 'text/csv', 'application/json'];
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// Check that a buffer's content matches its declared MIME type
+const contentMatchesType = (buffer, mimetype) => {
+  if (TEXT_TYPES.includes(mimetype)) {
+    // No NUL bytes in the first few KB is a good enough sign of text
+    return !buffer.subarray(0, 8192).includes(0);
+  }
+  const signature = SIGNATURES.find(sig => sig.types.includes(mimetype));
+  if (!signature) return false;
+  return startsWith(buffer, signature.bytes)
+    && (!signature.also || startsWith(buffer, signature.also.bytes, signature.also.offset));
+};
+
+// Build upload middleware that keeps files in memory, enforces type and size
+// limits and answers 400 with a readable message when a file is rejected
+const createUpload = ({ types, maxSize, field, maxCount = 1 }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: maxCount },
+    fileFilter: (req, file, cb) => {
+      if (!types.includes(file.mimetype)) {
+        const error = new Error('File type is not allowed');
+        error.code = 'INVALID_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  });
+  const handler = maxCount > 1 ? upload.array(field, maxCount) : upload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err) {
+        const messages = {
+          LIMIT_FILE_SIZE: `File is too large (max ${Math.round(maxSize / MB)} MB)`,
+          LIMIT_FILE_COUNT: `Too many files (max ${maxCount})`,
+          LIMIT_UNEXPECTED_FILE: `Unexpected file field (use "${field}")`
+        };
+        return res.status(400).json({ message: messages[err.code] || err.message });
+      }
+
+      const files = req.files || (req.file ? [req.file] : []);
+      if (files.length === 0) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+      if (files.some(file => !contentMatchesType(file.buffer, file.mimetype))) {
+        return res.status(400).json({ message: 'File content does not match its type' });
+      }
+      if (files.some(file => {
+        const size = imageSize(file.buffer, file.mimetype);
+        return size && size.width * size.height > MAX_IMAGE_PIXELS;
+      })) {
+        return res.status(400).json({ message: `Image is too large (max ${MAX_IMAGE_PIXELS / 1000000} megapixels)` });
+      }
+
+      next();
+    });
+  };
+};
+
+const uploadImage = (field = 'image') => createUpload({ types: IMAGE_TYPES, maxSize: 5 * MB, field });
+
+const uploadDocuments = (field = 'files', maxCount = 5) => createUpload({ types: DOCUMENT_TYPES, maxSize: 10 * MB, field, maxCount });
+
+// CSV or JSON data files that are parsed rather than stored
+const uploadDataFile = (field = 'file') => createUpload({ types: DATA_TYPES, maxSize: 1 * MB, field });
+
+module.exports = { uploadImage, uploadDocuments, uploadDataFile, IMAGE_TYPES, DOCUMENT_TYPES };
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+require('mongoose-paginate-v2');
+
+// One entry per change to an event, task, vendor, user or budget item, written by services/audit
+const auditLogSchema = new mongoose.Schema({
+  // Empty for changes nobody was signed in for, such as a password reset by emailed link
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Event', 'Task', 'Vendor', 'User', 'BudgetItem', 'ExchangeRate', 'Booking'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    // Secrets are only noted as changed, their values are never stored
+    redacted: Boolean
+  }],
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for a record's history, and for filtering by who, what and where
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+auditLogSchema.plugin(require('mongoose-paginate-v2'));
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
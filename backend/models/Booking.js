@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// Where a booking can go from each status. Quotes can be revised while they are
+// still open, and anything short of completion can be cancelled.
+const TRANSITIONS = {
+  draft: ['requested', 'cancelled'],
+  requested: ['quoted', 'cancelled'],
+  quoted: ['quoted', 'accepted', 'cancelled'],
+  accepted: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// A vendor engagement for an event: the organizer's quote request, the vendor's
+// priced response and the booking's progress from draft to completion
+const bookingSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  request: {
+    date: {
+      type: Date,
+      required: [true, 'Please provide the date the vendor is needed']
+    },
+    hours: {
+      type: Number,
+      min: [0, 'Hours cannot be negative']
+    },
+    services: [{
+      type: String,
+      trim: true
+    }],
+    notes: {
+      type: String,
+      maxlength: [1000, 'Notes cannot be more than 1000 characters']
+    }
+  },
+  quote: {
+    items: [{
+      description: {
+        type: String,
+        required: [true, 'Please describe the line item'],
+        trim: true,
+        maxlength: [200, 'Description cannot be more than 200 characters']
+      },
+      quantity: {
+        type: Number,
+        min: [0, 'Quantity cannot be negative'],
+        default: 1
+      },
+      unitPrice: {
+        type: Number,
+        required: [true, 'Please provide a unit price'],
+        min: [0, 'Unit price cannot be negative']
+      }
+    }],
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code'],
+      default: 'USD'
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, 'Notes cannot be more than 1000 characters']
+    },
+    validUntil: Date,
+    quotedAt: Date
+  },
+  history: [{
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: String
+  }],
+  // Created when the quote is accepted
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  budgetItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BudgetItem'
+  }],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+bookingSchema.index({ event: 1, status: 1 });
+bookingSchema.index({ vendor: 1, 'request.date': 1 });
+
+// Keep the quote total in step with its line items
+bookingSchema.pre('save', function(next) {
+  if (this.isModified('quote.items')) {
+    this.quote.total = this.quote.items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+  }
+  next();
+});
+
+bookingSchema.methods.canMoveTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Change the status and remember who did it
+bookingSchema.methods.moveTo = function(status, user, note) {
+  if (!this.canMoveTo(status)) {
+    throw new Error(`A ${this.status} booking cannot be ${status}`);
+  }
+  this.status = status;
+  this.history.push({ status, changedBy: user._id, note });
+};
+
+bookingSchema.statics.TRANSITIONS = TRANSITIONS;
+bookingSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Booking', bookingSchema);
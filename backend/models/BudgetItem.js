@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A line item in an event budget. Planned costs carry an estimate; once money is
+// spent the actual amount, payment date and receipts are filled in.
+const budgetItemSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Please provide a category'],
+    trim: true,
+    maxlength: [50, 'Category cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Please provide a description'],
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  estimated: {
+    type: Number,
+    min: [0, 'Estimated amount cannot be negative'],
+    default: 0
+  },
+  actual: {
+    type: Number,
+    min: [0, 'Actual amount cannot be negative'],
+    default: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code'],
+    default: 'USD'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  // Set on items created from an accepted vendor booking
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  paidAt: Date,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  receipts: [{
+    name: String,
+    type: { type: String },
+    url: String,
+    size: Number,
+    key: String,
+    thumbnail: String,
+    thumbnailKey: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for an event's budget, by category
+budgetItemSchema.index({ event: 1, category: 1 });
+
+module.exports = mongoose.model('BudgetItem', budgetItemSchema);
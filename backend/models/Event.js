@@ -1,5 +1,125 @@
 const mongoose = require('mongoose');
 require('mongoose-paginate-v2');
+const { generateTicketCode } = require('../utils/tickets');
+const { generateOccurrences } = require('../utils/recurrence');
+const { STAFF_ROLES } = require('../utils/eventPermissions');
+const { pointField } = require('../utils/geo');
+
+const ticketTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a ticket tier name'],
+    trim: true,
+    maxlength: [50, 'Tier name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Tier description cannot be more than 200 characters']
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: 0
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Please provide the number of tickets in this tier'],
+    min: [1, 'Tier quantity must be at least 1']
+  },
+  salesStart: Date,
+  salesEnd: Date,
+  maxPerOrder: {
+    type: Number,
+    min: [1, 'Per-order limit must be at least 1'],
+    default: 10
+  }
+});
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a promo code'],
+    uppercase: true,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Please provide a discount value'],
+    min: [0, 'Discount cannot be negative']
+  },
+  expiresAt: Date,
+  maxUses: {
+    type: Number,
+    min: [1, 'Max uses must be at least 1']
+  },
+  timesUsed: {
+    type: Number,
+    default: 0
+  }
+});
+
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    default: 1
+  },
+  weekdays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  monthlyMode: {
+    type: String,
+    enum: ['dayOfMonth', 'nthWeekday'],
+    default: 'dayOfMonth'
+  },
+  until: Date,
+  count: {
+    type: Number,
+    min: [1, 'Count must be at least 1']
+  }
+}, { _id: false });
+
+// How much the organizers plan to spend, split by category. Line items and
+// expenses live in the BudgetItem collection.
+const budgetSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code'],
+    default: 'USD'
+  },
+  // Totals are converted into this currency; defaults to the budget currency
+  reportingCurrency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code']
+  },
+  allocations: [{
+    category: {
+      type: String,
+      required: [true, 'Allocation category is required'],
+      trim: true,
+      maxlength: [50, 'Category cannot be more than 50 characters']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Allocation amount is required'],
+      min: [0, 'Allocation cannot be negative']
+    }
+  }]
+}, { _id: false });
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -54,20 +174,50 @@ const eventSchema = new mongoose.Schema({
       type: String,
       required: [true, 'Please provide a zip code']
     },
-    coordinates: {
-      lat: Number,
-      lng: Number
-    }
+    // Filled in by geocoding the address (services/geocoding)
+    point: pointField()
   },
   organizer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  // Co-organizers and helpers with a per-event role (see utils/eventPermissions)
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   image: {
     type: String,
     default: ''
   },
+  // Set when the image was uploaded rather than linked, so the stored file can be removed later
+  imageFile: {
+    key: String,
+    thumbnail: String,
+    thumbnailKey: String
+  },
   capacity: {
     type: Number,
     min: [1, 'Capacity must be at least 1']
@@ -81,6 +231,16 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  ticketTiers: [ticketTierSchema],
+  promoCodes: {
+    type: [promoCodeSchema],
+    select: false
+  },
+  budget: {
+    type: budgetSchema,
+    select: false,
+    default: () => ({})
+  },
   tags: [{
     type: String,
     trim: true
@@ -103,6 +263,38 @@ const eventSchema = new mongoose.Schema({
       type: String,
       enum: ['registered', 'attended', 'cancelled'],
       default: 'registered'
+    },
+    ticketTier: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      min: [1, 'Quantity must be at least 1'],
+      default: 1
+    },
+    promoCode: String,
+    pricePaid: {
+      type: Number,
+      default: 0
+    },
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    ticketTier: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      min: [1, 'Quantity must be at least 1'],
+      default: 1
     }
   }],
   maxAttendees: {
@@ -124,24 +316,108 @@ const eventSchema = new mongoose.Schema({
     twitter: String,
     instagram: String,
     linkedin: String
-  }
+  },
+  recurrence: recurrenceSchema,
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  seriesIndex: Number
 }, {
   timestamps: true
 });
 
 // Index for search functionality
 eventSchema.index({ title: 'text', description: 'text', tags: 'text' });
+eventSchema.index({ 'staff.user': 1 });
+eventSchema.index({ 'location.point': '2dsphere' });
+
+// Virtual for number of seats taken (an attendee may hold several tickets)
+eventSchema.virtual('seatsTaken').get(function() {
+  return this.attendees.reduce((total, attendee) => total + (attendee.quantity || 1), 0);
+});
 
 // Virtual for checking if event is full
 eventSchema.virtual('isFull').get(function() {
-  return this.attendees.length >= this.maxAttendees;
+  return this.seatsTaken >= this.maxAttendees;
 });
 
 // Virtual for available spots
 eventSchema.virtual('availableSpots').get(function() {
-  return Math.max(0, this.maxAttendees - this.attendees.length);
+  return Math.max(0, this.maxAttendees - this.seatsTaken);
 });
 
+// Method to count tickets sold for a tier
+eventSchema.methods.getTierSold = function(tierId) {
+  return this.attendees
+    .filter(attendee => attendee.ticketTier && attendee.ticketTier.toString() === tierId.toString())
+    .reduce((total, attendee) => total + (attendee.quantity || 1), 0);
+};
+
+// Method to price a ticket order. Throws if the tier, quantity or promo code is not usable.
+// promoCodes must be selected on the document for promo codes to be applied.
+eventSchema.methods.quoteTickets = function({ ticketTier, quantity = 1, promoCode } = {}, now = new Date()) {
+  quantity = parseInt(quantity) || 1;
+  let unitPrice = this.isFree ? 0 : (this.price || 0);
+  let tier = null;
+
+  if (this.ticketTiers.length > 0) {
+    if (!ticketTier) {
+      throw new Error('Please select a ticket tier');
+    }
+    tier = this.ticketTiers.id(ticketTier);
+    if (!tier) {
+      throw new Error('Ticket tier not found');
+    }
+    if (tier.salesStart && now < tier.salesStart) {
+      throw new Error(`Sales for ${tier.name} have not started yet`);
+    }
+    if (tier.salesEnd && now > tier.salesEnd) {
+      throw new Error(`Sales for ${tier.name} have ended`);
+    }
+    if (quantity > tier.maxPerOrder) {
+      throw new Error(`You can buy at most ${tier.maxPerOrder} ${tier.name} tickets per order`);
+    }
+    if (this.getTierSold(tier._id) + quantity > tier.quantity) {
+      throw new Error(`Not enough ${tier.name} tickets left`);
+    }
+    unitPrice = tier.price;
+  } else if (quantity > 1) {
+    throw new Error('This event only allows one ticket per registration');
+  }
+
+  const subtotal = unitPrice * quantity;
+  let discount = 0;
+  let promo = null;
+
+  if (promoCode) {
+    promo = (this.promoCodes || []).find(p => p.code === promoCode.trim().toUpperCase());
+    if (!promo) {
+      throw new Error('Invalid promo code');
+    }
+    if (promo.expiresAt && now > promo.expiresAt) {
+      throw new Error('Promo code has expired');
+    }
+    if (promo.maxUses && promo.timesUsed >= promo.maxUses) {
+      throw new Error('Promo code has reached its usage limit');
+    }
+    discount = promo.discountType === 'percentage'
+      ? subtotal * Math.min(promo.discountValue, 100) / 100
+      : promo.discountValue;
+    discount = Math.min(subtotal, Math.round(discount * 100) / 100);
+  }
+
+  return {
+    tier,
+    promo,
+    quantity,
+    unitPrice,
+    subtotal,
+    discount,
+    total: Math.round((subtotal - discount) * 100) / 100
+  };
+};
+
 // Method to check if user is registered
 eventSchema.methods.isUserRegistered = function(userId) {
   return this.attendees.some(attendee => 
@@ -149,15 +425,25 @@ eventSchema.methods.isUserRegistered = function(userId) {
   );
 };
 
-// Method to register user for event
-eventSchema.methods.registerUser = function(userId) {
+// Method to register user for event. Pass a quote from quoteTickets for ticketed events.
+eventSchema.methods.registerUser = function(userId, quote) {
   if (this.isUserRegistered(userId)) {
     throw new Error('User is already registered for this event');
   }
   if (this.isFull) {
     throw new Error('Event is full');
   }
-  this.attendees.push({ user: userId });
+  const attendee = { user: userId };
+  if (quote) {
+    attendee.ticketTier = quote.tier ? quote.tier._id : undefined;
+    attendee.quantity = quote.quantity;
+    attendee.promoCode = quote.promo ? quote.promo.code : undefined;
+    attendee.pricePaid = quote.total;
+    if (quote.promo) {
+      quote.promo.timesUsed += 1;
+    }
+  }
+  this.attendees.push(attendee);
   return this.save();
 };
 
@@ -169,6 +455,155 @@ eventSchema.methods.unregisterUser = function(userId) {
   return this.save();
 };
 
+// Method to get the signed ticket code for a registered user (null if not registered)
+eventSchema.methods.getTicketCode = function(userId) {
+  const attendee = this.attendees.find(attendee => 
+    attendee.user.toString() === userId.toString()
+  );
+  return attendee ? generateTicketCode(this._id, attendee._id) : null;
+};
+
+// Virtual for number of checked-in attendees
+eventSchema.virtual('checkedInCount').get(function() {
+  return this.attendees.filter(attendee => attendee.status === 'attended').length;
+});
+
+// Method to check if user is on the waitlist
+eventSchema.methods.isUserWaitlisted = function(userId) {
+  return this.waitlist.some(entry => 
+    entry.user.toString() === userId.toString()
+  );
+};
+
+// Method to get a user's 1-based waitlist position (0 if not waitlisted)
+eventSchema.methods.getWaitlistPosition = function(userId) {
+  const index = this.waitlist.findIndex(entry => 
+    entry.user.toString() === userId.toString()
+  );
+  return index + 1;
+};
+
+// Method to add user to the end of the waitlist, remembering the requested ticket tier
+eventSchema.methods.joinWaitlist = function(userId, { ticketTier, quantity } = {}) {
+  if (this.isUserRegistered(userId)) {
+    throw new Error('User is already registered for this event');
+  }
+  if (this.isUserWaitlisted(userId)) {
+    throw new Error('User is already on the waitlist for this event');
+  }
+  this.waitlist.push({ user: userId, ticketTier, quantity });
+  return this.save();
+};
+
+// Method to remove user from the waitlist
+eventSchema.methods.leaveWaitlist = function(userId) {
+  this.waitlist = this.waitlist.filter(entry => 
+    entry.user.toString() !== userId.toString()
+  );
+  return this.save();
+};
+
+// Method to reorder the waitlist; userIds must contain every waitlisted user exactly once
+eventSchema.methods.reorderWaitlist = function(userIds) {
+  const current = this.waitlist.map(entry => entry.user.toString());
+  const requested = userIds.map(id => id.toString());
+  if (
+    requested.length !== current.length ||
+    new Set(requested).size !== requested.length ||
+    !requested.every(id => current.includes(id))
+  ) {
+    throw new Error('Order must list every waitlisted user exactly once');
+  }
+  this.waitlist = requested.map(id => 
+    this.waitlist.find(entry => entry.user.toString() === id)
+  );
+  return this.save();
+};
+
+// Method to move users from the waitlist into open spots, in waitlist order. An entry
+// whose tier is still sold out, outside its sales window or no longer available stays
+// put and the next entry that fits goes ahead of it.
+// Promoted users pay the tier's full price; promo codes are not held for the waitlist.
+// Resolves with the ids of the promoted users.
+eventSchema.methods.promoteFromWaitlist = async function(now = new Date()) {
+  const promoted = [];
+  for (const entry of [...this.waitlist]) {
+    const quantity = entry.quantity || 1;
+    if (this.availableSpots === 0) break;
+    if (this.availableSpots < quantity) continue;
+
+    let quote;
+    try {
+      quote = this.quoteTickets({ ticketTier: entry.ticketTier, quantity }, now);
+    } catch (error) {
+      continue;
+    }
+
+    this.waitlist.pull(entry._id);
+    this.attendees.push({
+      user: entry.user,
+      ticketTier: entry.ticketTier,
+      quantity,
+      pricePaid: quote.subtotal
+    });
+    promoted.push(entry.user);
+  }
+  if (promoted.length > 0) {
+    await this.save();
+  }
+  return promoted;
+};
+
+// Fields that belong to a single occurrence and are never copied across a series
+const OCCURRENCE_FIELDS = ['_id', 'startDate', 'endDate', 'attendees', 'waitlist', 'promoCodes', 'seriesId', 'seriesIndex', 'recurrence', 'organizer', 'createdAt', 'updatedAt'];
+
+// Static to create every occurrence of a recurring event. Resolves with the first occurrence.
+eventSchema.statics.createSeries = async function(eventData) {
+  const starts = generateOccurrences(eventData.startDate, eventData.recurrence);
+  if (starts.length === 0) {
+    throw new Error('The recurrence produces no occurrences');
+  }
+  const duration = new Date(eventData.endDate) - new Date(eventData.startDate);
+
+  const first = new this({ ...eventData, startDate: starts[0], endDate: new Date(starts[0].getTime() + duration), seriesIndex: 0 });
+  first.seriesId = first._id;
+  await first.save();
+
+  // Later occurrences reuse the first one's ticket tier ids so series-wide edits keep attendee references valid
+  const ticketTiers = first.ticketTiers.map(tier => tier.toObject());
+  const others = starts.slice(1).map((start, index) => ({
+    ...eventData,
+    ticketTiers,
+    startDate: start,
+    endDate: new Date(start.getTime() + duration),
+    seriesId: first._id,
+    seriesIndex: index + 1
+  }));
+  if (others.length > 0) {
+    await this.insertMany(others);
+  }
+
+  return first;
+};
+
+// Static to build the filter for an edit scope: 'this', 'following' or 'all'
+eventSchema.statics.seriesScopeFilter = function(event, scope) {
+  if (!event.seriesId || scope === 'this' || !scope) {
+    return { _id: event._id };
+  }
+  if (scope === 'following') {
+    return { seriesId: event.seriesId, seriesIndex: { $gte: event.seriesIndex } };
+  }
+  return { seriesId: event.seriesId };
+};
+
+// Static to strip fields that must stay per-occurrence from a series-wide update
+eventSchema.statics.sharedSeriesFields = function(updates) {
+  const shared = { ...updates };
+  OCCURRENCE_FIELDS.forEach(field => delete shared[field]);
+  return shared;
+};
+
 eventSchema.plugin(require('mongoose-paginate-v2'));
 
 module.exports = mongoose.model('Event', eventSchema); 
\ No newline at end of file
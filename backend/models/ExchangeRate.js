@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const currencyCode = {
+  type: String,
+  required: true,
+  uppercase: true,
+  match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code']
+};
+
+// One unit of `base` is worth `rate` units of `quote`. Rates are entered by admins or
+// imported from a file and apply to the whole application.
+const exchangeRateSchema = new mongoose.Schema({
+  base: currencyCode,
+  quote: currencyCode,
+  rate: {
+    type: Number,
+    required: [true, 'Please provide a rate'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ base: 1, quote: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
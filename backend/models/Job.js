@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One document per recurring job. The lock fields let several server
+// instances share a schedule: whoever claims the document runs the job.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  interval: {
+    type: Number,
+    required: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: String,
+  lastDuration: Number, // in milliseconds
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Job', jobSchema);
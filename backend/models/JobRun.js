@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+require('mongoose-paginate-v2');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  instance: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  duration: Number, // in milliseconds
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+});
+
+// Index for listing runs of a job, and failures, newest first
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+
+// Run history is kept for 30 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+jobRunSchema.plugin(require('mongoose-paginate-v2'));
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
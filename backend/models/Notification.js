@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+require('mongoose-paginate-v2');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  // What the notification is about, so the client can link straight to it
+  link: {
+    kind: {
+      type: String,
+      enum: ['task', 'event', 'vendor']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for a user's newest notifications and unread count
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+// Virtual for read status
+notificationSchema.virtual('isRead').get(function() {
+  return !!this.readAt;
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+
+notificationSchema.plugin(require('mongoose-paginate-v2'));
+
+module.exports = mongoose.model('Notification', notificationSchema);
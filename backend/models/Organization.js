@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Roles in order of privilege. Owners manage the workspace and its members,
+// managers run everything in it, staff create and work on their own items and
+// viewers can only look.
+const ROLES = ['owner', 'manager', 'staff', 'viewer'];
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'staff'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'staff'
+  },
+  // SHA-256 of the emailed token
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide an organization name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Every user gets a personal workspace on sign-up; it cannot be deleted
+  isPersonal: {
+    type: Boolean,
+    default: false
+  },
+  members: [memberSchema],
+  invitations: {
+    type: [invitationSchema],
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.tokenHash': 1 });
+
+organizationSchema.statics.ROLES = ROLES;
+
+// Hash an invitation token the same way it is stored
+organizationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create the personal workspace for a user
+organizationSchema.statics.createPersonal = function(user) {
+  return this.create({
+    name: `${user.name}'s Workspace`,
+    isPersonal: true,
+    members: [{ user: user._id, role: 'owner' }],
+    createdBy: user._id
+  });
+};
+
+// Check whether a role is at least as privileged as another
+organizationSchema.statics.roleAtLeast = function(role, minimum) {
+  return ROLES.indexOf(role) !== -1 && ROLES.indexOf(role) <= ROLES.indexOf(minimum);
+};
+
+// Method to get a user's role, or null when they are not a member
+organizationSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Method to invite someone by email (replaces any open invitation for the same address). Returns the raw token.
+organizationSchema.methods.createInvitation = function(email, role, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const normalized = email.toLowerCase().trim();
+
+  this.invitations = this.invitations.filter(invitation => invitation.email !== normalized);
+  this.invitations.push({
+    email: normalized,
+    role,
+    tokenHash: this.constructor.hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITATION_TTL)
+  });
+  return token;
+};
+
+// Method to add a member, or change the role of an existing one
+organizationSchema.methods.addMember = function(userId, role) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  if (member) {
+    member.role = role;
+  } else {
+    this.members.push({ user: userId, role });
+  }
+};
+
+// Method to remove a member (the last owner cannot leave)
+organizationSchema.methods.removeMember = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  if (!member) {
+    throw new Error('User is not a member of this organization');
+  }
+
+  const owners = this.members.filter(m => m.role === 'owner');
+  if (member.role === 'owner' && owners.length === 1) {
+    throw new Error('An organization needs at least one owner');
+  }
+
+  member.deleteOne();
+};
+
+// Method to change a member's role (the last owner cannot be demoted)
+organizationSchema.methods.changeMemberRole = function(userId, role) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  if (!member) {
+    throw new Error('User is not a member of this organization');
+  }
+
+  const owners = this.members.filter(m => m.role === 'owner');
+  if (member.role === 'owner' && role !== 'owner' && owners.length === 1) {
+    throw new Error('An organization needs at least one owner');
+  }
+
+  member.role = role;
+};
+
+organizationSchema.plugin(require('mongoose-paginate-v2'));
+
+module.exports = mongoose.model('Organization', organizationSchema);
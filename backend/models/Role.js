@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Custom roles created by admins. The built-in "admin" and "user" roles live in
+// services/permissions and are not stored.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a role name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role names use 2-30 lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: [{
+    type: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
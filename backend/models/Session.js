@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session id, and the rotating
+// refresh token is checked against tokenHash, so revoking the session logs
+// that device out everywhere the tokens are used.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token secret
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The secret it replaced, kept briefly so a request racing a rotation is not mistaken for reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse', 'password-change', 'password-reset', 'two-factor-change', 'vendor-access-removed']
+  }
+}, {
+  timestamps: true
+});
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found && found[0];
+};
+
+// Virtual for a short device description, e.g. "Chrome on macOS"
+sessionSchema.virtual('device').get(function() {
+  const browser = match(BROWSERS, this.userAgent || '');
+  const platform = match(PLATFORMS, this.userAgent || '');
+  if (!browser && !platform) {
+    return 'Unknown device';
+  }
+  return `${browser || 'Unknown browser'} on ${platform || 'unknown OS'}`;
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A vendor the event team is considering, with the team's votes and discussion
+// while they compare candidates and before one is booked
+const shortlistEntrySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // One vote per team member: 1 for, -1 against
+  votes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    value: {
+      type: Number,
+      enum: [1, -1],
+      required: true
+    },
+    votedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  comments: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: [500, 'Comment cannot exceed 500 characters']
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// A vendor is on an event's shortlist at most once
+shortlistEntrySchema.index({ event: 1, vendor: 1 }, { unique: true });
+
+// Votes for minus votes against
+shortlistEntrySchema.virtual('score').get(function() {
+  return this.votes.reduce((sum, vote) => sum + vote.value, 0);
+});
+
+shortlistEntrySchema.set('toJSON', { virtuals: true });
+
+// Cast, change or (with value 0) withdraw a user's vote
+shortlistEntrySchema.methods.vote = function(userId, value) {
+  const existing = this.votes.find(vote => vote.user.toString() === userId.toString());
+  if (value === 0) {
+    if (existing) existing.deleteOne();
+  } else if (existing) {
+    existing.value = value;
+    existing.votedAt = new Date();
+  } else {
+    this.votes.push({ user: userId, value });
+  }
+};
+
+module.exports = mongoose.model('ShortlistEntry', shortlistEntrySchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 require('mongoose-paginate-v2');
+const { pointField } = require('../utils/geo');
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -64,6 +65,11 @@ const taskSchema = new mongoose.Schema({
   completedDate: {
     type: Date
   },
+  // Set by the overdue-tasks job while the task is past due and still open
+  overdueAt: {
+    type: Date,
+    default: null
+  },
   estimatedHours: {
     type: Number,
     min: [0, 'Estimated hours cannot be negative']
@@ -83,6 +89,8 @@ const taskSchema = new mongoose.Schema({
     },
     currency: {
       type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code'],
       default: 'USD'
     }
   },
@@ -99,8 +107,16 @@ const taskSchema = new mongoose.Schema({
   }],
   attachments: [{
     name: String,
-    type: String,
+    type: { type: String },
     url: String,
+    size: Number,
+    key: String,
+    thumbnail: String,
+    thumbnailKey: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -131,10 +147,7 @@ const taskSchema = new mongoose.Schema({
     city: String,
     state: String,
     zipCode: String,
-    coordinates: {
-      lat: Number,
-      lng: Number
-    }
+    point: pointField()
   },
   vendor: {
     type: mongoose.Schema.Types.ObjectId,
@@ -168,7 +181,8 @@ const taskSchema = new mongoose.Schema({
       type: Number,
       default: 1,
       min: [0, 'Reminder days cannot be negative']
-    }
+    },
+    reminderSentAt: Date
   },
   progress: {
     type: Number,
@@ -198,6 +212,11 @@ const taskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
   }
 }, {
   timestamps: true
@@ -216,7 +235,9 @@ taskSchema.index({
 taskSchema.index({ event: 1, status: 1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
 taskSchema.index({ dueDate: 1 });
+taskSchema.index({ overdueAt: 1 });
 taskSchema.index({ priority: 1 });
+taskSchema.index({ 'location.point': '2dsphere' });
 
 // Virtual for task duration
 taskSchema.virtual('duration').get(function() {
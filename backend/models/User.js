@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -25,11 +26,25 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // "user", "admin" or the name of a custom role (see services/permissions)
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'user'
   },
+  // Vendor accounts are created from a portal invitation and can only use the
+  // account routes and the vendor portal for their own vendor
+  accountType: {
+    type: String,
+    enum: ['member', 'vendor'],
+    default: 'member'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: { sparse: true }
+  },
   avatar: {
     type: String,
     default: ''
@@ -45,6 +60,50 @@ const userSchema = new mongoose.Schema({
   isVerified: {
     type: Boolean,
     default: false
+  },
+  emailNotifications: {
+    taskAssigned: { type: Boolean, default: true },
+    taskReminder: { type: Boolean, default: true },
+    taskComment: { type: Boolean, default: true },
+    eventRegistration: { type: Boolean, default: true },
+    eventChanges: { type: Boolean, default: true },
+    waitlist: { type: Boolean, default: true },
+    vendorBookings: { type: Boolean, default: true }
+  },
+  calendarToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  },
+  // Only SHA-256 hashes of emailed tokens are stored, so a database leak cannot be used to take over accounts
+  passwordResetToken: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false },
+    // Secret waiting for the first code during enrolment
+    pendingSecret: { type: String, select: false },
+    // Last TOTP time step accepted, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], select: false }
   }
 }, {
   timestamps: true
@@ -53,7 +112,7 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -64,13 +123,49 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Generate a short-lived JWT access token for a login session
+userSchema.methods.generateAuthToken = function(sessionId) {
+  return jwt.sign(
+    { id: this._id, email: this.email, role: this.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+};
+
+// Generate a short-lived token showing the password step of a two-factor login passed
+userSchema.methods.generateTwoFactorChallenge = function() {
   return jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    { id: this._id, purpose: 'two-factor' },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: '5m' }
   );
 };
 
+// Generate a new private calendar feed token, replacing (and so revoking) any previous one
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
+// Hash an emailed token the same way it is stored
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a single-use password reset token (valid for 1 hour). Returns the raw token for the email.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+// Generate an email verification token (valid for 24 hours). Returns the raw token for the email.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 require('mongoose-paginate-v2');
+const { pointField } = require('../utils/geo');
+
+// Weekly hours are local "HH:MM" times; an end before the start runs past midnight
+const TIME = [/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/, 'Times must look like 09:00'];
+const workingHours = () => ({
+  start: { type: String, match: TIME },
+  end: { type: String, match: TIME }
+});
+
+// Reviews rate the vendor overall and, optionally, on each of these
+const REVIEW_CRITERIA = ['quality', 'punctuality', 'value', 'communication'];
+const criterionRating = () => ({ type: Number, min: 1, max: 5 });
+
+// A review with this many flags is hidden until a moderator looks at it
+const FLAG_THRESHOLD = 3;
+
+const PORTAL_INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
 
 const vendorSchema = new mongoose.Schema({
   name: {
@@ -17,7 +35,6 @@ const vendorSchema = new mongoose.Schema({
   email: {
     type: String,
     required: [true, 'Please provide email address'],
-    unique: true,
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
   },
@@ -74,7 +91,9 @@ const vendorSchema = new mongoose.Schema({
     country: {
       type: String,
       default: 'USA'
-    }
+    },
+    // Geocoded from the fields above whenever they change
+    point: pointField()
   },
   pricing: {
     hourly: {
@@ -91,18 +110,36 @@ const vendorSchema = new mongoose.Schema({
     },
     currency: {
       type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code'],
       default: 'USD'
     }
   },
   availability: {
-    monday: { start: String, end: String },
-    tuesday: { start: String, end: String },
-    wednesday: { start: String, end: String },
-    thursday: { start: String, end: String },
-    friday: { start: String, end: String },
-    saturday: { start: String, end: String },
-    sunday: { start: String, end: String }
+    monday: workingHours(),
+    tuesday: workingHours(),
+    wednesday: workingHours(),
+    thursday: workingHours(),
+    friday: workingHours(),
+    saturday: workingHours(),
+    sunday: workingHours()
   },
+  // Holidays, maintenance and other periods the vendor can't be booked
+  blackouts: [{
+    start: {
+      type: Date,
+      required: [true, 'Please provide the start of the blackout']
+    },
+    end: {
+      type: Date,
+      required: [true, 'Please provide the end of the blackout']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot be more than 200 characters']
+    }
+  }],
   rating: {
     type: Number,
     min: [0, 'Rating cannot be negative'],
@@ -120,6 +157,7 @@ const vendorSchema = new mongoose.Schema({
       min: 1,
       max: 5
     },
+    criteria: Object.fromEntries(REVIEW_CRITERIA.map(criterion => [criterion, criterionRating()])),
     comment: {
       type: String,
       maxlength: [500, 'Review comment cannot exceed 500 characters']
@@ -127,18 +165,56 @@ const vendorSchema = new mongoose.Schema({
     date: {
       type: Date,
       default: Date.now
+    },
+    // Verified reviews come from someone whose event used the vendor
+    verified: {
+      type: Boolean,
+      default: false
+    },
+    source: {
+      event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+      booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+      task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' }
+    },
+    // Only approved reviews are shown to everyone and count toward the rating
+    status: {
+      type: String,
+      enum: ['approved', 'pending', 'rejected'],
+      default: 'approved'
+    },
+    flags: [{
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, maxlength: [300, 'Flag reason cannot exceed 300 characters'] },
+      date: { type: Date, default: Date.now }
+    }],
+    reply: {
+      comment: { type: String, maxlength: [1000, 'Reply cannot exceed 1000 characters'] },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      date: Date
+    },
+    moderation: {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      date: Date,
+      note: String
     }
   }],
   portfolio: [{
     title: String,
     description: String,
     image: String,
+    thumbnail: String,
+    key: String,
+    thumbnailKey: String,
     date: Date
   }],
   documents: [{
     name: String,
-    type: String,
+    type: { type: String },
     url: String,
+    size: Number,
+    key: String,
+    thumbnail: String,
+    thumbnailKey: String,
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -179,19 +255,50 @@ const vendorSchema = new mongoose.Schema({
     email: String,
     phone: String
   },
+  // Internal notes for the organization; never shown in the vendor portal
   notes: {
     type: String,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
+  // Open invitation for the vendor to create a portal account
+  portalInvitation: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    // SHA-256 of the emailed token
+    tokenHash: {
+      type: String,
+      select: false,
+      index: { sparse: true }
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
   }
 }, {
   timestamps: true
 });
 
+// Each organization keeps its own vendor list, so an email is only unique within one
+vendorSchema.index({ organization: 1, email: 1 }, { unique: true });
+
+// Nearest-vendor search
+vendorSchema.index({ 'address.point': '2dsphere' });
+
 // Index for search functionality
 vendorSchema.index({ 
   name: 'text', 
@@ -202,20 +309,40 @@ vendorSchema.index({
   'address.state': 'text'
 });
 
+const approvedReviews = (vendor) => vendor.reviews.filter(review => review.status === 'approved');
+
+const average = (values) =>
+  values.length === 0 ? 0 : Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+
 // Virtual for average rating
 vendorSchema.virtual('averageRating').get(function() {
-  if (this.reviews.length === 0) return 0;
-  const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
-  return Math.round((total / this.reviews.length) * 10) / 10;
+  return average(approvedReviews(this).map(review => review.rating));
 });
 
 // Virtual for review count
 vendorSchema.virtual('reviewCount').get(function() {
-  return this.reviews.length;
+  return approvedReviews(this).length;
+});
+
+// Average of each criterion over the approved reviews that rated it
+vendorSchema.virtual('criteriaRatings').get(function() {
+  const reviews = approvedReviews(this);
+  return Object.fromEntries(REVIEW_CRITERIA.map(criterion => [
+    criterion,
+    average(reviews.map(review => review.criteria?.[criterion]).filter(Boolean))
+  ]));
 });
 
-// Method to add review
-vendorSchema.methods.addReview = function(userId, rating, comment) {
+const findReview = (vendor, reviewId) => {
+  const review = vendor.reviews.id(reviewId);
+  if (!review) {
+    throw new Error('Review not found');
+  }
+  return review;
+};
+
+// Method to add review; source is the event booking or task that verifies it, if any
+vendorSchema.methods.addReview = function(userId, { rating, comment, criteria }, source) {
   // Check if user already reviewed
   const existingReview = this.reviews.find(review => 
     review.user.toString() === userId.toString()
@@ -225,13 +352,13 @@ vendorSchema.methods.addReview = function(userId, rating, comment) {
     throw new Error('User has already reviewed this vendor');
   }
   
-  this.reviews.push({ user: userId, rating, comment });
+  this.reviews.push({ user: userId, rating, comment, criteria, verified: Boolean(source), source: source || undefined });
   this.rating = this.averageRating;
   return this.save();
 };
 
-// Method to update review
-vendorSchema.methods.updateReview = function(userId, rating, comment) {
+// Method to update review; a rejected review goes back to the moderators
+vendorSchema.methods.updateReview = function(userId, { rating, comment, criteria }, source) {
   const review = this.reviews.find(review => 
     review.user.toString() === userId.toString()
   );
@@ -242,7 +369,15 @@ vendorSchema.methods.updateReview = function(userId, rating, comment) {
   
   review.rating = rating;
   review.comment = comment;
+  review.criteria = criteria;
   review.date = new Date();
+  if (source) {
+    review.verified = true;
+    review.source = source;
+  }
+  if (review.status === 'rejected') {
+    review.status = 'pending';
+  }
   
   this.rating = this.averageRating;
   return this.save();
@@ -257,6 +392,62 @@ vendorSchema.methods.removeReview = function(userId) {
   return this.save();
 };
 
+// Flag a review as abusive; enough flags hide it until it's moderated
+vendorSchema.methods.flagReview = function(reviewId, userId, reason) {
+  const review = findReview(this, reviewId);
+  if (review.user.toString() === userId.toString()) {
+    throw new Error('You cannot flag your own review');
+  }
+  if (review.flags.some(flag => flag.user.toString() === userId.toString())) {
+    throw new Error('You have already flagged this review');
+  }
+
+  review.flags.push({ user: userId, reason });
+  if (review.status === 'approved' && review.flags.length >= FLAG_THRESHOLD) {
+    review.status = 'pending';
+  }
+  this.rating = this.averageRating;
+  return this.save();
+};
+
+// Approve (clearing its flags) or reject a review
+vendorSchema.methods.moderateReview = function(reviewId, userId, status, note) {
+  const review = findReview(this, reviewId);
+  review.status = status;
+  review.moderation = { user: userId, date: new Date(), note };
+  if (status === 'approved') {
+    review.flags = [];
+  }
+  this.rating = this.averageRating;
+  return this.save();
+};
+
+// The vendor's public answer to a review; an empty comment removes it
+vendorSchema.methods.replyToReview = function(reviewId, userId, comment) {
+  const review = findReview(this, reviewId);
+  review.reply = comment ? { comment, user: userId, date: new Date() } : undefined;
+  return this.save();
+};
+
+// Invite the vendor to create a portal account (replaces any open invitation). Returns the raw token.
+vendorSchema.methods.createPortalInvitation = function(email, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.portalInvitation = {
+    email: email || this.email,
+    tokenHash: this.constructor.hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + PORTAL_INVITATION_TTL)
+  };
+  return token;
+};
+
+// Hash a portal invitation token the same way it is stored
+vendorSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+vendorSchema.statics.REVIEW_CRITERIA = REVIEW_CRITERIA;
+
 vendorSchema.plugin(require('mongoose-paginate-v2'));
 
 module.exports = mongoose.model('Vendor', vendorSchema); 
\ No newline at end of file
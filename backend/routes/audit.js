@@ -0,0 +1,78 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Search the audit log (filter by actor, action, targetType, target, organization, from, to)
+// @route   GET /api/audit
+// @access  Private (audit:view)
+router.get('/', protect, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actor, action, targetType, target, organization, from, to } = req.query;
+
+    const ids = { actor, target, organization };
+    const invalid = Object.keys(ids).find(key => ids[key] && !mongoose.isValidObjectId(ids[key]));
+    if (invalid) {
+      return res.status(400).json({ message: `Invalid ${invalid} ID` });
+    }
+    if ([from, to].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (target) filter.target = target;
+    if (organization) filter.organization = organization;
+    if (targetType) filter.targetType = targetType;
+    // "event" matches every event action, "event.update" only that one
+    if (action) filter.action = action.includes('.') ? action : { $regex: `^${action.replace(/[^a-z-]/gi, '')}\\.` };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const entries = await AuditLog.paginate(filter, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: [
+        { path: 'actor', select: 'name email avatar' },
+        { path: 'organization', select: 'name' }
+      ]
+    });
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get one audit entry
+// @route   GET /api/audit/:id
+// @access  Private (audit:view)
+router.get('/:id', protect, requirePermission('audit:view'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+
+    const entry = await AuditLog.findById(req.params.id)
+      .populate('actor', 'name email avatar')
+      .populate('organization', 'name')
+      .populate('target');
+    if (!entry) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Get audit entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,38 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Vendor = require('../models/Vendor');
 const { protect } = require('../middleware/auth');
+const { NOTIFICATION_TYPES, sendAccountEmail } = require('../services/notifications');
+const sessions = require('../services/sessions');
+const permissions = require('../services/permissions');
+const twoFactor = require('../services/twoFactor');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Body returned when a login completes
+const authResponse = async (user, { token, refreshToken }) => {
+  await permissions.loadRoles();
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    accountType: user.accountType,
+    vendor: user.vendor,
+    permissions: permissions.userPermissions(user),
+    isVerified: user.isVerified,
+    token,
+    refreshToken
+  };
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -35,14 +63,16 @@ router.post('/register', [
     });
 
     if (user) {
-      const token = user.generateAuthToken();
-      res.status(201).json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        token
-      });
+      await Organization.createPersonal(user);
+
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      sendAccountEmail('emailVerification', user, { token: verificationToken })
+        .catch(error => console.error('Send verification email error:', error));
+
+      const tokens = await sessions.createSession(user, req);
+      audit.record(req, { action: 'auth.register', target: user, actor: user._id, after: user });
+      res.status(201).json(await authResponse(user, tokens));
     }
   } catch (error) {
     console.error('Registration error:', error);
@@ -50,6 +80,83 @@ router.post('/register', [
   }
 });
 
+// Find the vendor holding an open portal invitation for a token
+const findPortalInvitation = (token) => Vendor.findOne({
+  'portalInvitation.tokenHash': Vendor.hashToken(token),
+  'portalInvitation.expiresAt': { $gt: new Date() }
+});
+
+// @desc    Look up a vendor portal invitation before creating the account
+// @route   GET /api/auth/vendor-invitations/:token
+// @access  Public
+router.get('/vendor-invitations/:token', async (req, res) => {
+  try {
+    const vendor = await findPortalInvitation(req.params.token)
+      .select('name company portalInvitation organization')
+      .populate('organization', 'name');
+    if (!vendor) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({
+      vendor: { name: vendor.name, company: vendor.company },
+      organization: vendor.organization ? { name: vendor.organization.name } : null,
+      email: vendor.portalInvitation.email,
+      expiresAt: vendor.portalInvitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Get vendor invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Create a vendor portal account from an invitation and log in
+// @route   POST /api/auth/vendor-invitations/:token/accept
+// @access  Public
+router.post('/vendor-invitations/:token/accept', [
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await findPortalInvitation(req.params.token);
+    if (!vendor) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    const { email } = vendor.portalInvitation;
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: `An account already uses ${email}; ask for an invitation to another address` });
+    }
+
+    // The emailed link proves the address, so the account starts out verified
+    const user = await User.create({
+      name: req.body.name,
+      email,
+      password: req.body.password,
+      accountType: 'vendor',
+      vendor: vendor._id,
+      isVerified: true
+    });
+
+    const before = audit.snapshot(vendor);
+    vendor.portalInvitation = undefined;
+    await vendor.save();
+    audit.record(req, { action: 'vendor.portal-join', target: vendor, actor: user._id, before, after: vendor, metadata: { user: user._id } });
+
+    const tokens = await sessions.createSession(user, req);
+    audit.record(req, { action: 'auth.register', target: user, actor: user._id, after: user, metadata: { vendor: vendor._id } });
+    res.status(201).json(await authResponse(user, tokens));
+  } catch (error) {
+    console.error('Accept vendor invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -77,16 +184,462 @@ router.post('/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = user.generateAuthToken();
+    // With 2FA on, the password only earns a challenge token to send along with the code
+    if (user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: user.generateTwoFactorChallenge()
+      });
+    }
+
+    const tokens = await sessions.createSession(user, req);
+    audit.record(req, { action: 'auth.login', target: user, actor: user._id, metadata: { session: tokens.session._id } });
+    res.json(await authResponse(user, tokens));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Finish a two-factor login with an authenticator code or a recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').isString().withMessage('Challenge token is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Enter a code from your authenticator app or a recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login has expired, please sign in again', code: 'CHALLENGE_EXPIRED' });
+    }
+    if (challenge.purpose !== 'two-factor') {
+      return res.status(401).json({ message: 'Login has expired, please sign in again', code: 'CHALLENGE_EXPIRED' });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Login has expired, please sign in again', code: 'CHALLENGE_EXPIRED' });
+    }
+
+    if (!twoFactor.verifyCodeOrRecoveryCode(user, req.body)) {
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+    await user.save();
+
+    const tokens = await sessions.createSession(user, req);
+    audit.record(req, {
+      action: 'auth.login',
+      target: user,
+      actor: user._id,
+      metadata: { session: tokens.session._id, twoFactor: req.body.recoveryCode ? 'recovery-code' : 'code' }
+    });
     res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      token
+      ...(await authResponse(user, tokens)),
+      ...(req.body.recoveryCode && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await sessions.rotateSession(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Session has ended, please log in again', code: 'SESSION_REVOKED' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Log out (ends the session the refresh token belongs to)
+// @route   POST /api/auth/logout
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    // Works with an expired access token, and answers the same whether or not the token was valid
+    const session = await sessions.endSession(req.body.refreshToken);
+    if (session) {
+      audit.record(req, {
+        action: 'auth.logout',
+        target: { _id: session.user },
+        targetType: 'User',
+        actor: session.user,
+        metadata: { session: session._id }
+      });
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const active = await sessions.listSessions(req.user._id);
+
+    res.json(active.map(session => ({
+      ...session.toJSON(),
+      current: session._id.equals(req.authSession._id)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Log out every session (everywhere, including this device)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const count = await sessions.revokeSessions({ user: req.user._id }, 'logout-all');
+    audit.record(req, { action: 'auth.logout-all', target: req.user, metadata: { count } });
+    res.json({ message: 'Logged out of all sessions', count });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Log out one of my sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const count = await sessions.revokeSessions({ _id: req.params.id, user: req.user._id }, 'logout');
+    if (count === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    audit.record(req, { action: 'auth.session-revoke', target: req.user, metadata: { session: req.params.id } });
+    res.json({ message: 'Session logged out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      audit.record(req, { action: 'auth.password-reset-request', target: user });
+      try {
+        await sendAccountEmail('passwordReset', user, { token });
+      } catch (error) {
+        console.error('Send password reset email error:', error);
+      }
+    }
+
+    // Same answer either way so the endpoint cannot be used to find out who has an account
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.params.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'Password reset link is invalid or has expired' });
+    }
+
+    const before = audit.snapshot(user);
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves the user owns the address
+    user.isVerified = true;
+    await user.save();
+
+    audit.record(req, { action: 'auth.password-reset', target: user, before, after: user });
+
+    // Anyone holding the old password may already be signed in
+    await sessions.revokeSessions({ user: user._id }, 'password-reset');
+
+    sendAccountEmail('passwordChanged', user)
+      .catch(error => console.error('Send password changed email error:', error));
+
+    res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Verify email address with an emailed token
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+router.post('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const before = audit.snapshot(user);
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+    audit.record(req, { action: 'auth.email-verify', target: user, before, after: user });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    audit.record(req, { action: 'auth.verification-resend', target: user });
+
+    try {
+      await sendAccountEmail('emailVerification', user, { token });
+    } catch (error) {
+      console.error('Send verification email error:', error);
+      return res.status(502).json({ message: 'Could not send the verification email, please try again later' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/2fa', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+      required: await twoFactor.isRequiredFor(user)
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Start two-factor enrolment (returns a secret and QR code to scan)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const setup = await twoFactor.createSetup(user);
+    user.twoFactor.pendingSecret = setup.secret;
+    await user.save();
+    audit.record(req, { action: 'auth.2fa-setup', target: user });
+
+    res.json(setup);
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Finish enrolment with a code from the authenticator app (returns recovery codes)
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', protect, [
+  body('code').isString().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(`${TWO_FACTOR_FIELDS} +twoFactor.pendingSecret`);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = twoFactor.checkCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    const before = audit.snapshot(user);
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = twoFactor.generateRecoveryCodes(user);
+    await user.save();
+    audit.record(req, { action: 'auth.2fa-enable', target: user, before, after: user });
+
+    // Sessions signed in with only the password should not outlive the change
+    await sessions.revokeSessions({ user: user._id, _id: { $ne: req.authSession._id } }, 'two-factor-change');
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, [
+  body('password').exists().withMessage('Password is required'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Enter a code from your authenticator app or a recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (await twoFactor.isRequiredFor(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for your account' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (!twoFactor.verifyCodeOrRecoveryCode(user, req.body)) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    const before = audit.snapshot(user);
+    user.twoFactor = { enabled: false };
+    await user.save();
+    audit.record(req, { action: 'auth.2fa-disable', target: user, before, after: user });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Replace recovery codes (the old ones stop working)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, [
+  body('code').isString().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!twoFactor.verifyCode(user, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    const recoveryCodes = twoFactor.generateRecoveryCodes(user);
+    await user.save();
+    audit.record(req, { action: 'auth.recovery-codes', target: user });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -97,7 +650,11 @@ router.post('/login', [
 router.get('/me', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
-    res.json(user);
+    res.json({
+      ...user.toJSON(),
+      permissions: permissions.userPermissions(user),
+      twoFactorRequired: !user.twoFactor.enabled && await twoFactor.isRequiredFor(user)
+    });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -110,7 +667,9 @@ router.get('/me', protect, async (req, res) => {
 router.put('/profile', protect, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('bio').optional().isLength({ max: 200 }).withMessage('Bio cannot be more than 200 characters'),
-  body('phone').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid phone number')
+  body('phone').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid phone number'),
+  body('emailNotifications').optional().isObject().withMessage('Email notifications must be an object'),
+  body('emailNotifications.*').optional().isBoolean().withMessage('Email notification settings must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -118,19 +677,29 @@ router.put('/profile', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, bio, phone, avatar } = req.body;
+    const { name, bio, phone, avatar, emailNotifications } = req.body;
 
     const user = await User.findById(req.user._id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const before = audit.snapshot(user);
     user.name = name || user.name;
     user.bio = bio !== undefined ? bio : user.bio;
     user.phone = phone || user.phone;
     user.avatar = avatar || user.avatar;
 
+    if (emailNotifications) {
+      Object.keys(NOTIFICATION_TYPES).forEach(type => {
+        if (emailNotifications[type] !== undefined) {
+          user.emailNotifications[type] = emailNotifications[type];
+        }
+      });
+    }
+
     const updatedUser = await user.save();
+    audit.record(req, { action: 'auth.profile-update', target: user, before, after: updatedUser });
 
     res.json(updatedUser);
   } catch (error) {
@@ -165,8 +734,13 @@ router.put('/change-password', protect, [
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
+    const before = audit.snapshot(user);
     user.password = newPassword;
     await user.save();
+    audit.record(req, { action: 'auth.password-change', target: user, before, after: user });
+
+    // Keep this device signed in and log out everywhere else
+    await sessions.revokeSessions({ user: user._id, _id: { $ne: req.authSession._id } }, 'password-change');
 
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
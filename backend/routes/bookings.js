@@ -0,0 +1,317 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Vendor = require('../models/Vendor');
+const Booking = require('../models/Booking');
+const { protect } = require('../middleware/auth');
+const { loadOrganization } = require('../middleware/organization');
+const { can } = require('../services/permissions');
+const { quoteValidators, applyQuote, createBookingRecords, releaseBookingRecords, completeBookingRecords } = require('../services/bookings');
+const { notifyBookingQuoted, sendQuoteRequest } = require('../services/notifications');
+const { findConflicts, bookingWindow } = require('../services/availability');
+const { complianceOf } = require('../services/compliance');
+const audit = require('../services/audit');
+
+// Mounted at /api/events/:id/bookings
+const router = express.Router({ mergeParams: true });
+
+// Booking details can still change until the vendor has quoted
+const EDITABLE_STATUSES = ['draft', 'requested'];
+
+// Load the event from the active organization into req.event and check the user
+// holds at least one of the given event actions
+const loadBookingEvent = (...actions) => async (req, res, next) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id })
+      .select('title startDate endDate organizer staff organization');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!actions.some(action => can(req.user, action, event, req))) {
+      return res.status(403).json({ message: 'Not authorized to manage vendor bookings for this event' });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    console.error('Load event bookings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const findBooking = (req) => Booking.findOne({ _id: req.params.bookingId, event: req.event._id });
+
+const BOOKING_POPULATE = [
+  { path: 'vendor', select: 'name company category email phone pricing' },
+  { path: 'requestedBy', select: 'name email avatar' },
+  { path: 'history.changedBy', select: 'name email avatar' },
+  { path: 'tasks', select: 'title status dueDate' },
+  { path: 'budgetItems', select: 'description category estimated actual currency' }
+];
+
+const populateBooking = (booking) => booking.populate(BOOKING_POPULATE);
+
+// An open booking comes back with any double bookings the vendor has at that time
+const withConflicts = async (booking) => ({
+  ...booking.toJSON(),
+  vendorConflicts: ['completed', 'cancelled'].includes(booking.status)
+    ? []
+    : await findConflicts(booking.vendor._id || booking.vendor, bookingWindow(booking), { excludeBooking: booking._id })
+});
+
+const requestValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('date').isISO8601().withMessage('Valid service date is required'),
+    body('hours').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Hours cannot be negative'),
+    body('services').optional().isArray().withMessage('Services must be a list'),
+    body('services.*').trim().isLength({ min: 1, max: 100 }).withMessage('Services must be between 1 and 100 characters'),
+    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ];
+};
+
+const requestFields = ({ date, hours, services, notes }) => {
+  const fields = {};
+  if (date !== undefined) fields['request.date'] = date;
+  if (hours !== undefined) fields['request.hours'] = hours || null;
+  if (services !== undefined) fields['request.services'] = services;
+  if (notes !== undefined) fields['request.notes'] = notes;
+  return fields;
+};
+
+// Send the quote request email; the vendor must be populated
+const requestQuote = (req, booking) => sendQuoteRequest(booking, {
+  vendor: booking.vendor,
+  event: req.event,
+  requester: req.user,
+  organization: req.organization
+});
+
+// @desc    Get the event's vendor bookings and quotes
+// @route   GET /api/events/:id/bookings
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.get('/', protect, loadOrganization, loadBookingEvent('event:manage-bookings', 'event:view-budget'), async (req, res) => {
+  try {
+    const filter = { event: req.event._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.vendor) filter.vendor = req.query.vendor;
+
+    const bookings = await Booking.find(filter)
+      .populate(BOOKING_POPULATE)
+      .sort({ 'request.date': 1, createdAt: -1 });
+
+    res.json(bookings);
+  } catch (error) {
+    console.error('Get bookings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get a booking with any double bookings its vendor has at that time
+// @route   GET /api/events/:id/bookings/:bookingId
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.get('/:bookingId', protect, loadOrganization, loadBookingEvent('event:manage-bookings', 'event:view-budget'), async (req, res) => {
+  try {
+    const booking = await findBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    res.json(await withConflicts(await populateBooking(booking)));
+  } catch (error) {
+    console.error('Get booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Start a booking with a quote request to a vendor; send it right away with submit: true
+// @route   POST /api/events/:id/bookings
+// @access  Private (organizer, co-organizer or organization manager)
+router.post('/', protect, loadOrganization, loadBookingEvent('event:manage-bookings'), [
+  body('vendor').isMongoId().withMessage('Valid vendor ID is required'),
+  body('submit').optional().isBoolean().withMessage('Submit must be true or false'),
+  ...requestValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.body.vendor, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(400).json({ message: 'Vendor not found in this organization' });
+    }
+
+    const booking = new Booking({
+      event: req.event._id,
+      organization: req.organization._id,
+      vendor: vendor._id,
+      requestedBy: req.user._id,
+      history: [{ status: 'draft', changedBy: req.user._id }]
+    });
+    booking.set(requestFields(req.body));
+    if (req.body.submit) {
+      booking.moveTo('requested', req.user);
+    }
+    await booking.save();
+    audit.record(req, { action: 'booking.create', target: booking, after: booking });
+
+    await populateBooking(booking);
+    if (booking.status === 'requested') {
+      requestQuote(req, booking);
+    }
+
+    res.status(201).json(await withConflicts(booking));
+  } catch (error) {
+    console.error('Create booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update the request details of a draft or requested booking
+// @route   PUT /api/events/:id/bookings/:bookingId
+// @access  Private (organizer, co-organizer or organization manager)
+router.put('/:bookingId', protect, loadOrganization, loadBookingEvent('event:manage-bookings'), requestValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const booking = await findBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!EDITABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `A ${booking.status} booking can no longer be changed` });
+    }
+
+    const before = audit.snapshot(booking);
+    booking.set(requestFields(req.body));
+    await booking.save();
+    audit.record(req, { action: 'booking.update', target: booking, before, after: booking });
+
+    res.json(await withConflicts(await populateBooking(booking)));
+  } catch (error) {
+    console.error('Update booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Record the vendor's quote (line items, currency, notes, validUntil)
+// @route   PUT /api/events/:id/bookings/:bookingId/quote
+// @access  Private (organizer, co-organizer or organization manager)
+router.put('/:bookingId/quote', protect, loadOrganization, loadBookingEvent('event:manage-bookings'), quoteValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const booking = await findBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!booking.canMoveTo('quoted')) {
+      return res.status(400).json({ message: `A ${booking.status} booking cannot be quoted` });
+    }
+
+    const vendor = await Vendor.findById(booking.vendor).select('name company pricing');
+    const before = audit.snapshot(booking);
+    applyQuote(booking, req.body, { vendor, user: req.user });
+    await booking.save();
+    audit.record(req, { action: 'booking.quoted', target: booking, before, after: booking });
+    notifyBookingQuoted(booking, { vendor, event: req.event });
+
+    res.json(await populateBooking(booking));
+  } catch (error) {
+    console.error('Record quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Move a booking along: requested, accepted, confirmed, completed or cancelled.
+//          Accepting creates a coordination task and budget entries; cancelling releases them.
+// @route   PUT /api/events/:id/bookings/:bookingId/status
+// @access  Private (organizer, co-organizer or organization manager)
+router.put('/:bookingId/status', protect, loadOrganization, loadBookingEvent('event:manage-bookings'), [
+  body('status').isIn(['requested', 'accepted', 'confirmed', 'completed', 'cancelled']).withMessage('Invalid status'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const booking = await findBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const { status, note } = req.body;
+    if (!booking.canMoveTo(status)) {
+      return res.status(400).json({ message: `A ${booking.status} booking cannot be ${status}` });
+    }
+    if (status === 'accepted' && booking.quote.validUntil && booking.quote.validUntil < new Date()) {
+      return res.status(400).json({ message: 'This quote has expired; ask the vendor for a new one' });
+    }
+
+    const vendor = await Vendor.findById(booking.vendor);
+    if (status === 'accepted' && !vendor) {
+      return res.status(400).json({ message: 'This vendor no longer exists' });
+    }
+    if (status === 'accepted' && complianceOf(vendor).status === 'expired') {
+      return res.status(400).json({ message: `${vendor.company} has expired insurance or licenses; renew them before accepting the quote` });
+    }
+
+    const before = audit.snapshot(booking);
+    if (status === 'accepted') {
+      await createBookingRecords(req, booking, { event: req.event, vendor });
+    } else if (status === 'cancelled') {
+      await releaseBookingRecords(req, booking);
+    } else if (status === 'completed') {
+      await completeBookingRecords(req, booking);
+    }
+    booking.moveTo(status, req.user, note);
+    await booking.save();
+    audit.record(req, { action: `booking.${status}`, target: booking, before, after: booking, metadata: note ? { note } : undefined });
+
+    await populateBooking(booking);
+    if (status === 'requested') {
+      requestQuote(req, booking);
+    }
+
+    res.json(await withConflicts(booking));
+  } catch (error) {
+    console.error('Update booking status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete a draft booking
+// @route   DELETE /api/events/:id/bookings/:bookingId
+// @access  Private (organizer, co-organizer or organization manager)
+router.delete('/:bookingId', protect, loadOrganization, loadBookingEvent('event:manage-bookings'), async (req, res) => {
+  try {
+    const booking = await findBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (booking.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft bookings can be deleted; cancel it instead' });
+    }
+
+    await booking.deleteOne();
+    audit.record(req, { action: 'booking.delete', target: booking, before: booking });
+
+    res.json({ message: 'Booking deleted successfully' });
+  } catch (error) {
+    console.error('Delete booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,309 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Task = require('../models/Task');
+const Vendor = require('../models/Vendor');
+const BudgetItem = require('../models/BudgetItem');
+const { protect } = require('../middleware/auth');
+const { loadOrganization } = require('../middleware/organization');
+const { uploadDocuments } = require('../middleware/upload');
+const { can } = require('../services/permissions');
+const { summarizeBudget } = require('../services/budget');
+const { converter, roundMoney } = require('../services/currency');
+const { storeUpload, removeUpload } = require('../services/uploads');
+const { publicBaseUrl } = require('../utils/urls');
+const audit = require('../services/audit');
+
+// Mounted at /api/events/:id/budget
+const router = express.Router({ mergeParams: true });
+
+// Load the event from the active organization into req.event, with its budget,
+// and check the user may view or manage that budget
+const loadBudgetEvent = (action) => async (req, res, next) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id })
+      .select('title organizer staff organization +budget');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, action, event, req)) {
+      const verb = action === 'event:view-budget' ? 'view' : 'manage';
+      return res.status(403).json({ message: `Not authorized to ${verb} the budget for this event` });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    console.error('Load event budget error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Budget items can only point at tasks of the same event and vendors of the same organization
+const checkItemReferences = async (req, { task, vendor }) => {
+  if (task && !(await Task.exists({ _id: task, event: req.event._id }))) {
+    return 'Task not found for this event';
+  }
+  if (vendor && !(await Vendor.exists({ _id: vendor, organization: req.organization._id }))) {
+    return 'Vendor not found in this organization';
+  }
+  return null;
+};
+
+const findItem = (req) => BudgetItem.findOne({ _id: req.params.itemId, event: req.event._id });
+
+const populateItem = (item) => item.populate([
+  { path: 'task', select: 'title' },
+  { path: 'vendor', select: 'name company' },
+  { path: 'createdBy', select: 'name email avatar' }
+]);
+
+const itemValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('category').trim().isLength({ min: 1, max: 50 }).withMessage('Category must be between 1 and 50 characters'),
+    field('description').trim().isLength({ min: 1, max: 200 }).withMessage('Description must be between 1 and 200 characters'),
+    body('estimated').optional().isFloat({ min: 0 }).withMessage('Estimated amount cannot be negative'),
+    body('actual').optional().isFloat({ min: 0 }).withMessage('Actual amount cannot be negative'),
+    body('currency').optional().isISO4217().withMessage('Currency must be a three-letter code'),
+    body('task').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid task'),
+    body('vendor').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid vendor'),
+    body('paidAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid payment date'),
+    body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ];
+};
+
+// Only these fields can be set from a request; empty links and dates are cleared
+const itemFields = (input) => {
+  const fields = {};
+  ['category', 'description', 'estimated', 'actual', 'currency', 'notes'].forEach(key => {
+    if (input[key] !== undefined) fields[key] = input[key];
+  });
+  ['task', 'vendor', 'paidAt'].forEach(key => {
+    if (input[key] !== undefined) fields[key] = input[key] || null;
+  });
+  return fields;
+};
+
+// @desc    Get the event budget: allocations, estimated vs. actual per category and alerts
+// @route   GET /api/events/:id/budget
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.get('/', protect, loadOrganization, loadBudgetEvent('event:view-budget'), async (req, res) => {
+  try {
+    res.json(await summarizeBudget(req.event));
+  } catch (error) {
+    console.error('Get event budget error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Set the budget and reporting currencies and the category allocations
+// @route   PUT /api/events/:id/budget
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.put('/', protect, loadOrganization, loadBudgetEvent('event:manage-budget'), [
+  body('currency').optional().isISO4217().withMessage('Currency must be a three-letter code'),
+  body('reportingCurrency').optional({ nullable: true, checkFalsy: true }).isISO4217().withMessage('Reporting currency must be a three-letter code'),
+  body('allocations').optional().isArray().withMessage('Allocations must be an array'),
+  body('allocations.*.category').trim().isLength({ min: 1, max: 50 }).withMessage('Category must be between 1 and 50 characters'),
+  body('allocations.*.amount').isFloat({ min: 0 }).withMessage('Allocation cannot be negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currency, reportingCurrency, allocations } = req.body;
+    if (allocations) {
+      const categories = allocations.map(allocation => allocation.category.toLowerCase());
+      if (new Set(categories).size !== categories.length) {
+        return res.status(400).json({ message: 'Each category can only be allocated once' });
+      }
+    }
+
+    const event = req.event;
+    const before = audit.snapshot(event);
+    if (currency) event.budget.currency = currency;
+    if (reportingCurrency !== undefined) event.budget.reportingCurrency = reportingCurrency || undefined;
+    if (allocations) {
+      event.budget.allocations = allocations.map(({ category, amount }) => ({ category, amount }));
+    }
+    await event.save();
+    audit.record(req, { action: 'event.budget-update', target: event, before, after: event, fields: ['budget'] });
+
+    res.json(await summarizeBudget(event));
+  } catch (error) {
+    console.error('Update event budget error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the event's budget line items and expenses, with amounts converted into the reporting currency
+// @route   GET /api/events/:id/budget/items
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.get('/items', protect, loadOrganization, loadBudgetEvent('event:view-budget'), async (req, res) => {
+  try {
+    const filter = { event: req.event._id };
+    if (req.query.category) filter.category = req.query.category;
+
+    const items = await BudgetItem.find(filter)
+      .populate('task', 'title')
+      .populate('vendor', 'name company')
+      .populate('createdBy', 'name email avatar')
+      .sort({ category: 1, createdAt: -1 });
+
+    const rates = await converter(req.event.budget.reportingCurrency || req.event.budget.currency);
+    res.json(items.map(item => {
+      const rate = rates.rateFrom(item.currency);
+      const converted = item.currency === rates.currency || rate === null
+        ? null
+        : { currency: rates.currency, rate, estimated: roundMoney(item.estimated * rate), actual: roundMoney(item.actual * rate) };
+      return { ...item.toJSON(), converted };
+    }));
+  } catch (error) {
+    console.error('Get budget items error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add a line item or expense
+// @route   POST /api/events/:id/budget/items
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.post('/items', protect, loadOrganization, loadBudgetEvent('event:manage-budget'), itemValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const referenceError = await checkItemReferences(req, req.body);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const item = await BudgetItem.create({
+      currency: req.event.budget.currency,
+      ...itemFields(req.body),
+      event: req.event._id,
+      organization: req.organization._id,
+      createdBy: req.user._id
+    });
+    audit.record(req, { action: 'budget-item.create', target: item, after: item });
+    await populateItem(item);
+
+    res.status(201).json(item);
+  } catch (error) {
+    console.error('Create budget item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update a line item or expense
+// @route   PUT /api/events/:id/budget/items/:itemId
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.put('/items/:itemId', protect, loadOrganization, loadBudgetEvent('event:manage-budget'), itemValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await findItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Budget item not found' });
+    }
+
+    const referenceError = await checkItemReferences(req, req.body);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const before = audit.snapshot(item);
+    item.set(itemFields(req.body));
+    await item.save();
+    audit.record(req, { action: 'budget-item.update', target: item, before, after: item });
+    await populateItem(item);
+
+    res.json(item);
+  } catch (error) {
+    console.error('Update budget item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete a line item or expense and its receipts
+// @route   DELETE /api/events/:id/budget/items/:itemId
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.delete('/items/:itemId', protect, loadOrganization, loadBudgetEvent('event:manage-budget'), async (req, res) => {
+  try {
+    const item = await findItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Budget item not found' });
+    }
+
+    await item.deleteOne();
+    audit.record(req, { action: 'budget-item.delete', target: item, before: item });
+    await Promise.all(item.receipts.map(receipt => removeUpload(receipt)));
+
+    res.json({ message: 'Budget item deleted successfully' });
+  } catch (error) {
+    console.error('Delete budget item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Attach receipts to a budget item
+// @route   POST /api/events/:id/budget/items/:itemId/receipts
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.post('/items/:itemId/receipts', protect, loadOrganization, loadBudgetEvent('event:manage-budget'), uploadDocuments('files', 5), async (req, res) => {
+  try {
+    const item = await findItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Budget item not found' });
+    }
+
+    const before = audit.snapshot(item);
+    const baseUrl = publicBaseUrl(req);
+    const stored = await Promise.all(req.files.map(file => storeUpload(file, { folder: `budget/${item._id}`, baseUrl })));
+    stored.forEach(file => item.receipts.push({ ...file, uploadedBy: req.user._id }));
+    await item.save();
+    audit.record(req, { action: 'budget-item.receipt-add', target: item, before, after: item });
+
+    res.status(201).json(item.receipts);
+  } catch (error) {
+    console.error('Upload receipts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete a receipt
+// @route   DELETE /api/events/:id/budget/items/:itemId/receipts/:receiptId
+// @access  Private (organizer, co-organizer, finance staff or organization manager)
+router.delete('/items/:itemId/receipts/:receiptId', protect, loadOrganization, loadBudgetEvent('event:manage-budget'), async (req, res) => {
+  try {
+    const item = await findItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Budget item not found' });
+    }
+
+    const receipt = item.receipts.id(req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    const before = audit.snapshot(item);
+    await removeUpload(receipt);
+    receipt.deleteOne();
+    await item.save();
+    audit.record(req, { action: 'budget-item.receipt-remove', target: item, before, after: item });
+
+    res.json({ message: 'Receipt deleted successfully' });
+  } catch (error) {
+    console.error('Delete receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
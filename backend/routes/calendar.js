@@ -0,0 +1,117 @@
+const express = require('express');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Task = require('../models/Task');
+const { protect } = require('../middleware/auth');
+const { eventToVEvent, taskToVEvent, buildCalendar, sendCalendar } = require('../utils/ical');
+const { publicBaseUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+const feedUrls = (req, token) => {
+  const base = publicBaseUrl(req);
+  return {
+    events: `${base}/api/calendar/${token}/events.ics`,
+    tasks: `${base}/api/calendar/${token}/tasks.ics`
+  };
+};
+
+const appUrl = (path) => process.env.CLIENT_URL ? `${process.env.CLIENT_URL}${path}` : undefined;
+
+// @desc    Get my calendar feed URLs (creates a token on first use)
+// @route   GET /api/calendar/feeds
+// @access  Private
+router.get('/feeds', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save();
+    }
+
+    res.json(feedUrls(req, user.calendarToken));
+  } catch (error) {
+    console.error('Get calendar feeds error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Replace my calendar feed token (old URLs stop working)
+// @route   POST /api/calendar/feeds/regenerate
+// @access  Private
+router.post('/feeds/regenerate', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    user.generateCalendarToken();
+    await user.save();
+
+    res.json(feedUrls(req, user.calendarToken));
+  } catch (error) {
+    console.error('Regenerate calendar feeds error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Revoke my calendar feed token
+// @route   DELETE /api/calendar/feeds
+// @access  Private
+router.delete('/feeds', protect, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarToken: 1 } });
+    res.json({ message: 'Calendar feeds revoked' });
+  } catch (error) {
+    console.error('Revoke calendar feeds error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Feed of events I am registered for
+// @route   GET /api/calendar/:token/events.ics
+// @access  Public (private token)
+router.get('/:token/events.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const events = await Event.find({ 'attendees.user': user._id })
+      .sort({ startDate: 1 });
+
+    const body = buildCalendar(
+      'EventHub - My Events',
+      events.map(event => eventToVEvent(event, { url: appUrl(`/events/${event._id}`) }))
+    );
+    sendCalendar(res, body, 'my-events.ics');
+  } catch (error) {
+    console.error('Events calendar feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Feed of tasks assigned to me, by due date
+// @route   GET /api/calendar/:token/tasks.ics
+// @access  Public (private token)
+router.get('/:token/tasks.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const tasks = await Task.find({ assignedTo: user._id })
+      .populate('event', 'title')
+      .sort({ dueDate: 1 });
+
+    const body = buildCalendar(
+      'EventHub - My Tasks',
+      tasks.map(task => taskToVEvent(task, { url: appUrl(`/tasks/${task._id}`) }))
+    );
+    sendCalendar(res, body, 'my-tasks.ics');
+  } catch (error) {
+    console.error('Tasks calendar feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
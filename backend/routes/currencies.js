@@ -0,0 +1,149 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const { protect, requirePermission } = require('../middleware/auth');
+const { uploadDataFile } = require('../middleware/upload');
+const { converter, invalidateRates, parseRates, roundMoney } = require('../services/currency');
+const audit = require('../services/audit');
+
+const router = express.Router();
+
+// @desc    Get the exchange-rate table and every currency it covers
+// @route   GET /api/currencies/rates
+// @access  Private
+router.get('/rates', protect, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find()
+      .populate('updatedBy', 'name email')
+      .sort({ base: 1, quote: 1 });
+    const currencies = [...new Set(rates.flatMap(rate => [rate.base, rate.quote]))].sort();
+
+    res.json({ rates, currencies });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add or update an exchange rate (1 base = rate quote)
+// @route   PUT /api/currencies/rates
+// @access  Private (currency:manage)
+router.put('/rates', protect, requirePermission('currency:manage'), [
+  body('base').isISO4217().withMessage('Base currency must be a three-letter code'),
+  body('quote').isISO4217().withMessage('Quote currency must be a three-letter code'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be greater than zero')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const base = req.body.base.toUpperCase();
+    const quote = req.body.quote.toUpperCase();
+    if (base === quote) {
+      return res.status(400).json({ message: 'Base and quote currencies must differ' });
+    }
+
+    const existing = await ExchangeRate.findOne({ base, quote });
+    const rate = existing || new ExchangeRate({ base, quote });
+    const before = existing && audit.snapshot(existing);
+    rate.set({ rate: req.body.rate, source: 'manual', updatedBy: req.user._id });
+    await rate.save();
+    invalidateRates();
+    audit.record(req, { action: existing ? 'exchange-rate.update' : 'exchange-rate.create', target: rate, before, after: rate });
+
+    res.status(existing ? 200 : 201).json(rate);
+  } catch (error) {
+    console.error('Save exchange rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Import exchange rates from a CSV or JSON file, replacing rates for the same pairs
+// @route   POST /api/currencies/rates/import
+// @access  Private (currency:manage)
+router.post('/rates/import', protect, requirePermission('currency:manage'), uploadDataFile('file'), async (req, res) => {
+  try {
+    const json = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname);
+    const { rates, errors } = parseRates(req.file.buffer.toString('utf8'), { json });
+    if (rates.length === 0) {
+      return res.status(400).json({ message: 'No valid exchange rates found in the file', errors });
+    }
+
+    await ExchangeRate.bulkWrite(rates.map(({ base, quote, rate }) => ({
+      updateOne: {
+        filter: { base, quote },
+        update: { $set: { rate, source: 'import', updatedBy: req.user._id } },
+        upsert: true
+      }
+    })));
+    invalidateRates();
+
+    const imported = await ExchangeRate.find({ $or: rates.map(({ base, quote }) => ({ base, quote })) });
+    imported.forEach(rate => {
+      audit.record(req, { action: 'exchange-rate.import', target: rate, after: rate, metadata: { file: req.file.originalname } });
+    });
+
+    res.json({ imported: imported.length, errors, rates: imported });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete an exchange rate
+// @route   DELETE /api/currencies/rates/:id
+// @access  Private (currency:manage)
+router.delete('/rates/:id', protect, requirePermission('currency:manage'), async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    await rate.deleteOne();
+    invalidateRates();
+    audit.record(req, { action: 'exchange-rate.delete', target: rate, before: rate });
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Convert an amount between two currencies
+// @route   GET /api/currencies/convert?amount=&from=&to=
+// @access  Private
+router.get('/convert', protect, [
+  query('amount').isFloat().withMessage('Amount must be a number'),
+  query('from').isISO4217().withMessage('From must be a three-letter currency code'),
+  query('to').isISO4217().withMessage('To must be a three-letter currency code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const amount = parseFloat(req.query.amount);
+    const from = req.query.from.toUpperCase();
+    const rates = await converter(req.query.to.toUpperCase());
+    const rate = rates.rateFrom(from);
+    if (rate === null) {
+      return res.status(404).json({ message: `No exchange rate from ${from} to ${rates.currency}` });
+    }
+
+    res.json({
+      original: { amount, currency: from },
+      converted: { amount: roundMoney(amount * rate), currency: rates.currency },
+      rate
+    });
+  } catch (error) {
+    console.error('Convert currency error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
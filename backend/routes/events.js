@@ -1,64 +1,177 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Event = require('../models/Event');
-const { protect, authorize } = require('../middleware/auth');
+const Organization = require('../models/Organization');
+const BudgetItem = require('../models/BudgetItem');
+const Booking = require('../models/Booking');
+const ShortlistEntry = require('../models/ShortlistEntry');
+const { protect, optionalAuth, requirePermission, requireVerified } = require('../middleware/auth');
+const { loadOrganization, requireOrgRole } = require('../middleware/organization');
+const { STAFF_ROLES } = require('../utils/eventPermissions');
+const { can, allowedActions } = require('../services/permissions');
+const { verifyTicketCode } = require('../utils/tickets');
+const { MAX_OCCURRENCES } = require('../utils/recurrence');
+const { eventToVEvent, buildCalendar, sendCalendar } = require('../utils/ical');
+const { publicBaseUrl } = require('../utils/urls');
+const { MAX_RADIUS_KM, parseLatLng, paginateNear } = require('../utils/geo');
+const { uploadImage } = require('../middleware/upload');
+const { storeUpload, removeUpload } = require('../services/uploads');
+const { locate } = require('../services/geocoding');
+const audit = require('../services/audit');
+const {
+  notifyRegistrationConfirmed,
+  notifyEventCancelled,
+  notifyEventRescheduled,
+  notifyWaitlistJoined,
+  notifyWaitlistPromoted
+} = require('../services/notifications');
 
 const router = express.Router();
 
-// @desc    Get all events with filtering and pagination
+// Occurrences of a series can share one uploaded image, so a file is only
+// removed once no remaining event points at it
+const releaseEventImages = async (imageFiles) => {
+  const seen = new Set();
+  for (const file of imageFiles) {
+    if (!file || !file.key || seen.has(file.key)) continue;
+    seen.add(file.key);
+    if (!(await Event.exists({ 'imageFile.key': file.key }))) {
+      await removeUpload(file);
+    }
+  }
+};
+
+// Shared validation for ticket tiers and promo codes on create/update
+const ticketValidators = [
+  body('ticketTiers').optional().isArray().withMessage('Ticket tiers must be an array'),
+  body('ticketTiers.*.name').trim().isLength({ min: 1, max: 50 }).withMessage('Tier name must be between 1 and 50 characters'),
+  body('ticketTiers.*.price').isFloat({ min: 0 }).withMessage('Tier price cannot be negative'),
+  body('ticketTiers.*.quantity').isInt({ min: 1 }).withMessage('Tier quantity must be at least 1'),
+  body('ticketTiers.*.maxPerOrder').optional().isInt({ min: 1 }).withMessage('Per-order limit must be at least 1'),
+  body('ticketTiers.*.salesStart').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid sales start date'),
+  body('ticketTiers.*.salesEnd').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid sales end date'),
+  body('promoCodes').optional().isArray().withMessage('Promo codes must be an array'),
+  body('promoCodes.*.code').trim().isLength({ min: 3, max: 30 }).withMessage('Promo code must be between 3 and 30 characters'),
+  body('promoCodes.*.discountType').isIn(['percentage', 'fixed']).withMessage('Invalid discount type'),
+  body('promoCodes.*.discountValue').isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('promoCodes.*.maxUses').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Max uses must be at least 1'),
+  body('promoCodes.*.expiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid promo code expiry date')
+];
+
+// Validation for recurrence rules on create
+const recurrenceValidators = [
+  body('recurrence.frequency').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Invalid recurrence frequency'),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 99 }).withMessage('Recurrence interval must be between 1 and 99'),
+  body('recurrence.weekdays').optional().isArray().withMessage('Weekdays must be an array'),
+  body('recurrence.weekdays.*').isInt({ min: 0, max: 6 }).withMessage('Invalid weekday'),
+  body('recurrence.monthlyMode').optional().isIn(['dayOfMonth', 'nthWeekday']).withMessage('Invalid monthly mode'),
+  body('recurrence.until').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid recurrence end date'),
+  body('recurrence.count').optional({ checkFalsy: true }).isInt({ min: 1, max: MAX_OCCURRENCES }).withMessage(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`)
+];
+
+// Filter and paginate options for event listings, built from the query string
+const eventListQuery = (query) => {
+  const {
+    page = 1,
+    limit = 10,
+    category,
+    search,
+    startDate,
+    endDate,
+    city,
+    status = '',
+    sortBy = 'startDate',
+    sortOrder = 'asc'
+  } = query;
+
+  // Build filter object
+  const filter = {};
+  if (status) filter.status = status;
+
+  if (category) filter.category = category;
+  if (city) filter['location.city'] = { $regex: city, $options: 'i' };
+  if (startDate) filter.startDate = { $gte: new Date(startDate) };
+  if (endDate) filter.endDate = { $lte: new Date(endDate) };
+
+  // Build search query - improved search functionality
+  if (search) {
+    // Use regex for more flexible search instead of text index
+    filter.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { tags: { $in: [new RegExp(search, 'i')] } },
+      { 'location.city': { $regex: search, $options: 'i' } },
+      { 'location.state': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  // Build sort object
+  const sort = {};
+  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: {
+      path: 'organizer',
+      select: 'name email avatar'
+    }
+  };
+
+  return { filter, options };
+};
+
+// Validation for distance search on event listings
+const nearValidators = [
+  query('near').optional({ checkFalsy: true }).custom(value => parseLatLng(value) !== null).withMessage('Near must be a "lat,lng" position'),
+  query('radiusKm').optional({ checkFalsy: true }).isFloat({ gt: 0, max: MAX_RADIUS_KM }).withMessage(`Radius must be between 0 and ${MAX_RADIUS_KM} km`)
+];
+
+// One page of a listing. With ?near=lat,lng only events with a known location are
+// included, nearest first (?radiusKm= caps the distance), each with its distanceKm.
+const findEvents = async ({ near, radiusKm }, filter, options) => {
+  if (!near) {
+    return Event.paginate(filter, options);
+  }
+
+  const events = await paginateNear(Event, {
+    key: 'location.point',
+    near: parseLatLng(near),
+    radiusKm: parseFloat(radiusKm) || undefined,
+    filter,
+    page: options.page,
+    limit: options.limit,
+    populate: options.populate
+  });
+  events.docs = events.docs.map(event => ({ ...event.toJSON(), distanceKm: event.$locals.distanceKm }));
+  return events;
+};
+
+// Drafts are only visible inside the organization that owns the event
+const canViewDraft = async (event, user) => {
+  if (!user) return false;
+  if (can(user, 'event:update', event)) return true;
+  return Boolean(event.organization && await Organization.exists({ _id: event.organization, 'members.user': user._id }));
+};
+
+// @desc    Get all events with filtering and pagination (public listing, drafts excluded).
+//          ?near=lat,lng&radiusKm=25 finds events within 25 km, nearest first.
 // @route   GET /api/events
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', nearValidators, async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      search,
-      startDate,
-      endDate,
-      city,
-      status = '',
-      sortBy = 'startDate',
-      sortOrder = 'asc'
-    } = req.query;
-
-    // Build filter object
-    const filter = {};
-    if (status) filter.status = status;
-    
-    if (category) filter.category = category;
-    if (city) filter['location.city'] = { $regex: city, $options: 'i' };
-    if (startDate) filter.startDate = { $gte: new Date(startDate) };
-    if (endDate) filter.endDate = { $lte: new Date(endDate) };
-
-    // Build search query - improved search functionality
-    if (search) {
-      // Use regex for more flexible search instead of text index
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } },
-        { 'location.city': { $regex: search, $options: 'i' } },
-        { 'location.state': { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const options = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      sort,
-      populate: {
-        path: 'organizer',
-        select: 'name email avatar'
-      }
-    };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const events = await Event.paginate(filter, options);
+    const { filter, options } = eventListQuery(req.query);
+    if (!filter.status || filter.status === 'draft') {
+      filter.status = { $ne: 'draft' };
+    }
+
+    const events = await findEvents(req.query, filter, options);
 
     res.json(events);
   } catch (error) {
@@ -67,30 +180,134 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @desc    Get single event
-// @route   GET /api/events/:id
+// @desc    Get the active organization's events, drafts included (same filters as GET /api/events)
+// @route   GET /api/events/workspace
+// @access  Private
+router.get('/workspace', protect, loadOrganization, nearValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { filter, options } = eventListQuery(req.query);
+    filter.organization = req.organization._id;
+
+    const events = await findEvents(req.query, filter, options);
+
+    res.json(events);
+  } catch (error) {
+    console.error('Get workspace events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get user's registered events
+// @route   GET /api/events/registered
+// @access  Private
+router.get('/registered', protect, async (req, res) => {
+  try {
+    const events = await Event.find({
+      'attendees.user': req.user._id
+    })
+      .populate('organizer', 'name email avatar')
+      .sort({ startDate: 1 });
+
+    // Attach the caller's own ticket code so it can be shown as a QR code
+    res.json(events.map(event => ({
+      ...event.toObject(),
+      ticketCode: event.getTicketCode(req.user._id)
+    })));
+  } catch (error) {
+    console.error('Get registered events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get event categories
+// @route   GET /api/events/categories
+// @access  Public
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = [
+      'Technology',
+      'Business',
+      'Education',
+      'Entertainment',
+      'Sports',
+      'Music',
+      'Art',
+      'Food',
+      'Health',
+      'Other'
+    ];
+
+    res.json(categories);
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get all occurrences of a recurring event
+// @route   GET /api/events/series/:seriesId
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/series/:seriesId', async (req, res) => {
   try {
+    const occurrences = await Event.find({ seriesId: req.params.seriesId })
+      .select('title startDate endDate status maxAttendees attendees.quantity seriesIndex recurrence')
+      .sort({ startDate: 1 });
+
+    res.json(occurrences);
+  } catch (error) {
+    console.error('Get event series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get single event (?format=ics downloads it as an iCalendar file)
+// @route   GET /api/events/:id
+// @access  Public (drafts: organization members)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    if (req.query.format === 'ics') {
+      const event = await Event.findById(req.params.id);
+      if (!event || (event.status === 'draft' && !(await canViewDraft(event, req.user)))) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+      const url = process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/events/${event._id}` : undefined;
+      return sendCalendar(res, buildCalendar(event.title, [eventToVEvent(event, { url })]), `event-${event._id}.ics`, true);
+    }
+
     const event = await Event.findById(req.params.id)
       .populate('organizer', 'name email avatar bio')
-      .populate('attendees.user', 'name email avatar');
+      .populate('attendees.user', 'name email avatar')
+      .populate('waitlist.user', 'name email avatar');
 
-    if (!event) {
+    if (!event || (event.status === 'draft' && !(await canViewDraft(event, req.user)))) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    res.json(event);
+    // Tell the client what the viewer may do, so it can show the matching controls
+    let permissions = [];
+    if (req.user) {
+      const organization = event.organization && await Organization.findById(event.organization).select('members');
+      permissions = allowedActions(req.user, 'event', event, {
+        orgRole: organization ? organization.getMemberRole(req.user._id) : null
+      });
+    }
+
+    res.json({ ...event.toJSON(), permissions });
   } catch (error) {
     console.error('Get event error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @desc    Create new event
+// @desc    Create new event in the active organization
 // @route   POST /api/events
-// @access  Private
-router.post('/', protect, [
+// @access  Private (organization staff and up)
+router.post('/', protect, requirePermission('event:create'), requireVerified, loadOrganization, requireOrgRole('staff'), [
   body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
   body('description').isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('category').isIn(['Technology', 'Business', 'Education', 'Entertainment', 'Sports', 'Music', 'Art', 'Food', 'Health', 'Other']).withMessage('Invalid category'),
@@ -101,7 +318,9 @@ router.post('/', protect, [
   body('location.state').notEmpty().withMessage('State is required'),
   body('location.zipCode').notEmpty().withMessage('Zip code is required'),
   body('maxAttendees').isInt({ min: 1 }).withMessage('Max attendees must be at least 1'),
-  body('contactEmail').isEmail().withMessage('Valid contact email is required')
+  body('contactEmail').isEmail().withMessage('Valid contact email is required'),
+  ...ticketValidators,
+  ...recurrenceValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -111,8 +330,11 @@ router.post('/', protect, [
 
     const eventData = {
       ...req.body,
-      organizer: req.user._id
+      organizer: req.user._id,
+      organization: req.organization._id
     };
+    delete eventData.imageFile;
+    eventData.location = await locate(eventData.location);
 
     // Validate dates
     if (new Date(eventData.startDate) <= new Date()) {
@@ -123,7 +345,24 @@ router.post('/', protect, [
       return res.status(400).json({ message: 'End date must be after start date' });
     }
 
-    const event = await Event.create(eventData);
+    let event;
+    if (eventData.recurrence && eventData.recurrence.frequency) {
+      try {
+        event = await Event.createSeries(eventData);
+      } catch (error) {
+        if (error.name === 'ValidationError') throw error;
+        return res.status(400).json({ message: error.message });
+      }
+    } else {
+      delete eventData.recurrence;
+      event = await Event.create(eventData);
+    }
+    audit.record(req, {
+      action: 'event.create',
+      target: event,
+      after: event,
+      metadata: event.seriesId ? { seriesId: event.seriesId } : undefined
+    });
     await event.populate('organizer', 'name email avatar');
 
     res.status(201).json(event);
@@ -133,17 +372,18 @@ router.post('/', protect, [
   }
 });
 
-// @desc    Update event
+// @desc    Update event (scope=this|following|all for recurring events)
 // @route   PUT /api/events/:id
 // @access  Private
-router.put('/:id', protect, [
+router.put('/:id', protect, loadOrganization, [
   body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
   body('description').optional().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('category').optional().isIn(['Technology', 'Business', 'Education', 'Entertainment', 'Sports', 'Music', 'Art', 'Food', 'Health', 'Other']).withMessage('Invalid category'),
   body('startDate').optional().isISO8601().withMessage('Invalid start date'),
   body('endDate').optional().isISO8601().withMessage('Invalid end date'),
   body('maxAttendees').optional().isInt({ min: 1 }).withMessage('Max attendees must be at least 1'),
-  body('contactEmail').optional().isEmail().withMessage('Valid contact email is required')
+  body('contactEmail').optional().isEmail().withMessage('Valid contact email is required'),
+  ...ticketValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -151,13 +391,13 @@ router.put('/:id', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    // Check if user is organizer or admin
-    if (event.organizer.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:update', event, req)) {
       return res.status(403).json({ message: 'Not authorized to update this event' });
     }
 
@@ -170,12 +410,82 @@ router.put('/:id', protect, [
       return res.status(400).json({ message: 'End date must be after start date' });
     }
 
+    // Keep redemption counts when promo codes are edited
+    if (Array.isArray(req.body.promoCodes)) {
+      const existing = await Event.findById(req.params.id).select('+promoCodes');
+      req.body.promoCodes = req.body.promoCodes.map(promo => {
+        const previous = existing.promoCodes.find(p => p.code === promo.code.trim().toUpperCase());
+        return { ...promo, timesUsed: previous ? previous.timesUsed : 0 };
+      });
+    }
+
+    const { scope: bodyScope, ...updates } = req.body;
+    const scope = req.query.scope || bodyScope || 'this';
+    if (!['this', 'following', 'all'].includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be this, following or all' });
+    }
+    // Ownership, series membership and the attendee lists have their own routes
+    ['recurrence', 'imageFile', 'organization', 'staff', 'budget', 'organizer', 'attendees', 'waitlist', 'seriesId', 'seriesIndex']
+      .forEach(field => delete updates[field]);
+    if (updates.location) {
+      updates.location = await locate(updates.location);
+    }
+
+    // Swapping an uploaded image for a link releases the stored file
+    const imageReplaced = updates.image !== undefined && updates.image !== event.image;
+    if (imageReplaced) {
+      updates.imageFile = null;
+    }
+
+    // Other occurrences get the shared fields, with dates shifted by the same amount as this one
+    const others = await Event.find({
+      ...Event.seriesScopeFilter(event, scope),
+      _id: { $ne: event._id }
+    });
+    const shared = Event.sharedSeriesFields(updates);
+    const startShift = updates.startDate ? new Date(updates.startDate) - event.startDate : 0;
+    const endShift = updates.endDate ? new Date(updates.endDate) - event.endDate : 0;
+
     const updatedEvent = await Event.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).populate('organizer', 'name email avatar');
 
+    const updatedOthers = await Promise.all(others.map(occurrence => Event.findByIdAndUpdate(
+      occurrence._id,
+      {
+        ...shared,
+        startDate: new Date(occurrence.startDate.getTime() + startShift),
+        endDate: new Date(occurrence.endDate.getTime() + endShift)
+      },
+      { new: true, runValidators: true }
+    )));
+
+    if (imageReplaced) {
+      await releaseEventImages([event, ...others].map(occurrence => occurrence.imageFile));
+    }
+
+    [[event, updatedEvent], ...others.map((occurrence, i) => [occurrence, updatedOthers[i]])].forEach(([before, after]) => {
+      audit.record(req, { action: 'event.update', target: after, before, after, metadata: scope !== 'this' ? { scope } : undefined });
+    });
+
+    // Let attendees know about cancellations and new dates
+    [[event, updatedEvent], ...others.map((occurrence, i) => [occurrence, updatedOthers[i]])].forEach(([before, after]) => {
+      if (after.status === 'cancelled') {
+        if (before.status !== 'cancelled') notifyEventCancelled(after);
+      } else if (after.startDate.getTime() !== before.startDate.getTime() || after.endDate.getTime() !== before.endDate.getTime()) {
+        notifyEventRescheduled(after, before.startDate);
+      }
+    });
+
+    // Raising capacity opens spots for people on the waitlist
+    if (updates.maxAttendees !== undefined) {
+      const occurrences = [updatedEvent, ...updatedOthers];
+      const promoted = await Promise.all(occurrences.map(occurrence => occurrence.promoteFromWaitlist()));
+      occurrences.forEach((occurrence, i) => notifyWaitlistPromoted(occurrence, promoted[i]));
+    }
+
     res.json(updatedEvent);
   } catch (error) {
     console.error('Update event error:', error);
@@ -183,35 +493,144 @@ router.put('/:id', protect, [
   }
 });
 
-// @desc    Delete event
+// @desc    Delete event (scope=this|following|all for recurring events)
 // @route   DELETE /api/events/:id
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, loadOrganization, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    // Check if user is organizer or admin
-    if (event.organizer.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:delete', event, req)) {
       return res.status(403).json({ message: 'Not authorized to delete this event' });
     }
 
-    await Event.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Event deleted successfully' });
+    const { scope = 'this' } = req.query;
+    if (!['this', 'following', 'all'].includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be this, following or all' });
+    }
+
+    const filter = Event.seriesScopeFilter(event, scope);
+    const deleted = await Event.find(filter);
+    const result = await Event.deleteMany(filter);
+    const deletedIds = deleted.map(occurrence => occurrence._id);
+    const budgetItems = await BudgetItem.find({ event: { $in: deletedIds } });
+    await BudgetItem.deleteMany({ _id: { $in: budgetItems.map(item => item._id) } });
+    await Booking.deleteMany({ event: { $in: deletedIds } });
+    await ShortlistEntry.deleteMany({ event: { $in: deletedIds } });
+    await Promise.all(budgetItems.flatMap(item => item.receipts).map(receipt => removeUpload(receipt)));
+    deleted.forEach(occurrence => audit.record(req, { action: 'event.delete', target: occurrence, before: occurrence }));
+    deleted.filter(occurrence => occurrence.status !== 'cancelled').forEach(occurrence => notifyEventCancelled(occurrence));
+    await releaseEventImages(deleted.map(occurrence => occurrence.imageFile));
+    res.json({ message: 'Event deleted successfully', deletedCount: result.deletedCount });
   } catch (error) {
     console.error('Delete event error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @desc    Upload event image, replacing the current one (scope=this|following|all for recurring events)
+// @route   POST /api/events/:id/image
+// @access  Private (organizer, co-organizer or organization manager)
+router.post('/:id/image', protect, loadOrganization, uploadImage('image'), async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:update', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this event' });
+    }
+
+    const { scope = 'this' } = req.query;
+    if (!['this', 'following', 'all'].includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be this, following or all' });
+    }
+
+    const stored = await storeUpload(req.file, { folder: 'events', baseUrl: publicBaseUrl(req) });
+
+    const filter = Event.seriesScopeFilter(event, scope);
+    const previous = await Event.find(filter).select('image imageFile organization');
+    const image = {
+      image: stored.url,
+      imageFile: { key: stored.key, thumbnail: stored.thumbnail, thumbnailKey: stored.thumbnailKey }
+    };
+    await Event.updateMany(filter, image);
+    await releaseEventImages(previous.map(occurrence => occurrence.imageFile));
+    previous.forEach(occurrence => audit.record(req, {
+      action: 'event.image-upload',
+      target: occurrence,
+      before: occurrence,
+      after: image,
+      fields: ['image', 'imageFile']
+    }));
+
+    const updatedEvent = await Event.findById(event._id).populate('organizer', 'name email avatar');
+    res.json(updatedEvent);
+  } catch (error) {
+    console.error('Upload event image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove event image (scope=this|following|all for recurring events)
+// @route   DELETE /api/events/:id/image
+// @access  Private (organizer, co-organizer or organization manager)
+router.delete('/:id/image', protect, loadOrganization, async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:update', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this event' });
+    }
+
+    const { scope = 'this' } = req.query;
+    if (!['this', 'following', 'all'].includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be this, following or all' });
+    }
+
+    const filter = Event.seriesScopeFilter(event, scope);
+    const previous = await Event.find(filter).select('image imageFile organization');
+    await Event.updateMany(filter, { image: '', imageFile: null });
+    await releaseEventImages(previous.map(occurrence => occurrence.imageFile));
+    previous.forEach(occurrence => audit.record(req, {
+      action: 'event.image-remove',
+      target: occurrence,
+      before: occurrence,
+      after: { image: '', imageFile: null },
+      fields: ['image', 'imageFile']
+    }));
+
+    res.json({ message: 'Event image removed' });
+  } catch (error) {
+    console.error('Remove event image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Register for event
 // @route   POST /api/events/:id/register
 // @access  Private
-router.post('/:id/register', protect, async (req, res) => {
+router.post('/:id/register', protect, [
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('ticketTier').optional().isMongoId().withMessage('Invalid ticket tier')
+], async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.id).select('+promoCodes');
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
@@ -224,12 +643,50 @@ router.post('/:id/register', protect, async (req, res) => {
       return res.status(400).json({ message: 'Already registered for this event' });
     }
 
+    if (event.isUserWaitlisted(req.user._id)) {
+      return res.status(400).json({ message: 'Already on the waitlist for this event' });
+    }
+
+    let quote;
+    try {
+      quote = event.quoteTickets(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
     if (event.isFull) {
-      return res.status(400).json({ message: 'Event is full' });
+      await event.joinWaitlist(req.user._id, {
+        ticketTier: quote.tier ? quote.tier._id : undefined,
+        quantity: quote.quantity
+      });
+      const position = event.getWaitlistPosition(req.user._id);
+      notifyWaitlistJoined(event, req.user._id, position);
+      audit.record(req, { action: 'event.waitlist-join', target: event, metadata: { position, quantity: quote.quantity } });
+      return res.json({
+        message: 'Event is full. You have been added to the waitlist',
+        waitlisted: true,
+        position
+      });
+    }
+
+    if (quote.quantity > event.availableSpots) {
+      return res.status(400).json({ message: `Only ${event.availableSpots} spots left` });
     }
 
-    await event.registerUser(req.user._id);
+    await event.registerUser(req.user._id, quote);
+    notifyRegistrationConfirmed(event, req.user._id);
+    audit.record(req, {
+      action: 'event.register',
+      target: event,
+      metadata: {
+        ticketTier: quote.tier ? quote.tier.name : null,
+        promoCode: quote.promo ? quote.promo.code : null,
+        quantity: quote.quantity,
+        total: quote.total
+      }
+    });
     await event.populate('attendees.user', 'name email avatar');
+    event.promoCodes = undefined;
 
     res.json({ message: 'Successfully registered for event', event });
   } catch (error) {
@@ -248,11 +705,20 @@ router.delete('/:id/register', protect, async (req, res) => {
       return res.status(404).json({ message: 'Event not found' });
     }
 
+    if (event.isUserWaitlisted(req.user._id)) {
+      await event.leaveWaitlist(req.user._id);
+      audit.record(req, { action: 'event.waitlist-leave', target: event });
+      return res.json({ message: 'Successfully left the waitlist' });
+    }
+
     if (!event.isUserRegistered(req.user._id)) {
       return res.status(400).json({ message: 'Not registered for this event' });
     }
 
     await event.unregisterUser(req.user._id);
+    audit.record(req, { action: 'event.unregister', target: event });
+    const promoted = await event.promoteFromWaitlist();
+    notifyWaitlistPromoted(event, promoted);
     res.json({ message: 'Successfully unregistered from event' });
   } catch (error) {
     console.error('Unregister from event error:', error);
@@ -260,63 +726,446 @@ router.delete('/:id/register', protect, async (req, res) => {
   }
 });
 
-// @desc    Get user's events (organized)
-// @route   GET /api/events/my-events
+// @desc    Get my ticket for an event
+// @route   GET /api/events/:id/ticket
 // @access  Private
-router.post('/my-events', protect, async (req, res) => {
+router.get('/:id/ticket', protect, async (req, res) => {
   try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
 
-    const {id } = req.body;
-    const events = await Event.find({ organizer: id })
-    .populate('attendees.user', 'name email avatar')
-    .sort({ createdAt: -1 });
+    const attendee = event.attendees.find(attendee => 
+      attendee.user.toString() === req.user._id.toString()
+    );
+    if (!attendee) {
+      return res.status(404).json({ message: 'Not registered for this event' });
+    }
 
-    res.json(events);
+    res.json({
+      ticketCode: event.getTicketCode(req.user._id),
+      status: attendee.status,
+      checkedInAt: attendee.checkedInAt,
+      quantity: attendee.quantity
+    });
   } catch (error) {
-    console.error('Get my events error:', error);
+    console.error('Get ticket error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @desc    Get user's registered events
-// @route   GET /api/events/registered
+// @desc    Check in an attendee by ticket code
+// @route   POST /api/events/:id/check-in
+// @access  Private (organizer, check-in staff or organization manager)
+router.post('/:id/check-in', protect, loadOrganization, [
+  body('code').trim().notEmpty().withMessage('Ticket code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:check-in', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to check in attendees for this event' });
+    }
+
+    const ticket = verifyTicketCode(req.body.code);
+    if (!ticket) {
+      return res.status(400).json({ message: 'Invalid ticket code' });
+    }
+
+    if (ticket.eventId !== event._id.toString()) {
+      return res.status(400).json({ message: 'This ticket belongs to another event' });
+    }
+
+    const attendee = event.attendees.id(ticket.attendeeId);
+    if (!attendee || attendee.status === 'cancelled') {
+      return res.status(404).json({ message: 'This registration no longer exists' });
+    }
+
+    // Conditional update so two scanners cannot admit the same ticket twice
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        attendees: { $elemMatch: { _id: attendee._id, status: { $ne: 'attended' } } }
+      },
+      {
+        $set: {
+          'attendees.$.status': 'attended',
+          'attendees.$.checkedInAt': new Date(),
+          'attendees.$.checkedInBy': req.user._id
+        }
+      },
+      { new: true }
+    ).populate('attendees.user', 'name email avatar');
+
+    if (!updated) {
+      const used = (await Event.findById(event._id).populate('attendees.checkedInBy', 'name'))
+        .attendees.id(attendee._id);
+      return res.status(409).json({
+        message: 'Ticket has already been used',
+        checkedInAt: used.checkedInAt,
+        checkedInBy: used.checkedInBy
+      });
+    }
+
+    audit.record(req, {
+      action: 'event.check-in',
+      target: event,
+      metadata: { attendee: attendee.user, attendeeId: attendee._id }
+    });
+
+    res.json({
+      message: 'Checked in',
+      attendee: updated.attendees.id(attendee._id),
+      checkedIn: updated.checkedInCount,
+      total: updated.attendees.length
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get check-in counts
+// @route   GET /api/events/:id/check-in/stats
+// @access  Private (organizer, check-in staff or organization manager)
+router.get('/:id/check-in/stats', protect, loadOrganization, async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:check-in', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to view check-ins for this event' });
+    }
+
+    res.json({
+      checkedIn: event.checkedInCount,
+      total: event.attendees.length
+    });
+  } catch (error) {
+    console.error('Get check-in stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Price a ticket order before registering
+// @route   POST /api/events/:id/quote
 // @access  Private
-router.get('/registered', protect, async (req, res) => {
+router.post('/:id/quote', protect, [
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('ticketTier').optional().isMongoId().withMessage('Invalid ticket tier')
+], async (req, res) => {
   try {
-    const events = await Event.find({
-      'attendees.user': req.user._id
-    })
-      .populate('organizer', 'name email avatar')
-      .sort({ startDate: 1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    res.json(events);
+    const event = await Event.findById(req.params.id).select('+promoCodes');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    let quote;
+    try {
+      quote = event.quoteTickets(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      ticketTier: quote.tier ? quote.tier._id : null,
+      promoCode: quote.promo ? quote.promo.code : null,
+      quantity: quote.quantity,
+      unitPrice: quote.unitPrice,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      total: quote.total
+    });
   } catch (error) {
-    console.error('Get registered events error:', error);
+    console.error('Quote tickets error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @desc    Get event categories
-// @route   GET /api/events/categories
-// @access  Public
-router.get('/categories', async (req, res) => {
+// @desc    Get event promo codes
+// @route   GET /api/events/:id/promo-codes
+// @access  Private (organizer, co-organizer or organization manager)
+router.get('/:id/promo-codes', protect, loadOrganization, async (req, res) => {
   try {
-    const categories = [
-      'Technology',
-      'Business',
-      'Education',
-      'Entertainment',
-      'Sports',
-      'Music',
-      'Art',
-      'Food',
-      'Health',
-      'Other'
-    ];
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id }).select('organizer staff +promoCodes');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
 
-    res.json(categories);
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:update', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to view promo codes for this event' });
+    }
+
+    res.json(event.promoCodes);
   } catch (error) {
-    console.error('Get categories error:', error);
+    console.error('Get promo codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Reorder event waitlist
+// @route   PUT /api/events/:id/waitlist
+// @access  Private (organizer, co-organizer or organization manager)
+router.put('/:id/waitlist', protect, loadOrganization, [
+  body('order').isArray().withMessage('Order must be an array of user IDs'),
+  body('order.*').isMongoId().withMessage('Invalid user ID in order')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:update', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to manage this waitlist' });
+    }
+
+    const before = audit.snapshot(event);
+    try {
+      await event.reorderWaitlist(req.body.order);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    audit.record(req, { action: 'event.waitlist-reorder', target: event, before, after: event, fields: ['waitlist'] });
+    await event.populate('waitlist.user', 'name email avatar');
+
+    res.json(event.waitlist);
+  } catch (error) {
+    console.error('Reorder waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Clear event waitlist
+// @route   DELETE /api/events/:id/waitlist
+// @access  Private (organizer, co-organizer or organization manager)
+router.delete('/:id/waitlist', protect, loadOrganization, async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:update', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to manage this waitlist' });
+    }
+
+    const before = audit.snapshot(event);
+    event.waitlist = [];
+    await event.save();
+    audit.record(req, { action: 'event.waitlist-clear', target: event, before, after: event, fields: ['waitlist'] });
+
+    res.json({ message: 'Waitlist cleared' });
+  } catch (error) {
+    console.error('Clear waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get event staff
+// @route   GET /api/events/:id/staff
+// @access  Private (organization members)
+router.get('/:id/staff', protect, loadOrganization, async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id })
+      .select('organizer staff')
+      .populate('staff.user', 'name email avatar')
+      .populate('staff.addedBy', 'name');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json(event.staff);
+  } catch (error) {
+    console.error('Get event staff error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add a member of the organization to the event staff
+// @route   POST /api/events/:id/staff
+// @access  Private (organizer, co-organizer or organization manager)
+router.post('/:id/staff', protect, loadOrganization, [
+  body('user').isMongoId().withMessage('Valid user ID is required'),
+  body('role').isIn(STAFF_ROLES).withMessage(`Role must be one of ${STAFF_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:manage-staff', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to manage staff for this event' });
+    }
+
+    const { user, role } = req.body;
+    if (!Organization.roleAtLeast(req.organization.getMemberRole(user), 'staff')) {
+      return res.status(400).json({ message: 'Event staff must be staff of this organization' });
+    }
+    if (event.organizer.toString() === user) {
+      return res.status(400).json({ message: 'The organizer already has every permission' });
+    }
+    if (event.staff.some(member => member.user.toString() === user)) {
+      return res.status(400).json({ message: 'This person is already on the event staff' });
+    }
+
+    const before = audit.snapshot(event);
+    event.staff.push({ user, role, addedBy: req.user._id });
+    await event.save();
+    audit.record(req, { action: 'event.staff-add', target: event, before, after: event });
+    await event.populate('staff.user', 'name email avatar');
+
+    res.status(201).json(event.staff);
+  } catch (error) {
+    console.error('Add event staff error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Change the role of an event staff member
+// @route   PUT /api/events/:id/staff/:userId
+// @access  Private (organizer, co-organizer or organization manager)
+router.put('/:id/staff/:userId', protect, loadOrganization, [
+  body('role').isIn(STAFF_ROLES).withMessage(`Role must be one of ${STAFF_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:manage-staff', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to manage staff for this event' });
+    }
+
+    const member = event.staff.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const before = audit.snapshot(event);
+    member.role = req.body.role;
+    await event.save();
+    audit.record(req, { action: 'event.staff-update', target: event, before, after: event });
+    await event.populate('staff.user', 'name email avatar');
+
+    res.json(event.staff);
+  } catch (error) {
+    console.error('Update event staff error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove someone from the event staff (staff can remove themselves)
+// @route   DELETE /api/events/:id/staff/:userId
+// @access  Private (organizer, co-organizer or organization manager)
+router.delete('/:id/staff/:userId', protect, loadOrganization, async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !can(req.user, 'event:manage-staff', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to manage staff for this event' });
+    }
+
+    const member = event.staff.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const before = audit.snapshot(event);
+    member.deleteOne();
+    await event.save();
+    audit.record(req, { action: 'event.staff-remove', target: event, before, after: event });
+
+    res.json({ message: 'Staff member removed' });
+  } catch (error) {
+    console.error('Remove event staff error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the change history of an event
+// @route   GET /api/events/:id/history
+// @access  Private (organizer, co-organizer or organization manager)
+router.get('/:id/history', protect, loadOrganization, async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id }).select('organizer staff');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer, event staff with the right role, or an organization manager
+    if (!can(req.user, 'event:update', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to view the history of this event' });
+    }
+
+    res.json(await audit.history(event._id, req.query));
+  } catch (error) {
+    console.error('Get event history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get user's events (organized or staffed) in the active organization
+// @route   GET /api/events/my-events
+// @access  Private
+router.post('/my-events', protect, loadOrganization, async (req, res) => {
+  try {
+
+    const {id } = req.body;
+    const events = await Event.find({
+      $or: [{ organizer: id }, { 'staff.user': id }],
+      organization: req.organization._id
+    })
+    .populate('attendees.user', 'name email avatar')
+    .sort({ createdAt: -1 });
+
+    res.json(events);
+  } catch (error) {
+    console.error('Get my events error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -0,0 +1,68 @@
+const express = require('express');
+const JobRun = require('../models/JobRun');
+const { protect, requirePermission } = require('../middleware/auth');
+const { runJob, listJobs } = require('../services/scheduler');
+
+const router = express.Router();
+
+// @desc    Get scheduled jobs with their current state
+// @route   GET /api/jobs
+// @access  Private (job:manage)
+router.get('/', protect, requirePermission('job:manage'), async (req, res) => {
+  try {
+    const jobs = await listJobs();
+    res.json(jobs);
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get job run history (filter by job and status, e.g. status=failed)
+// @route   GET /api/jobs/runs
+// @access  Private (job:manage)
+router.get('/runs', protect, requirePermission('job:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, job, status } = req.query;
+
+    const filter = {};
+    if (job) filter.job = job;
+    if (status) filter.status = status;
+
+    const runs = await JobRun.paginate(filter, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { startedAt: -1 }
+    });
+
+    res.json(runs);
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Run a job now
+// @route   POST /api/jobs/:name/run
+// @access  Private (job:manage)
+router.post('/:name/run', protect, requirePermission('job:manage'), async (req, res) => {
+  try {
+    let run;
+    try {
+      run = await runJob(req.params.name, { force: true });
+    } catch (error) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (!run) {
+      return res.status(409).json({ message: 'Job is already running' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
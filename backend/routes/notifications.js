@@ -0,0 +1,97 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { subscribe } = require('../services/realtime');
+
+const router = express.Router();
+
+// EventSource cannot send headers, so the stream accepts the token as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// @desc    Get my notifications (newest first)
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const filter = { user: req.user._id };
+    if (unread === 'true') filter.readAt = null;
+
+    const notifications = await Notification.paginate(filter, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 }
+    });
+
+    res.json(notifications);
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get my unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    res.json({ count });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Stream new notifications as server-sent events
+// @route   GET /api/notifications/stream
+// @access  Private
+router.get('/stream', tokenFromQuery, protect, (req, res) => {
+  subscribe(req.user._id, req, res);
+});
+
+// @desc    Mark all my notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+    res.json({ message: 'All notifications marked as read', modifiedCount: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
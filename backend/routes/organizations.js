@@ -0,0 +1,398 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Task = require('../models/Task');
+const Vendor = require('../models/Vendor');
+const { protect } = require('../middleware/auth');
+const { sendAccountEmail } = require('../services/notifications');
+
+const router = express.Router();
+
+const { ROLES } = Organization;
+
+// Load the organization named in the URL; only members (and site admins) can see it
+const loadMembership = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const organization = await Organization.findById(req.params.id).select('+invitations');
+    const role = organization && organization.getMemberRole(req.user._id);
+    if (!organization || (!role && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    req.organization = organization;
+    req.orgRole = req.user.role === 'admin' && !role ? 'owner' : role;
+    next();
+  } catch (error) {
+    console.error('Load organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Owners can grant any role; managers can only hand out staff and viewer
+const canAssignRole = (actorRole, role) => actorRole === 'owner' || (actorRole === 'manager' && !Organization.roleAtLeast(role, 'manager'));
+
+const invitationJSON = (invitation) => ({
+  _id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt
+});
+
+// @desc    Get my organizations with my role in each
+// @route   GET /api/organizations
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    let organizations = await Organization.find({ 'members.user': req.user._id }).sort({ createdAt: 1 });
+    if (organizations.length === 0) {
+      organizations = [await Organization.createPersonal(req.user)];
+    }
+
+    res.json(organizations.map(organization => ({
+      _id: organization._id,
+      name: organization.name,
+      isPersonal: organization.isPersonal,
+      role: organization.getMemberRole(req.user._id),
+      memberCount: organization.members.length
+    })));
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Create an organization (the creator becomes its owner)
+// @route   POST /api/organizations
+// @access  Private
+router.post('/', protect, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await Organization.create({
+      name: req.body.name,
+      members: [{ user: req.user._id, role: 'owner' }],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      _id: organization._id,
+      name: organization.name,
+      isPersonal: organization.isPersonal,
+      role: 'owner',
+      memberCount: 1
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Look up an invitation before accepting it
+// @route   GET /api/organizations/invitations/:token
+// @access  Private
+router.get('/invitations/:token', protect, async (req, res) => {
+  try {
+    const tokenHash = Organization.hashToken(req.params.token);
+    const organization = await Organization.findOne({ 'invitations.tokenHash': tokenHash })
+      .select('+invitations')
+      .populate('invitations.invitedBy', 'name');
+    const invitation = organization && organization.invitations.find(i => i.tokenHash === tokenHash);
+    if (!invitation || invitation.expiresAt <= new Date()) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({
+      organization: { _id: organization._id, name: organization.name },
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      alreadyMember: Boolean(organization.getMemberRole(req.user._id)),
+      emailMatches: invitation.email === req.user.email
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Accept an invitation
+// @route   POST /api/organizations/invitations/:token/accept
+// @access  Private
+router.post('/invitations/:token/accept', protect, async (req, res) => {
+  try {
+    const tokenHash = Organization.hashToken(req.params.token);
+    const organization = await Organization.findOne({ 'invitations.tokenHash': tokenHash }).select('+invitations');
+    const invitation = organization && organization.invitations.find(i => i.tokenHash === tokenHash);
+    if (!invitation || invitation.expiresAt <= new Date()) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    // Invitations are personal: a forwarded link does not let someone else in
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({ message: `This invitation was sent to ${invitation.email}` });
+    }
+
+    // Accepting never lowers the role of someone who is already a member
+    const currentRole = organization.getMemberRole(req.user._id);
+    if (!currentRole || !Organization.roleAtLeast(currentRole, invitation.role)) {
+      organization.addMember(req.user._id, invitation.role);
+    }
+    invitation.deleteOne();
+    await organization.save();
+
+    res.json({
+      _id: organization._id,
+      name: organization.name,
+      isPersonal: organization.isPersonal,
+      role: organization.getMemberRole(req.user._id),
+      memberCount: organization.members.length
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get an organization with its members (and open invitations for managers)
+// @route   GET /api/organizations/:id
+// @access  Private (members)
+router.get('/:id', protect, loadMembership, async (req, res) => {
+  try {
+    const { organization } = req;
+    await organization.populate([
+      { path: 'members.user', select: 'name email avatar' },
+      { path: 'invitations.invitedBy', select: 'name' }
+    ]);
+
+    const canInvite = Organization.roleAtLeast(req.orgRole, 'manager');
+    res.json({
+      _id: organization._id,
+      name: organization.name,
+      isPersonal: organization.isPersonal,
+      role: req.orgRole,
+      members: organization.members,
+      invitations: canInvite
+        ? organization.invitations.filter(i => i.expiresAt > new Date()).map(invitationJSON)
+        : [],
+      createdAt: organization.createdAt
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Rename an organization
+// @route   PUT /api/organizations/:id
+// @access  Private (owner)
+router.put('/:id', protect, loadMembership, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.orgRole !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can rename the organization' });
+    }
+
+    req.organization.name = req.body.name;
+    await req.organization.save();
+
+    res.json({ _id: req.organization._id, name: req.organization.name });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete an empty organization
+// @route   DELETE /api/organizations/:id
+// @access  Private (owner)
+router.delete('/:id', protect, loadMembership, async (req, res) => {
+  try {
+    const { organization } = req;
+
+    if (req.orgRole !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can delete the organization' });
+    }
+
+    if (organization.isPersonal) {
+      return res.status(400).json({ message: 'Personal workspaces cannot be deleted' });
+    }
+
+    const [events, tasks, vendors] = await Promise.all([
+      Event.exists({ organization: organization._id }),
+      Task.exists({ organization: organization._id }),
+      Vendor.exists({ organization: organization._id })
+    ]);
+    if (events || tasks || vendors) {
+      return res.status(400).json({ message: 'Delete the organization\'s events, tasks and vendors first' });
+    }
+
+    await organization.deleteOne();
+    res.json({ message: 'Organization deleted successfully' });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Invite someone by email
+// @route   POST /api/organizations/:id/invitations
+// @access  Private (owner or manager)
+router.post('/:id/invitations', protect, loadMembership, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { organization } = req;
+    const { email, role } = req.body;
+
+    if (!canAssignRole(req.orgRole, role)) {
+      return res.status(403).json({ message: `Your role cannot invite ${role}s` });
+    }
+
+    const invitee = await User.findOne({ email });
+    if (invitee && organization.getMemberRole(invitee._id)) {
+      return res.status(400).json({ message: 'This person is already a member' });
+    }
+
+    const token = organization.createInvitation(email, role, req.user._id);
+    await organization.save();
+
+    try {
+      await sendAccountEmail('organizationInvitation', invitee || { email }, {
+        organization,
+        inviter: req.user,
+        role,
+        token
+      });
+    } catch (error) {
+      console.error('Send invitation email error:', error);
+      return res.status(502).json({ message: 'Invitation saved, but the email could not be sent. Try again later.' });
+    }
+
+    const invitation = organization.invitations.find(i => i.email === email.toLowerCase());
+    res.status(201).json(invitationJSON(invitation));
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Cancel an invitation
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @access  Private (owner or manager)
+router.delete('/:id/invitations/:invitationId', protect, loadMembership, async (req, res) => {
+  try {
+    if (!Organization.roleAtLeast(req.orgRole, 'manager')) {
+      return res.status(403).json({ message: 'Not authorized to manage invitations' });
+    }
+
+    const invitation = req.organization.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    invitation.deleteOne();
+    await req.organization.save();
+
+    res.json({ message: 'Invitation cancelled' });
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (owner, or manager for staff and viewers)
+router.put('/:id/members/:userId', protect, loadMembership, [
+  body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { organization } = req;
+    const currentRole = organization.getMemberRole(req.params.userId);
+    if (!currentRole) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (!canAssignRole(req.orgRole, currentRole) || !canAssignRole(req.orgRole, req.body.role)) {
+      return res.status(403).json({ message: 'Not authorized to change this member\'s role' });
+    }
+
+    try {
+      organization.changeMemberRole(req.params.userId, req.body.role);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    await organization.save();
+    await organization.populate('members.user', 'name email avatar');
+
+    res.json(organization.members);
+  } catch (error) {
+    console.error('Change member role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove a member, or leave the organization
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (yourself; owner, or manager for staff and viewers)
+router.delete('/:id/members/:userId', protect, loadMembership, async (req, res) => {
+  try {
+    const { organization } = req;
+    const memberRole = organization.getMemberRole(req.params.userId);
+    if (!memberRole) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !canAssignRole(req.orgRole, memberRole)) {
+      return res.status(403).json({ message: 'Not authorized to remove this member' });
+    }
+
+    try {
+      organization.removeMember(req.params.userId);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    await organization.save();
+    await Event.updateMany({ organization: organization._id }, { $pull: { staff: { user: req.params.userId } } });
+
+    res.json({ message: isSelf ? 'You left the organization' : 'Member removed' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
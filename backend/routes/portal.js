@@ -0,0 +1,452 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Vendor = require('../models/Vendor');
+const Booking = require('../models/Booking');
+const Task = require('../models/Task');
+const { protect } = require('../middleware/auth');
+const { uploadImage, uploadDocuments } = require('../middleware/upload');
+const { storeUpload, removeUpload } = require('../services/uploads');
+const { publicBaseUrl } = require('../utils/urls');
+const { vendorCalendar } = require('../services/availability');
+const { quoteValidators, applyQuote } = require('../services/bookings');
+const { notifyBookingQuoted, notifyBookingDeclined } = require('../services/notifications');
+const { EDITABLE_FIELDS, presentVendor, presentBooking, presentTask } = require('../services/portal');
+const audit = require('../services/audit');
+const { locate } = require('../services/geocoding');
+
+// The vendor portal: everything a vendor account can do, always scoped to its own vendor
+const router = express.Router();
+
+const CATEGORIES = ['Catering', 'Audio/Visual', 'Photography', 'Venue', 'Transportation', 'Entertainment', 'Decoration', 'Security', 'Technology', 'Other'];
+
+// Load the signed-in vendor account's vendor into req.vendor
+const loadPortalVendor = async (req, res, next) => {
+  try {
+    if (req.user.accountType !== 'vendor') {
+      return res.status(403).json({ message: 'The vendor portal is only for vendor accounts' });
+    }
+
+    const vendor = req.user.vendor && await Vendor.findById(req.user.vendor);
+    if (!vendor) {
+      return res.status(403).json({ message: 'Your portal access has been removed', code: 'VENDOR_ACCESS_REMOVED' });
+    }
+
+    req.vendor = vendor;
+    next();
+  } catch (error) {
+    console.error('Load portal vendor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const BOOKING_POPULATE = [
+  { path: 'event', select: 'title startDate endDate location' },
+  { path: 'requestedBy', select: 'name email' }
+];
+
+// Quote requests the organization has sent; drafts are still private to it
+const findBooking = (req) => Booking.findOne({ _id: req.params.bookingId, vendor: req.vendor._id, status: { $ne: 'draft' } })
+  .populate(BOOKING_POPULATE);
+
+// @desc    Get my vendor profile
+// @route   GET /api/portal/vendor
+// @access  Private (vendor accounts)
+router.get('/vendor', protect, loadPortalVendor, async (req, res) => {
+  try {
+    res.json(presentVendor(req.vendor));
+  } catch (error) {
+    console.error('Get portal vendor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update my profile, pricing and weekly hours
+// @route   PUT /api/portal/vendor
+// @access  Private (vendor accounts)
+router.put('/vendor', protect, loadPortalVendor, [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('company').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Company name must be between 2 and 100 characters'),
+  body('phone').optional().notEmpty().withMessage('Phone number is required'),
+  body('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+  body('services').optional().isArray().withMessage('Services must be a list'),
+  body('description').optional().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('pricing.currency').optional().isISO4217().withMessage('Pricing currency must be a three-letter code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updates = Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    if (updates.address) {
+      updates.address = await locate(updates.address);
+    }
+
+    const before = audit.snapshot(req.vendor);
+    const vendor = await Vendor.findByIdAndUpdate(req.vendor._id, updates, { new: true, runValidators: true });
+    audit.record(req, { action: 'vendor.update', target: vendor, before, after: vendor, metadata: { portal: true } });
+
+    res.json(presentVendor(vendor));
+  } catch (error) {
+    console.error('Update portal vendor error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get my calendar between ?from= and ?to= (the next 31 days by default, at most a year)
+// @route   GET /api/portal/vendor/calendar
+// @access  Private (vendor accounts)
+router.get('/vendor/calendar', protect, loadPortalVendor, [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const start = req.query.from ? new Date(req.query.from) : new Date();
+    const end = req.query.to ? new Date(req.query.to) : new Date(start.getTime() + 31 * 24 * 60 * 60 * 1000);
+    if (end <= start || end - start > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: 'The calendar range must end after it starts and span at most a year' });
+    }
+
+    res.json(await vendorCalendar(req.vendor, { start, end }));
+  } catch (error) {
+    console.error('Get portal calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add a blackout period I can't be booked
+// @route   POST /api/portal/vendor/blackouts
+// @access  Private (vendor accounts)
+router.post('/vendor/blackouts', protect, loadPortalVendor, [
+  body('start').isISO8601().withMessage('Valid start is required'),
+  body('end').isISO8601().withMessage('Valid end is required'),
+  body('end').custom((end, { req }) => new Date(end) > new Date(req.body.start)).withMessage('End must be after the start'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { vendor } = req;
+    const before = audit.snapshot(vendor);
+    vendor.blackouts.push({ start: req.body.start, end: req.body.end, reason: req.body.reason });
+    vendor.blackouts.sort((a, b) => a.start - b.start);
+    await vendor.save();
+    audit.record(req, { action: 'vendor.blackout-add', target: vendor, before, after: vendor, metadata: { portal: true } });
+
+    res.status(201).json(vendor.blackouts);
+  } catch (error) {
+    console.error('Add portal blackout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove a blackout period
+// @route   DELETE /api/portal/vendor/blackouts/:blackoutId
+// @access  Private (vendor accounts)
+router.delete('/vendor/blackouts/:blackoutId', protect, loadPortalVendor, async (req, res) => {
+  try {
+    const { vendor } = req;
+    const blackout = vendor.blackouts.id(req.params.blackoutId);
+    if (!blackout) {
+      return res.status(404).json({ message: 'Blackout not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    blackout.deleteOne();
+    await vendor.save();
+    audit.record(req, { action: 'vendor.blackout-remove', target: vendor, before, after: vendor, metadata: { portal: true } });
+
+    res.json({ message: 'Blackout removed' });
+  } catch (error) {
+    console.error('Remove portal blackout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Upload documents (certificates of insurance, licenses, price lists)
+// @route   POST /api/portal/vendor/documents
+// @access  Private (vendor accounts)
+router.post('/vendor/documents', protect, loadPortalVendor, uploadDocuments('files', 5), async (req, res) => {
+  try {
+    const { vendor } = req;
+    const before = audit.snapshot(vendor);
+    const baseUrl = publicBaseUrl(req);
+    const stored = await Promise.all(req.files.map(file => storeUpload(file, { folder: `vendors/${vendor._id}/documents`, baseUrl })));
+    stored.forEach(file => vendor.documents.push(file));
+    await vendor.save();
+    audit.record(req, { action: 'vendor.document-add', target: vendor, before, after: vendor, metadata: { portal: true } });
+
+    res.status(201).json(vendor.documents);
+  } catch (error) {
+    console.error('Upload portal documents error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete one of my documents
+// @route   DELETE /api/portal/vendor/documents/:documentId
+// @access  Private (vendor accounts)
+router.delete('/vendor/documents/:documentId', protect, loadPortalVendor, async (req, res) => {
+  try {
+    const { vendor } = req;
+    const document = vendor.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    await removeUpload(document);
+    document.deleteOne();
+    await vendor.save();
+    audit.record(req, { action: 'vendor.document-remove', target: vendor, before, after: vendor, metadata: { portal: true } });
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Delete portal document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add a portfolio item with an uploaded image
+// @route   POST /api/portal/vendor/portfolio
+// @access  Private (vendor accounts)
+router.post('/vendor/portfolio', protect, loadPortalVendor, uploadImage('image'), [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('date').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { vendor } = req;
+    const before = audit.snapshot(vendor);
+    const stored = await storeUpload(req.file, { folder: `vendors/${vendor._id}/portfolio`, baseUrl: publicBaseUrl(req) });
+    vendor.portfolio.push({
+      title: req.body.title,
+      description: req.body.description,
+      date: req.body.date || undefined,
+      image: stored.url,
+      key: stored.key,
+      thumbnail: stored.thumbnail,
+      thumbnailKey: stored.thumbnailKey
+    });
+    await vendor.save();
+    audit.record(req, { action: 'vendor.portfolio-add', target: vendor, before, after: vendor, metadata: { portal: true } });
+
+    res.status(201).json(vendor.portfolio);
+  } catch (error) {
+    console.error('Add portal portfolio item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete a portfolio item
+// @route   DELETE /api/portal/vendor/portfolio/:itemId
+// @access  Private (vendor accounts)
+router.delete('/vendor/portfolio/:itemId', protect, loadPortalVendor, async (req, res) => {
+  try {
+    const { vendor } = req;
+    const item = vendor.portfolio.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Portfolio item not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    await removeUpload(item);
+    item.deleteOne();
+    await vendor.save();
+    audit.record(req, { action: 'vendor.portfolio-remove', target: vendor, before, after: vendor, metadata: { portal: true } });
+
+    res.json({ message: 'Portfolio item deleted successfully' });
+  } catch (error) {
+    console.error('Delete portal portfolio item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Reply to one of my reviews (an empty comment removes the reply)
+// @route   PUT /api/portal/vendor/reviews/:reviewId/reply
+// @access  Private (vendor accounts)
+router.put('/vendor/reviews/:reviewId/reply', protect, loadPortalVendor, [
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Reply cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { vendor } = req;
+    // Only the reviews the portal shows; pending and hidden ones stay with the moderators
+    const review = vendor.reviews.id(req.params.reviewId);
+    if (!review || review.status !== 'approved') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    await vendor.replyToReview(review._id, req.user._id, req.body.comment);
+    audit.record(req, {
+      action: 'vendor.review-reply',
+      target: vendor,
+      before,
+      after: vendor,
+      metadata: { review: req.params.reviewId, portal: true }
+    });
+
+    res.json(presentVendor(vendor));
+  } catch (error) {
+    console.error('Portal review reply error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get my quote requests and bookings (?status= filters), soonest first
+// @route   GET /api/portal/bookings
+// @access  Private (vendor accounts)
+router.get('/bookings', protect, loadPortalVendor, [
+  query('status').optional().isString().isIn(Booking.STATUSES.filter(status => status !== 'draft')).withMessage('Invalid booking status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { vendor: req.vendor._id, status: req.query.status || { $ne: 'draft' } };
+
+    const bookings = await Booking.find(filter)
+      .populate(BOOKING_POPULATE)
+      .sort({ 'request.date': 1 });
+
+    res.json(bookings.map(presentBooking));
+  } catch (error) {
+    console.error('Get portal bookings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get one of my bookings
+// @route   GET /api/portal/bookings/:bookingId
+// @access  Private (vendor accounts)
+router.get('/bookings/:bookingId', protect, loadPortalVendor, async (req, res) => {
+  try {
+    const booking = await findBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    res.json(presentBooking(booking));
+  } catch (error) {
+    console.error('Get portal booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Send or revise my quote for a requested booking
+// @route   PUT /api/portal/bookings/:bookingId/quote
+// @access  Private (vendor accounts)
+router.put('/bookings/:bookingId/quote', protect, loadPortalVendor, quoteValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const booking = await findBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!booking.canMoveTo('quoted')) {
+      return res.status(400).json({ message: `A ${booking.status} booking cannot be quoted` });
+    }
+
+    const before = audit.snapshot(booking);
+    applyQuote(booking, req.body, { vendor: req.vendor, user: req.user });
+    await booking.save();
+    audit.record(req, { action: 'booking.quoted', target: booking, before, after: booking, metadata: { portal: true } });
+    notifyBookingQuoted(booking, { vendor: req.vendor, event: booking.event });
+
+    res.json(presentBooking(booking));
+  } catch (error) {
+    console.error('Send portal quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Decline a quote request (or withdraw my quote) with an optional note
+// @route   PUT /api/portal/bookings/:bookingId/decline
+// @access  Private (vendor accounts)
+router.put('/bookings/:bookingId/decline', protect, loadPortalVendor, [
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const booking = await findBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!['requested', 'quoted'].includes(booking.status)) {
+      return res.status(400).json({ message: `A ${booking.status} booking can no longer be declined` });
+    }
+
+    const before = audit.snapshot(booking);
+    booking.moveTo('cancelled', req.user, req.body.note);
+    await booking.save();
+    audit.record(req, { action: 'booking.declined', target: booking, before, after: booking, metadata: { portal: true } });
+    notifyBookingDeclined(booking, { vendor: req.vendor, event: booking.event });
+
+    res.json(presentBooking(booking));
+  } catch (error) {
+    console.error('Decline portal booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the tasks I'm booked for (?status= filters; cancelled ones only when asked for)
+// @route   GET /api/portal/tasks
+// @access  Private (vendor accounts)
+router.get('/tasks', protect, loadPortalVendor, [
+  query('status').optional().isString().isIn(Task.schema.path('status').enumValues).withMessage('Invalid task status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { vendor: req.vendor._id, status: req.query.status || { $ne: 'cancelled' } };
+
+    const tasks = await Task.find(filter)
+      .populate('event', 'title startDate endDate location')
+      .populate('assignedTo', 'name email')
+      .sort({ dueDate: 1 });
+
+    res.json(tasks.map(presentTask));
+  } catch (error) {
+    console.error('Get portal tasks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { ACTIONS, BUILT_IN_ROLES, can, invalidateRoles } = require('../services/permissions');
+
+const router = express.Router();
+
+// Nobody can put a permission into a role that they do not hold themselves
+const grantsOnlyOwnPermissions = (req) => req.body.permissions.every(action => can(req.user, action));
+
+// Nor change or delete a role that holds permissions they lack
+const holdsAll = (user, role) => role.permissions.every(action => can(user, action));
+
+const roleValidators = [
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters'),
+  body('permissions').isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').isIn(Object.keys(ACTIONS)).withMessage('Unknown permission')
+];
+
+// @desc    Get the permission catalog and all roles with their user counts
+// @route   GET /api/roles
+// @access  Private (role:manage)
+router.get('/', protect, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const [custom, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const userCount = (name) => (counts.find(c => c._id === name) || { count: 0 }).count;
+
+    res.json({
+      actions: ACTIONS,
+      baseline: BUILT_IN_ROLES.user,
+      roles: [
+        ...Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({
+          name,
+          permissions,
+          builtIn: true,
+          userCount: userCount(name)
+        })),
+        ...custom.map(role => ({ ...role.toJSON(), builtIn: false, userCount: userCount(role.name) }))
+      ]
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (role:manage)
+router.post('/', protect, requirePermission('role:manage'), [
+  body('name').trim().toLowerCase().matches(/^[a-z][a-z0-9-]{1,29}$/).withMessage('Role names use 2-30 lowercase letters, numbers and dashes'),
+  ...roleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!grantsOnlyOwnPermissions(req)) {
+      return res.status(403).json({ message: 'You can only grant permissions you have yourself' });
+    }
+
+    const { name, description, permissions } = req.body;
+    if (name in BUILT_IN_ROLES || await Role.exists({ name })) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    invalidateRoles();
+
+    res.status(201).json({ ...role.toJSON(), builtIn: false, userCount: 0 });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update a custom role's description and permissions
+// @route   PUT /api/roles/:id
+// @access  Private (role:manage)
+router.put('/:id', protect, requirePermission('role:manage'), roleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!grantsOnlyOwnPermissions(req)) {
+      return res.status(403).json({ message: 'You can only grant permissions you have yourself' });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (!holdsAll(req.user, role)) {
+      return res.status(403).json({ message: 'Not authorized to manage this role' });
+    }
+
+    if (req.body.description !== undefined) role.description = req.body.description;
+    role.permissions = [...new Set(req.body.permissions)];
+    await role.save();
+    invalidateRoles();
+
+    res.json({ ...role.toJSON(), builtIn: false, userCount: await User.countDocuments({ role: role.name }) });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete a custom role that nobody has
+// @route   DELETE /api/roles/:id
+// @access  Private (role:manage)
+router.delete('/:id', protect, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (!holdsAll(req.user, role)) {
+      return res.status(403).json({ message: 'Not authorized to delete this role' });
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(400).json({ message: `Move the ${holders} user(s) with this role to another role first` });
+    }
+
+    await role.deleteOne();
+    invalidateRoles();
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const settings = require('../services/settings');
+
+const router = express.Router();
+
+// @desc    Get application settings
+// @route   GET /api/settings
+// @access  Private (settings:manage)
+router.get('/', protect, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json(await settings.getAll());
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update application settings
+// @route   PUT /api/settings
+// @access  Private (settings:manage)
+router.put('/', protect, requirePermission('settings:manage'), [
+  body('requireAdminTwoFactor').optional().isBoolean().withMessage('requireAdminTwoFactor must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { requireAdminTwoFactor } = req.body;
+
+    if (requireAdminTwoFactor !== undefined) {
+      // Turning the requirement on without 2FA would lock the admin out of this page
+      if (requireAdminTwoFactor && !req.user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Enable two-factor authentication on your own account first' });
+      }
+      await settings.set('requireAdminTwoFactor', requireAdminTwoFactor, req.user._id);
+    }
+
+    const updated = await settings.getAll();
+    if (updated.requireAdminTwoFactor) {
+      const pending = await User.countDocuments({ role: 'admin', 'twoFactor.enabled': { $ne: true } });
+      return res.json({ ...updated, adminsWithoutTwoFactor: pending });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
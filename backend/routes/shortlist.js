@@ -0,0 +1,288 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Vendor = require('../models/Vendor');
+const Booking = require('../models/Booking');
+const ShortlistEntry = require('../models/ShortlistEntry');
+const { protect } = require('../middleware/auth');
+const { loadOrganization } = require('../middleware/organization');
+const { can } = require('../services/permissions');
+const { converter } = require('../services/currency');
+const { voteSummary, comparisonRow } = require('../services/shortlist');
+const { EVENT_ACTIONS } = require('../utils/eventPermissions');
+const audit = require('../services/audit');
+
+// Mounted at /api/events/:id/shortlist
+const router = express.Router({ mergeParams: true });
+
+// Load the event from the active organization into req.event. The whole event team
+// (anyone holding an event action) can see, vote on and discuss the shortlist;
+// pass actions to require more.
+const loadShortlistEvent = (...actions) => async (req, res, next) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, organization: req.organization._id })
+      .select('title startDate endDate location organizer staff organization');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(actions.length ? actions : EVENT_ACTIONS).some(action => can(req.user, action, event, req))) {
+      return res.status(403).json({ message: 'Not authorized to use the vendor shortlist for this event' });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    console.error('Load event shortlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const ENTRY_POPULATE = [
+  { path: 'vendor', select: 'name company category email phone pricing rating verified status services address insurance licenses reviews.status reviews.rating reviews.criteria' },
+  { path: 'addedBy', select: 'name email avatar' },
+  { path: 'votes.user', select: 'name email avatar' },
+  { path: 'comments.user', select: 'name email avatar' }
+];
+
+const findEntry = (req) => ShortlistEntry.findOne({ _id: req.params.entryId, event: req.event._id });
+
+// The latest booking each vendor has for the event, keyed by vendor id
+const latestBookings = async (event, vendorIds) => {
+  const bookings = await Booking.find({ event: event._id, vendor: { $in: vendorIds } })
+    .select('vendor status createdAt')
+    .sort({ createdAt: 1 });
+  return new Map(bookings.map(booking => [booking.vendor.toString(), booking]));
+};
+
+// A shortlist entry for clients: the vendor summary, the vote tally, the discussion and
+// the vendor's booking for the event, if one was made
+const presentEntry = (entry, req, bookings) => {
+  const { vendor } = entry;
+  return {
+    _id: entry._id,
+    vendor: vendor && {
+      _id: vendor._id,
+      name: vendor.name,
+      company: vendor.company,
+      category: vendor.category,
+      email: vendor.email,
+      phone: vendor.phone,
+      pricing: vendor.pricing,
+      rating: vendor.averageRating,
+      reviewCount: vendor.reviewCount,
+      verified: vendor.verified
+    },
+    note: entry.note,
+    addedBy: entry.addedBy,
+    votes: voteSummary(entry, req.user),
+    voters: entry.votes.map(({ user, value }) => ({ user, value })),
+    comments: entry.comments,
+    booking: vendor && bookings.has(vendor._id.toString())
+      ? { _id: bookings.get(vendor._id.toString())._id, status: bookings.get(vendor._id.toString()).status }
+      : null,
+    createdAt: entry.createdAt
+  };
+};
+
+const presentOne = async (entry, req) => {
+  await entry.populate(ENTRY_POPULATE);
+  const bookings = entry.vendor ? await latestBookings(req.event, [entry.vendor._id]) : new Map();
+  return presentEntry(entry, req, bookings);
+};
+
+// @desc    Get the event's vendor shortlist, best voted first
+// @route   GET /api/events/:id/shortlist
+// @access  Private (event team)
+router.get('/', protect, loadOrganization, loadShortlistEvent(), async (req, res) => {
+  try {
+    const entries = await ShortlistEntry.find({ event: req.event._id })
+      .populate(ENTRY_POPULATE)
+      .sort({ createdAt: 1 });
+    const bookings = await latestBookings(req.event, entries.filter(entry => entry.vendor).map(entry => entry.vendor._id));
+
+    res.json(entries
+      .map(entry => presentEntry(entry, req, bookings))
+      .sort((a, b) => b.votes.score - a.votes.score));
+  } catch (error) {
+    console.error('Get shortlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Compare shortlisted vendors side by side (?vendors=id,id picks some, all by
+//          default; ?currency=EUR also converts their pricing into EUR)
+// @route   GET /api/events/:id/shortlist/compare
+// @access  Private (event team)
+router.get('/compare', protect, loadOrganization, loadShortlistEvent(), [
+  query('vendors').optional().custom(value => String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id)))
+    .withMessage('Vendors must be a comma-separated list of vendor IDs'),
+  query('currency').optional().isISO4217().withMessage('Currency must be a three-letter code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { event: req.event._id };
+    if (req.query.vendors) filter.vendor = { $in: String(req.query.vendors).split(',') };
+
+    const entries = (await ShortlistEntry.find(filter).populate(ENTRY_POPULATE[0]))
+      .filter(entry => entry.vendor);
+    const bookings = await latestBookings(req.event, entries.map(entry => entry.vendor._id));
+    const rates = req.query.currency ? await converter(req.query.currency.toUpperCase()) : null;
+
+    res.json({
+      event: { _id: req.event._id, title: req.event.title, location: req.event.location },
+      currency: rates?.currency,
+      vendors: entries.map(entry => comparisonRow(entry, req.event, {
+        user: req.user,
+        rates,
+        booking: bookings.get(entry.vendor._id.toString())
+      }))
+    });
+  } catch (error) {
+    console.error('Compare shortlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add a vendor to the shortlist with an optional note
+// @route   POST /api/events/:id/shortlist
+// @access  Private (organizer, co-organizer or organization manager)
+router.post('/', protect, loadOrganization, loadShortlistEvent('event:manage-bookings'), [
+  body('vendor').isMongoId().withMessage('Valid vendor ID is required'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.body.vendor, organization: req.organization._id }).select('name');
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    if (await ShortlistEntry.exists({ event: req.event._id, vendor: vendor._id })) {
+      return res.status(400).json({ message: `${vendor.name} is already on the shortlist` });
+    }
+
+    const entry = await ShortlistEntry.create({
+      event: req.event._id,
+      organization: req.organization._id,
+      vendor: vendor._id,
+      note: req.body.note,
+      addedBy: req.user._id
+    });
+    audit.record(req, { action: 'event.shortlist-add', target: req.event, metadata: { vendor: vendor._id } });
+
+    res.status(201).json(await presentOne(entry, req));
+  } catch (error) {
+    console.error('Add to shortlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Take a vendor off the shortlist, with its votes and comments
+// @route   DELETE /api/events/:id/shortlist/:entryId
+// @access  Private (organizer, co-organizer or organization manager)
+router.delete('/:entryId', protect, loadOrganization, loadShortlistEvent('event:manage-bookings'), async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({ message: 'Shortlist entry not found' });
+    }
+
+    await entry.deleteOne();
+    audit.record(req, { action: 'event.shortlist-remove', target: req.event, metadata: { vendor: entry.vendor } });
+
+    res.json({ message: 'Vendor removed from the shortlist' });
+  } catch (error) {
+    console.error('Remove from shortlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Vote for (1) or against (-1) a shortlisted vendor; 0 withdraws my vote
+// @route   PUT /api/events/:id/shortlist/:entryId/vote
+// @access  Private (event team)
+router.put('/:entryId/vote', protect, loadOrganization, loadShortlistEvent(), [
+  body('value').isIn([1, -1, 0]).withMessage('Vote must be 1, -1 or 0')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({ message: 'Shortlist entry not found' });
+    }
+
+    entry.vote(req.user._id, Number(req.body.value));
+    await entry.save();
+
+    res.json(await presentOne(entry, req));
+  } catch (error) {
+    console.error('Vote on shortlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Comment on a shortlisted vendor
+// @route   POST /api/events/:id/shortlist/:entryId/comments
+// @access  Private (event team)
+router.post('/:entryId/comments', protect, loadOrganization, loadShortlistEvent(), [
+  body('content').trim().isLength({ min: 1, max: 500 }).withMessage('Comment must be between 1 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({ message: 'Shortlist entry not found' });
+    }
+
+    entry.comments.push({ user: req.user._id, content: req.body.content });
+    await entry.save();
+
+    res.status(201).json(await presentOne(entry, req));
+  } catch (error) {
+    console.error('Comment on shortlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete a comment (its author, or whoever manages the event's bookings)
+// @route   DELETE /api/events/:id/shortlist/:entryId/comments/:commentId
+// @access  Private (event team)
+router.delete('/:entryId/comments/:commentId', protect, loadOrganization, loadShortlistEvent(), async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    const comment = entry?.comments.id(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.user.toString() !== req.user._id.toString() && !can(req.user, 'event:manage-bookings', req.event, req)) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    comment.deleteOne();
+    await entry.save();
+
+    res.json(await presentOne(entry, req));
+  } catch (error) {
+    console.error('Delete shortlist comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,84 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Task = require('../models/Task');
-const { protect, authorize } = require('../middleware/auth');
+const Event = require('../models/Event');
+const Vendor = require('../models/Vendor');
+const Organization = require('../models/Organization');
+const { protect, requirePermission } = require('../middleware/auth');
+const { loadOrganization, requireOrgRole } = require('../middleware/organization');
+const { can, allowedActions } = require('../services/permissions');
+const { notifyTaskAssigned, notifyTaskComment } = require('../services/notifications');
+const { uploadDocuments } = require('../middleware/upload');
+const { storeUpload, removeUpload } = require('../services/uploads');
+const { publicBaseUrl } = require('../utils/urls');
+const audit = require('../services/audit');
+const { locate } = require('../services/geocoding');
+const { taskConflicts } = require('../services/availability');
+const { complianceOf } = require('../services/compliance');
 
 const router = express.Router();
 
-// @desc    Get all tasks with filtering and pagination
+// Fields set directly on create and update. Who assigned or created a task, its
+// attachments, comments and time logs are kept by the server and their own routes.
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'event',
+  'assignedTo',
+  'category',
+  'priority',
+  'status',
+  'dueDate',
+  'startDate',
+  'estimatedHours',
+  'actualHours',
+  'budget',
+  'dependencies',
+  'tags',
+  'location',
+  'vendor',
+  'checklist',
+  'notifications',
+  'progress',
+  'notes'
+];
+
+const editableFields = (body) => Object.fromEntries(EDITABLE_FIELDS
+  .filter(field => body[field] !== undefined)
+  .map(field => [field, body[field]]));
+
+// Tasks can only point at events, vendors and assignees from their own organization.
+// A vendor whose insurance or licenses have expired can't be newly attached.
+const checkTaskReferences = async (req, { event, vendor, assignedTo }, currentVendor) => {
+  if (event && !(await Event.exists({ _id: event, organization: req.organization._id }))) {
+    return 'Event not found in this organization';
+  }
+  if (vendor && String(vendor) !== String(currentVendor || '')) {
+    const linked = await Vendor.findOne({ _id: vendor, organization: req.organization._id }).select('company insurance licenses');
+    if (!linked) {
+      return 'Vendor not found in this organization';
+    }
+    if (complianceOf(linked).status === 'expired') {
+      return `${linked.company} has expired insurance or licenses; renew them before attaching the vendor to a task`;
+    }
+  }
+  if (assignedTo && !Organization.roleAtLeast(req.organization.getMemberRole(assignedTo), 'staff')) {
+    return 'Tasks can only be assigned to staff of this organization';
+  }
+  return null;
+};
+
+// Permission scope for a task: the user's organization role plus the task's
+// event, whose organizer and task managers can manage all of its tasks
+const taskScope = async (req, eventId) => ({
+  orgRole: req.orgRole,
+  event: await Event.findById(eventId).select('organizer staff')
+});
+
+// @desc    Get the active organization's tasks with filtering and pagination
 // @route   GET /api/tasks
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, loadOrganization, async (req, res) => {
   try {
     const {
       page = 1,
@@ -21,18 +91,20 @@ router.get('/', protect, async (req, res) => {
       search,
       dueDateFrom,
       dueDateTo,
+      overdue,
       sortBy = 'dueDate',
       sortOrder = 'asc'
     } = req.query;
 
     // Build filter object
-    const filter = {};
+    const filter = { organization: req.organization._id };
     
     if (event) filter.event = event;
     if (assignedTo) filter.assignedTo = assignedTo;
     if (category) filter.category = category;
     if (priority) filter.priority = priority;
     if (status) filter.status = status;
+    if (overdue === 'true') filter.overdueAt = { $ne: null };
     if (dueDateFrom) filter.dueDate = { $gte: new Date(dueDateFrom) };
     if (dueDateTo) {
       filter.dueDate = filter.dueDate || {};
@@ -118,9 +190,9 @@ router.get('/categories', async (req, res) => {
 // @desc    Get single task
 // @route   GET /api/tasks/:id
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, loadOrganization, async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id)
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id })
       .populate('event', 'title startDate endDate')
       .populate('assignedTo', 'name email avatar')
       .populate('assignedBy', 'name email avatar')
@@ -132,7 +204,8 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    res.json(task);
+    const scope = await taskScope(req, task.event && task.event._id);
+    res.json({ ...task.toJSON(), permissions: allowedActions(req.user, 'task', task, scope) });
   } catch (error) {
     console.error('Get task error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -141,14 +214,15 @@ router.get('/:id', protect, async (req, res) => {
 
 // @desc    Create new task
 // @route   POST /api/tasks
-// @access  Private
-router.post('/', protect, [
+// @access  Private (organizer, co-organizer or task manager of the event, or organization manager)
+router.post('/', protect, requirePermission('task:create'), loadOrganization, requireOrgRole('staff'), [
   body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
   body('description').isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('event').isMongoId().withMessage('Valid event ID is required'),
   body('category').isIn(['Planning', 'Marketing', 'Logistics', 'Vendor Management', 'Budget', 'Technical', 'Administrative', 'Creative', 'Security', 'Other']).withMessage('Invalid category'),
   body('priority').isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
-  body('dueDate').isISO8601().withMessage('Valid due date is required')
+  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('budget.currency').optional().isISO4217().withMessage('Budget currency must be a three-letter code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -156,13 +230,29 @@ router.post('/', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const referenceError = await checkTaskReferences(req, req.body);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const event = await Event.findById(req.body.event).select('organizer staff');
+    if (!can(req.user, 'event:manage-tasks', event, req)) {
+      return res.status(403).json({ message: 'Not authorized to manage tasks for this event' });
+    }
+
     const taskData = {
-      ...req.body,
+      ...editableFields(req.body),
       assignedBy: req.user._id,
-      createdBy: req.user._id // Ensure createdBy is set
+      createdBy: req.user._id, // Ensure createdBy is set
+      organization: req.organization._id
     };
+    if (taskData.location) {
+      taskData.location = await locate(taskData.location);
+    }
 
     const task = await Task.create(taskData);
+    audit.record(req, { action: 'task.create', target: task, after: task });
+    notifyTaskAssigned(task, req.user);
     await task.populate([
       {
         path: 'event',
@@ -178,7 +268,8 @@ router.post('/', protect, [
       }
     ]);
 
-    res.status(201).json(task);
+    // Linking a vendor that is already committed elsewhere is allowed, with a warning
+    res.status(201).json({ ...task.toJSON(), vendorConflicts: await taskConflicts(task) });
   } catch (error) {
     console.error('Create task error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -188,12 +279,13 @@ router.post('/', protect, [
 // @desc    Update task
 // @route   PUT /api/tasks/:id
 // @access  Private
-router.put('/:id', protect, [
+router.put('/:id', protect, loadOrganization, [
   body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
   body('description').optional().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('category').optional().isIn(['Planning', 'Marketing', 'Logistics', 'Vendor Management', 'Budget', 'Technical', 'Administrative', 'Creative', 'Security', 'Other']).withMessage('Invalid category'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
-  body('dueDate').optional().isISO8601().withMessage('Valid due date is required')
+  body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
+  body('budget.currency').optional().isISO4217().withMessage('Budget currency must be a three-letter code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -201,22 +293,55 @@ router.put('/:id', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user is assigned to task, assigned by user, or admin
-    const isAssigned = task.assignedTo && task.assignedTo.toString() === req.user._id.toString();
-    const isAssignedBy = task.assignedBy.toString() === req.user._id.toString();
-    
-    if (!isAssigned && !isAssignedBy && req.user.role !== 'admin') {
+    // Check if user is assigned to task, assigned by user, or manages the event's tasks
+    const scope = await taskScope(req, task.event);
+    if (!can(req.user, 'task:update', task, scope)) {
       return res.status(403).json({ message: 'Not authorized to update this task' });
     }
 
+    // The assignee can work on a task but not hand it to someone else
+    const assigneeChanged = req.body.assignedTo !== undefined &&
+      String(req.body.assignedTo || '') !== (task.assignedTo ? task.assignedTo.toString() : '');
+    if (assigneeChanged && !can(req.user, 'task:assign', task, scope)) {
+      return res.status(403).json({ message: 'Not authorized to reassign this task' });
+    }
+
+    const referenceError = await checkTaskReferences(req, req.body, task.vendor);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    // Moving a task to another event needs the right to manage that event's tasks
+    if (req.body.event && req.body.event !== task.event.toString() &&
+      !can(req.user, 'event:manage-tasks', await Event.findById(req.body.event).select('organizer staff'), req)) {
+      return res.status(403).json({ message: 'Not authorized to manage tasks for this event' });
+    }
+
+    // A new due date earns a fresh reminder
+    const updates = editableFields(req.body);
+    if (updates.location) {
+      updates.location = await locate(updates.location);
+    }
+    const dueDateChanged = updates.dueDate && new Date(updates.dueDate).getTime() !== task.dueDate.getTime();
+    if (updates.notifications) {
+      updates.notifications = {
+        ...updates.notifications,
+        reminderSentAt: dueDateChanged ? null : task.notifications.reminderSentAt
+      };
+    } else if (dueDateChanged) {
+      updates['notifications.reminderSentAt'] = null;
+    }
+
+    const previousAssignee = task.assignedTo ? task.assignedTo.toString() : null;
+
     const updatedTask = await Task.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).populate([
       {
@@ -233,7 +358,13 @@ router.put('/:id', protect, [
       }
     ]);
 
-    res.json(updatedTask);
+    audit.record(req, { action: 'task.update', target: updatedTask, before: task, after: updatedTask });
+
+    if (updatedTask.assignedTo && updatedTask.assignedTo._id.toString() !== previousAssignee) {
+      notifyTaskAssigned(updatedTask, req.user);
+    }
+
+    res.json({ ...updatedTask.toJSON(), vendorConflicts: await taskConflicts(updatedTask) });
   } catch (error) {
     console.error('Update task error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -243,19 +374,21 @@ router.put('/:id', protect, [
 // @desc    Delete task
 // @route   DELETE /api/tasks/:id
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, loadOrganization, async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user is assigned by user or admin
-    if (task.assignedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is assigned by user or manages the event's tasks
+    if (!can(req.user, 'task:delete', task, await taskScope(req, task.event))) {
       return res.status(403).json({ message: 'Not authorized to delete this task' });
     }
 
     await Task.findByIdAndDelete(req.params.id);
+    audit.record(req, { action: 'task.delete', target: task, before: task });
+    await Promise.all(task.attachments.map(attachment => removeUpload(attachment)));
     res.json({ message: 'Task deleted successfully' });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -263,10 +396,72 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Upload task attachments
+// @route   POST /api/tasks/:id/attachments
+// @access  Private
+router.post('/:id/attachments', protect, loadOrganization, uploadDocuments('files', 5), async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check if user is assigned to task, assigned by user, or manages the event's tasks
+    if (!can(req.user, 'task:update', task, await taskScope(req, task.event))) {
+      return res.status(403).json({ message: 'Not authorized to update this task' });
+    }
+
+    const before = audit.snapshot(task);
+    const baseUrl = publicBaseUrl(req);
+    const stored = await Promise.all(req.files.map(file => storeUpload(file, { folder: `tasks/${task._id}`, baseUrl })));
+    stored.forEach(file => task.attachments.push({ ...file, uploadedBy: req.user._id }));
+    await task.save();
+    audit.record(req, { action: 'task.attachment-add', target: task, before, after: task });
+
+    res.status(201).json(task.attachments);
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete task attachment
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', protect, loadOrganization, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check if user is assigned to task, assigned by user, or manages the event's tasks
+    if (!can(req.user, 'task:update', task, await taskScope(req, task.event))) {
+      return res.status(403).json({ message: 'Not authorized to update this task' });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const before = audit.snapshot(task);
+    await removeUpload(attachment);
+    attachment.deleteOne();
+    await task.save();
+    audit.record(req, { action: 'task.attachment-remove', target: task, before, after: task });
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Add comment to task
 // @route   POST /api/tasks/:id/comments
 // @access  Private
-router.post('/:id/comments', protect, [
+router.post('/:id/comments', protect, loadOrganization, requireOrgRole('staff'), [
   body('content').isLength({ min: 1, max: 500 }).withMessage('Comment must be between 1 and 500 characters')
 ], async (req, res) => {
   try {
@@ -275,12 +470,15 @@ router.post('/:id/comments', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    const before = audit.snapshot(task);
     await task.addComment(req.user._id, req.body.content);
+    audit.record(req, { action: 'task.comment', target: task, before, after: task });
+    notifyTaskComment(task, req.user, req.body.content);
     await task.populate('comments.user', 'name email avatar');
 
     res.json(task);
@@ -293,7 +491,7 @@ router.post('/:id/comments', protect, [
 // @desc    Update task progress
 // @route   PUT /api/tasks/:id/progress
 // @access  Private
-router.put('/:id/progress', protect, [
+router.put('/:id/progress', protect, loadOrganization, [
   body('progress').isInt({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100')
 ], async (req, res) => {
   try {
@@ -302,18 +500,19 @@ router.put('/:id/progress', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user is assigned to task or admin
-    const isAssigned = task.assignedTo && task.assignedTo.toString() === req.user._id.toString();
-    if (!isAssigned && req.user.role !== 'admin') {
+    // Check if user is assigned to task or manages the event's tasks
+    if (!can(req.user, 'task:work', task, await taskScope(req, task.event))) {
       return res.status(403).json({ message: 'Not authorized to update this task' });
     }
 
+    const before = audit.snapshot(task);
     await task.updateProgress(req.body.progress);
+    audit.record(req, { action: 'task.progress', target: task, before, after: task });
     await task.populate([
       {
         path: 'assignedTo',
@@ -335,7 +534,7 @@ router.put('/:id/progress', protect, [
 // @desc    Add checklist item
 // @route   POST /api/tasks/:id/checklist
 // @access  Private
-router.post('/:id/checklist', protect, [
+router.post('/:id/checklist', protect, loadOrganization, requireOrgRole('staff'), [
   body('item').isLength({ min: 1, max: 200 }).withMessage('Checklist item must be between 1 and 200 characters')
 ], async (req, res) => {
   try {
@@ -344,12 +543,14 @@ router.post('/:id/checklist', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    const before = audit.snapshot(task);
     await task.addChecklistItem(req.body.item);
+    audit.record(req, { action: 'task.checklist-add', target: task, before, after: task });
     res.json(task);
   } catch (error) {
     console.error('Add checklist item error:', error);
@@ -360,14 +561,16 @@ router.post('/:id/checklist', protect, [
 // @desc    Toggle checklist item
 // @route   PUT /api/tasks/:id/checklist/:itemIndex
 // @access  Private
-router.put('/:id/checklist/:itemIndex', protect, async (req, res) => {
+router.put('/:id/checklist/:itemIndex', protect, loadOrganization, requireOrgRole('staff'), async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    const before = audit.snapshot(task);
     await task.toggleChecklistItem(parseInt(req.params.itemIndex), req.user._id);
+    audit.record(req, { action: 'task.checklist-toggle', target: task, before, after: task });
     res.json(task);
   } catch (error) {
     console.error('Toggle checklist item error:', error);
@@ -378,7 +581,7 @@ router.put('/:id/checklist/:itemIndex', protect, async (req, res) => {
 // @desc    Log time for task
 // @route   POST /api/tasks/:id/time-log
 // @access  Private
-router.post('/:id/time-log', protect, [
+router.post('/:id/time-log', protect, loadOrganization, [
   body('startTime').isISO8601().withMessage('Valid start time is required'),
   body('endTime').optional().isISO8601().withMessage('Valid end time is required'),
   body('description').optional().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters')
@@ -389,23 +592,24 @@ router.post('/:id/time-log', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user is assigned to task or admin
-    const isAssigned = task.assignedTo && task.assignedTo.toString() === req.user._id.toString();
-    if (!isAssigned && req.user.role !== 'admin') {
+    // Check if user is assigned to task or manages the event's tasks
+    if (!can(req.user, 'task:work', task, await taskScope(req, task.event))) {
       return res.status(403).json({ message: 'Not authorized to log time for this task' });
     }
 
+    const before = audit.snapshot(task);
     await task.logTime(
       req.user._id,
       new Date(req.body.startTime),
       req.body.endTime ? new Date(req.body.endTime) : null,
       req.body.description
     );
+    audit.record(req, { action: 'task.time-log', target: task, before, after: task });
 
     res.json(task);
   } catch (error) {
@@ -414,12 +618,34 @@ router.post('/:id/time-log', protect, [
   }
 });
 
+// @desc    Get the change history of a task
+// @route   GET /api/tasks/:id/history
+// @access  Private (whoever can update the task)
+router.get('/:id/history', protect, loadOrganization, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, organization: req.organization._id }).select('event assignedTo assignedBy');
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Check if user is assigned to task, assigned by user, or manages the event's tasks
+    if (!can(req.user, 'task:update', task, await taskScope(req, task.event))) {
+      return res.status(403).json({ message: 'Not authorized to view the history of this task' });
+    }
+
+    res.json(await audit.history(task._id, req.query));
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get my tasks (assigned to user)
 // @route   GET /api/tasks/my-tasks
 // @access  Private
-router.get('/my-tasks', protect, async (req, res) => {
+router.get('/my-tasks', protect, loadOrganization, async (req, res) => {
   try {
-    const tasks = await Task.find({ assignedTo: req.user._id })
+    const tasks = await Task.find({ assignedTo: req.user._id, organization: req.organization._id })
       .populate('event', 'title startDate endDate')
       .populate('assignedBy', 'name email avatar')
       .sort({ dueDate: 1 });
@@ -434,9 +660,9 @@ router.get('/my-tasks', protect, async (req, res) => {
 // @desc    Get tasks by event
 // @route   GET /api/tasks/event/:eventId
 // @access  Private
-router.get('/event/:eventId', protect, async (req, res) => {
+router.get('/event/:eventId', protect, loadOrganization, async (req, res) => {
   try {
-    const tasks = await Task.find({ event: req.params.eventId })
+    const tasks = await Task.find({ event: req.params.eventId, organization: req.organization._id })
       .populate('assignedTo', 'name email avatar')
       .populate('assignedBy', 'name email avatar')
       .populate('vendor', 'name company')
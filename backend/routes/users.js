@@ -1,13 +1,21 @@
 const express = require('express');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Organization = require('../models/Organization');
+const Event = require('../models/Event');
+const { protect, requirePermission } = require('../middleware/auth');
+const { loadOrganization } = require('../middleware/organization');
+const { can, roleExists, rolePermissions } = require('../services/permissions');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
-// @desc    Get all users (admin only)
+// Nobody can manage an account, or hand out a role, with permissions they do not hold themselves
+const holdsAll = (user, role) => rolePermissions(role).every(action => can(user, action));
+
+// @desc    Get all users
 // @route   GET /api/users
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (user:manage)
+router.get('/', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const users = await User.find().select('-password');
     res.json(users);
@@ -17,12 +25,15 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Get users for task assignment
+// @desc    Get users for task assignment (staff and up in the active organization)
 // @route   GET /api/users/assignable
 // @access  Private
-router.get('/assignable', protect, async (req, res) => {
+router.get('/assignable', protect, loadOrganization, async (req, res) => {
   try {
-    const users = await User.find().select('name email avatar');
+    const memberIds = req.organization.members
+      .filter(member => Organization.roleAtLeast(member.role, 'staff'))
+      .map(member => member.user);
+    const users = await User.find({ _id: { $in: memberIds } }).select('name email avatar');
     res.json(users);
   } catch (error) {
     console.error('Get assignable users error:', error);
@@ -40,8 +51,8 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Users can only view their own profile unless they're admin
-    if (req.user._id.toString() !== req.params.id && req.user.role !== 'admin') {
+    // Users can only view their own profile unless their role can view anyone's
+    if (!can(req.user, 'user:view', user)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -52,10 +63,10 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Update user (admin only)
+// @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Private/Admin
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (user:manage)
+router.put('/:id', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const { name, email, role, isVerified } = req.body;
 
@@ -64,12 +75,27 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (!holdsAll(req.user, user.role)) {
+      return res.status(403).json({ message: 'Not authorized to manage this user' });
+    }
+
+    if (role && role !== user.role) {
+      if (!roleExists(role)) {
+        return res.status(400).json({ message: `Unknown role: ${role}` });
+      }
+      if (!holdsAll(req.user, role)) {
+        return res.status(403).json({ message: 'Not authorized to assign this role' });
+      }
+    }
+
+    const before = audit.snapshot(user);
     user.name = name || user.name;
     user.email = email || user.email;
     user.role = role || user.role;
     user.isVerified = isVerified !== undefined ? isVerified : user.isVerified;
 
     const updatedUser = await user.save();
+    audit.record(req, { action: 'user.update', target: user, before, after: updatedUser });
     res.json(updatedUser);
   } catch (error) {
     console.error('Update user error:', error);
@@ -77,17 +103,24 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Delete user (admin only)
+// @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (user:manage)
+router.delete('/:id', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (!holdsAll(req.user, user.role)) {
+      return res.status(403).json({ message: 'Not authorized to delete this user' });
+    }
+
     await User.findByIdAndDelete(req.params.id);
+    audit.record(req, { action: 'user.delete', target: user, before: user });
+    await Organization.updateMany({ 'members.user': user._id }, { $pull: { members: { user: user._id } } });
+    await Event.updateMany({ 'staff.user': user._id }, { $pull: { staff: { user: user._id } } });
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
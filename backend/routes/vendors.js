@@ -1,14 +1,90 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Vendor = require('../models/Vendor');
-const { protect, authorize } = require('../middleware/auth');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const ShortlistEntry = require('../models/ShortlistEntry');
+const { protect, requirePermission, requireVerified } = require('../middleware/auth');
+const { loadOrganization, requireOrgRole } = require('../middleware/organization');
+const { can, allowedActions } = require('../services/permissions');
+const { uploadImage, uploadDocuments } = require('../middleware/upload');
+const { storeUpload, removeUpload } = require('../services/uploads');
+const { publicBaseUrl } = require('../utils/urls');
+const audit = require('../services/audit');
+const { converter, convertPricing } = require('../services/currency');
+const { checkAvailability, vendorCalendar } = require('../services/availability');
+const { EXPIRING_SOON_DAYS, STATUSES: COMPLIANCE_STATUSES, complianceOf, complianceFilter } = require('../services/compliance');
+const { findReviewSource, moderationQueue } = require('../services/reviews');
+const { EDITABLE_FIELDS, portalStatus } = require('../services/portal');
+const { sendAccountEmail } = require('../services/notifications');
+const { revokeSessions } = require('../services/sessions');
+const { locate } = require('../services/geocoding');
+const { MAX_RADIUS_KM, parseLatLng, fromPoint, paginateNear } = require('../utils/geo');
 
 const router = express.Router();
 
-// @desc    Get all vendors with filtering and pagination
+// Fields organizers set directly: the vendor's own profile plus the records the organization
+// keeps. Reviews, ratings and verification have their own routes and rules, as do documents,
+// portfolio items, blackouts and portal access.
+const ORGANIZER_FIELDS = [...EDITABLE_FIELDS, 'email', 'insurance', 'licenses', 'notes', 'status'];
+
+const organizerFields = (body) => Object.fromEntries(ORGANIZER_FIELDS
+  .filter(field => body[field] !== undefined)
+  .map(field => [field, body[field]]));
+
+const reviewValidators = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters'),
+  ...Vendor.REVIEW_CRITERIA.map(criterion =>
+    body(`criteria.${criterion}`).optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 5 }).withMessage(`The ${criterion} rating must be between 1 and 5`))
+];
+
+const reviewFields = ({ rating, comment, criteria = {} }) => ({
+  rating,
+  comment,
+  criteria: Object.fromEntries(Vendor.REVIEW_CRITERIA.filter(criterion => criteria[criterion]).map(criterion => [criterion, criteria[criterion]]))
+});
+
+const REVIEW_POPULATE = [
+  { path: 'reviews.user', select: 'name email avatar' },
+  { path: 'reviews.reply.user', select: 'name' }
+];
+
+// Everyone sees approved reviews, reviewers also see their own and moderators see
+// everything, including who flagged what
+const presentReviews = (vendor, req) => {
+  const moderator = can(req.user, 'vendor:moderate-reviews');
+  const me = req.user._id.toString();
+  const authorId = (review) => String(review.user?._id || review.user);
+
+  return {
+    rating: vendor.rating,
+    reviewCount: vendor.reviewCount,
+    criteriaRatings: vendor.criteriaRatings,
+    reviews: vendor.reviews
+      .filter(review => moderator || review.status === 'approved' || authorId(review) === me)
+      .map(review => {
+        const json = review.toJSON();
+        json.flaggedByMe = review.flags.some(flag => String(flag.user?._id || flag.user) === me);
+        if (!moderator) {
+          json.flagCount = review.flags.length;
+          delete json.flags;
+          delete json.moderation;
+        }
+        return json;
+      })
+  };
+};
+
+// @desc    Get the active organization's vendors with filtering and pagination.
+//          With ?currency=EUR each vendor also gets its pricing converted into EUR.
+//          ?compliance=compliant|expiring|expired filters on insurance and license expiry,
+//          with ?expiringWithin= days counting as expiring soon (30 by default).
+//          ?near=lat,lng or ?nearEvent=<event id> lists vendors with a known address nearest
+//          first, each with its distanceKm; ?radiusKm= caps the distance.
 // @route   GET /api/vendors
-// @access  Public
-router.get('/', async (req, res) => {
+// @access  Private
+router.get('/', protect, loadOrganization, async (req, res) => {
   try {
     const {
       page = 1,
@@ -21,11 +97,51 @@ router.get('/', async (req, res) => {
       verified,
       sortBy = 'rating',
       sortOrder = 'desc',
-      minRating
+      minRating,
+      currency,
+      compliance,
+      expiringWithin = EXPIRING_SOON_DAYS,
+      near,
+      nearEvent,
+      radiusKm
     } = req.query;
 
+    if (currency && !/^[A-Z]{3}$/i.test(currency)) {
+      return res.status(400).json({ message: 'Currency must be a three-letter code' });
+    }
+    if (compliance && !COMPLIANCE_STATUSES.includes(compliance)) {
+      return res.status(400).json({ message: `Compliance must be one of ${COMPLIANCE_STATUSES.join(', ')}` });
+    }
+    const days = parseInt(expiringWithin, 10);
+    if (!(days >= 0 && days <= 365)) {
+      return res.status(400).json({ message: 'expiringWithin must be between 0 and 365 days' });
+    }
+    const radius = radiusKm ? parseFloat(radiusKm) : undefined;
+    if (radiusKm && !(radius > 0 && radius <= MAX_RADIUS_KM)) {
+      return res.status(400).json({ message: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` });
+    }
+
+    // Where distances are measured from: a position, or the location of one of our events
+    let origin = null;
+    if (nearEvent) {
+      const event = /^[a-f\d]{24}$/i.test(nearEvent) &&
+        await Event.findOne({ _id: nearEvent, organization: req.organization._id }).select('location');
+      if (!event) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+      origin = fromPoint(event.location?.point);
+      if (!origin) {
+        return res.status(400).json({ message: 'The event\'s address could not be placed on the map' });
+      }
+    } else if (near) {
+      origin = parseLatLng(near);
+      if (!origin) {
+        return res.status(400).json({ message: 'near must be a "lat,lng" position' });
+      }
+    }
+
     // Build filter object
-    const filter = {};
+    const filter = { organization: req.organization._id };
     
     // Only apply status filter if explicitly provided, otherwise show all
     if (status) {
@@ -37,6 +153,7 @@ router.get('/', async (req, res) => {
     if (city) filter['address.city'] = { $regex: city, $options: 'i' };
     if (state) filter['address.state'] = { $regex: state, $options: 'i' };
     if (minRating) filter.rating = { $gte: parseFloat(minRating) };
+    if (compliance) filter.$and = [complianceFilter(compliance, { days })];
 
     // Build search query
     if (search && search.trim()) {
@@ -67,7 +184,27 @@ router.get('/', async (req, res) => {
       }
     };
 
-    const vendors = await Vendor.paginate(filter, options);
+    const vendors = origin
+      ? await paginateNear(Vendor, {
+        key: 'address.point',
+        near: origin,
+        radiusKm: radius,
+        filter,
+        page: options.page,
+        limit: options.limit,
+        populate: options.populate
+      })
+      : await Vendor.paginate(filter, options);
+
+    const rates = currency ? await converter(currency.toUpperCase()) : null;
+    vendors.docs = vendors.docs.map(vendor => ({
+      ...vendor.toJSON(),
+      reviews: vendor.reviews.filter(review => review.status === 'approved'),
+      reviewCount: vendor.reviewCount,
+      compliance: complianceOf(vendor, { days }),
+      convertedPricing: rates ? convertPricing(vendor.pricing, rates) : undefined,
+      distanceKm: vendor.$locals.distanceKm
+    }));
 
     res.json(vendors);
   } catch (error) {
@@ -100,30 +237,130 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// @desc    Get single vendor
+// @desc    Find active vendors that are free for a time window, e.g. Catering in Austin with
+//          ?category=Catering&city=Austin&start=2026-11-14T18:00&end=2026-11-14T23:00
+//          (state, verified, minRating and compliance filter as in the vendor list).
+//          Vendors that are busy or closed are included with ?includeUnavailable=true.
+// @route   GET /api/vendors/available
+// @access  Private
+router.get('/available', protect, loadOrganization, [
+  query('start').isISO8601().withMessage('Valid start time is required'),
+  query('end').isISO8601().withMessage('Valid end time is required'),
+  query('end').custom((end, { req }) => new Date(end) > new Date(req.query.start)).withMessage('End must be after the start')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { category, city, state, verified, minRating, compliance, includeUnavailable } = req.query;
+    const filter = { organization: req.organization._id, status: 'active' };
+    if (category) filter.category = category;
+    if (verified) filter.verified = verified === 'true';
+    if (city) filter['address.city'] = { $regex: city, $options: 'i' };
+    if (state) filter['address.state'] = { $regex: state, $options: 'i' };
+    if (minRating) filter.rating = { $gte: parseFloat(minRating) };
+    if (COMPLIANCE_STATUSES.includes(compliance)) filter.$and = [complianceFilter(compliance)];
+
+    const window = { start: new Date(req.query.start), end: new Date(req.query.end) };
+    const vendors = await Vendor.find(filter)
+      .select('name company category description email phone address pricing availability blackouts rating verified insurance licenses')
+      .sort({ rating: -1, name: 1 });
+    const results = await checkAvailability(vendors, window);
+
+    res.json({
+      start: window.start,
+      end: window.end,
+      vendors: results
+        .filter(result => includeUnavailable === 'true' || result.available)
+        .map(({ vendor, ...result }) => ({ ...vendor.toJSON(), compliance: complianceOf(vendor), ...result }))
+    });
+  } catch (error) {
+    console.error('Find available vendors error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Compliance report: vendors with insurance or licenses that have expired or
+//          expire within ?days= (30 by default), soonest first; ?category= narrows it
+// @route   GET /api/vendors/compliance
+// @access  Private (vendor:compliance)
+router.get('/compliance', protect, requirePermission('vendor:compliance'), loadOrganization, [
+  query('days').optional().isInt({ min: 0, max: 365 }).withMessage('Days must be between 0 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : EXPIRING_SOON_DAYS;
+    const filter = { organization: req.organization._id, ...complianceFilter('attention', { days }) };
+    if (req.query.category) filter.category = req.query.category;
+
+    const vendors = await Vendor.find(filter).select('name company category email phone status verified insurance licenses');
+    const report = vendors
+      .map(vendor => {
+        const compliance = complianceOf(vendor, { days });
+        return {
+          _id: vendor._id,
+          name: vendor.name,
+          company: vendor.company,
+          category: vendor.category,
+          email: vendor.email,
+          phone: vendor.phone,
+          status: vendor.status,
+          verified: vendor.verified,
+          compliance: { ...compliance, documents: compliance.documents.filter(document => document.status !== 'compliant') }
+        };
+      })
+      .sort((a, b) => new Date(a.compliance.documents[0].expiryDate) - new Date(b.compliance.documents[0].expiryDate));
+
+    res.json({ days, vendors: report });
+  } catch (error) {
+    console.error('Get vendor compliance report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get single vendor (?currency=EUR adds its pricing converted into EUR)
 // @route   GET /api/vendors/:id
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Private
+router.get('/:id', protect, loadOrganization, async (req, res) => {
   try {
-    const vendor = await Vendor.findById(req.params.id)
-      .populate('reviews.user', 'name email avatar')
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id })
+      .populate(REVIEW_POPULATE)
       .populate('createdBy', 'name email avatar');
 
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found' });
     }
 
-    res.json(vendor);
+    const { currency } = req.query;
+    const convertedPricing = currency && /^[A-Z]{3}$/i.test(currency)
+      ? convertPricing(vendor.pricing, await converter(currency.toUpperCase()))
+      : undefined;
+
+    const permissions = allowedActions(req.user, 'vendor', vendor, req);
+    res.json({
+      ...vendor.toJSON(),
+      ...presentReviews(vendor, req),
+      convertedPricing,
+      compliance: complianceOf(vendor),
+      portal: permissions.includes('vendor:update') ? await portalStatus(vendor) : undefined,
+      permissions
+    });
   } catch (error) {
     console.error('Get vendor error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @desc    Create new vendor
+// @desc    Create new vendor in the active organization
 // @route   POST /api/vendors
-// @access  Private
-router.post('/', protect, [
+// @access  Private (organization staff and up)
+router.post('/', protect, requirePermission('vendor:create'), requireVerified, loadOrganization, requireOrgRole('staff'), [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   body('company').trim().isLength({ min: 2, max: 100 }).withMessage('Company name must be between 2 and 100 characters'),
   body('email').isEmail().withMessage('Valid email is required'),
@@ -133,7 +370,8 @@ router.post('/', protect, [
   body('address.street').notEmpty().withMessage('Street address is required'),
   body('address.city').notEmpty().withMessage('City is required'),
   body('address.state').notEmpty().withMessage('State is required'),
-  body('address.zipCode').notEmpty().withMessage('Zip code is required')
+  body('address.zipCode').notEmpty().withMessage('Zip code is required'),
+  body('pricing.currency').optional().isISO4217().withMessage('Pricing currency must be a three-letter code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -142,18 +380,21 @@ router.post('/', protect, [
     }
 
     const vendorData = {
-      ...req.body,
-      createdBy: req.user._id
+      ...organizerFields(req.body),
+      createdBy: req.user._id,
+      organization: req.organization._id,
+      address: await locate(req.body.address)
     };
 
     const vendor = await Vendor.create(vendorData);
+    audit.record(req, { action: 'vendor.create', target: vendor, after: vendor });
     await vendor.populate('createdBy', 'name email avatar');
 
     res.status(201).json(vendor);
   } catch (error) {
     console.error('Create vendor error:', error);
     if (error.code === 11000) {
-      return res.status(400).json({ message: 'Vendor with this email already exists' });
+      return res.status(400).json({ message: 'Vendor with this email already exists in this organization' });
     }
     res.status(500).json({ message: 'Server error' });
   }
@@ -162,12 +403,17 @@ router.post('/', protect, [
 // @desc    Update vendor
 // @route   PUT /api/vendors/:id
 // @access  Private
-router.put('/:id', protect, [
+router.put('/:id', protect, loadOrganization, [
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   body('company').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Company name must be between 2 and 100 characters'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
   body('category').optional().isIn(['Catering', 'Audio/Visual', 'Photography', 'Venue', 'Transportation', 'Entertainment', 'Decoration', 'Security', 'Technology', 'Other']).withMessage('Invalid category'),
-  body('description').optional().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters')
+  body('description').optional().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('pricing.currency').optional().isISO4217().withMessage('Pricing currency must be a three-letter code'),
+  body('insurance.expiryDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid insurance expiry date'),
+  body('licenses').optional().isArray().withMessage('Licenses must be a list'),
+  body('licenses.*.name').optional().trim().isLength({ max: 100 }).withMessage('License names cannot exceed 100 characters'),
+  body('licenses.*.expiryDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid license expiry date')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -175,21 +421,27 @@ router.put('/:id', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const vendor = await Vendor.findById(req.params.id);
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found' });
     }
 
-    // Check if user is creator or admin
-    if (vendor.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is creator or an organization manager
+    if (!can(req.user, 'vendor:update', vendor, req)) {
       return res.status(403).json({ message: 'Not authorized to update this vendor' });
     }
 
+    const updates = organizerFields(req.body);
+    if (updates.address) {
+      updates.address = await locate(updates.address);
+    }
+
     const updatedVendor = await Vendor.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).populate('createdBy', 'name email avatar');
+    audit.record(req, { action: 'vendor.update', target: updatedVendor, before: vendor, after: updatedVendor });
 
     res.json(updatedVendor);
   } catch (error) {
@@ -201,19 +453,22 @@ router.put('/:id', protect, [
 // @desc    Delete vendor
 // @route   DELETE /api/vendors/:id
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, loadOrganization, async (req, res) => {
   try {
-    const vendor = await Vendor.findById(req.params.id);
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found' });
     }
 
-    // Check if user is creator or admin
-    if (vendor.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is creator or an organization manager
+    if (!can(req.user, 'vendor:delete', vendor, req)) {
       return res.status(403).json({ message: 'Not authorized to delete this vendor' });
     }
 
     await Vendor.findByIdAndDelete(req.params.id);
+    await ShortlistEntry.deleteMany({ vendor: vendor._id });
+    audit.record(req, { action: 'vendor.delete', target: vendor, before: vendor });
+    await Promise.all([...vendor.documents, ...vendor.portfolio].map(entry => removeUpload(entry)));
     res.json({ message: 'Vendor deleted successfully' });
   } catch (error) {
     console.error('Delete vendor error:', error);
@@ -221,12 +476,75 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Add review to vendor
-// @route   POST /api/vendors/:id/reviews
+// @desc    Upload vendor documents (contracts, certificates, price lists)
+// @route   POST /api/vendors/:id/documents
 // @access  Private
-router.post('/:id/reviews', protect, [
-  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-  body('comment').optional().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+router.post('/:id/documents', protect, loadOrganization, uploadDocuments('files', 5), async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    // Check if user is creator or an organization manager
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this vendor' });
+    }
+
+    const before = audit.snapshot(vendor);
+    const baseUrl = publicBaseUrl(req);
+    const stored = await Promise.all(req.files.map(file => storeUpload(file, { folder: `vendors/${vendor._id}/documents`, baseUrl })));
+    stored.forEach(file => vendor.documents.push(file));
+    await vendor.save();
+    audit.record(req, { action: 'vendor.document-add', target: vendor, before, after: vendor });
+
+    res.status(201).json(vendor.documents);
+  } catch (error) {
+    console.error('Upload vendor documents error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete vendor document
+// @route   DELETE /api/vendors/:id/documents/:documentId
+// @access  Private
+router.delete('/:id/documents/:documentId', protect, loadOrganization, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    // Check if user is creator or an organization manager
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this vendor' });
+    }
+
+    const document = vendor.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    await removeUpload(document);
+    document.deleteOne();
+    await vendor.save();
+    audit.record(req, { action: 'vendor.document-remove', target: vendor, before, after: vendor });
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Delete vendor document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add a portfolio item with an uploaded image
+// @route   POST /api/vendors/:id/portfolio
+// @access  Private
+router.post('/:id/portfolio', protect, loadOrganization, uploadImage('image'), [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('date').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid date')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -234,15 +552,283 @@ router.post('/:id/reviews', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const vendor = await Vendor.findById(req.params.id);
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found' });
     }
 
-    await vendor.addReview(req.user._id, req.body.rating, req.body.comment);
-    await vendor.populate('reviews.user', 'name email avatar');
+    // Check if user is creator or an organization manager
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this vendor' });
+    }
 
-    res.json(vendor);
+    const before = audit.snapshot(vendor);
+    const stored = await storeUpload(req.file, { folder: `vendors/${vendor._id}/portfolio`, baseUrl: publicBaseUrl(req) });
+    vendor.portfolio.push({
+      title: req.body.title,
+      description: req.body.description,
+      date: req.body.date || undefined,
+      image: stored.url,
+      key: stored.key,
+      thumbnail: stored.thumbnail,
+      thumbnailKey: stored.thumbnailKey
+    });
+    await vendor.save();
+    audit.record(req, { action: 'vendor.portfolio-add', target: vendor, before, after: vendor });
+
+    res.status(201).json(vendor.portfolio);
+  } catch (error) {
+    console.error('Add portfolio item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete portfolio item
+// @route   DELETE /api/vendors/:id/portfolio/:itemId
+// @access  Private
+router.delete('/:id/portfolio/:itemId', protect, loadOrganization, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    // Check if user is creator or an organization manager
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this vendor' });
+    }
+
+    const item = vendor.portfolio.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Portfolio item not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    await removeUpload(item);
+    item.deleteOne();
+    await vendor.save();
+    audit.record(req, { action: 'vendor.portfolio-remove', target: vendor, before, after: vendor });
+
+    res.json({ message: 'Portfolio item deleted successfully' });
+  } catch (error) {
+    console.error('Delete portfolio item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get a vendor's calendar: weekly hours, blackouts and commitments between
+//          ?from= and ?to= (the next 31 days by default, at most a year)
+// @route   GET /api/vendors/:id/calendar
+// @access  Private
+router.get('/:id/calendar', protect, loadOrganization, [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const start = req.query.from ? new Date(req.query.from) : new Date();
+    const end = req.query.to ? new Date(req.query.to) : new Date(start.getTime() + 31 * 24 * 60 * 60 * 1000);
+    if (end <= start || end - start > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: 'The calendar range must end after it starts and span at most a year' });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    res.json(await vendorCalendar(vendor, { start, end }));
+  } catch (error) {
+    console.error('Get vendor calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add a blackout period the vendor can't be booked
+// @route   POST /api/vendors/:id/blackouts
+// @access  Private
+router.post('/:id/blackouts', protect, loadOrganization, [
+  body('start').isISO8601().withMessage('Valid start is required'),
+  body('end').isISO8601().withMessage('Valid end is required'),
+  body('end').custom((end, { req }) => new Date(end) > new Date(req.body.start)).withMessage('End must be after the start'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this vendor' });
+    }
+
+    const before = audit.snapshot(vendor);
+    vendor.blackouts.push({ start: req.body.start, end: req.body.end, reason: req.body.reason });
+    vendor.blackouts.sort((a, b) => a.start - b.start);
+    await vendor.save();
+    audit.record(req, { action: 'vendor.blackout-add', target: vendor, before, after: vendor });
+
+    res.status(201).json(vendor.blackouts);
+  } catch (error) {
+    console.error('Add vendor blackout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove a blackout period
+// @route   DELETE /api/vendors/:id/blackouts/:blackoutId
+// @access  Private
+router.delete('/:id/blackouts/:blackoutId', protect, loadOrganization, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this vendor' });
+    }
+
+    const blackout = vendor.blackouts.id(req.params.blackoutId);
+    if (!blackout) {
+      return res.status(404).json({ message: 'Blackout not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    blackout.deleteOne();
+    await vendor.save();
+    audit.record(req, { action: 'vendor.blackout-remove', target: vendor, before, after: vendor });
+
+    res.json({ message: 'Blackout removed' });
+  } catch (error) {
+    console.error('Remove vendor blackout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Invite the vendor to create a vendor portal account (at ?email, the vendor's
+//          own address by default), replacing any open invitation
+// @route   POST /api/vendors/:id/portal-invitation
+// @access  Private
+router.post('/:id/portal-invitation', protect, loadOrganization, [
+  body('email').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this vendor' });
+    }
+
+    const email = req.body.email || vendor.email;
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: `An account already uses ${email}; invite another address` });
+    }
+
+    const before = audit.snapshot(vendor);
+    const token = vendor.createPortalInvitation(email, req.user._id);
+    await vendor.save();
+    audit.record(req, { action: 'vendor.portal-invite', target: vendor, before, after: vendor });
+
+    try {
+      await sendAccountEmail('portalInvitation', { email }, {
+        vendor,
+        organization: req.organization,
+        inviter: req.user,
+        token
+      });
+    } catch (error) {
+      console.error('Send portal invitation email error:', error);
+      return res.status(502).json({ message: 'Invitation saved, but the email could not be sent. Try again later.' });
+    }
+
+    res.status(201).json(await portalStatus(vendor));
+  } catch (error) {
+    console.error('Invite vendor to portal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove the vendor's portal access: cancels the open invitation, and signs out
+//          and unlinks its accounts
+// @route   DELETE /api/vendors/:id/portal-access
+// @access  Private
+router.delete('/:id/portal-access', protect, loadOrganization, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to update this vendor' });
+    }
+
+    const accounts = await User.find({ accountType: 'vendor', vendor: vendor._id }).select('_id');
+    for (const account of accounts) {
+      await revokeSessions({ user: account._id }, 'vendor-access-removed');
+    }
+    await User.updateMany({ _id: { $in: accounts.map(account => account._id) } }, { $unset: { vendor: 1 } });
+
+    const before = audit.snapshot(vendor);
+    vendor.portalInvitation = undefined;
+    await vendor.save();
+    audit.record(req, {
+      action: 'vendor.portal-revoke',
+      target: vendor,
+      before,
+      after: vendor,
+      metadata: { accounts: accounts.map(account => account._id) }
+    });
+
+    res.json(await portalStatus(vendor));
+  } catch (error) {
+    console.error('Remove vendor portal access error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add review to vendor. It is marked verified when one of the reviewer's
+//          events used the vendor on a booking or task.
+// @route   POST /api/vendors/:id/reviews
+// @access  Private
+router.post('/:id/reviews', protect, loadOrganization, requireOrgRole('staff'), reviewValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    const source = await findReviewSource(req.user._id, vendor);
+    await vendor.addReview(req.user._id, reviewFields(req.body), source);
+    audit.record(req, { action: 'vendor.review-add', target: vendor, before, after: vendor });
+    await vendor.populate(REVIEW_POPULATE);
+
+    res.json({ ...vendor.toJSON(), ...presentReviews(vendor, req) });
   } catch (error) {
     console.error('Add review error:', error);
     res.status(400).json({ message: error.message });
@@ -252,25 +838,25 @@ router.post('/:id/reviews', protect, [
 // @desc    Update review
 // @route   PUT /api/vendors/:id/reviews
 // @access  Private
-router.put('/:id/reviews', protect, [
-  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-  body('comment').optional().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
-], async (req, res) => {
+router.put('/:id/reviews', protect, loadOrganization, requireOrgRole('staff'), reviewValidators, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const vendor = await Vendor.findById(req.params.id);
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found' });
     }
 
-    await vendor.updateReview(req.user._id, req.body.rating, req.body.comment);
-    await vendor.populate('reviews.user', 'name email avatar');
+    const before = audit.snapshot(vendor);
+    const source = await findReviewSource(req.user._id, vendor);
+    await vendor.updateReview(req.user._id, reviewFields(req.body), source);
+    audit.record(req, { action: 'vendor.review-update', target: vendor, before, after: vendor });
+    await vendor.populate(REVIEW_POPULATE);
 
-    res.json(vendor);
+    res.json({ ...vendor.toJSON(), ...presentReviews(vendor, req) });
   } catch (error) {
     console.error('Update review error:', error);
     res.status(400).json({ message: error.message });
@@ -280,29 +866,162 @@ router.put('/:id/reviews', protect, [
 // @desc    Remove review
 // @route   DELETE /api/vendors/:id/reviews
 // @access  Private
-router.delete('/:id/reviews', protect, async (req, res) => {
+router.delete('/:id/reviews', protect, loadOrganization, async (req, res) => {
   try {
-    const vendor = await Vendor.findById(req.params.id);
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found' });
     }
 
+    const before = audit.snapshot(vendor);
     await vendor.removeReview(req.user._id);
-    await vendor.populate('reviews.user', 'name email avatar');
+    audit.record(req, { action: 'vendor.review-remove', target: vendor, before, after: vendor });
+    await vendor.populate(REVIEW_POPULATE);
 
-    res.json(vendor);
+    res.json({ ...vendor.toJSON(), ...presentReviews(vendor, req) });
   } catch (error) {
     console.error('Remove review error:', error);
     res.status(400).json({ message: error.message });
   }
 });
 
+// @desc    Flag a review as abusive; three flags hide it until a moderator decides
+// @route   POST /api/vendors/:id/reviews/:reviewId/flags
+// @access  Private
+router.post('/:id/reviews/:reviewId/flags', protect, loadOrganization, [
+  body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason cannot exceed 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    await vendor.flagReview(req.params.reviewId, req.user._id, req.body.reason);
+    audit.record(req, { action: 'vendor.review-flag', target: vendor, before, after: vendor, metadata: { review: req.params.reviewId } });
+    await vendor.populate(REVIEW_POPULATE);
+
+    res.json({ ...vendor.toJSON(), ...presentReviews(vendor, req) });
+  } catch (error) {
+    console.error('Flag review error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Reply to a review on the vendor's behalf (an empty comment removes the reply)
+// @route   PUT /api/vendors/:id/reviews/:reviewId/reply
+// @access  Private
+router.put('/:id/reviews/:reviewId/reply', protect, loadOrganization, [
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Reply cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to reply for this vendor' });
+    }
+
+    const before = audit.snapshot(vendor);
+    await vendor.replyToReview(req.params.reviewId, req.user._id, req.body.comment);
+    audit.record(req, { action: 'vendor.review-reply', target: vendor, before, after: vendor, metadata: { review: req.params.reviewId } });
+    await vendor.populate(REVIEW_POPULATE);
+
+    res.json({ ...vendor.toJSON(), ...presentReviews(vendor, req) });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Reviews waiting for moderation in the active organization: hidden and flagged ones
+// @route   GET /api/vendors/reviews/moderation
+// @access  Private (vendor:moderate-reviews)
+router.get('/reviews/moderation', protect, requirePermission('vendor:moderate-reviews'), loadOrganization, async (req, res) => {
+  try {
+    res.json(await moderationQueue(req.organization._id));
+  } catch (error) {
+    console.error('Get review moderation queue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Approve (clearing its flags) or reject a review
+// @route   PUT /api/vendors/:id/reviews/:reviewId/moderation
+// @access  Private (vendor:moderate-reviews)
+router.put('/:id/reviews/:reviewId/moderation', protect, requirePermission('vendor:moderate-reviews'), loadOrganization, [
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id });
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const before = audit.snapshot(vendor);
+    await vendor.moderateReview(req.params.reviewId, req.user._id, req.body.status, req.body.note);
+    audit.record(req, {
+      action: 'vendor.review-moderate',
+      target: vendor,
+      before,
+      after: vendor,
+      metadata: { review: req.params.reviewId, status: req.body.status }
+    });
+
+    res.json({ message: `Review ${req.body.status}` });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    Get the change history of a vendor
+// @route   GET /api/vendors/:id/history
+// @access  Private (creator or organization manager)
+router.get('/:id/history', protect, loadOrganization, async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.organization._id }).select('createdBy');
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    // Check if user is creator or an organization manager
+    if (!can(req.user, 'vendor:update', vendor, req)) {
+      return res.status(403).json({ message: 'Not authorized to view the history of this vendor' });
+    }
+
+    res.json(await audit.history(vendor._id, req.query));
+  } catch (error) {
+    console.error('Get vendor history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get my vendors (created by user)
 // @route   GET /api/vendors/my-vendors
 // @access  Private
-router.get('/my-vendors', protect, async (req, res) => {
+router.get('/my-vendors', protect, loadOrganization, async (req, res) => {
   try {
-    const vendors = await Vendor.find({ createdBy: req.user._id })
+    const vendors = await Vendor.find({ createdBy: req.user._id, organization: req.organization._id })
       .populate('reviews.user', 'name email avatar')
       .sort({ createdAt: -1 });
 
@@ -313,18 +1032,20 @@ router.get('/my-vendors', protect, async (req, res) => {
   }
 });
 
-// @desc    Verify vendor (admin only)
+// @desc    Verify vendor
 // @route   PUT /api/vendors/:id/verify
-// @access  Private/Admin
-router.put('/:id/verify', protect, authorize('admin'), async (req, res) => {
+// @access  Private (vendor:verify)
+router.put('/:id/verify', protect, requirePermission('vendor:verify'), async (req, res) => {
   try {
     const vendor = await Vendor.findById(req.params.id);
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found' });
     }
 
+    const before = audit.snapshot(vendor);
     vendor.verified = !vendor.verified;
     await vendor.save();
+    audit.record(req, { action: 'vendor.verify', target: vendor, before, after: vendor });
 
     res.json(vendor);
   } catch (error) {
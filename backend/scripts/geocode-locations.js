@@ -0,0 +1,70 @@
+// Places existing events, tasks and vendors on the map. Documents saved before
+// geocoding existed get a GeoJSON point, either from their old { lat, lng }
+// coordinates or by geocoding their address with the configured GEOCODER.
+//
+// Usage: npm run geocode:locations
+// Safe to run more than once; documents that already have a point are skipped.
+require('dotenv').config({ path: './config.env' });
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Task = require('../models/Task');
+const Vendor = require('../models/Vendor');
+const { geocode } = require('../services/geocoding');
+const { isLatLng, toPoint } = require('../utils/geo');
+
+// The public Nominatim server allows one request a second
+const DELAY_MS = process.env.GEOCODER === 'nominatim' ? 1000 : 0;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const backfill = async (Model, path, label) => {
+  let placed = 0;
+  let missed = 0;
+  const cursor = Model.find({ [`${path}.point`]: { $exists: false } }).select(path).lean().cursor();
+
+  for await (const doc of cursor) {
+    const { coordinates, ...fields } = doc[path] || {};
+    let position = isLatLng(coordinates) ? coordinates : null;
+    if (!position && [fields.address, fields.street, fields.city, fields.zipCode].some(Boolean)) {
+      try {
+        position = await geocode(fields);
+      } catch (error) {
+        console.error(`Geocoding ${label} ${doc._id} failed:`, error.message);
+      }
+      await wait(DELAY_MS);
+    }
+
+    if (!isLatLng(position)) {
+      missed++;
+      continue;
+    }
+
+    // Written through the driver so the legacy coordinates, no longer in the schema, can be removed
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      { $set: { [`${path}.point`]: toPoint(position) }, $unset: { [`${path}.coordinates`]: '' } }
+    );
+    placed++;
+  }
+
+  console.log(`Placed ${placed} ${label}s on the map, ${missed} could not be found`);
+};
+
+const run = async () => {
+  await Promise.all([Event.createIndexes(), Task.createIndexes(), Vendor.createIndexes()]);
+  await backfill(Event, 'location', 'event');
+  await backfill(Task, 'location', 'task');
+  await backfill(Vendor, 'address', 'vendor');
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(run)
+  .then(() => {
+    console.log('Geocoding backfill complete');
+    return mongoose.disconnect();
+  })
+  .catch(async (error) => {
+    console.error('Geocoding backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
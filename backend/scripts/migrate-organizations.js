@@ -0,0 +1,95 @@
+// One-off migration for databases created before organizations existed.
+// Every user gets a personal workspace, legacy events, tasks and vendors are
+// moved into their owner's workspace, and the old global unique index on
+// vendor email is replaced by the per-organization one.
+//
+// Usage: npm run migrate:organizations
+// Safe to run more than once; documents that already have an organization are skipped.
+require('dotenv').config({ path: './config.env' });
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Event = require('../models/Event');
+const Task = require('../models/Task');
+const Vendor = require('../models/Vendor');
+
+const workspaces = new Map();
+
+// Find (or create) the personal workspace of a user
+const personalWorkspace = async (userId) => {
+  const key = userId.toString();
+  if (!workspaces.has(key)) {
+    let organization = await Organization.findOne({ isPersonal: true, createdBy: userId });
+    if (!organization) {
+      const user = await User.findById(userId);
+      if (!user) return null;
+      organization = await Organization.createPersonal(user);
+    }
+    workspaces.set(key, organization);
+  }
+  return workspaces.get(key);
+};
+
+const unassigned = { $or: [{ organization: { $exists: false } }, { organization: null }] };
+
+const migrate = async () => {
+  for await (const user of User.find().select('_id')) {
+    await personalWorkspace(user._id);
+  }
+  console.log(`Personal workspaces ready for ${workspaces.size} users`);
+
+  let count = 0;
+  for await (const event of Event.find(unassigned).select('organizer')) {
+    const organization = await personalWorkspace(event.organizer);
+    if (!organization) continue;
+    await Event.updateOne({ _id: event._id }, { organization: organization._id });
+    count++;
+  }
+  console.log(`Moved ${count} events`);
+
+  // Tasks follow their event; assignees join the workspace so they keep seeing their tasks
+  count = 0;
+  for await (const task of Task.find(unassigned).select('event assignedBy assignedTo')) {
+    const event = await Event.findById(task.event).select('organization');
+    const organization = event && event.organization
+      ? await Organization.findById(event.organization)
+      : await personalWorkspace(task.assignedBy);
+    if (!organization) continue;
+
+    if (task.assignedTo && !organization.getMemberRole(task.assignedTo)) {
+      organization.addMember(task.assignedTo, 'staff');
+      await organization.save();
+    }
+    await Task.updateOne({ _id: task._id }, { organization: organization._id });
+    count++;
+  }
+  console.log(`Moved ${count} tasks`);
+
+  count = 0;
+  for await (const vendor of Vendor.find(unassigned).select('createdBy')) {
+    const organization = await personalWorkspace(vendor.createdBy);
+    if (!organization) continue;
+    await Vendor.updateOne({ _id: vendor._id }, { organization: organization._id });
+    count++;
+  }
+  console.log(`Moved ${count} vendors`);
+
+  const indexes = await Vendor.collection.indexes();
+  if (indexes.some(index => index.name === 'email_1')) {
+    await Vendor.collection.dropIndex('email_1');
+    console.log('Dropped the global vendor email index');
+  }
+  await Vendor.syncIndexes();
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then(() => {
+    console.log('Organization migration complete');
+    return mongoose.disconnect();
+  })
+  .catch(async (error) => {
+    console.error('Organization migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -10,9 +10,28 @@ const eventRoutes = require('./routes/events');
 const userRoutes = require('./routes/users');
 const vendorRoutes = require('./routes/vendors');
 const taskRoutes = require('./routes/tasks');
+const calendarRoutes = require('./routes/calendar');
+const notificationRoutes = require('./routes/notifications');
+const jobRoutes = require('./routes/jobs');
+const settingRoutes = require('./routes/settings');
+const organizationRoutes = require('./routes/organizations');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
+const budgetRoutes = require('./routes/budget');
+const bookingRoutes = require('./routes/bookings');
+const shortlistRoutes = require('./routes/shortlist');
+const currencyRoutes = require('./routes/currencies');
+const portalRoutes = require('./routes/portal');
+const scheduler = require('./services/scheduler');
+require('./jobs');
 
 const app = express();
 
+// Behind load balancers or reverse proxies, TRUST_PROXY is how many of them to trust for the client IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -28,15 +47,29 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Static files
-app.use('/uploads', express.static('uploads'));
+// Static files (uploaded images are embedded by the frontend, which runs on another origin)
+app.use('/uploads', express.static(process.env.UPLOAD_DIR || 'uploads', {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/events/:id/budget', budgetRoutes);
+app.use('/api/events/:id/bookings', bookingRoutes);
+app.use('/api/events/:id/shortlist', shortlistRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/vendors', vendorRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/portal', portalRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -62,6 +95,10 @@ mongoose.connect(process.env.MONGODB_URI)
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    if (process.env.DISABLE_JOBS !== 'true') {
+      scheduler.start().catch(err => console.error('Job scheduler error:', err));
+    }
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
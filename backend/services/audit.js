@@ -0,0 +1,116 @@
+const AuditLog = require('../models/AuditLog');
+const { clientInfo } = require('./sessions');
+
+// Only ever logged as "changed", never with their values
+const SECRET_FIELDS = [
+  'password',
+  'calendarToken',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret',
+  'twoFactor.lastUsedStep',
+  'twoFactor.recoveryCodes',
+  'portalInvitation.tokenHash'
+];
+
+// Timestamps change on every save
+const IGNORED_FIELDS = ['__v', 'createdAt', 'updatedAt'];
+
+// Lists with their own audit actions (registering, joining the waitlist), left out of
+// ordinary diffs so a busy event does not copy its whole guest list into every entry
+const UNTRACKED_FIELDS = {
+  Event: ['attendees', 'waitlist']
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isSubdocumentList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(item => isPlainObject(item) && item._id);
+
+const matchesField = (field, list) => list.some(entry => field === entry || field.startsWith(`${entry}.`));
+
+// Plain copy of a document, taken before it is changed
+const snapshot = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+// Flatten a snapshot into dotted paths. Lists of subdocuments are keyed by id, so
+// editing one staff member or comment only shows that entry.
+const flatten = (value, path = '', out = {}) => {
+  if (isPlainObject(value) || isSubdocumentList(value)) {
+    const entries = Array.isArray(value)
+      ? value.map(item => [item._id.toString(), item])
+      : Object.entries(value);
+    entries.forEach(([key, child]) => {
+      if (key === '_id' || (!path && IGNORED_FIELDS.includes(key))) return;
+      flatten(child, path ? `${path}.${key}` : key, out);
+    });
+  } else if (path && !(Array.isArray(value) && value.length === 0)) {
+    out[path] = value;
+  }
+  return out;
+};
+
+// Field-level differences between two snapshots. `fields` limits the diff to those paths.
+const diff = (before, after, { targetType, fields } = {}) => {
+  const previous = flatten(snapshot(before));
+  const current = flatten(snapshot(after));
+  const untracked = UNTRACKED_FIELDS[targetType] || [];
+
+  return [...new Set([...Object.keys(previous), ...Object.keys(current)])]
+    .filter(field => (fields ? matchesField(field, fields) : !matchesField(field, untracked)))
+    .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]))
+    .map(field => (matchesField(field, SECRET_FIELDS)
+      ? { field, redacted: true }
+      : { field, before: previous[field], after: current[field] }));
+};
+
+// Write an audit entry for a change to one of the record types in AuditLog.targetType.
+// Pass `before` and `after` (documents or snapshots) to store a diff; leave `before` out
+// for creations and `after` out for deletions. Like notifications, failures are logged
+// rather than thrown.
+const record = async (req, { action, target, targetType: type, before, after, fields, actor, metadata }) => {
+  try {
+    const targetType = type || target.constructor.modelName;
+    const changes = before || after ? diff(before, after, { targetType, fields }) : [];
+
+    // Saves that did not change anything are not worth an entry
+    if (before && after && changes.length === 0 && !metadata) {
+      return null;
+    }
+
+    return await AuditLog.create({
+      actor: actor !== undefined ? actor : (req.user ? req.user._id : null),
+      action,
+      targetType,
+      target: target._id,
+      organization: target.organization || (req.organization ? req.organization._id : undefined),
+      changes,
+      metadata,
+      ...clientInfo(req)
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+// A record's audit entries, newest first
+const history = (target, { page = 1, limit = 20 } = {}) => AuditLog.paginate({ target }, {
+  page: parseInt(page),
+  limit: parseInt(limit),
+  sort: { createdAt: -1 },
+  populate: { path: 'actor', select: 'name email avatar' }
+});
+
+module.exports = {
+  snapshot,
+  diff,
+  record,
+  history
+};
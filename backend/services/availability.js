@@ -0,0 +1,201 @@
+// Vendor availability: the weekly working hours, blackout periods and the bookings
+// and tasks a vendor is already committed to. Times are in the server's local time,
+// the same as the "HH:MM" weekly hours.
+
+const Booking = require('../models/Booking');
+const Task = require('../models/Task');
+const Vendor = require('../models/Vendor');
+
+const HOUR = 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const COMMITTED_BOOKING = ['accepted', 'confirmed'];
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(day);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+// Without hours a booking holds the vendor for a day from its start
+const bookingWindow = (booking) => {
+  const start = new Date(booking.request.date);
+  return { start, end: new Date(start.getTime() + (booking.request.hours || 24) * HOUR) };
+};
+
+// A task takes the vendor for its event, or for the whole day it's due without one
+const taskWindow = (task) => {
+  if (task.event?.startDate) {
+    return { start: new Date(task.event.startDate), end: new Date(task.event.endDate) };
+  }
+  const start = startOfDay(task.dueDate);
+  return { start, end: addDays(start, 1) };
+};
+
+// The vendor's open periods between two times, from the weekly hours. Null when
+// no hours are set at all, which leaves the vendor unrestricted.
+const openingHours = (vendor, from, to) => {
+  const week = WEEKDAYS.map(day => vendor.availability?.[day]);
+  if (!week.some(hours => hours?.start && hours?.end)) {
+    return null;
+  }
+
+  const periods = [];
+  // Start a day early to catch overnight hours running into the first day
+  for (let day = addDays(startOfDay(from), -1); day < to; day = addDays(day, 1)) {
+    const hours = week[day.getDay()];
+    if (!hours?.start || !hours?.end) continue;
+
+    const start = atTime(day, hours.start);
+    let end = atTime(day, hours.end);
+    if (end <= start) end = addDays(end, 1);
+    if (overlaps({ start, end }, { start: from, end: to })) {
+      periods.push({ start, end });
+    }
+  }
+
+  // Merge back-to-back days so a window running past midnight can fit
+  return periods.reduce((merged, period) => {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) {
+      last.end = period.end > last.end ? period.end : last.end;
+    } else {
+      merged.push({ ...period });
+    }
+    return merged;
+  }, []);
+};
+
+const withinHours = (vendor, window) => {
+  const periods = openingHours(vendor, window.start, window.end);
+  return !periods || periods.some(period => period.start <= window.start && period.end >= window.end);
+};
+
+const blackoutsIn = (vendor, window) =>
+  (vendor.blackouts || [])
+    .filter(blackout => overlaps(blackout, window))
+    .map(blackout => ({
+      type: 'blackout',
+      id: blackout._id,
+      vendor: vendor._id,
+      label: blackout.reason || 'Unavailable',
+      start: blackout.start,
+      end: blackout.end
+    }));
+
+// Accepted and confirmed bookings, plus open tasks linked to the vendors by hand,
+// that overlap the window. Tasks created by a booking are covered by the booking.
+const loadCommitments = async (vendorIds, window, { excludeBooking, excludeTask } = {}) => {
+  const bookingFilter = {
+    vendor: { $in: vendorIds },
+    status: { $in: COMMITTED_BOOKING },
+    'request.date': { $lt: window.end },
+    $expr: {
+      $gt: [{ $add: ['$request.date', { $multiply: [{ $ifNull: ['$request.hours', 24] }, HOUR] }] }, window.start]
+    }
+  };
+  if (excludeBooking) bookingFilter._id = { $ne: excludeBooking };
+
+  const [bookings, bookingTasks] = await Promise.all([
+    Booking.find(bookingFilter).select('vendor event status request').populate('event', 'title'),
+    Booking.distinct('tasks', { vendor: { $in: vendorIds } })
+  ]);
+
+  const tasks = await Task.find({
+    vendor: { $in: vendorIds },
+    status: { $nin: ['completed', 'cancelled'] },
+    _id: { $nin: excludeTask ? [...bookingTasks, excludeTask] : bookingTasks }
+  })
+    .select('title status vendor event dueDate')
+    .populate('event', 'title startDate endDate');
+
+  return [
+    ...bookings.map(booking => ({
+      type: 'booking',
+      id: booking._id,
+      vendor: booking.vendor,
+      label: booking.event?.title || 'Booking',
+      event: booking.event,
+      status: booking.status,
+      ...bookingWindow(booking)
+    })),
+    ...tasks.map(task => ({
+      type: 'task',
+      id: task._id,
+      vendor: task.vendor,
+      label: task.title,
+      event: task.event && { _id: task.event._id, title: task.event.title },
+      status: task.status,
+      ...taskWindow(task)
+    })).filter(commitment => overlaps(commitment, window))
+  ].sort((a, b) => a.start - b.start);
+};
+
+// The double bookings a vendor would have for the window: blackouts and other
+// commitments, leaving out the booking or task being checked
+const findConflicts = async (vendorId, window, exclude) => {
+  const vendor = await Vendor.findById(vendorId).select('blackouts');
+  if (!vendor) {
+    return [];
+  }
+
+  const commitments = await loadCommitments([vendor._id], window, exclude);
+  return [...blackoutsIn(vendor, window), ...commitments];
+};
+
+// Conflicts for a task's vendor; the task's event must be populated with its dates
+const taskConflicts = async (task) => {
+  if (!task.vendor || ['completed', 'cancelled'].includes(task.status)) {
+    return [];
+  }
+  return findConflicts(task.vendor._id || task.vendor, taskWindow(task), { excludeTask: task._id });
+};
+
+// Whether each vendor is free for the window, with the reasons it isn't
+const checkAvailability = async (vendors, window) => {
+  const commitments = await loadCommitments(vendors.map(vendor => vendor._id), window);
+
+  return vendors.map(vendor => {
+    const conflicts = [
+      ...blackoutsIn(vendor, window),
+      ...commitments.filter(commitment => commitment.vendor.equals(vendor._id))
+    ];
+    const inHours = withinHours(vendor, window);
+    return { vendor, available: inHours && conflicts.length === 0, withinHours: inHours, conflicts };
+  });
+};
+
+// A vendor's calendar between two dates
+const vendorCalendar = async (vendor, window) => ({
+  from: window.start,
+  to: window.end,
+  weeklyHours: vendor.availability,
+  openingHours: openingHours(vendor, window.start, window.end),
+  blackouts: blackoutsIn(vendor, window),
+  commitments: await loadCommitments([vendor._id], window)
+});
+
+module.exports = {
+  bookingWindow,
+  taskWindow,
+  openingHours,
+  withinHours,
+  findConflicts,
+  taskConflicts,
+  checkAvailability,
+  vendorCalendar
+};
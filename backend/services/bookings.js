@@ -0,0 +1,112 @@
+const { body } = require('express-validator');
+const Task = require('../models/Task');
+const BudgetItem = require('../models/BudgetItem');
+const audit = require('./audit');
+const { notifyTaskAssigned } = require('./notifications');
+
+const OPEN_TASK = { status: { $nin: ['completed', 'cancelled'] } };
+
+// A quote's line items, currency, notes and validity, whether the organizer records it
+// or the vendor sends it from the portal
+const quoteValidators = [
+  body('items').isArray({ min: 1 }).withMessage('A quote needs at least one line item'),
+  body('items.*.description').trim().isLength({ min: 1, max: 200 }).withMessage('Line item descriptions must be between 1 and 200 characters'),
+  body('items.*.quantity').optional().isFloat({ min: 0 }).withMessage('Quantity cannot be negative'),
+  body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price cannot be negative'),
+  body('currency').optional().isISO4217().withMessage('Currency must be a three-letter code'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('validUntil').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid validity date')
+];
+
+// Put the quote on the booking and mark it quoted. Without a currency the vendor's pricing currency is used.
+const applyQuote = (booking, { items, currency, notes, validUntil }, { vendor, user }) => {
+  booking.set({
+    'quote.items': items.map(({ description, quantity = 1, unitPrice }) => ({ description, quantity, unitPrice })),
+    'quote.currency': currency || (vendor && vendor.pricing && vendor.pricing.currency) || 'USD',
+    'quote.notes': notes,
+    'quote.validUntil': validUntil || null,
+    'quote.quotedAt': new Date()
+  });
+  booking.moveTo('quoted', user);
+};
+
+// Accepting a quote commits the money and the work: one budget entry per quoted
+// line (under the vendor's category) and a task for the requester to coordinate the vendor
+const createBookingRecords = async (req, booking, { event, vendor }) => {
+  const { request, quote } = booking;
+  const details = [
+    `${vendor.name} (${vendor.company}) is booked for ${event.title}.`,
+    request.services.length > 0 && `Services: ${request.services.join(', ')}`,
+    request.hours && `Hours: ${request.hours}`,
+    request.notes && `Notes: ${request.notes}`
+  ].filter(Boolean).join('\n');
+
+  const task = await Task.create({
+    title: `Coordinate ${vendor.company}`.slice(0, 100),
+    description: details.length >= 10 ? details.slice(0, 1000) : `${details} Coordinate the booking.`,
+    event: event._id,
+    organization: booking.organization,
+    category: 'Vendor Management',
+    dueDate: request.date,
+    vendor: vendor._id,
+    assignedTo: booking.requestedBy,
+    assignedBy: req.user._id,
+    tags: ['booking']
+  });
+  audit.record(req, { action: 'task.create', target: task, after: task, metadata: { booking: booking._id } });
+  notifyTaskAssigned(task, req.user);
+
+  const budgetItems = await BudgetItem.insertMany(quote.items.map(item => ({
+    event: event._id,
+    organization: booking.organization,
+    category: vendor.category,
+    description: `${vendor.company}: ${item.description}`.slice(0, 200),
+    estimated: item.quantity * item.unitPrice,
+    currency: quote.currency,
+    task: task._id,
+    vendor: vendor._id,
+    booking: booking._id,
+    createdBy: req.user._id
+  })));
+  budgetItems.forEach(item => {
+    audit.record(req, { action: 'budget-item.create', target: item, after: item, metadata: { booking: booking._id } });
+  });
+
+  booking.tasks.push(task._id);
+  booking.budgetItems.push(...budgetItems.map(item => item._id));
+};
+
+// A cancelled booking cancels its open tasks and drops the budget entries nothing was paid on yet
+const releaseBookingRecords = async (req, booking) => {
+  const tasks = await Task.find({ _id: { $in: booking.tasks }, ...OPEN_TASK });
+  for (const task of tasks) {
+    const before = audit.snapshot(task);
+    task.status = 'cancelled';
+    await task.save();
+    audit.record(req, { action: 'task.update', target: task, before, after: task, metadata: { booking: booking._id } });
+  }
+
+  const unpaid = await BudgetItem.find({ _id: { $in: booking.budgetItems }, actual: 0, 'receipts.0': { $exists: false } });
+  await BudgetItem.deleteMany({ _id: { $in: unpaid.map(item => item._id) } });
+  unpaid.forEach(item => audit.record(req, { action: 'budget-item.delete', target: item, before: item, metadata: { booking: booking._id } }));
+  booking.budgetItems = booking.budgetItems.filter(id => !unpaid.some(item => item._id.equals(id)));
+};
+
+// A completed booking closes its open tasks
+const completeBookingRecords = async (req, booking) => {
+  const tasks = await Task.find({ _id: { $in: booking.tasks }, ...OPEN_TASK });
+  for (const task of tasks) {
+    const before = audit.snapshot(task);
+    task.set({ status: 'completed', progress: 100, completedDate: new Date() });
+    await task.save();
+    audit.record(req, { action: 'task.update', target: task, before, after: task, metadata: { booking: booking._id } });
+  }
+};
+
+module.exports = {
+  quoteValidators,
+  applyQuote,
+  createBookingRecords,
+  releaseBookingRecords,
+  completeBookingRecords
+};
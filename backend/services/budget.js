@@ -0,0 +1,165 @@
+const Task = require('../models/Task');
+const BudgetItem = require('../models/BudgetItem');
+const { converter, roundMoney } = require('./currency');
+
+// Share of an allocation that can be spent before the category is flagged
+const WARNING_RATIO = 0.9;
+
+const formatAmount = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+
+// Estimated and actual totals per currency and category. Task amounts live under
+// `budget`, budget item amounts at the top level.
+const totalsByCategory = (Model, eventId, prefix) => Model.aggregate([
+  { $match: { event: eventId } },
+  {
+    $group: {
+      _id: { currency: { $ifNull: [`$${prefix}currency`, 'USD'] }, category: '$category' },
+      estimated: { $sum: { $ifNull: [`$${prefix}estimated`, 0] } },
+      actual: { $sum: { $ifNull: [`$${prefix}actual`, 0] } },
+      count: { $sum: 1 }
+    }
+  }
+]);
+
+const statusOf = (row) => {
+  if (row.allocated === 0) return row.actual > 0 || row.estimated > 0 ? 'unallocated' : 'ok';
+  if (row.actual > row.allocated) return 'over';
+  if (row.actual >= row.allocated * WARNING_RATIO || row.estimated > row.allocated) return 'warning';
+  return 'ok';
+};
+
+const alertFor = (row, currency) => {
+  const { category, allocated, estimated, actual } = row;
+  switch (row.status) {
+    case 'over':
+      return { level: 'danger', message: `${category} is ${formatAmount(actual - allocated, currency)} over its allocation` };
+    case 'warning':
+      return actual >= allocated * WARNING_RATIO
+        ? { level: 'warning', message: `${category} has used ${Math.round((actual / allocated) * 100)}% of its allocation` }
+        : { level: 'warning', message: `Planned spending on ${category} is ${formatAmount(estimated - allocated, currency)} over its allocation` };
+    case 'unallocated':
+      return { level: 'warning', message: `${category} has spending but no allocation` };
+    default:
+      return null;
+  }
+};
+
+const emptyAmounts = () => ({ allocated: 0, estimated: 0, actual: 0 });
+
+const addAmounts = (target, source, factor = 1) => {
+  target.allocated += source.allocated * factor;
+  target.estimated += source.estimated * factor;
+  target.actual += source.actual * factor;
+  return target;
+};
+
+const roundAmounts = (amounts) => ({
+  ...amounts,
+  allocated: roundMoney(amounts.allocated),
+  estimated: roundMoney(amounts.estimated),
+  actual: roundMoney(amounts.actual),
+  variance: roundMoney(amounts.allocated - amounts.actual)
+});
+
+// Roll up an event's allocations, task budgets and budget items into per-category
+// totals with variance (allocation minus actual spend) and alerts. Every amount is
+// converted into the event's reporting currency; each category and the totals keep
+// the original amounts per currency next to the converted ones. Amounts without an
+// exchange rate are left out of the converted totals and raise an alert.
+// `event` needs `budget` selected.
+const summarizeBudget = async (event) => {
+  const { currency, allocations } = event.budget;
+  const reportingCurrency = event.budget.reportingCurrency || currency;
+  const [taskTotals, itemTotals, rates] = await Promise.all([
+    totalsByCategory(Task, event._id, 'budget.'),
+    totalsByCategory(BudgetItem, event._id, ''),
+    converter(reportingCurrency)
+  ]);
+
+  const rows = new Map();
+  const rowFor = (category) => {
+    if (!rows.has(category)) {
+      rows.set(category, { category, ...emptyAmounts(), tasks: 0, items: 0, amounts: new Map() });
+    }
+    return rows.get(category);
+  };
+  const amountsFor = (row, amountCurrency) => {
+    if (!row.amounts.has(amountCurrency)) {
+      row.amounts.set(amountCurrency, { currency: amountCurrency, ...emptyAmounts() });
+    }
+    return row.amounts.get(amountCurrency);
+  };
+
+  allocations.forEach(allocation => {
+    amountsFor(rowFor(allocation.category), currency).allocated += allocation.amount;
+  });
+  [[taskTotals, 'tasks'], [itemTotals, 'items']].forEach(([totals, source]) => {
+    totals.forEach(({ _id, estimated, actual, count }) => {
+      const row = rowFor(_id.category);
+      addAmounts(amountsFor(row, _id.currency), { allocated: 0, estimated, actual });
+      row[source] += count;
+    });
+  });
+
+  const byCurrency = new Map();
+  const categories = [...rows.values()]
+    .map(({ amounts, ...row }) => {
+      const originals = [...amounts.values()].map(original => {
+        const rate = rates.rateFrom(original.currency);
+        if (rate !== null) addAmounts(row, original, rate);
+
+        if (!byCurrency.has(original.currency)) {
+          byCurrency.set(original.currency, { currency: original.currency, rate, ...emptyAmounts() });
+        }
+        addAmounts(byCurrency.get(original.currency), original);
+        return { ...roundAmounts(original), rate };
+      });
+
+      const converted = roundAmounts(row);
+      return {
+        ...converted,
+        currency: reportingCurrency,
+        status: statusOf(converted),
+        originals,
+        unconverted: originals.filter(original => original.rate === null).map(original => original.currency)
+      };
+    })
+    .sort((a, b) => a.category.localeCompare(b.category));
+
+  const total = roundAmounts(categories.reduce((sum, row) => addAmounts(sum, row), { currency: reportingCurrency, ...emptyAmounts() }));
+  const originals = [...byCurrency.values()]
+    .map(original => {
+      const converted = original.rate === null
+        ? null
+        : roundAmounts(addAmounts({ currency: reportingCurrency, ...emptyAmounts() }, original, original.rate));
+      return { ...roundAmounts(original), converted };
+    })
+    .sort((a, b) => (a.currency !== reportingCurrency) - (b.currency !== reportingCurrency) || a.currency.localeCompare(b.currency));
+
+  const alerts = categories
+    .map(row => {
+      const alert = alertFor(row, reportingCurrency);
+      return alert && { category: row.category, ...alert };
+    })
+    .filter(Boolean);
+
+  originals.filter(original => original.rate === null).forEach(original => {
+    alerts.push({
+      category: null,
+      level: 'warning',
+      message: `No exchange rate from ${original.currency} to ${reportingCurrency}, so ${formatAmount(original.actual || original.estimated || original.allocated, original.currency)} is left out of the totals`
+    });
+  });
+
+  if (total.allocated > 0 && total.actual > total.allocated) {
+    alerts.unshift({
+      category: null,
+      level: 'danger',
+      message: `Total spending is ${formatAmount(total.actual - total.allocated, reportingCurrency)} over budget`
+    });
+  }
+
+  return { currency, reportingCurrency, allocations, categories, total, originals, alerts };
+};
+
+module.exports = { WARNING_RATIO, summarizeBudget };
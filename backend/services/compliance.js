@@ -0,0 +1,76 @@
+// Vendor compliance from insurance and license expiry dates. Nothing is stored:
+// the status is worked out against the current date whenever vendors are read.
+
+const DAY = 24 * 60 * 60 * 1000;
+const EXPIRING_SOON_DAYS = 30;
+const STATUSES = ['compliant', 'expiring', 'expired'];
+
+const cutoffFor = (days, now) => new Date(now.getTime() + days * DAY);
+
+// Every dated document with its own status; undated ones never expire
+const complianceOf = (vendor, { days = EXPIRING_SOON_DAYS, now = new Date() } = {}) => {
+  const cutoff = cutoffFor(days, now);
+  const documents = [];
+
+  if (vendor.insurance?.expiryDate) {
+    documents.push({
+      type: 'insurance',
+      name: 'Insurance',
+      number: vendor.insurance.policyNumber,
+      expiryDate: vendor.insurance.expiryDate
+    });
+  }
+  (vendor.licenses || []).filter(license => license.expiryDate).forEach(license => {
+    documents.push({
+      type: 'license',
+      id: license._id,
+      name: license.name || 'License',
+      number: license.number,
+      issuingAuthority: license.issuingAuthority,
+      expiryDate: license.expiryDate
+    });
+  });
+
+  documents.forEach(document => {
+    const expiry = new Date(document.expiryDate);
+    document.status = expiry < now ? 'expired' : expiry <= cutoff ? 'expiring' : 'compliant';
+  });
+  documents.sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+
+  const status = documents.some(document => document.status === 'expired')
+    ? 'expired'
+    : documents.some(document => document.status === 'expiring') ? 'expiring' : 'compliant';
+  return { status, documents };
+};
+
+// MongoDB conditions matching the vendors complianceOf() would give a status;
+// 'attention' matches both expiring and expired vendors
+const complianceFilter = (status, { days = EXPIRING_SOON_DAYS, now = new Date() } = {}) => {
+  const cutoff = cutoffFor(days, now);
+  const expired = [
+    { 'insurance.expiryDate': { $lt: now } },
+    { licenses: { $elemMatch: { expiryDate: { $lt: now } } } }
+  ];
+  const expiring = [
+    { 'insurance.expiryDate': { $gte: now, $lte: cutoff } },
+    { licenses: { $elemMatch: { expiryDate: { $gte: now, $lte: cutoff } } } }
+  ];
+
+  switch (status) {
+    case 'expired':
+      return { $or: expired };
+    case 'expiring':
+      return { $nor: expired, $or: expiring };
+    case 'compliant':
+      return { $nor: [...expired, ...expiring] };
+    default:
+      return { $or: [...expired, ...expiring] };
+  }
+};
+
+module.exports = {
+  EXPIRING_SOON_DAYS,
+  STATUSES,
+  complianceOf,
+  complianceFilter
+};
@@ -0,0 +1,134 @@
+// Currency conversion backed by the exchange-rate table. Rates are cached briefly
+// because budget summaries and vendor lists convert on every request.
+
+const ExchangeRate = require('../models/ExchangeRate');
+
+const CACHE_MS = 30 * 1000;
+const CODE = /^[A-Z]{3}$/;
+
+let cache = null;
+let cachedAt = 0;
+
+const loadRates = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_MS) {
+    return cache;
+  }
+
+  cache = await ExchangeRate.find().select('base quote rate').lean();
+  cachedAt = Date.now();
+  return cache;
+};
+
+// Forget the cached rates after an admin changes them
+const invalidateRates = () => {
+  cache = null;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// How many units of `to` one unit of `from` buys: a direct rate, the inverse of the
+// opposite rate, or a cross rate through one shared currency. Null when there is none.
+const findRate = (rates, from, to) => {
+  if (from === to) return 1;
+
+  const direct = (a, b) => {
+    const match = rates.find(r => r.base === a && r.quote === b);
+    if (match) return match.rate;
+    const inverse = rates.find(r => r.base === b && r.quote === a);
+    return inverse ? 1 / inverse.rate : null;
+  };
+
+  const rate = direct(from, to);
+  if (rate !== null) return rate;
+
+  const linked = new Set(rates.flatMap(r => (r.base === from ? [r.quote] : r.quote === from ? [r.base] : [])));
+  for (const via of linked) {
+    const onward = direct(via, to);
+    if (onward !== null) return direct(from, via) * onward;
+  }
+  return null;
+};
+
+// Converter into one currency, loading the rates once:
+//   const toUsd = await converter('USD');
+//   toUsd.convert(100, 'EUR') // => 108.5, or null without a rate
+const converter = async (currency) => {
+  const rates = await loadRates();
+  const rateFrom = (from) => findRate(rates, from || 'USD', currency);
+  return {
+    currency,
+    rateFrom,
+    convert: (amount, from) => {
+      const rate = rateFrom(from);
+      return rate === null ? null : amount * rate;
+    }
+  };
+};
+
+// A vendor's rates in another currency, or null when they are already in it or no rate exists
+const convertPricing = (pricing, { currency, rateFrom }) => {
+  if (!pricing) return null;
+  const from = pricing.currency || 'USD';
+  const rate = rateFrom(from);
+  if (from === currency || rate === null) return null;
+
+  const converted = { currency, rate };
+  ['hourly', 'daily', 'perEvent'].forEach(key => {
+    converted[key] = typeof pricing[key] === 'number' ? roundMoney(pricing[key] * rate) : null;
+  });
+  return converted;
+};
+
+const parseRow = ({ base, quote, rate }) => {
+  const row = {
+    base: String(base || '').trim().toUpperCase(),
+    quote: String(quote || '').trim().toUpperCase(),
+    rate: Number(rate)
+  };
+  if (!CODE.test(row.base) || !CODE.test(row.quote)) return { error: 'currencies must be three-letter codes' };
+  if (row.base === row.quote) return { error: 'base and quote currencies must differ' };
+  if (!(row.rate > 0)) return { error: 'rate must be a positive number' };
+  return { row };
+};
+
+// Read rates from an uploaded file. CSV files have "base,quote,rate" lines (a header
+// line is skipped); JSON files hold either a list of { base, quote, rate } objects or
+// { base, rates: { EUR: 0.92, ... } }. Returns the valid rows and one message per bad one.
+const parseRates = (text, { json } = {}) => {
+  let entries;
+  if (json) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { rates: [], errors: ['File is not valid JSON'] };
+    }
+    entries = Array.isArray(data)
+      ? data.map((entry, i) => ({ label: `Entry ${i + 1}`, value: entry || {} }))
+      : Object.entries((data && data.rates) || {}).map(([quote, rate]) => ({ label: quote, value: { base: data.base, quote, rate } }));
+  } else {
+    entries = text.split(/\r?\n/)
+      .map((line, i) => ({ label: `Line ${i + 1}`, cells: line.split(',').map(cell => cell.trim()) }))
+      .filter(({ cells }, i) => cells.join('') !== '' && !(i === 0 && /^base$/i.test(cells[0])))
+      .map(({ label, cells: [base, quote, rate] }) => ({ label, value: { base, quote, rate } }));
+  }
+
+  const rates = [];
+  const errors = [];
+  entries.forEach(({ label, value }) => {
+    const { row, error } = parseRow(value);
+    if (error) errors.push(`${label}: ${error}`);
+    else rates.push(row);
+  });
+  return { rates, errors };
+};
+
+module.exports = {
+  loadRates,
+  invalidateRates,
+  roundMoney,
+  findRate,
+  converter,
+  convertPricing,
+  parseRates
+};
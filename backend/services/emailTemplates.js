@@ -0,0 +1,233 @@
+// Each template takes a data object and returns { subject, text, html }.
+// Links point at the frontend, so CLIENT_URL should be set in production.
+
+const appUrl = (path = '') => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Wrap the lines of a message in the shared text and HTML layout.
+// Account emails cannot be switched off, so they skip the preferences footer.
+const render = ({ subject, name, lines, action, account = false }) => {
+  const greeting = `Hi ${name},`;
+  const footer = `You can change which emails you receive at ${appUrl('/profile')}`;
+
+  const text = [
+    greeting,
+    '',
+    ...lines,
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    ...(account ? [] : ['', '--', footer])
+  ].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #111827; line-height: 1.5;">
+    <p>${escapeHtml(greeting)}</p>
+    ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 16px; background: #2563eb; color: #ffffff; border-radius: 6px; text-decoration: none;">${escapeHtml(action.label)}</a></p>` : ''}
+    ${account ? '' : `<hr style="border: none; border-top: 1px solid #e5e7eb;" />
+    <p style="font-size: 12px; color: #6b7280;">You can change which emails you receive in your <a href="${escapeHtml(appUrl('/profile'))}">profile settings</a>.</p>`}
+  </body>
+</html>`;
+
+  return { subject, text, html };
+};
+
+const eventLines = (event) => [
+  `When: ${formatDate(event.startDate)} - ${formatDate(event.endDate)}`,
+  `Where: ${[event.location?.address, event.location?.city].filter(Boolean).join(', ') || 'TBA'}`
+];
+
+const templates = {
+  taskAssigned: ({ user, task, assigner }) => render({
+    subject: `New task: ${task.title}`,
+    name: user.name,
+    lines: [
+      `${assigner ? assigner.name : 'Someone'} assigned you the task "${task.title}".`,
+      `Priority: ${task.priority}`,
+      `Due: ${formatDate(task.dueDate)}`
+    ],
+    action: { label: 'View task', url: appUrl(`/tasks/${task._id}`) }
+  }),
+
+  taskReminder: ({ user, task }) => render({
+    subject: `Reminder: "${task.title}" is due ${formatDate(task.dueDate)}`,
+    name: user.name,
+    lines: [
+      `Your task "${task.title}" is due on ${formatDate(task.dueDate)}.`,
+      `Status: ${task.status} (${task.progress || 0}% complete)`
+    ],
+    action: { label: 'View task', url: appUrl(`/tasks/${task._id}`) }
+  }),
+
+  taskComment: ({ user, task, author, content }) => render({
+    subject: `New comment on "${task.title}"`,
+    name: user.name,
+    lines: [
+      `${author.name} commented on "${task.title}":`,
+      content
+    ],
+    action: { label: 'View task', url: appUrl(`/tasks/${task._id}`) }
+  }),
+
+  registrationConfirmed: ({ user, event }) => render({
+    subject: `You're registered: ${event.title}`,
+    name: user.name,
+    lines: [
+      `Your registration for "${event.title}" is confirmed.`,
+      ...eventLines(event),
+      'Your ticket QR code is on your dashboard.'
+    ],
+    action: { label: 'View event', url: appUrl(`/events/${event._id}`) }
+  }),
+
+  eventCancelled: ({ user, event }) => render({
+    subject: `Cancelled: ${event.title}`,
+    name: user.name,
+    lines: [
+      `Unfortunately "${event.title}", scheduled for ${formatDate(event.startDate)}, has been cancelled.`
+    ]
+  }),
+
+  eventRescheduled: ({ user, event, previousStartDate }) => render({
+    subject: `New date for ${event.title}`,
+    name: user.name,
+    lines: [
+      `"${event.title}" has been moved from ${formatDate(previousStartDate)}.`,
+      ...eventLines(event)
+    ],
+    action: { label: 'View event', url: appUrl(`/events/${event._id}`) }
+  }),
+
+  waitlistJoined: ({ user, event, position }) => render({
+    subject: `You're on the waitlist for ${event.title}`,
+    name: user.name,
+    lines: [
+      `"${event.title}" is full, so you have been added to the waitlist at position ${position}.`,
+      'We will email you if a spot opens up.'
+    ],
+    action: { label: 'View event', url: appUrl(`/events/${event._id}`) }
+  }),
+
+  emailVerification: ({ user, token }) => render({
+    subject: 'Verify your email address',
+    name: user.name,
+    lines: [
+      'Please confirm this is your email address. The link is valid for 24 hours.',
+      'If you did not create an account, you can ignore this email.'
+    ],
+    action: { label: 'Verify email', url: appUrl(`/verify-email/${token}`) },
+    account: true
+  }),
+
+  passwordReset: ({ user, token }) => render({
+    subject: 'Reset your password',
+    name: user.name,
+    lines: [
+      'We received a request to reset your password. The link is valid for 1 hour and can only be used once.',
+      'If you did not ask for this, you can ignore this email and your password will stay the same.'
+    ],
+    action: { label: 'Reset password', url: appUrl(`/reset-password/${token}`) },
+    account: true
+  }),
+
+  passwordChanged: ({ user }) => render({
+    subject: 'Your password was changed',
+    name: user.name,
+    lines: [
+      'The password for your account was just changed.',
+      'If this was not you, reset your password right away and contact support.'
+    ],
+    action: { label: 'Reset password', url: appUrl('/forgot-password') },
+    account: true
+  }),
+
+  organizationInvitation: ({ user, organization, inviter, role, token }) => render({
+    subject: `${inviter.name} invited you to ${organization.name}`,
+    name: user.name || 'there',
+    lines: [
+      `${inviter.name} invited you to join the "${organization.name}" workspace as ${role === 'owner' ? 'an owner' : `a ${role}`}.`,
+      'Sign in or create an account with this email address to accept. The invitation is valid for 7 days.'
+    ],
+    action: { label: 'Accept invitation', url: appUrl(`/invitations/${token}`) },
+    account: true
+  }),
+
+  // Sent to the vendor's contact address, which has no preferences to switch it off from
+  quoteRequested: ({ vendor, event, booking, requester, organization, portal }) => render({
+    subject: `Quote request: ${event.title}`,
+    name: vendor.contactPerson?.name || vendor.name,
+    lines: [
+      `${requester.name} from ${organization ? organization.name : 'our team'} would like a quote from ${vendor.company} for "${event.title}".`,
+      `Needed from: ${formatDate(booking.request.date)}`,
+      ...(booking.request.hours ? [`Hours: ${booking.request.hours}`] : []),
+      ...(booking.request.services.length > 0 ? [`Services: ${booking.request.services.join(', ')}`] : []),
+      ...(booking.request.notes ? [`Notes: ${booking.request.notes}`] : []),
+      portal
+        ? 'Send your prices from the vendor portal.'
+        : `Please reply to ${requester.email} with your prices.`
+    ],
+    action: portal ? { label: 'Open the vendor portal', url: appUrl('/portal') } : undefined,
+    account: true
+  }),
+
+  portalInvitation: ({ vendor, organization, inviter, token }) => render({
+    subject: `${organization.name} invited ${vendor.company} to its vendor portal`,
+    name: vendor.contactPerson?.name || vendor.name,
+    lines: [
+      `${inviter.name} invited ${vendor.company} to the "${organization.name}" vendor portal.`,
+      'With a portal account you can keep your profile, prices, availability and documents up to date, answer quote requests and see the tasks you are booked for.',
+      'The invitation is valid for 7 days.'
+    ],
+    action: { label: 'Create your account', url: appUrl(`/vendor-invitations/${token}`) },
+    account: true
+  }),
+
+  bookingQuoted: ({ user, booking, vendor, event }) => render({
+    subject: `${vendor.company} sent a quote for ${event.title}`,
+    name: user.name,
+    lines: [
+      `${vendor.company} quoted ${booking.quote.total.toFixed(2)} ${booking.quote.currency} for "${event.title}".`,
+      ...(booking.quote.validUntil ? [`The quote is valid until ${formatDate(booking.quote.validUntil)}.`] : [])
+    ],
+    action: { label: 'Review quote', url: appUrl(`/events/${event._id}`) }
+  }),
+
+  bookingDeclined: ({ user, booking, vendor, event }) => {
+    const note = booking.history[booking.history.length - 1]?.note;
+    return render({
+      subject: `${vendor.company} declined your quote request for ${event.title}`,
+      name: user.name,
+      lines: [
+        `${vendor.company} cannot take on "${event.title}" and declined your quote request.`,
+        ...(note ? [`Their note: ${note}`] : [])
+      ],
+      action: { label: 'View event', url: appUrl(`/events/${event._id}`) }
+    });
+  },
+
+  waitlistPromoted: ({ user, event }) => render({
+    subject: `A spot opened up: ${event.title}`,
+    name: user.name,
+    lines: [
+      `Good news! A spot opened up and you have been moved from the waitlist to the attendee list for "${event.title}".`,
+      ...eventLines(event)
+    ],
+    action: { label: 'View event', url: appUrl(`/events/${event._id}`) }
+  })
+};
+
+module.exports = templates;
@@ -0,0 +1,99 @@
+const axios = require('axios');
+const { isLatLng, toPoint } = require('../utils/geo');
+
+// Geocoding providers share one interface:
+//   geocode({ address | street, city, state, zipCode, country }) -> resolves with { lat, lng } or null
+// GEOCODER picks the provider; 'stub' (offline, no network) is the default.
+
+// Offline provider for development and tests: a fixed table of city centres,
+// matched on "city, state" (or the city alone). Anything else is not found.
+const STUB_CITIES = {
+  'new york, ny': { lat: 40.7128, lng: -74.006 },
+  'los angeles, ca': { lat: 34.0522, lng: -118.2437 },
+  'san francisco, ca': { lat: 37.7749, lng: -122.4194 },
+  'chicago, il': { lat: 41.8781, lng: -87.6298 },
+  'houston, tx': { lat: 29.7604, lng: -95.3698 },
+  'austin, tx': { lat: 30.2672, lng: -97.7431 },
+  'dallas, tx': { lat: 32.7767, lng: -96.797 },
+  'seattle, wa': { lat: 47.6062, lng: -122.3321 },
+  'boston, ma': { lat: 42.3601, lng: -71.0589 },
+  'miami, fl': { lat: 25.7617, lng: -80.1918 },
+  'denver, co': { lat: 39.7392, lng: -104.9903 },
+  'atlanta, ga': { lat: 33.749, lng: -84.388 },
+  'london': { lat: 51.5074, lng: -0.1278 },
+  'paris': { lat: 48.8566, lng: 2.3522 },
+  'berlin': { lat: 52.52, lng: 13.405 }
+};
+
+const stub = () => ({
+  geocode: async ({ city, state } = {}) => {
+    const name = String(city || '').trim().toLowerCase();
+    const region = String(state || '').trim().toLowerCase();
+    return STUB_CITIES[`${name}, ${region}`] || STUB_CITIES[name] || null;
+  }
+});
+
+// OpenStreetMap Nominatim, or any server with the same search API via GEOCODER_URL.
+// The public server asks for an identifying User-Agent and at most one request a second.
+const nominatim = () => {
+  const baseUrl = (process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, '');
+  const userAgent = process.env.GEOCODER_USER_AGENT || 'EventHub geocoder';
+
+  return {
+    geocode: async ({ address, street, city, state, zipCode, country } = {}) => {
+      const response = await axios.get(`${baseUrl}/search`, {
+        params: {
+          q: [address || street, city, state, zipCode, country].filter(Boolean).join(', '),
+          format: 'json',
+          limit: 1
+        },
+        headers: { 'User-Agent': userAgent },
+        timeout: 5000
+      });
+      const [match] = response.data || [];
+      return match ? { lat: Number(match.lat), lng: Number(match.lon) } : null;
+    }
+  };
+};
+
+const providers = { stub, nominatim };
+
+let provider;
+
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.GEOCODER || 'stub';
+    if (!providers[name]) {
+      throw new Error(`Unknown geocoding provider "${name}"`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Replace the configured provider (e.g. with a commercial geocoding API)
+const setProvider = (custom) => {
+  provider = custom;
+};
+
+const geocode = (address) => getProvider().geocode(address);
+
+// Copy of a location or address with its `point` set from geocoding, or left out when the
+// address can't be found. Points sent by clients are ignored. Geocoding failures are
+// logged and never block a save.
+const locate = async (location) => {
+  const { point, ...fields } = location || {};
+  if (![fields.address, fields.street, fields.city, fields.zipCode].some(Boolean)) {
+    return fields;
+  }
+
+  try {
+    const position = await geocode(fields);
+    return isLatLng(position) ? { ...fields, point: toPoint(position) } : fields;
+  } catch (error) {
+    console.error('Geocoding error:', error.message);
+    return fields;
+  }
+};
+
+module.exports = { geocode, locate, setProvider };
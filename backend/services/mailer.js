@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transports only need a sendMail(message) method that returns a promise,
+// so anything nodemailer-compatible can be plugged in with setTransport().
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+
+  // Writes each message as an .eml file that any mail client can open
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+    const stream = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      sendMail: async (message) => {
+        const info = await stream.sendMail(message);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        return { ...info, file };
+      }
+    };
+  },
+
+  console: () => ({
+    sendMail: async (message) => {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}\n`);
+      return { messageId: null };
+    }
+  })
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the configured transport (e.g. with a custom provider)
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = (message) => getTransport().sendMail({
+  from: process.env.MAIL_FROM || 'EventHub <no-reply@eventhub.local>',
+  ...message
+});
+
+module.exports = { sendMail, setTransport };
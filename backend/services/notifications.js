@@ -0,0 +1,241 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const templates = require('./emailTemplates');
+const { sendMail } = require('./mailer');
+const { publish } = require('./realtime');
+
+// Preference keys users can switch off from their profile, and the templates each one covers
+const NOTIFICATION_TYPES = {
+  taskAssigned: ['taskAssigned'],
+  taskReminder: ['taskReminder'],
+  taskComment: ['taskComment'],
+  eventRegistration: ['registrationConfirmed'],
+  eventChanges: ['eventCancelled', 'eventRescheduled'],
+  waitlist: ['waitlistJoined', 'waitlistPromoted'],
+  vendorBookings: ['bookingQuoted', 'bookingDeclined']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Titles and messages hold user-entered names and notes; cut them to the stored limits
+const TITLE_LENGTH = 200;
+const MESSAGE_LENGTH = 500;
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+// Short in-app versions of each email, with a link to what they are about
+const inAppMessages = {
+  taskAssigned: ({ task, assigner }) => ({
+    title: `New task: ${task.title}`,
+    message: `${assigner ? assigner.name : 'Someone'} assigned you a task`,
+    link: { kind: 'task', id: task._id }
+  }),
+  taskReminder: ({ task }) => ({
+    title: `Task due soon: ${task.title}`,
+    message: `Due ${new Date(task.dueDate).toLocaleDateString('en-US')}`,
+    link: { kind: 'task', id: task._id }
+  }),
+  taskComment: ({ task, author, content }) => ({
+    title: `${author.name} commented on ${task.title}`,
+    message: truncate(content, 140),
+    link: { kind: 'task', id: task._id }
+  }),
+  registrationConfirmed: ({ event }) => ({
+    title: `You're registered for ${event.title}`,
+    link: { kind: 'event', id: event._id }
+  }),
+  eventCancelled: ({ event }) => ({
+    title: `${event.title} has been cancelled`,
+    link: { kind: 'event', id: event._id }
+  }),
+  eventRescheduled: ({ event }) => ({
+    title: `${event.title} has a new date`,
+    message: `Now starts ${new Date(event.startDate).toLocaleString('en-US')}`,
+    link: { kind: 'event', id: event._id }
+  }),
+  waitlistJoined: ({ event, position }) => ({
+    title: `You're #${position} on the waitlist for ${event.title}`,
+    link: { kind: 'event', id: event._id }
+  }),
+  waitlistPromoted: ({ event }) => ({
+    title: `A spot opened up for ${event.title}`,
+    message: 'You have been moved from the waitlist to the attendee list',
+    link: { kind: 'event', id: event._id }
+  }),
+  bookingQuoted: ({ booking, vendor, event }) => ({
+    title: `${vendor.company} sent a quote for ${event.title}`,
+    message: `${booking.quote.total.toFixed(2)} ${booking.quote.currency}`,
+    link: { kind: 'event', id: event._id }
+  }),
+  bookingDeclined: ({ booking, vendor, event }) => ({
+    title: `${vendor.company} declined your quote request for ${event.title}`,
+    message: booking.history[booking.history.length - 1]?.note,
+    link: { kind: 'event', id: event._id }
+  })
+};
+
+// Store an in-app notification for each user and push it to any open streams
+const createInApp = async (template, ids, data) => {
+  const notifications = await Notification.insertMany(
+    ids.map(id => {
+      const { title, message, link } = inAppMessages[template](data);
+      return {
+        user: id,
+        type: template,
+        title: truncate(title, TITLE_LENGTH),
+        message: truncate(message, MESSAGE_LENGTH),
+        link
+      };
+    })
+  );
+  notifications.forEach(notification => publish(notification.user, 'notification', notification.toJSON()));
+  return notifications;
+};
+
+const typeForTemplate = (template) => Object.keys(NOTIFICATION_TYPES)
+  .find(type => NOTIFICATION_TYPES[type].includes(template));
+
+// Record an in-app notification for every user, then render the email template and mail it
+// to each user who has not opted out. Failures are logged rather than thrown so a mail
+// outage never breaks the request that triggered it.
+const notify = async (template, userIds, data = {}) => {
+  try {
+    const ids = (Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean);
+    if (ids.length === 0) return 0;
+
+    try {
+      await createInApp(template, ids, data);
+    } catch (error) {
+      console.error(`Create ${template} notification error:`, error);
+    }
+
+    const type = typeForTemplate(template);
+    const users = await User.find({ _id: { $in: ids } }).select('name email emailNotifications');
+
+    let sent = 0;
+    for (const user of users) {
+      if (user.emailNotifications && user.emailNotifications[type] === false) continue;
+      try {
+        await sendMail({ to: user.email, ...templates[template]({ ...data, user }) });
+        sent += 1;
+      } catch (error) {
+        console.error(`Send ${template} email error:`, error);
+      }
+    }
+    return sent;
+  } catch (error) {
+    console.error(`Notify ${template} error:`, error);
+    return 0;
+  }
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Per-task email switch (Task.notifications.email) applies on top of the user's preferences
+const taskEmailsEnabled = (task) => !task.notifications || task.notifications.email !== false;
+
+// Everyone with a stake in an event: active attendees and the waitlist
+const eventAudience = (event) => [
+  ...event.attendees.filter(a => a.status !== 'cancelled').map(a => idOf(a.user)),
+  ...(event.waitlist || []).map(entry => idOf(entry.user))
+];
+
+const notifyTaskAssigned = (task, assigner) => {
+  const assignee = idOf(task.assignedTo);
+  if (!assignee || !taskEmailsEnabled(task)) return Promise.resolve(0);
+  if (assigner && assignee.toString() === assigner._id.toString()) return Promise.resolve(0);
+  return notify('taskAssigned', assignee, { task, assigner });
+};
+
+const notifyTaskComment = (task, author, content) => {
+  if (!taskEmailsEnabled(task)) return Promise.resolve(0);
+  const recipients = [idOf(task.assignedTo), idOf(task.assignedBy)]
+    .filter(id => id && id.toString() !== author._id.toString());
+  const unique = [...new Set(recipients.map(id => id.toString()))];
+  return notify('taskComment', unique, { task, author, content });
+};
+
+const notifyRegistrationConfirmed = (event, userId) => notify('registrationConfirmed', userId, { event });
+
+const notifyEventCancelled = (event) => notify('eventCancelled', eventAudience(event), { event });
+
+const notifyEventRescheduled = (event, previousStartDate) =>
+  notify('eventRescheduled', eventAudience(event), { event, previousStartDate });
+
+const notifyWaitlistJoined = (event, userId, position) => notify('waitlistJoined', userId, { event, position });
+
+const notifyWaitlistPromoted = (event, userIds) => notify('waitlistPromoted', userIds, { event });
+
+const notifyBookingQuoted = (booking, { vendor, event }) =>
+  notify('bookingQuoted', booking.requestedBy, { booking, vendor, event });
+
+const notifyBookingDeclined = (booking, { vendor, event }) =>
+  notify('bookingDeclined', booking.requestedBy, { booking, vendor, event });
+
+// The request goes to the vendor's contact address, pointing vendors with a portal account at the portal
+const sendQuoteRequest = async (booking, data) => {
+  try {
+    const portal = Boolean(await User.exists({ accountType: 'vendor', vendor: data.vendor._id }));
+    await sendMail({ to: data.vendor.email, ...templates.quoteRequested({ ...data, booking, portal }) });
+    return true;
+  } catch (error) {
+    console.error('Send quote request error:', error);
+    return false;
+  }
+};
+
+// Send one reminder per open task whose due date falls within its reminderDays window.
+// reminderSentAt is cleared whenever the due date changes, so a rescheduled task is reminded again.
+const sendTaskReminders = async (now = new Date()) => {
+  try {
+    const tasks = await Task.find({
+      status: { $nin: ['completed', 'cancelled'] },
+      assignedTo: { $ne: null },
+      dueDate: { $gt: now },
+      'notifications.email': { $ne: false },
+      'notifications.reminderSentAt': null,
+      $expr: {
+        $lte: [
+          { $subtract: ['$dueDate', now] },
+          { $multiply: [{ $ifNull: ['$notifications.reminderDays', 1] }, DAY_MS] }
+        ]
+      }
+    });
+
+    let sent = 0;
+    for (const task of tasks) {
+      // Claim the task first so overlapping runs never send the same reminder twice
+      const claimed = await Task.updateOne(
+        { _id: task._id, 'notifications.reminderSentAt': null },
+        { $set: { 'notifications.reminderSentAt': now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+      sent += await notify('taskReminder', task.assignedTo, { task });
+    }
+    return sent;
+  } catch (error) {
+    console.error('Send task reminders error:', error);
+    return 0;
+  }
+};
+
+// Account emails (verification, password reset) ignore notification preferences and have no in-app copy
+const sendAccountEmail = (template, user, data = {}) =>
+  sendMail({ to: user.email, ...templates[template]({ ...data, user }) });
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  sendAccountEmail,
+  notifyTaskAssigned,
+  notifyTaskComment,
+  notifyRegistrationConfirmed,
+  notifyEventCancelled,
+  notifyEventRescheduled,
+  notifyWaitlistJoined,
+  notifyWaitlistPromoted,
+  notifyBookingQuoted,
+  notifyBookingDeclined,
+  sendQuoteRequest,
+  sendTaskReminders
+};
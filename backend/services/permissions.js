@@ -0,0 +1,133 @@
+// Permission and policy layer. A user's global role grants actions on every
+// record they can reach; ownership, organization roles and event staff roles
+// grant actions on single records. Routes ask one question: can(user, action, resource).
+
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const { EVENT_ACTIONS, idOf, eventPermissions } = require('../utils/eventPermissions');
+
+const ACTIONS = {
+  'event:create': 'Create events',
+  'event:update': 'Edit events',
+  'event:delete': 'Delete events',
+  'event:manage-staff': 'Manage event staff',
+  'event:manage-tasks': 'Manage event tasks',
+  'event:check-in': 'Check in attendees',
+  'event:view-budget': 'View event budgets',
+  'event:manage-budget': 'Manage event budgets and expenses',
+  'event:manage-bookings': 'Request quotes and book vendors',
+  'task:create': 'Create tasks',
+  'task:update': 'Edit tasks',
+  'task:work': 'Log progress and time on tasks',
+  'task:assign': 'Assign tasks',
+  'task:delete': 'Delete tasks',
+  'vendor:create': 'Create vendors',
+  'vendor:update': 'Edit vendors',
+  'vendor:delete': 'Delete vendors',
+  'vendor:verify': 'Verify vendors',
+  'vendor:compliance': 'View the vendor compliance report',
+  'vendor:moderate-reviews': 'Moderate vendor reviews',
+  'user:view': 'View user profiles',
+  'user:manage': 'Manage users',
+  'role:manage': 'Manage roles',
+  'settings:manage': 'Manage settings',
+  'currency:manage': 'Manage exchange rates',
+  'job:manage': 'Run background jobs',
+  'audit:view': 'View the audit log'
+};
+
+// Custom roles always include everything a regular user can do
+const BUILT_IN_ROLES = {
+  admin: Object.keys(ACTIONS),
+  user: ['event:create', 'task:create', 'vendor:create']
+};
+
+const CACHE_MS = 30 * 1000;
+
+let customRoles = new Map();
+let loadedAt = 0;
+
+// Refresh the custom roles when the cache is stale; protect() calls this on every request
+const loadRoles = async () => {
+  if (Date.now() - loadedAt < CACHE_MS) return;
+  const roles = await Role.find().select('name permissions');
+  customRoles = new Map(roles.map(role => [role.name, role.permissions]));
+  loadedAt = Date.now();
+};
+
+// Forget the cached roles after an admin changes them
+const invalidateRoles = () => {
+  loadedAt = 0;
+};
+
+const roleExists = (role) => role in BUILT_IN_ROLES || customRoles.has(role);
+
+// Actions a role grants everywhere (unknown roles fall back to a regular user)
+const rolePermissions = (role) => {
+  if (BUILT_IN_ROLES[role]) return BUILT_IN_ROLES[role];
+  if (customRoles.has(role)) return [...new Set([...BUILT_IN_ROLES.user, ...customRoles.get(role)])];
+  return BUILT_IN_ROLES.user;
+};
+
+// Actions a user holds everywhere. Vendor accounts act only through the vendor portal, so they hold none.
+const userPermissions = (user) => (user.accountType === 'vendor' ? [] : rolePermissions(user.role));
+
+const isManager = (orgRole) => Organization.roleAtLeast(orgRole, 'manager');
+
+// Record-level rules, one per resource type. scope carries the user's organization
+// role and, for tasks, the task's event.
+const POLICIES = {
+  event: (user, action, event, { orgRole }) => eventPermissions(event, user, orgRole).includes(action),
+
+  task: (user, action, task, { orgRole, event }) => {
+    const isAssignee = Boolean(task.assignedTo) && idOf(task.assignedTo) === user._id.toString();
+    const isAssigner = Boolean(task.assignedBy) && idOf(task.assignedBy) === user._id.toString();
+    const managesTasks = event
+      ? eventPermissions(event, user, orgRole).includes('event:manage-tasks')
+      : isManager(orgRole);
+
+    switch (action) {
+      case 'task:update':
+        return isAssignee || isAssigner || managesTasks;
+      case 'task:work':
+        return isAssignee || managesTasks;
+      case 'task:assign':
+      case 'task:delete':
+        return isAssigner || managesTasks;
+      default:
+        return false;
+    }
+  },
+
+  vendor: (user, action, vendor, { orgRole }) =>
+    ['vendor:update', 'vendor:delete'].includes(action) &&
+    (idOf(vendor.createdBy) === user._id.toString() || isManager(orgRole)),
+
+  user: (user, action, target) => action === 'user:view' && idOf(target) === user._id.toString()
+};
+
+const can = (user, action, resource = null, scope = {}) => {
+  if (!user || user.accountType === 'vendor') return false;
+  if (rolePermissions(user.role).includes(action)) return true;
+  if (!resource) return false;
+
+  const policy = POLICIES[action.split(':')[0]];
+  return Boolean(policy && policy(user, action, resource, scope));
+};
+
+// Every action of one resource type the user may take on a record, for clients to show matching controls
+const allowedActions = (user, type, resource, scope = {}) =>
+  (type === 'event' ? EVENT_ACTIONS : Object.keys(ACTIONS).filter(action => action.startsWith(`${type}:`)))
+    .filter(action => can(user, action, resource, scope));
+
+module.exports = {
+  ACTIONS,
+  BUILT_IN_ROLES,
+  loadRoles,
+  invalidateRoles,
+  roleExists,
+  rolePermissions,
+  userPermissions,
+  can,
+  allowedActions
+};
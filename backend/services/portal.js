@@ -0,0 +1,97 @@
+const User = require('../models/User');
+const { complianceOf } = require('./compliance');
+
+// Fields a vendor can change from the portal. Status, verification, reviews, ratings,
+// the organization's internal notes and the insurance and license records stay with the
+// organizers: compliance depends on those expiry dates, so organizers set them after
+// checking the certificates the vendor uploads.
+const EDITABLE_FIELDS = [
+  'name',
+  'company',
+  'phone',
+  'website',
+  'category',
+  'services',
+  'description',
+  'address',
+  'pricing',
+  'availability',
+  'socialMedia',
+  'contactPerson'
+];
+
+const HIDDEN_FIELDS = ['notes', 'createdBy', 'portalInvitation'];
+
+// The vendor's own profile as the portal shows it: no internal notes, and only the
+// approved reviews, without who flagged or moderated them
+const presentVendor = (vendor) => {
+  const json = vendor.toJSON();
+  HIDDEN_FIELDS.forEach(field => delete json[field]);
+
+  return {
+    ...json,
+    rating: vendor.rating,
+    reviewCount: vendor.reviewCount,
+    criteriaRatings: vendor.criteriaRatings,
+    reviews: vendor.reviews
+      .filter(review => review.status === 'approved')
+      .map(({ _id, rating, comment, criteria, verified, date, reply }) => ({
+        _id,
+        rating,
+        comment,
+        criteria,
+        verified,
+        date,
+        reply: reply?.comment ? { comment: reply.comment, date: reply.date } : undefined
+      })),
+    compliance: complianceOf(vendor)
+  };
+};
+
+// A booking as its vendor sees it: the request, the quote and the status trail, but
+// not the tasks and budget entries the organization made from it
+const presentBooking = (booking) => ({
+  _id: booking._id,
+  status: booking.status,
+  event: booking.event,
+  request: booking.request,
+  quote: booking.quote,
+  requestedBy: booking.requestedBy,
+  history: booking.history.map(({ status, changedAt, note }) => ({ status, changedAt, note })),
+  createdAt: booking.createdAt,
+  updatedAt: booking.updatedAt
+});
+
+// A task the vendor is booked for, without the team's comments, time logs and budget
+const presentTask = (task) => ({
+  _id: task._id,
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  category: task.category,
+  startDate: task.startDate,
+  dueDate: task.dueDate,
+  completedDate: task.completedDate,
+  location: task.location,
+  checklist: task.checklist,
+  event: task.event,
+  assignedTo: task.assignedTo
+});
+
+// Who can sign in to the portal for a vendor, and any invitation still open
+const portalStatus = async (vendor) => {
+  const accounts = await User.find({ accountType: 'vendor', vendor: vendor._id }).select('name email createdAt');
+  const invitation = vendor.portalInvitation?.expiresAt && vendor.portalInvitation.expiresAt > new Date()
+    ? { email: vendor.portalInvitation.email, expiresAt: vendor.portalInvitation.expiresAt }
+    : null;
+  return { accounts, invitation };
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  presentVendor,
+  presentBooking,
+  presentTask,
+  portalStatus
+};
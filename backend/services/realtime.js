@@ -0,0 +1,66 @@
+// Server-sent events hub. Each user can have several open streams (tabs, devices);
+// publish() writes to all of them. State is per process, so with several instances
+// a user only receives pushes from the instance their stream is connected to.
+
+const clients = new Map();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Turn a response into an event stream for the user and keep it registered until the client disconnects
+const subscribe = (userId, req, res) => {
+  const key = userId.toString();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Remember which login session opened the stream so revoking it can close the stream
+  res.locals.sessionId = req.authSession ? req.authSession._id.toString() : null;
+
+  if (!clients.has(key)) clients.set(key, new Set());
+  clients.get(key).add(res);
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = clients.get(key);
+    if (streams) {
+      streams.delete(res);
+      if (streams.size === 0) clients.delete(key);
+    }
+  });
+};
+
+const publish = (userId, event, data) => {
+  const streams = clients.get(userId.toString());
+  if (!streams) return 0;
+  streams.forEach(res => write(res, event, data));
+  return streams.size;
+};
+
+// Close a user's streams, or only those opened by one session
+const disconnect = (userId, sessionId) => {
+  const streams = clients.get(userId.toString());
+  if (!streams) return 0;
+  let closed = 0;
+  streams.forEach(res => {
+    if (!sessionId || res.locals.sessionId === sessionId.toString()) {
+      res.end();
+      closed += 1;
+    }
+  });
+  return closed;
+};
+
+module.exports = { subscribe, publish, disconnect };
@@ -0,0 +1,59 @@
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const Task = require('../models/Task');
+const Vendor = require('../models/Vendor');
+
+// A review is verified when one of the reviewer's events (as organizer or staff)
+// used the vendor: an accepted booking first, otherwise a task linked to the vendor.
+// Returns the source to store on the review, or null.
+const findReviewSource = async (userId, vendor) => {
+  const events = await Event.find({
+    organization: vendor.organization,
+    $or: [{ organizer: userId }, { 'staff.user': userId }]
+  }).distinct('_id');
+  if (events.length === 0) {
+    return null;
+  }
+
+  const booking = await Booking.findOne({
+    vendor: vendor._id,
+    event: { $in: events },
+    status: { $in: ['accepted', 'confirmed', 'completed'] }
+  }).sort({ 'request.date': -1 }).select('event');
+  if (booking) {
+    return { event: booking.event, booking: booking._id };
+  }
+
+  const task = await Task.findOne({
+    vendor: vendor._id,
+    event: { $in: events },
+    status: { $ne: 'cancelled' }
+  }).sort({ dueDate: -1 }).select('event');
+  return task ? { event: task.event, task: task._id } : null;
+};
+
+// Reviews waiting for a moderator in an organization: hidden ones and approved
+// ones that have been flagged, most flagged first
+const moderationQueue = async (organizationId) => {
+  const vendors = await Vendor.find({
+    organization: organizationId,
+    reviews: { $elemMatch: { $or: [{ status: 'pending' }, { status: 'approved', 'flags.0': { $exists: true } }] } }
+  })
+    .select('name company category reviews')
+    .populate('reviews.user', 'name email avatar')
+    .populate('reviews.flags.user', 'name email');
+
+  return vendors
+    .flatMap(vendor => vendor.reviews
+      .filter(review => review.status === 'pending' || (review.status === 'approved' && review.flags.length > 0))
+      .map(review => ({
+        vendor: { _id: vendor._id, name: vendor.name, company: vendor.company, category: vendor.category },
+        review
+      })))
+    .sort((a, b) => b.review.flags.length - a.review.flags.length || b.review.date - a.review.date);
+};
+
+module.exports = {
+  findReviewSource,
+  moderationQueue
+};
@@ -0,0 +1,126 @@
+const os = require('os');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+
+// Identifies this process in job locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const TICK_MS = 30 * 1000;
+const DEFAULT_TIMEOUT = 10 * 60 * 1000;
+
+const jobs = new Map();
+let timer = null;
+
+// Register a recurring job. The handler receives the run time and may return a
+// small result object, which is stored with the run.
+const defineJob = (name, { interval, timeout = DEFAULT_TIMEOUT }, handler) => {
+  jobs.set(name, { name, interval, timeout, handler });
+};
+
+// Atomically take the job's lock. Only one instance can hold it; an expired
+// lock (a crashed run) can be taken over.
+const claim = (name, now, timeout, force) => Job.findOneAndUpdate(
+  {
+    name,
+    ...(force ? {} : { nextRunAt: { $lte: now } }),
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  },
+  { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + timeout) } },
+  { new: true }
+);
+
+// Run a job if it is due (or unconditionally when forced) and this instance wins the lock.
+// Resolves with the JobRun, or null if the job was not run.
+const runJob = async (name, { force = false } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  const now = new Date();
+  const claimed = await claim(name, now, job.timeout, force);
+  if (!claimed) return null;
+
+  const run = await JobRun.create({
+    job: name,
+    instance: INSTANCE_ID,
+    trigger: force ? 'manual' : 'schedule',
+    startedAt: now
+  });
+
+  let status = 'succeeded';
+  let result;
+  let error;
+  try {
+    result = await job.handler(now);
+  } catch (err) {
+    status = 'failed';
+    error = err.stack || err.message;
+    console.error(`Job ${name} failed:`, err);
+  }
+
+  const finishedAt = new Date();
+  const duration = finishedAt - now;
+
+  run.set({ status, result, error, finishedAt, duration });
+  await run.save();
+
+  await Job.updateOne(
+    { name, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        lockedBy: null,
+        lockedUntil: null,
+        lastRunAt: now,
+        lastStatus: status,
+        lastError: error || null,
+        lastDuration: duration,
+        nextRunAt: new Date(now.getTime() + job.interval)
+      },
+      ...(status === 'failed' ? { $inc: { failureCount: 1 } } : {})
+    }
+  );
+
+  return run;
+};
+
+const tick = async () => {
+  for (const name of jobs.keys()) {
+    try {
+      await runJob(name);
+    } catch (error) {
+      console.error(`Scheduler error for ${name}:`, error);
+    }
+  }
+};
+
+// Make sure every defined job has its state document, then start polling
+const start = async () => {
+  for (const { name, interval } of jobs.values()) {
+    try {
+      await Job.updateOne(
+        { name },
+        { $set: { interval }, $setOnInsert: { name, nextRunAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another instance created the document at the same moment
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (!timer) {
+    timer = setInterval(tick, TICK_MS);
+    tick();
+  }
+  console.log(`Job scheduler started on ${INSTANCE_ID} with ${jobs.size} jobs`);
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+const listJobs = () => Job.find({ name: { $in: [...jobs.keys()] } }).sort({ name: 1 });
+
+module.exports = { INSTANCE_ID, defineJob, runJob, start, stop, listJobs };
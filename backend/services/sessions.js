@@ -0,0 +1,163 @@
+// Login sessions with short-lived access tokens and rotating refresh tokens.
+//
+// A refresh token is "<sessionId>.<secret>". Every refresh replaces the secret,
+// so each token works once. Presenting a secret that has already been replaced
+// means a copy of the token is in someone else's hands, and the whole session is
+// revoked.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const realtime = require('./realtime');
+
+const DAY = 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY;
+
+// Two tabs sharing a refresh token can both try to use it at once; the loser is not treated as reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Only refresh lastSeenAt on authenticated requests this often
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip || ''
+});
+
+const issueTokens = (user, session, secret) => ({
+  session,
+  token: user.generateAuthToken(session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+// Start a session for a user who just proved who they are
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+  return issueTokens(user, session, secret);
+};
+
+// Revoke every active session matching the filter and close their notification streams
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id user');
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  sessions.forEach(session => realtime.disconnect(session.user, session._id));
+  return sessions.length;
+};
+
+// Swap a refresh token for a new access/refresh token pair. Returns null when the token cannot be used.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const session = await Session.findById(parsed.sessionId).select('+tokenHash +previousTokenHash');
+  if (!session || !session.isActive) {
+    return null;
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (presentedHash !== session.tokenHash) {
+    const racedRotation = presentedHash === session.previousTokenHash &&
+      session.rotatedAt && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+    if (!racedRotation) {
+      console.warn(`Refresh token reuse detected for session ${session._id}, revoking it`);
+      await revokeSessions({ _id: session._id }, 'reuse');
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    return null;
+  }
+
+  // Matching on the current hash means only one of two concurrent refreshes can win
+  const secret = newSecret();
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      tokenHash: hashSecret(secret),
+      previousTokenHash: session.tokenHash,
+      rotatedAt: now,
+      lastSeenAt: now,
+      ...clientInfo(req),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL)
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return null;
+  }
+
+  return { user, ...issueTokens(user, rotated, secret) };
+};
+
+// End the session a refresh token belongs to and return it. Unknown or stale tokens are ignored.
+const endSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const filter = { _id: parsed.sessionId, tokenHash: hashSecret(parsed.secret) };
+  const session = await Session.findOne({ ...filter, revokedAt: null }).select('user');
+  if (!session) {
+    return null;
+  }
+
+  await revokeSessions(filter, 'logout');
+  return session;
+};
+
+// Active sessions for a user, most recently used first
+const listSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort({ lastSeenAt: -1 });
+
+// Record activity on a session without slowing the request down
+const touchSession = (session) => {
+  if (Date.now() - session.lastSeenAt.getTime() < TOUCH_INTERVAL_MS) {
+    return;
+  }
+  Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() })
+    .catch(error => console.error('Touch session error:', error));
+};
+
+module.exports = {
+  clientInfo,
+  createSession,
+  rotateSession,
+  endSession,
+  revokeSessions,
+  listSessions,
+  touchSession
+};
@@ -0,0 +1,44 @@
+// Runtime settings stored in MongoDB. Values are cached briefly because some
+// (like requireAdminTwoFactor) are read on every authenticated request.
+
+const Setting = require('../models/Setting');
+
+const DEFAULTS = {
+  requireAdminTwoFactor: false
+};
+
+const CACHE_MS = 30 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+const getAll = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_MS) {
+    return cache;
+  }
+
+  const stored = await Setting.find({ key: { $in: Object.keys(DEFAULTS) } });
+  cache = { ...DEFAULTS };
+  stored.forEach(setting => {
+    cache[setting.key] = setting.value;
+  });
+  cachedAt = Date.now();
+  return cache;
+};
+
+const get = async (key) => (await getAll())[key];
+
+const set = async (key, value, userId) => {
+  if (!(key in DEFAULTS)) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true }
+  );
+  cache = null;
+};
+
+module.exports = { DEFAULTS, getAll, get, set };
@@ -0,0 +1,45 @@
+const { convertPricing } = require('./currency');
+const { complianceOf } = require('./compliance');
+const { distanceKm } = require('../utils/geo');
+
+// How the team voted on a shortlisted vendor, including the current user's own vote
+const voteSummary = (entry, user) => {
+  const mine = entry.votes.find(vote => (vote.user._id || vote.user).toString() === user._id.toString());
+  return {
+    for: entry.votes.filter(vote => vote.value === 1).length,
+    against: entry.votes.filter(vote => vote.value === -1).length,
+    score: entry.score,
+    mine: mine ? mine.value : 0
+  };
+};
+
+// One column of the comparison: the vendor's prices (also in `rates.currency` when
+// given), ratings, verification, compliance, services and distance to the event
+const comparisonRow = (entry, event, { user, rates, booking }) => {
+  const { vendor } = entry;
+  return {
+    entry: entry._id,
+    vendor: {
+      _id: vendor._id,
+      name: vendor.name,
+      company: vendor.company,
+      category: vendor.category
+    },
+    pricing: vendor.pricing,
+    convertedPricing: rates ? convertPricing(vendor.pricing, rates) : undefined,
+    rating: vendor.averageRating,
+    criteriaRatings: vendor.criteriaRatings,
+    reviewCount: vendor.reviewCount,
+    verified: vendor.verified,
+    compliance: complianceOf(vendor).status,
+    services: vendor.services,
+    distanceKm: distanceKm(event.location?.point, vendor.address?.point),
+    votes: voteSummary(entry, user),
+    booking: booking ? { _id: booking._id, status: booking.status } : null
+  };
+};
+
+module.exports = {
+  voteSummary,
+  comparisonRow
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage drivers share one interface:
+//   put(key, buffer, contentType, { baseUrl }) -> resolves with the public URL
+//   remove(key)                                 -> resolves once the object is gone (missing is fine)
+// STORAGE_DRIVER picks the driver; 'local' is the default.
+
+const local = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+  // Keys come from stored documents; never let one reach outside the upload directory
+  const fileFor = (key) => {
+    const file = path.resolve(root, String(key));
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    put: async (key, buffer, contentType, { baseUrl = '' } = {}) => {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return `${baseUrl}/uploads/${key}`;
+    },
+    remove: async (key) => {
+      const file = fileFor(key);
+      try {
+        await fs.promises.unlink(file);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// Works with AWS S3 and S3-compatible services (MinIO, R2, Spaces) via S3_ENDPOINT.
+// The SDK is only needed when this driver is selected.
+const s3 = () => {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('The s3 storage driver needs @aws-sdk/client-s3 (npm install @aws-sdk/client-s3)');
+  }
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new sdk.S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const publicUrl = process.env.S3_PUBLIC_URL
+    || (process.env.S3_ENDPOINT
+      ? `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`);
+
+  return {
+    put: async (key, buffer, contentType) => {
+      await client.send(new sdk.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return `${publicUrl}/${key}`;
+    },
+    remove: async (key) => {
+      await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const drivers = { local, s3 };
+
+let driver;
+
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    driver = drivers[name]();
+  }
+  return driver;
+};
+
+// Replace the configured driver (e.g. with another object store)
+const setDriver = (custom) => {
+  driver = custom;
+};
+
+const put = (...args) => getDriver().put(...args);
+const remove = (key) => getDriver().remove(key);
+
+module.exports = { put, remove, setDriver };
@@ -0,0 +1,99 @@
+// TOTP two-factor authentication (RFC 6238, as used by Google Authenticator,
+// Authy, 1Password and friends) with single-use recovery codes.
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const settings = require('./settings');
+
+const STEP_SECONDS = 30;
+
+// Accept the code from one step either side to allow for clock drift
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'EventHub';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are typed by hand, so ignore case, spaces and dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Start enrolment: a new secret plus the otpauth:// URL and a QR code for it
+const createSetup = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Check a code against a secret. Returns the time step it belongs to, or null.
+const checkCode = (secret, code) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) {
+    return null;
+  }
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) {
+    return null;
+  }
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+};
+
+// Verify a code for a user with 2FA turned on. Each code only works once.
+// Expects twoFactor.secret and twoFactor.lastUsedStep to be selected; the caller saves the user.
+const verifyCode = (user, code) => {
+  const step = checkCode(user.twoFactor.secret, code);
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Replace the user's recovery codes. Returns the plain codes to show once; only hashes are stored.
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.twoFactor.recoveryCodes = codes.map(code => hashCode(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Use up a recovery code. Expects twoFactor.recoveryCodes to be selected; the caller saves the user.
+const useRecoveryCode = (user, code) => {
+  const hash = hashCode(normalizeRecoveryCode(code));
+  const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (index === -1) {
+    return false;
+  }
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Verify either a TOTP code or a recovery code
+const verifyCodeOrRecoveryCode = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return useRecoveryCode(user, recoveryCode);
+  }
+  return verifyCode(user, code);
+};
+
+// Whether this user must have 2FA turned on before using the app
+const isRequiredFor = async (user) => {
+  if (user.role !== 'admin') {
+    return false;
+  }
+  return Boolean(await settings.get('requireAdminTwoFactor'));
+};
+
+module.exports = {
+  createSetup,
+  checkCode,
+  verifyCode,
+  generateRecoveryCodes,
+  useRecoveryCode,
+  verifyCodeOrRecoveryCode,
+  isRequiredFor
+};
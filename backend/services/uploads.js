@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const Jimp = require('jimp');
+const storage = require('./storage');
+const { isOversizedImage } = require('../utils/imageSize');
+
+const THUMBNAIL_SIZE = 320;
+
+// Formats jimp can decode; other images are stored without a thumbnail
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+// Every accepted type maps to a fixed extension: the stored file is served with the
+// content type its extension implies, so the client's file name must never pick it
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'text/plain': '.txt',
+  'text/csv': '.csv'
+};
+
+const newKey = (folder, file) => {
+  const ext = EXTENSIONS[file.mimetype] || '.bin';
+  return `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+};
+
+const makeThumbnail = async (buffer, mimetype) => {
+  if (isOversizedImage(buffer, mimetype)) {
+    throw new Error('Image is too large to make a thumbnail from');
+  }
+  const image = await Jimp.read(buffer);
+  image.scaleToFit(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+  return image.quality(80).getBufferAsync(Jimp.MIME_JPEG);
+};
+
+// Store a multer file (and a thumbnail for images) under the given folder.
+// Resolves with the fields kept on the owning document.
+const storeUpload = async (file, { folder, baseUrl, thumbnail = true }) => {
+  const key = newKey(folder, file);
+  const url = await storage.put(key, file.buffer, file.mimetype, { baseUrl });
+
+  const stored = {
+    name: file.originalname,
+    type: file.mimetype,
+    size: file.size,
+    url,
+    key
+  };
+
+  if (thumbnail && THUMBNAIL_TYPES.includes(file.mimetype)) {
+    try {
+      const thumbnailKey = key.replace(/(\.\w+)?$/, '-thumb.jpg');
+      stored.thumbnail = await storage.put(thumbnailKey, await makeThumbnail(file.buffer, file.mimetype), 'image/jpeg', { baseUrl });
+      stored.thumbnailKey = thumbnailKey;
+    } catch (error) {
+      // A corrupt image can still be stored, it just gets no thumbnail
+      console.error('Create thumbnail error:', error);
+    }
+  }
+
+  return stored;
+};
+
+// Delete the stored objects behind an entry. Entries that only hold an external URL have no key and are left alone.
+const removeUpload = async (entry) => {
+  if (!entry) return;
+  const keys = [entry.key, entry.thumbnailKey].filter(Boolean);
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error(`Remove upload ${key} error:`, error);
+  })));
+};
+
+module.exports = { storeUpload, removeUpload };
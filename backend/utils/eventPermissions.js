@@ -0,0 +1,40 @@
+const Organization = require('../models/Organization');
+
+// Everything that can be done to an event besides registering for it
+const EVENT_ACTIONS = [
+  'event:update',
+  'event:delete',
+  'event:manage-staff',
+  'event:manage-tasks',
+  'event:check-in',
+  'event:view-budget',
+  'event:manage-budget',
+  'event:manage-bookings'
+];
+
+// What each per-event staff role may do. Organizers and organization managers
+// hold every event action.
+const STAFF_ROLE_PERMISSIONS = {
+  'co-organizer': ['event:update', 'event:manage-staff', 'event:manage-tasks', 'event:check-in', 'event:view-budget', 'event:manage-budget', 'event:manage-bookings'],
+  'task-manager': ['event:manage-tasks'],
+  'check-in': ['event:check-in'],
+  finance: ['event:view-budget', 'event:manage-budget']
+};
+
+const STAFF_ROLES = Object.keys(STAFF_ROLE_PERMISSIONS);
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Event actions a user holds through the event itself; orgRole is the user's
+// role in the event's organization. Role-wide grants are added by services/permissions.
+const eventPermissions = (event, user, orgRole) => {
+  if (!user) return [];
+  if (Organization.roleAtLeast(orgRole, 'manager') || idOf(event.organizer) === user._id.toString()) {
+    return EVENT_ACTIONS;
+  }
+
+  const member = (event.staff || []).find(s => idOf(s.user) === user._id.toString());
+  return member ? STAFF_ROLE_PERMISSIONS[member.role] : [];
+};
+
+module.exports = { EVENT_ACTIONS, STAFF_ROLES, STAFF_ROLE_PERMISSIONS, idOf, eventPermissions };
@@ -0,0 +1,115 @@
+// GeoJSON points and distance helpers shared by events, tasks and vendors.
+// Points are stored as { type: 'Point', coordinates: [lng, lat] } under a
+// 2dsphere index; clients mostly think in { lat, lng }.
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_RADIUS_KM = 20000;
+
+// Schema definition for an optional GeoJSON point. The coordinates default to
+// undefined so documents without a location never hold a half-built point,
+// which the 2dsphere index would reject.
+const pointField = () => ({
+  type: {
+    type: String,
+    enum: ['Point']
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+});
+
+const isLatLng = (value) => typeof value?.lat === 'number' && typeof value?.lng === 'number' &&
+  Math.abs(value.lat) <= 90 && Math.abs(value.lng) <= 180;
+
+const toPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// { lat, lng } of a stored point, or null when there is none
+const fromPoint = (point) => {
+  const [lng, lat] = point?.coordinates || [];
+  return typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null;
+};
+
+// Parse "lat,lng" from a query string, or null when it isn't a valid position
+const parseLatLng = (value) => {
+  const parts = String(value || '').split(',');
+  if (parts.length !== 2 || parts.some(part => !part.trim())) return null;
+  const position = { lat: Number(parts[0]), lng: Number(parts[1]) };
+  return isLatLng(position) ? position : null;
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in km between two stored points, rounded to 100 m,
+// or null when either is missing
+const distanceKm = (fromGeo, toGeo) => {
+  const from = fromPoint(fromGeo);
+  const to = fromPoint(toGeo);
+  if (!from || !to) return null;
+
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)) * 10) / 10;
+};
+
+// One page of `Model` documents matching `filter`, nearest to `near` first, in the
+// same shape as mongoose-paginate-v2. `key` is the 2dsphere-indexed path and
+// `radiusKm` optionally caps the distance. The documents are loaded with a normal
+// find so field selection and virtuals apply; each one carries its distance in
+// `$locals.distanceKm`.
+const paginateNear = async (Model, { key, near, radiusKm, filter, page = 1, limit = 10, populate }) => {
+  const [result] = await Model.aggregate([
+    {
+      $geoNear: {
+        key,
+        near: toPoint(near),
+        distanceField: 'distance',
+        spherical: true,
+        query: filter,
+        ...(radiusKm ? { maxDistance: radiusKm * 1000 } : {})
+      }
+    },
+    {
+      $facet: {
+        page: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { distance: 1 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const distances = new Map(result.page.map(({ _id, distance }) => [_id.toString(), distance]));
+  let query = Model.find({ _id: { $in: [...distances.keys()] } });
+  if (populate) query = query.populate(populate);
+  const docs = (await query).sort((a, b) => distances.get(a._id.toString()) - distances.get(b._id.toString()));
+  docs.forEach(doc => {
+    doc.$locals.distanceKm = Math.round(distances.get(doc._id.toString()) / 100) / 10;
+  });
+
+  const totalDocs = result.total[0]?.count || 0;
+  const totalPages = Math.ceil(totalDocs / limit) || 1;
+  return {
+    docs,
+    totalDocs,
+    limit,
+    page,
+    totalPages,
+    pagingCounter: (page - 1) * limit + 1,
+    hasPrevPage: page > 1,
+    hasNextPage: page < totalPages,
+    prevPage: page > 1 ? page - 1 : null,
+    nextPage: page < totalPages ? page + 1 : null
+  };
+};
+
+module.exports = {
+  MAX_RADIUS_KM,
+  pointField,
+  isLatLng,
+  toPoint,
+  fromPoint,
+  parseLatLng,
+  distanceKm,
+  paginateNear
+};
@@ -0,0 +1,97 @@
+// Minimal RFC 5545 (iCalendar) writer for event downloads and calendar feeds
+
+const PRODID = '-//EventHub//Event Management//EN';
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20261114T180000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261114 (all-day values)
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line, 'utf8');
+  while (rest.length > 75) {
+    let cut = chunks.length === 0 ? 75 : 74;
+    // Do not split a multi-byte character
+    while ((rest[cut] & 0xc0) === 0x80) cut--;
+    chunks.push(rest.slice(0, cut).toString('utf8'));
+    rest = rest.slice(cut);
+  }
+  chunks.push(rest.toString('utf8'));
+  return chunks.join('\r\n ');
+};
+
+const formatAddress = (location = {}) => [location.address, location.city, location.state, location.zipCode]
+  .filter(Boolean)
+  .join(', ');
+
+const eventToVEvent = (event, { url } = {}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:event-${event._id}@eventhub`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    `DTSTART:${formatDateTime(event.startDate)}`,
+    `DTEND:${formatDateTime(event.endDate)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(formatAddress(event.location))}`,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+  if (url) lines.push(`URL:${url}`);
+  if (event.contactEmail) lines.push(`ORGANIZER:mailto:${event.contactEmail}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Tasks are written as all-day events on their due date so every calendar client shows them
+const taskToVEvent = (task, { url } = {}) => {
+  const due = new Date(task.dueDate);
+  const nextDay = new Date(due.getTime() + 24 * 60 * 60 * 1000);
+  const eventTitle = task.event && task.event.title ? ` (${task.event.title})` : '';
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:task-${task._id}@eventhub`,
+    `DTSTAMP:${formatDateTime(task.updatedAt || new Date())}`,
+    `DTSTART;VALUE=DATE:${formatDate(due)}`,
+    `DTEND;VALUE=DATE:${formatDate(nextDay)}`,
+    `SUMMARY:${escapeText(`Due: ${task.title}${eventTitle}`)}`,
+    `DESCRIPTION:${escapeText(`${task.description}\n\nPriority: ${task.priority}\nStatus: ${task.status}`)}`,
+    `STATUS:${task.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+  if (url) lines.push(`URL:${url}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const buildCalendar = (name, components) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...components.flat(),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Send an iCalendar body; download=true suggests a file name to the browser
+const sendCalendar = (res, body, filename, download = false) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (download) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(body);
+};
+
+module.exports = { eventToVEvent, taskToVEvent, buildCalendar, sendCalendar };
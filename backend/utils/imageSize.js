@@ -0,0 +1,80 @@
+// Pixel dimensions of JPEG, PNG and GIF images read from their headers, so
+// oversized images can be turned away before anything decodes them.
+
+// 25 megapixels decodes to about 100 MB of RGBA
+const MAX_IMAGE_PIXELS = 25 * 1000 * 1000;
+
+const pngSize = (buffer) => (buffer.length >= 24
+  ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+  : null);
+
+// The frame size from the first start-of-frame marker
+const jpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) {
+      offset += 2;
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+// The larger of the logical screen and the first frame, which may exceed it
+const gifSize = (buffer) => {
+  if (buffer.length < 13) return null;
+  const screen = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  let offset = 13 + (buffer[10] & 0x80 ? 3 * 2 ** ((buffer[10] & 0x07) + 1) : 0);
+
+  while (offset < buffer.length) {
+    if (buffer[offset] === 0x2c) {
+      if (offset + 9 > buffer.length) return null;
+      return {
+        width: Math.max(screen.width, buffer.readUInt16LE(offset + 5)),
+        height: Math.max(screen.height, buffer.readUInt16LE(offset + 7))
+      };
+    }
+    if (buffer[offset] !== 0x21) return null;
+    // Extension: introducer, label, then data sub-blocks up to a zero-length one
+    offset += 2;
+    while (offset < buffer.length && buffer[offset] !== 0) {
+      offset += buffer[offset] + 1;
+    }
+    offset++;
+  }
+  return null;
+};
+
+const READERS = {
+  'image/png': pngSize,
+  'image/jpeg': jpegSize,
+  'image/gif': gifSize
+};
+
+// { width, height } of an image, or null when the header can't be read
+const imageSize = (buffer, mimetype) => {
+  const read = READERS[mimetype];
+  try {
+    return read ? read(buffer) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether an image is too large to decode safely; unreadable headers count as too large
+const isOversizedImage = (buffer, mimetype) => {
+  const size = imageSize(buffer, mimetype);
+  return !size || size.width * size.height > MAX_IMAGE_PIXELS;
+};
+
+module.exports = { MAX_IMAGE_PIXELS, imageSize, isOversizedImage };
@@ -0,0 +1,107 @@
+// Expands an event recurrence rule into occurrence start dates.
+//
+// rule = {
+//   frequency: 'daily' | 'weekly' | 'monthly',
+//   interval: 1,              // every N days/weeks/months
+//   weekdays: [1, 3],         // weekly only, 0 = Sunday; defaults to the start's weekday
+//   monthlyMode: 'dayOfMonth' | 'nthWeekday',
+//   until: Date,              // last possible start (inclusive), or
+//   count: 10                 // total number of occurrences
+// }
+
+const MAX_OCCURRENCES = 200;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Date in the given month with the start's time of day, or null if the day does not exist
+const dayInMonth = (start, year, month, day) => {
+  const result = new Date(start);
+  result.setFullYear(year, month, day);
+  return result.getMonth() === ((month % 12) + 12) % 12 ? result : null;
+};
+
+// nth weekday of a month (n = -1 for the last one), with the start's time of day
+const nthWeekdayInMonth = (start, year, month, weekday, n) => {
+  if (n === -1) {
+    const last = new Date(start);
+    last.setFullYear(year, month + 1, 0);
+    return addDays(last, -((last.getDay() - weekday + 7) % 7));
+  }
+  const first = dayInMonth(start, year, month, 1);
+  const result = addDays(first, ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7);
+  return result.getMonth() === first.getMonth() ? result : null;
+};
+
+// Which occurrence of its weekday the date is within its month (1-4, or -1 for a fifth one)
+const weekdayOrdinal = (date) => {
+  const n = Math.ceil(date.getDate() / 7);
+  return n === 5 ? -1 : n;
+};
+
+const validateRule = (rule) => {
+  if (!rule || !['daily', 'weekly', 'monthly'].includes(rule.frequency)) {
+    throw new Error('Recurrence frequency must be daily, weekly or monthly');
+  }
+  if (!rule.until && !rule.count) {
+    throw new Error('Recurrence needs an end date or a number of occurrences');
+  }
+  if (rule.count && (rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+    throw new Error(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+  if (rule.weekdays && !rule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new Error('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+  }
+};
+
+const generateOccurrences = (startDate, rule) => {
+  validateRule(rule);
+
+  const start = new Date(startDate);
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const until = rule.until ? new Date(rule.until) : null;
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const occurrences = [];
+
+  const accept = (date) => {
+    if (!date || date < start) return true;
+    if (until && date > until) return false;
+    occurrences.push(date);
+    return occurrences.length < limit;
+  };
+
+  if (rule.frequency === 'daily') {
+    for (let i = 0; accept(addDays(start, i * interval)); i++);
+  } else if (rule.frequency === 'weekly') {
+    const weekdays = (rule.weekdays && rule.weekdays.length > 0 ? [...rule.weekdays] : [start.getDay()])
+      .sort((a, b) => a - b);
+    const weekStart = addDays(start, -start.getDay());
+    let keepGoing = true;
+    for (let week = 0; keepGoing; week += interval) {
+      for (const weekday of weekdays) {
+        keepGoing = accept(addDays(weekStart, week * 7 + weekday));
+        if (!keepGoing) break;
+      }
+      // Guard against an until date decades away
+      if (week > 52 * 20) break;
+    }
+  } else {
+    const byWeekday = rule.monthlyMode === 'nthWeekday';
+    const ordinal = weekdayOrdinal(start);
+    for (let i = 0; i < MAX_OCCURRENCES * 12; i++) {
+      const month = start.getMonth() + i * interval;
+      const year = start.getFullYear();
+      const date = byWeekday
+        ? nthWeekdayInMonth(start, year, month, start.getDay(), ordinal)
+        : dayInMonth(start, year, month, start.getDate());
+      if (!accept(date)) break;
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = { generateOccurrences, MAX_OCCURRENCES };
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Ticket codes are "<eventId>.<attendeeId>.<signature>". The signature is an
+// HMAC over the two ids, so codes never need to be stored and cannot be forged
+// or moved to another event without the secret.
+const sign = (eventId, attendeeId) => {
+  const secret = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${eventId}:${attendeeId}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+const generateTicketCode = (eventId, attendeeId) => {
+  return `${eventId}.${attendeeId}.${sign(eventId, attendeeId)}`;
+};
+
+// Returns { eventId, attendeeId } for a genuine code, or null
+const verifyTicketCode = (code) => {
+  if (typeof code !== 'string') return null;
+  const parts = code.trim().split('.');
+  if (parts.length !== 3) return null;
+
+  const [eventId, attendeeId, signature] = parts;
+  const actual = Buffer.from(signature);
+  const expected = Buffer.from(sign(eventId, attendeeId));
+  // Byte lengths, not string lengths: timingSafeEqual throws on a mismatch
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return { eventId, attendeeId };
+};
+
+module.exports = { generateTicketCode, verifyTicketCode };
@@ -0,0 +1,4 @@
+// Base URL clients use to reach this API. API_URL wins so links stay correct behind a proxy.
+const publicBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+module.exports = { publicBaseUrl };
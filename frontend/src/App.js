@@ -1,11 +1,17 @@
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './contexts/AuthContext';
+import { useOrganization } from './contexts/OrganizationContext';
 import Navbar from './components/layout/Navbar';
 import Footer from './components/layout/Footer';
+import VerifyEmailBanner from './components/layout/VerifyEmailBanner';
+import TwoFactorBanner from './components/layout/TwoFactorBanner';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import Events from './pages/Events';
 import EventDetail from './pages/EventDetail';
@@ -19,19 +25,44 @@ import CreateTask from './pages/CreateTask';
 import LoadingSpinner from './components/common/LoadingSpinner';
 import TaskDetail from './pages/TaskDetail';
 import VendorDetail from './pages/VendorDetail';
+import CheckIn from './pages/CheckIn';
+import Organization from './pages/Organization';
+import AcceptInvitation from './pages/AcceptInvitation';
+import Roles from './pages/Roles';
+import ExchangeRates from './pages/ExchangeRates';
+import ComplianceReport from './pages/ComplianceReport';
+import ReviewModeration from './pages/ReviewModeration';
+import VendorPortal from './pages/VendorPortal';
+import AcceptVendorInvitation from './pages/AcceptVendorInvitation';
 
-const PrivateRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+// Vendor accounts only reach the vendor portal and the routes marked vendors="allow";
+// vendors="only" keeps everyone else out
+const PrivateRoute = ({ children, vendors }) => {
+  const { isAuthenticated, loading, user } = useAuth();
+  const location = useLocation();
   
   if (loading) {
     return <LoadingSpinner />;
   }
   
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" state={{ from: location }} />;
+  }
+
+  const isVendor = user?.accountType === 'vendor';
+  if (isVendor && !vendors) {
+    return <Navigate to="/portal" replace />;
+  }
+  if (!isVendor && vendors === 'only') {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return children;
 };
 
 function App() {
   const { loading } = useAuth();
+  const { organizationId } = useOrganization();
 
   if (loading) {
     return <LoadingSpinner />;
@@ -40,13 +71,28 @@ function App() {
   return (
     <div className="min-h-screen flex flex-col">
       <Navbar />
-      <main className="flex-grow">
+      <TwoFactorBanner />
+      <VerifyEmailBanner />
+      {/* Remount the pages on a workspace switch so they refetch their data */}
+      <main className="flex-grow" key={organizationId}>
         <Routes>
           <Route path="/" element={<Home />} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
+          <Route path="/vendor-invitations/:token" element={<AcceptVendorInvitation />} />
           <Route path="/events" element={<Events />} />
           <Route path="/events/:id" element={<EventDetail />} />
+          <Route 
+            path="/events/:id/check-in" 
+            element={
+              <PrivateRoute>
+                <CheckIn />
+              </PrivateRoute>
+            } 
+          />
           <Route 
             path="/dashboard" 
             element={
@@ -74,7 +120,7 @@ function App() {
           <Route 
             path="/profile" 
             element={
-              <PrivateRoute>
+              <PrivateRoute vendors="allow">
                 <Profile />
               </PrivateRoute>
             } 
@@ -119,6 +165,62 @@ function App() {
               </PrivateRoute>
             } 
           />
+          <Route 
+            path="/organization" 
+            element={
+              <PrivateRoute>
+                <Organization />
+              </PrivateRoute>
+            } 
+          />
+          <Route 
+            path="/admin/roles" 
+            element={
+              <PrivateRoute>
+                <Roles />
+              </PrivateRoute>
+            } 
+          />
+          <Route 
+            path="/admin/currencies" 
+            element={
+              <PrivateRoute>
+                <ExchangeRates />
+              </PrivateRoute>
+            } 
+          />
+          <Route 
+            path="/admin/vendor-compliance" 
+            element={
+              <PrivateRoute>
+                <ComplianceReport />
+              </PrivateRoute>
+            } 
+          />
+          <Route 
+            path="/admin/reviews" 
+            element={
+              <PrivateRoute>
+                <ReviewModeration />
+              </PrivateRoute>
+            } 
+          />
+          <Route 
+            path="/invitations/:token" 
+            element={
+              <PrivateRoute>
+                <AcceptInvitation />
+              </PrivateRoute>
+            } 
+          />
+          <Route 
+            path="/portal" 
+            element={
+              <PrivateRoute vendors="only">
+                <VendorPortal />
+              </PrivateRoute>
+            } 
+          />
           <Route 
             path="/tasks/:id" 
             element={
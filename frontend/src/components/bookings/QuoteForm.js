@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+import { formatMoney } from '../common/Money';
+
+export const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  requested: 'bg-blue-100 text-blue-800',
+  quoted: 'bg-purple-100 text-purple-800',
+  accepted: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-green-100 text-green-800',
+  completed: 'bg-green-200 text-green-900',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const emptyLine = { description: '', quantity: '1', unitPrice: '' };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+// A booking's quote as a table of line items with its total
+export const QuoteSummary = ({ quote }) => (
+  <div className="border border-gray-200 rounded-lg p-4 mb-3">
+    <table className="w-full text-sm">
+      <tbody>
+        {quote.items.map(item => (
+          <tr key={item._id}>
+            <td className="py-1 text-gray-700">{item.description}</td>
+            <td className="py-1 text-gray-500 text-right">
+              {item.quantity} × {formatMoney(item.unitPrice, quote.currency)}
+            </td>
+            <td className="py-1 text-gray-900 text-right w-32">
+              {formatMoney(item.quantity * item.unitPrice, quote.currency)}
+            </td>
+          </tr>
+        ))}
+        <tr className="border-t border-gray-200 font-semibold">
+          <td className="pt-2 text-gray-900" colSpan={2}>Total</td>
+          <td className="pt-2 text-gray-900 text-right">{formatMoney(quote.total, quote.currency)}</td>
+        </tr>
+      </tbody>
+    </table>
+    {(quote.notes || quote.validUntil) && (
+      <p className="text-xs text-gray-500 mt-2">
+        {quote.notes}
+        {quote.validUntil && ` Valid until ${format(new Date(quote.validUntil), 'MMM d, yyyy')}.`}
+      </p>
+    )}
+  </div>
+);
+
+// Line items, currency and terms of a quote, saved with a PUT to url. Starts from the
+// booking's current quote, or an empty line in defaultCurrency.
+const QuoteForm = ({ booking, url, defaultCurrency = 'USD', title = "Vendor's Quote", onSaved, onCancel }) => {
+  const { quote } = booking;
+  const [form, setForm] = useState(() => ({
+    currency: quote?.items?.length ? quote.currency : defaultCurrency,
+    validUntil: quote?.validUntil ? format(new Date(quote.validUntil), 'yyyy-MM-dd') : '',
+    notes: quote?.notes || '',
+    items: quote?.items?.length
+      ? quote.items.map(item => ({ description: item.description, quantity: String(item.quantity), unitPrice: String(item.unitPrice) }))
+      : [emptyLine]
+  }));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateLine = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const response = await axios.put(url, {
+        currency: form.currency.trim().toUpperCase(),
+        validUntil: form.validUntil,
+        notes: form.notes,
+        items: form.items.map(item => ({
+          description: item.description,
+          quantity: Number(item.quantity) || 0,
+          unitPrice: Number(item.unitPrice) || 0
+        }))
+      });
+      onSaved(response.data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save the quote'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const total = form.items.reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0), 0);
+
+  return (
+    <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-4 mb-3 space-y-3">
+      <h4 className="font-medium text-gray-900">{title}</h4>
+      {form.items.map((item, i) => (
+        <div key={i} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={item.description}
+            onChange={(e) => updateLine(i, 'description', e.target.value)}
+            className="input flex-1"
+            placeholder="Line item"
+            maxLength={200}
+            required
+          />
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={item.quantity}
+            onChange={(e) => updateLine(i, 'quantity', e.target.value)}
+            className="input w-20"
+            aria-label="Quantity"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={item.unitPrice}
+            onChange={(e) => updateLine(i, 'unitPrice', e.target.value)}
+            className="input w-32"
+            placeholder="Unit price"
+            required
+          />
+          <button
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, items: prev.items.filter((_, index) => index !== i) }))}
+            disabled={form.items.length === 1}
+            className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+            aria-label="Remove line item"
+          >
+            <FiTrash2 className="h-5 w-5" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => setForm(prev => ({ ...prev, items: [...prev.items, emptyLine] }))}
+        className="text-sm text-primary-600 hover:text-primary-700 flex items-center gap-1"
+      >
+        <FiPlus className="h-4 w-4" />
+        Add line
+      </button>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label htmlFor={`quote-currency-${booking._id}`} className="form-label">Currency</label>
+          <input
+            id={`quote-currency-${booking._id}`}
+            type="text"
+            value={form.currency}
+            onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value }))}
+            className="input uppercase"
+            maxLength={3}
+          />
+        </div>
+        <div>
+          <label htmlFor={`quote-valid-${booking._id}`} className="form-label">Valid until</label>
+          <input
+            id={`quote-valid-${booking._id}`}
+            type="date"
+            value={form.validUntil}
+            onChange={(e) => setForm(prev => ({ ...prev, validUntil: e.target.value }))}
+            className="input"
+          />
+        </div>
+        <div className="flex items-end">
+          <p className="font-semibold text-gray-900">
+            Total: {formatMoney(total, form.currency.length === 3 ? form.currency.toUpperCase() : 'USD')}
+          </p>
+        </div>
+      </div>
+      <textarea
+        value={form.notes}
+        onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+        className="input"
+        rows={2}
+        maxLength={1000}
+        placeholder="Terms or notes from the vendor"
+      />
+      <div className="flex gap-3">
+        <button type="submit" disabled={isSaving} className="btn btn-primary">Save Quote</button>
+        <button type="button" onClick={onCancel} className="btn btn-secondary">Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+export default QuoteForm;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiSend, FiSave } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+import { warnVendorConflicts } from '../vendors/VendorConflicts';
+
+const toInputTime = (date) => format(new Date(date), "yyyy-MM-dd'T'HH:mm");
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+// Ask a vendor for a quote for an event. Pass `vendor` to pick the event, or
+// `event` to pick the vendor; the booking is created on the event either way.
+const QuoteRequestForm = ({ vendor, event, onCreated, onCancel }) => {
+  const { user } = useAuth();
+  const [options, setOptions] = useState([]);
+  const [form, setForm] = useState({
+    event: event?._id || '',
+    vendor: vendor?._id || '',
+    date: event ? toInputTime(event.startDate) : '',
+    hours: '',
+    services: '',
+    notes: ''
+  });
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        if (event) {
+          const response = await axios.get('/api/vendors', { params: { limit: 100, sortBy: 'name', sortOrder: 'asc' } });
+          setOptions(response.data.docs);
+        } else {
+          const response = await axios.post('/api/events/my-events', { id: user._id });
+          setOptions(response.data.filter(e => e.status !== 'cancelled' && e.status !== 'completed'));
+        }
+      } catch (error) {
+        toast.error(event ? 'Failed to load vendors' : 'Failed to load your events');
+      }
+    };
+
+    fetchOptions();
+  }, [event, user._id]);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleEventChange = (eventId) => {
+    const selected = options.find(e => e._id === eventId);
+    setForm(prev => ({
+      ...prev,
+      event: eventId,
+      date: prev.date || (selected ? toInputTime(selected.startDate) : '')
+    }));
+  };
+
+  const submit = async (send) => {
+    setIsBusy(true);
+    try {
+      const response = await axios.post(`/api/events/${form.event}/bookings`, {
+        vendor: form.vendor,
+        date: new Date(form.date).toISOString(),
+        hours: form.hours ? Number(form.hours) : null,
+        services: form.services.split(',').map(service => service.trim()).filter(Boolean),
+        notes: form.notes,
+        submit: send
+      });
+      toast.success(send ? 'Quote requested' : 'Draft saved');
+      warnVendorConflicts(response.data.vendorConflicts);
+      onCreated(response.data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to request a quote'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submit(true);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+      <h2 className="text-xl font-semibold text-gray-900">
+        {vendor ? `Request a Quote from ${vendor.company || vendor.name}` : 'Request a Vendor Quote'}
+      </h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {event ? (
+          <div>
+            <label htmlFor="quote-vendor" className="form-label">Vendor</label>
+            <select
+              id="quote-vendor"
+              value={form.vendor}
+              onChange={(e) => update('vendor', e.target.value)}
+              className="input"
+              required
+            >
+              <option value="">Select a vendor</option>
+              {options.map(v => (
+                <option key={v._id} value={v._id}>{v.name} ({v.company}) · {v.category}</option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <div>
+            <label htmlFor="quote-event" className="form-label">Event</label>
+            <select
+              id="quote-event"
+              value={form.event}
+              onChange={(e) => handleEventChange(e.target.value)}
+              className="input"
+              required
+            >
+              <option value="">Select one of your events</option>
+              {options.map(e => (
+                <option key={e._id} value={e._id}>
+                  {e.title} · {format(new Date(e.startDate), 'MMM d, yyyy')}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label htmlFor="quote-date" className="form-label">Needed from</label>
+          <input
+            id="quote-date"
+            type="datetime-local"
+            value={form.date}
+            onChange={(e) => update('date', e.target.value)}
+            className="input"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="quote-hours" className="form-label">Hours</label>
+          <input
+            id="quote-hours"
+            type="number"
+            min="0"
+            step="0.5"
+            value={form.hours}
+            onChange={(e) => update('hours', e.target.value)}
+            className="input"
+            placeholder="e.g. 6"
+          />
+        </div>
+        <div>
+          <label htmlFor="quote-services" className="form-label">Services</label>
+          <input
+            id="quote-services"
+            type="text"
+            value={form.services}
+            onChange={(e) => update('services', e.target.value)}
+            className="input"
+            placeholder={vendor?.services?.length ? vendor.services.slice(0, 3).join(', ') : 'Separate services with commas'}
+          />
+        </div>
+      </div>
+      <div>
+        <label htmlFor="quote-notes" className="form-label">Notes for the vendor</label>
+        <textarea
+          id="quote-notes"
+          value={form.notes}
+          onChange={(e) => update('notes', e.target.value)}
+          className="input"
+          rows={3}
+          maxLength={1000}
+        />
+      </div>
+      <div className="flex flex-wrap gap-3">
+        <button type="submit" disabled={isBusy} className="btn btn-primary flex items-center gap-2">
+          <FiSend className="h-4 w-4" />
+          Send Request
+        </button>
+        <button
+          type="button"
+          onClick={() => submit(false)}
+          disabled={isBusy || !form.event || !form.vendor || !form.date}
+          className="btn btn-secondary flex items-center gap-2"
+        >
+          <FiSave className="h-4 w-4" />
+          Save as Draft
+        </button>
+        <button type="button" onClick={onCancel} className="btn btn-secondary">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default QuoteRequestForm;
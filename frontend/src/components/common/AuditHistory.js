@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
+import { FiClock, FiLock } from 'react-icons/fi';
+import LoadingSpinner from './LoadingSpinner';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+const OBJECT_ID = /^[0-9a-f]{24}$/;
+
+// "event.staff-add" -> "staff add"
+const actionLabel = (action) => action.split('.').slice(1).join(' ').replace(/-/g, ' ');
+
+// Subdocument ids in a path ("staff.<id>.role") only get in the way of reading it
+const fieldLabel = (field) => field.split('.').filter(part => !OBJECT_ID.test(part)).join(' › ');
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'string' && ISO_DATE.test(value)) return format(new Date(value), 'MMM d, yyyy h:mm a');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditHistory = ({ url }) => {
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasNextPage, setHasNextPage] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await axios.get(url, { params: { page, limit: 20 } });
+        setEntries(prev => (page === 1 ? response.data.docs : [...prev, ...response.data.docs]));
+        setHasNextPage(response.data.hasNextPage);
+      } catch (error) {
+        toast.error('Failed to load history');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [url, page]);
+
+  if (isLoading && entries.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="card p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">History</h2>
+      {entries.length === 0 ? (
+        <p className="text-gray-600">No changes recorded yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {entries.map(entry => (
+            <li key={entry._id} className="py-4">
+              <div className="flex items-center justify-between gap-4">
+                <p className="text-sm text-gray-900">
+                  <span className="font-medium">{entry.actor?.name || 'Unknown user'}</span>
+                  <span className="text-gray-600"> · {actionLabel(entry.action)}</span>
+                </p>
+                <span
+                  className="flex items-center gap-1 text-xs text-gray-500 flex-shrink-0"
+                  title={format(new Date(entry.createdAt), 'PPpp')}
+                >
+                  <FiClock className="h-3 w-3" />
+                  {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                </span>
+              </div>
+              {entry.changes.length > 0 && (
+                <ul className="mt-2 space-y-1 text-sm">
+                  {entry.changes.map(change => (
+                    <li key={change.field} className="text-gray-700 break-words">
+                      <span className="font-medium">{fieldLabel(change.field)}:</span>{' '}
+                      {change.redacted ? (
+                        <span className="inline-flex items-center gap-1 text-gray-500">
+                          <FiLock className="h-3 w-3" /> changed
+                        </span>
+                      ) : (
+                        <>
+                          <span className="text-red-600 line-through">{formatValue(change.before)}</span>
+                          {' → '}
+                          <span className="text-green-700">{formatValue(change.after)}</span>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {hasNextPage && (
+        <button
+          onClick={() => {
+            setIsLoading(true);
+            setPage(prev => prev + 1);
+          }}
+          disabled={isLoading}
+          className="btn btn-secondary mt-4"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AuditHistory;
@@ -0,0 +1,118 @@
+import React, { useState, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { FiUploadCloud } from 'react-icons/fi';
+
+const MB = 1024 * 1024;
+
+// Drag-and-drop file picker. Files that fail the type or size check are
+// reported with a toast; the rest are handed to onFiles.
+const FileDropzone = ({
+  onFiles,
+  accept = [],
+  maxSize = 10 * MB,
+  multiple = false,
+  maxFiles = 5,
+  disabled = false,
+  label = 'Drag and drop files here, or click to browse',
+  hint
+}) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleFiles = (fileList) => {
+    let files = Array.from(fileList);
+    if (files.length === 0 || disabled) return;
+
+    if (!multiple) {
+      files = files.slice(0, 1);
+    } else if (files.length > maxFiles) {
+      toast.error(`You can upload up to ${maxFiles} files at a time`);
+      files = files.slice(0, maxFiles);
+    }
+
+    const accepted = files.filter(file => {
+      if (accept.length > 0 && !accept.includes(file.type)) {
+        toast.error(`${file.name}: file type is not allowed`);
+        return false;
+      }
+      if (file.size > maxSize) {
+        toast.error(`${file.name}: file is larger than ${Math.round(maxSize / MB)} MB`);
+        return false;
+      }
+      return true;
+    });
+
+    if (accepted.length > 0) {
+      onFiles(multiple ? accepted : accepted[0]);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) setIsDragging(true);
+  };
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      onClick={() => !disabled && inputRef.current.click()}
+      onKeyDown={(e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && !disabled) inputRef.current.click();
+      }}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`border-2 border-dashed rounded-lg p-6 text-center transition-colors ${
+        disabled
+          ? 'border-gray-200 bg-gray-50 cursor-not-allowed'
+          : isDragging
+            ? 'border-primary-500 bg-primary-50 cursor-pointer'
+            : 'border-gray-300 hover:border-primary-400 cursor-pointer'
+      }`}
+    >
+      <FiUploadCloud className="h-8 w-8 mx-auto text-gray-400 mb-2" />
+      <p className="text-sm text-gray-700">{label}</p>
+      {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+      <input
+        ref={inputRef}
+        type="file"
+        className="hidden"
+        accept={accept.join(',')}
+        multiple={multiple}
+        onChange={(e) => {
+          handleFiles(e.target.files);
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+};
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+export const DOCUMENT_TYPES = [
+  ...IMAGE_TYPES,
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain',
+  'text/csv'
+];
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < MB) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / MB).toFixed(1)} MB`;
+};
+
+export default FileDropzone;
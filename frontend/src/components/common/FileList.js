@@ -0,0 +1,47 @@
+import React from 'react';
+import { FiFile, FiTrash2 } from 'react-icons/fi';
+import { formatFileSize } from './FileDropzone';
+
+// List of uploaded files with thumbnails for images and an optional delete button
+const FileList = ({ files, onDelete, emptyText = 'No files yet' }) => {
+  if (!files || files.length === 0) {
+    return <p className="text-sm text-gray-500">{emptyText}</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {files.map(file => (
+        <li key={file._id} className="flex items-center gap-3 py-3">
+          {file.thumbnail ? (
+            <img src={file.thumbnail} alt="" className="h-10 w-10 rounded object-cover flex-shrink-0" />
+          ) : (
+            <FiFile className="h-10 w-10 p-2 text-gray-400 bg-gray-100 rounded flex-shrink-0" />
+          )}
+          <div className="min-w-0 flex-1">
+            <a
+              href={file.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block text-sm font-medium text-primary-600 hover:text-primary-700 truncate"
+            >
+              {file.name || file.url}
+            </a>
+            <p className="text-xs text-gray-500">{formatFileSize(file.size)}</p>
+          </div>
+          {onDelete && (
+            <button
+              type="button"
+              onClick={() => onDelete(file)}
+              className="text-gray-400 hover:text-red-600"
+              aria-label={`Delete ${file.name}`}
+            >
+              <FiTrash2 className="h-4 w-4" />
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default FileList;
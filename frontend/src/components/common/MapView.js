@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { FiMapPin, FiPlus, FiMinus, FiNavigation } from 'react-icons/fi';
+
+const TILE_SIZE = 256;
+const TILE_URL = process.env.REACT_APP_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 17;
+
+// { lat, lng } of a GeoJSON point from the API, or null when there is none
+export const pointOf = (point) => {
+  const [lng, lat] = point?.coordinates || [];
+  return typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null;
+};
+
+// Web Mercator position in pixels of the whole world map at a zoom level
+const project = ({ lat, lng }, zoom) => {
+  const size = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(Math.min(lat, 85), -85) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  };
+};
+
+// The closest zoom that still shows every position with some margin
+const fitZoom = (positions, width, height) => {
+  for (let zoom = MAX_ZOOM - 2; zoom > MIN_ZOOM; zoom--) {
+    const pixels = positions.map(position => project(position, zoom));
+    const spanX = Math.max(...pixels.map(p => p.x)) - Math.min(...pixels.map(p => p.x));
+    const spanY = Math.max(...pixels.map(p => p.y)) - Math.min(...pixels.map(p => p.y));
+    if (spanX <= width - 80 && spanY <= height - 80) return zoom;
+  }
+  return MIN_ZOOM;
+};
+
+// OpenStreetMap tiles with a pin per marker, fitted to show them all.
+// markers: [{ id, lat, lng, label, detail, to }]; `origin` ({ lat, lng, label }) marks
+// where distances are measured from.
+const MapView = ({ markers, origin, height = 420 }) => {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [zoomShift, setZoomShift] = useState(0);
+  const [activeId, setActiveId] = useState(null);
+
+  useEffect(() => {
+    const measure = () => setWidth(containerRef.current?.offsetWidth || 0);
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  const positions = [...markers, ...(origin ? [origin] : [])];
+  const fitted = positions.length > 0 && width > 0 ? fitZoom(positions, width, height) : MIN_ZOOM;
+  const zoom = Math.min(Math.max(fitted + zoomShift, MIN_ZOOM), MAX_ZOOM);
+
+  const tiles = [];
+  let topLeft = { x: 0, y: 0 };
+  if (positions.length > 0 && width > 0) {
+    const pixels = positions.map(position => project(position, zoom));
+    const center = {
+      x: (Math.min(...pixels.map(p => p.x)) + Math.max(...pixels.map(p => p.x))) / 2,
+      y: (Math.min(...pixels.map(p => p.y)) + Math.max(...pixels.map(p => p.y))) / 2
+    };
+    topLeft = { x: center.x - width / 2, y: center.y - height / 2 };
+
+    const count = 2 ** zoom;
+    for (let ty = Math.floor(topLeft.y / TILE_SIZE); ty * TILE_SIZE < topLeft.y + height; ty++) {
+      if (ty < 0 || ty >= count) continue;
+      for (let tx = Math.floor(topLeft.x / TILE_SIZE); tx * TILE_SIZE < topLeft.x + width; tx++) {
+        const x = ((tx % count) + count) % count;
+        tiles.push({
+          key: `${zoom}/${tx}/${ty}`,
+          src: TILE_URL.replace('{z}', zoom).replace('{x}', x).replace('{y}', ty),
+          left: tx * TILE_SIZE - topLeft.x,
+          top: ty * TILE_SIZE - topLeft.y
+        });
+      }
+    }
+  }
+
+  const place = (position) => {
+    const pixel = project(position, zoom);
+    return { left: pixel.x - topLeft.x, top: pixel.y - topLeft.y };
+  };
+
+  return (
+    <div ref={containerRef} className="card relative overflow-hidden bg-gray-100" style={{ height }}>
+      {positions.length === 0 ? (
+        <div className="h-full flex items-center justify-center text-gray-500 text-sm">
+          Nothing to show on the map yet
+        </div>
+      ) : (
+        <>
+          {tiles.map(tile => (
+            <img
+              key={tile.key}
+              src={tile.src}
+              alt=""
+              draggable={false}
+              className="absolute select-none max-w-none"
+              style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+            />
+          ))}
+
+          {origin && (
+            <div
+              className="absolute -translate-x-1/2 -translate-y-1/2 transform"
+              style={place(origin)}
+              title={origin.label || 'You are here'}
+            >
+              <FiNavigation className="h-5 w-5 text-blue-600 fill-current" />
+            </div>
+          )}
+
+          {markers.map(marker => (
+            <div
+              key={marker.id}
+              className="absolute -translate-x-1/2 -translate-y-full transform"
+              style={{ ...place(marker), zIndex: activeId === marker.id ? 20 : 10 }}
+            >
+              <button
+                type="button"
+                onClick={() => setActiveId(activeId === marker.id ? null : marker.id)}
+                className="block"
+                aria-label={marker.label}
+                title={marker.label}
+              >
+                <FiMapPin className="h-7 w-7 text-primary-600 fill-white drop-shadow" />
+              </button>
+              {activeId === marker.id && (
+                <div className="absolute bottom-full left-1/2 -translate-x-1/2 transform mb-1 w-48 rounded-lg bg-white shadow-lg p-2 text-sm">
+                  <Link to={marker.to} className="font-medium text-gray-900 hover:text-primary-600">
+                    {marker.label}
+                  </Link>
+                  {marker.detail && <p className="text-xs text-gray-500">{marker.detail}</p>}
+                </div>
+              )}
+            </div>
+          ))}
+
+          <div className="absolute top-2 right-2 z-30 flex flex-col rounded-lg bg-white shadow">
+            <button
+              type="button"
+              onClick={() => setZoomShift(shift => shift + 1)}
+              disabled={zoom >= MAX_ZOOM}
+              className="p-2 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+              aria-label="Zoom in"
+            >
+              <FiPlus className="h-4 w-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setZoomShift(shift => shift - 1)}
+              disabled={zoom <= MIN_ZOOM}
+              className="p-2 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+              aria-label="Zoom out"
+            >
+              <FiMinus className="h-4 w-4" />
+            </button>
+          </div>
+
+          <div className="absolute bottom-0 right-0 z-30 bg-white/80 px-1 text-xs text-gray-600">
+            ©{' '}
+            <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener noreferrer" className="hover:underline">
+              OpenStreetMap
+            </a>{' '}
+            contributors
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MapView;
@@ -0,0 +1,23 @@
+import React from 'react';
+
+export const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
+
+// An amount in its own currency, followed by its converted value when there is one
+const Money = ({ amount, currency, converted, className = '' }) => (
+  <span className={className}>
+    {formatMoney(amount, currency)}
+    {converted && converted.currency !== currency && (
+      <span className="text-gray-500 font-normal" title={`1 ${currency} = ${+converted.rate.toFixed(4)} ${converted.currency}`}>
+        {' '}(≈ {formatMoney(converted.amount, converted.currency)})
+      </span>
+    )}
+  </span>
+);
+
+export default Money;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+// Underlined tab buttons, as used on the profile page
+const TabNav = ({ tabs, active, onChange, className = 'mb-8' }) => (
+  <div className={className}>
+    <nav className="flex space-x-8 border-b border-gray-200">
+      {tabs.map(tab => (
+        <button
+          key={tab.id}
+          type="button"
+          onClick={() => onChange(tab.id)}
+          className={`py-2 px-1 border-b-2 -mb-px font-medium text-sm ${
+            active === tab.id
+              ? 'border-primary-500 text-primary-600'
+              : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+          }`}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </nav>
+  </div>
+);
+
+export default TabNav;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { formatMoney } from '../common/Money';
+
+const PALETTE = ['#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d', '#ea580c', '#475569'];
+
+const STATUS_COLORS = {
+  ok: 'bg-green-500',
+  warning: 'bg-yellow-500',
+  over: 'bg-red-500',
+  unallocated: 'bg-orange-500'
+};
+
+const percent = (value, max) => `${max > 0 ? Math.min((value / max) * 100, 100) : 0}%`;
+
+// Amounts a category holds in currencies other than the one it is shown in
+const Originals = ({ row, currency }) => {
+  const others = row.originals.filter(original => original.currency !== currency);
+  if (others.length === 0) return null;
+
+  return (
+    <p className="text-xs text-gray-500 mt-1">
+      {others.map(original => (
+        <span key={original.currency} className="mr-3">
+          {formatMoney(original.actual, original.currency)} spent, {formatMoney(original.estimated, original.currency)} planned
+          {original.rate === null ? ' (no exchange rate, not included)' : ` (1 ${original.currency} = ${+original.rate.toFixed(4)} ${currency})`}
+        </span>
+      ))}
+    </p>
+  );
+};
+
+// Allocation, planned and actual spend side by side for each category, in the
+// reporting currency
+export const CategoryBars = ({ categories: rows, currency }) => {
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500">Add allocations or expenses to see the breakdown</p>;
+  }
+
+  const max = Math.max(...rows.flatMap(row => [row.allocated, row.estimated, row.actual]));
+
+  return (
+    <div>
+      <ul className="space-y-4">
+        {rows.map(row => (
+          <li key={row.category}>
+            <div className="flex items-center justify-between text-sm mb-1">
+              <span className="font-medium text-gray-900">{row.category}</span>
+              <span className="text-gray-600">
+                {formatMoney(row.actual, currency)} of {formatMoney(row.allocated, currency)}
+              </span>
+            </div>
+            <div className="relative h-4 bg-gray-100 rounded">
+              <div className="absolute inset-y-0 left-0 bg-gray-300 rounded" style={{ width: percent(row.allocated, max) }} />
+              <div
+                className={`absolute inset-y-1 left-0 rounded ${STATUS_COLORS[row.status] || 'bg-gray-500'}`}
+                style={{ width: percent(row.actual, max) }}
+              />
+              {row.estimated > 0 && (
+                <div
+                  className="absolute -inset-y-0.5 w-0.5 bg-gray-900"
+                  style={{ left: percent(row.estimated, max) }}
+                  title={`Planned: ${formatMoney(row.estimated, currency)}`}
+                />
+              )}
+            </div>
+            <Originals row={row} currency={currency} />
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-4 mt-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1"><span className="h-3 w-3 rounded bg-gray-300" /> Allocated</span>
+        <span className="flex items-center gap-1"><span className="h-3 w-3 rounded bg-green-500" /> Spent</span>
+        <span className="flex items-center gap-1"><span className="h-3 w-0.5 bg-gray-900" /> Planned</span>
+      </div>
+    </div>
+  );
+};
+
+// Donut of actual spend by category
+export const SpendShare = ({ categories, currency }) => {
+  const rows = categories.filter(row => row.actual > 0);
+  const total = rows.reduce((sum, row) => sum + row.actual, 0);
+  if (total === 0) {
+    return <p className="text-sm text-gray-500">Nothing spent yet</p>;
+  }
+
+  let start = 0;
+  const stops = rows.map((row, i) => {
+    const end = start + (row.actual / total) * 100;
+    const stop = `${PALETTE[i % PALETTE.length]} ${start}% ${end}%`;
+    start = end;
+    return stop;
+  });
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center gap-6">
+      <div
+        className="relative h-40 w-40 rounded-full flex-shrink-0"
+        style={{ background: `conic-gradient(${stops.join(', ')})` }}
+      >
+        <div className="absolute inset-6 bg-white rounded-full flex flex-col items-center justify-center">
+          <span className="text-xs text-gray-500">Spent</span>
+          <span className="text-sm font-semibold text-gray-900">{formatMoney(total, currency)}</span>
+        </div>
+      </div>
+      <ul className="space-y-1 text-sm">
+        {rows.map((row, i) => (
+          <li key={row.category} className="flex items-center gap-2">
+            <span className="h-3 w-3 rounded flex-shrink-0" style={{ background: PALETTE[i % PALETTE.length] }} />
+            <span className="text-gray-900">{row.category}</span>
+            <span className="text-gray-500">{Math.round((row.actual / total) * 100)}%</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
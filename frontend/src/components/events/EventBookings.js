@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiPlus, FiTrash2, FiCheck, FiX, FiSend, FiFileText } from 'react-icons/fi';
+import LoadingSpinner from '../common/LoadingSpinner';
+import QuoteRequestForm from '../bookings/QuoteRequestForm';
+import QuoteForm, { QuoteSummary, STATUS_STYLES } from '../bookings/QuoteForm';
+import VendorConflicts, { warnVendorConflicts } from '../vendors/VendorConflicts';
+
+// The next steps offered for each status; cancelling is offered separately
+const NEXT_STEPS = {
+  draft: [{ status: 'requested', label: 'Send Request', icon: FiSend }],
+  quoted: [{ status: 'accepted', label: 'Accept Quote', icon: FiCheck }],
+  accepted: [{ status: 'confirmed', label: 'Mark Confirmed', icon: FiCheck }],
+  confirmed: [{ status: 'completed', label: 'Mark Completed', icon: FiCheck }]
+};
+
+const CLOSED = ['completed', 'cancelled'];
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const EventBookings = ({ event, canManage }) => {
+  const [bookings, setBookings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showRequestForm, setShowRequestForm] = useState(false);
+  const [quotingId, setQuotingId] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchBookings = async () => {
+      try {
+        const response = await axios.get(`/api/events/${event._id}/bookings`);
+        setBookings(response.data);
+      } catch (error) {
+        toast.error('Failed to load bookings');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchBookings();
+  }, [event._id]);
+
+  const replaceBooking = (booking) => {
+    setBookings(prev => prev.map(b => (b._id === booking._id ? booking : b)));
+  };
+
+  const handleStatus = async (booking, status) => {
+    let note;
+    if (status === 'cancelled') {
+      note = window.prompt(`Cancel the booking with ${booking.vendor?.company || 'this vendor'}? Add a reason (optional):`);
+      if (note === null) return;
+    } else if (status === 'accepted' && !window.confirm('Accept this quote? A coordination task and budget entries will be created.')) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const response = await axios.put(`/api/events/${event._id}/bookings/${booking._id}/status`, { status, note: note || undefined });
+      replaceBooking(response.data);
+      toast.success(`Booking ${status}`);
+      warnVendorConflicts(response.data.vendorConflicts);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update the booking'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (booking) => {
+    if (!window.confirm('Delete this draft?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/events/${event._id}/bookings/${booking._id}`);
+      setBookings(prev => prev.filter(b => b._id !== booking._id));
+      toast.success('Draft deleted');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete the draft'));
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {canManage && (
+        showRequestForm ? (
+          <QuoteRequestForm
+            event={event}
+            onCreated={(booking) => {
+              setBookings(prev => [...prev, booking]);
+              setShowRequestForm(false);
+            }}
+            onCancel={() => setShowRequestForm(false)}
+          />
+        ) : (
+          <button onClick={() => setShowRequestForm(true)} className="btn btn-primary flex items-center gap-2">
+            <FiPlus className="h-4 w-4" />
+            Request a Quote
+          </button>
+        )
+      )}
+
+      {bookings.length === 0 ? (
+        <div className="card p-6">
+          <p className="text-gray-600">No vendor bookings yet.</p>
+        </div>
+      ) : (
+        bookings.map(booking => (
+          <div key={booking._id} className="card p-6">
+            <div className="flex items-start justify-between gap-4 mb-3">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {booking.vendor ? (
+                    <Link to={`/vendors/${booking.vendor._id}`} className="hover:text-primary-600">
+                      {booking.vendor.company || booking.vendor.name}
+                    </Link>
+                  ) : 'Deleted vendor'}
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {format(new Date(booking.request.date), 'MMM d, yyyy h:mm a')}
+                  {booking.request.hours ? ` · ${booking.request.hours} hours` : ''}
+                  {booking.request.services.length > 0 && ` · ${booking.request.services.join(', ')}`}
+                </p>
+                {booking.request.notes && <p className="text-sm text-gray-500 mt-1">{booking.request.notes}</p>}
+              </div>
+              <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium capitalize flex-shrink-0 ${STATUS_STYLES[booking.status]}`}>
+                {booking.status}
+              </span>
+            </div>
+
+            {booking.vendorConflicts?.length > 0 && (
+              <div className="mb-3">
+                <VendorConflicts conflicts={booking.vendorConflicts} />
+              </div>
+            )}
+
+            {/* Quote */}
+            {booking.quote?.items?.length > 0 && <QuoteSummary quote={booking.quote} />}
+
+            {/* What accepting created */}
+            {(booking.tasks.length > 0 || booking.budgetItems.length > 0) && (
+              <div className="text-sm text-gray-600 mb-3 space-y-1">
+                {booking.tasks.map(task => (
+                  <p key={task._id} className="flex items-center gap-2">
+                    <FiFileText className="h-4 w-4" />
+                    <Link to={`/tasks/${task._id}`} className="text-primary-600 hover:text-primary-700">{task.title}</Link>
+                    <span className="capitalize">({task.status})</span>
+                  </p>
+                ))}
+                {booking.budgetItems.length > 0 && (
+                  <p>
+                    {booking.budgetItems.length} budget {booking.budgetItems.length === 1 ? 'entry' : 'entries'} under{' '}
+                    {[...new Set(booking.budgetItems.map(item => item.category))].join(', ')}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {quotingId === booking._id && (
+              <QuoteForm
+                booking={booking}
+                url={`/api/events/${event._id}/bookings/${booking._id}/quote`}
+                defaultCurrency={booking.vendor?.pricing?.currency}
+                onSaved={(saved) => {
+                  replaceBooking(saved);
+                  setQuotingId(null);
+                  toast.success('Quote recorded');
+                }}
+                onCancel={() => setQuotingId(null)}
+              />
+            )}
+
+            {canManage && !CLOSED.includes(booking.status) && quotingId !== booking._id && (
+              <div className="flex flex-wrap gap-2">
+                {(NEXT_STEPS[booking.status] || []).map(({ status, label, icon: Icon }) => (
+                  <button
+                    key={status}
+                    onClick={() => handleStatus(booking, status)}
+                    disabled={isBusy}
+                    className="btn btn-primary flex items-center gap-2"
+                  >
+                    <Icon className="h-4 w-4" />
+                    {label}
+                  </button>
+                ))}
+                {['requested', 'quoted'].includes(booking.status) && (
+                  <button onClick={() => setQuotingId(booking._id)} className="btn btn-secondary">
+                    {booking.status === 'quoted' ? 'Revise Quote' : 'Record Quote'}
+                  </button>
+                )}
+                {booking.status === 'draft' ? (
+                  <button onClick={() => handleDelete(booking)} className="btn btn-secondary flex items-center gap-2">
+                    <FiTrash2 className="h-4 w-4" />
+                    Delete Draft
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleStatus(booking, 'cancelled')}
+                    disabled={isBusy}
+                    className="btn btn-danger flex items-center gap-2"
+                  >
+                    <FiX className="h-4 w-4" />
+                    Cancel Booking
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default EventBookings;
@@ -0,0 +1,569 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiAlertTriangle, FiAlertCircle, FiInfo, FiPlus, FiTrash2, FiEdit2, FiPaperclip } from 'react-icons/fi';
+import LoadingSpinner from '../common/LoadingSpinner';
+import FileDropzone, { DOCUMENT_TYPES } from '../common/FileDropzone';
+import FileList from '../common/FileList';
+import { formatMoney } from '../common/Money';
+import { CategoryBars, SpendShare } from './BudgetCharts';
+
+const ALERT_STYLES = {
+  danger: { icon: FiAlertCircle, className: 'bg-red-50 text-red-800 border-red-200' },
+  warning: { icon: FiAlertTriangle, className: 'bg-yellow-50 text-yellow-800 border-yellow-200' },
+  info: { icon: FiInfo, className: 'bg-blue-50 text-blue-800 border-blue-200' }
+};
+
+const emptyItem = { description: '', category: '', estimated: '', actual: '', currency: '', task: '', vendor: '', paidAt: '', notes: '' };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const EventBudget = ({ event, canManage }) => {
+  const [summary, setSummary] = useState(null);
+  const [items, setItems] = useState([]);
+  const [currency, setCurrency] = useState('USD');
+  const [reportingCurrency, setReportingCurrency] = useState('');
+  const [allocations, setAllocations] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [itemForm, setItemForm] = useState(null);
+  const [openReceipts, setOpenReceipts] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const showSummary = (data) => {
+    setSummary(data);
+    setCurrency(data.currency);
+    setReportingCurrency(data.reportingCurrency !== data.currency ? data.reportingCurrency : '');
+    setAllocations(data.allocations.map(({ category, amount }) => ({ category, amount: String(amount) })));
+  };
+
+  useEffect(() => {
+    const fetchBudget = async () => {
+      try {
+        const [budgetRes, itemsRes] = await Promise.all([
+          axios.get(`/api/events/${event._id}/budget`),
+          axios.get(`/api/events/${event._id}/budget/items`)
+        ]);
+        showSummary(budgetRes.data);
+        setItems(itemsRes.data);
+      } catch (error) {
+        toast.error('Failed to load the budget');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchBudget();
+  }, [event._id]);
+
+  useEffect(() => {
+    if (!canManage) return;
+
+    const fetchOptions = async () => {
+      try {
+        const [categoriesRes, tasksRes, vendorsRes] = await Promise.all([
+          axios.get('/api/tasks/categories'),
+          axios.get(`/api/tasks/event/${event._id}`),
+          axios.get('/api/vendors', { params: { limit: 100, sortBy: 'name', sortOrder: 'asc' } })
+        ]);
+        setSuggestions(categoriesRes.data);
+        setTasks(tasksRes.data);
+        setVendors(vendorsRes.data.docs);
+      } catch (error) {
+        console.error('Error fetching budget options:', error);
+      }
+    };
+
+    fetchOptions();
+  }, [canManage, event._id]);
+
+  // Totals and converted item amounts both change when an item does
+  const refreshBudget = async () => {
+    try {
+      const [budgetRes, itemsRes] = await Promise.all([
+        axios.get(`/api/events/${event._id}/budget`),
+        axios.get(`/api/events/${event._id}/budget/items`)
+      ]);
+      setSummary(budgetRes.data);
+      setItems(itemsRes.data);
+    } catch (error) {
+      console.error('Error refreshing budget:', error);
+    }
+  };
+
+  const updateAllocation = (index, field, value) => {
+    setAllocations(prev => prev.map((allocation, i) => (i === index ? { ...allocation, [field]: value } : allocation)));
+  };
+
+  const handleSaveAllocations = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await axios.put(`/api/events/${event._id}/budget`, {
+        currency: currency.trim().toUpperCase(),
+        reportingCurrency: reportingCurrency.trim().toUpperCase(),
+        allocations: allocations
+          .filter(allocation => allocation.category.trim())
+          .map(allocation => ({ category: allocation.category.trim(), amount: Number(allocation.amount) || 0 }))
+      });
+      showSummary(response.data);
+      refreshBudget();
+      toast.success('Budget saved');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save the budget'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleEditItem = (item) => {
+    setItemForm({
+      _id: item._id,
+      description: item.description,
+      category: item.category,
+      estimated: item.estimated ? String(item.estimated) : '',
+      actual: item.actual ? String(item.actual) : '',
+      currency: item.currency,
+      task: item.task?._id || '',
+      vendor: item.vendor?._id || '',
+      paidAt: item.paidAt ? format(new Date(item.paidAt), 'yyyy-MM-dd') : '',
+      notes: item.notes || ''
+    });
+  };
+
+  const handleSaveItem = async (e) => {
+    e.preventDefault();
+    const { _id, ...fields } = itemForm;
+    const payload = {
+      ...fields,
+      estimated: Number(fields.estimated) || 0,
+      actual: Number(fields.actual) || 0,
+      currency: fields.currency.trim().toUpperCase() || undefined
+    };
+
+    setIsBusy(true);
+    try {
+      if (_id) {
+        const response = await axios.put(`/api/events/${event._id}/budget/items/${_id}`, payload);
+        setItems(prev => prev.map(item => (item._id === _id ? response.data : item)));
+        toast.success('Line item updated');
+      } else {
+        const response = await axios.post(`/api/events/${event._id}/budget/items`, payload);
+        setItems(prev => [...prev, response.data]);
+        toast.success('Line item added');
+      }
+      setItemForm(null);
+      refreshBudget();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save the line item'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDeleteItem = async (item) => {
+    if (!window.confirm(`Delete "${item.description}" and its receipts?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/events/${event._id}/budget/items/${item._id}`);
+      setItems(prev => prev.filter(i => i._id !== item._id));
+      refreshBudget();
+      toast.success('Line item deleted');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete the line item'));
+    }
+  };
+
+  const handleUploadReceipts = async (item, files) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    setIsBusy(true);
+    try {
+      const response = await axios.post(`/api/events/${event._id}/budget/items/${item._id}/receipts`, formData);
+      setItems(prev => prev.map(i => (i._id === item._id ? { ...i, receipts: response.data } : i)));
+      toast.success(files.length === 1 ? 'Receipt uploaded' : `${files.length} receipts uploaded`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Upload failed');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDeleteReceipt = async (item, receipt) => {
+    if (!window.confirm(`Delete ${receipt.name}?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/events/${event._id}/budget/items/${item._id}/receipts/${receipt._id}`);
+      setItems(prev => prev.map(i => (
+        i._id === item._id ? { ...i, receipts: i.receipts.filter(r => r._id !== receipt._id) } : i
+      )));
+      toast.success('Receipt deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete receipt');
+    }
+  };
+
+  if (isLoading || !summary) {
+    return <LoadingSpinner />;
+  }
+
+  const { total, reportingCurrency: shownCurrency } = summary;
+  const categoryOptions = [...new Set([...summary.allocations.map(a => a.category), ...suggestions])];
+
+  return (
+    <div className="space-y-8">
+      {/* Alerts */}
+      {summary.alerts.length > 0 && (
+        <ul className="space-y-2">
+          {summary.alerts.map((alert, i) => {
+            const { icon: Icon, className } = ALERT_STYLES[alert.level] || ALERT_STYLES.info;
+            return (
+              <li key={i} className={`flex items-center gap-2 border rounded-lg px-4 py-3 text-sm ${className}`}>
+                <Icon className="h-4 w-4 flex-shrink-0" />
+                {alert.message}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          ['Allocated', total.allocated],
+          ['Planned', total.estimated],
+          ['Spent', total.actual],
+          ['Remaining', total.variance]
+        ].map(([label, amount]) => (
+          <div key={label} className="card p-4">
+            <p className="text-sm text-gray-600">{label}</p>
+            <p className={`text-xl font-semibold ${amount < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+              {formatMoney(amount, shownCurrency)}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Charts */}
+      <div className="card p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">By Category</h2>
+        <CategoryBars categories={summary.categories} currency={shownCurrency} />
+      </div>
+      <div className="card p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Where the Money Went</h2>
+        <SpendShare categories={summary.categories} currency={shownCurrency} />
+        {summary.originals.filter(original => original.currency !== shownCurrency).map(original => (
+          <p key={original.currency} className="text-sm text-gray-500 mt-4">
+            {formatMoney(original.actual, original.currency)} spent and {formatMoney(original.estimated, original.currency)} planned in {original.currency}
+            {original.converted
+              ? ` (${formatMoney(original.converted.actual, shownCurrency)} and ${formatMoney(original.converted.estimated, shownCurrency)} at 1 ${original.currency} = ${+original.rate.toFixed(4)} ${shownCurrency})`
+              : ` are not included: there is no exchange rate to ${shownCurrency}`}
+          </p>
+        ))}
+      </div>
+
+      {/* Allocations */}
+      {canManage && (
+        <form onSubmit={handleSaveAllocations} className="card p-6 space-y-4">
+          <h2 className="text-xl font-semibold text-gray-900">Allocations</h2>
+          <div className="flex flex-wrap gap-4">
+            <div className="w-40">
+              <label htmlFor="budget-currency" className="form-label">Budget currency</label>
+              <input
+                id="budget-currency"
+                type="text"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="input uppercase"
+                maxLength={3}
+              />
+            </div>
+            <div className="w-40">
+              <label htmlFor="reporting-currency" className="form-label">Report totals in</label>
+              <input
+                id="reporting-currency"
+                type="text"
+                value={reportingCurrency}
+                onChange={(e) => setReportingCurrency(e.target.value)}
+                className="input uppercase"
+                placeholder={currency}
+                maxLength={3}
+              />
+            </div>
+          </div>
+          {allocations.map((allocation, i) => (
+            <div key={i} className="flex items-center gap-3">
+              <input
+                type="text"
+                list="budget-categories"
+                value={allocation.category}
+                onChange={(e) => updateAllocation(i, 'category', e.target.value)}
+                className="input flex-1"
+                placeholder="Category"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={allocation.amount}
+                onChange={(e) => updateAllocation(i, 'amount', e.target.value)}
+                className="input w-40"
+                placeholder="Amount"
+              />
+              <button
+                type="button"
+                onClick={() => setAllocations(prev => prev.filter((_, index) => index !== i))}
+                className="text-gray-400 hover:text-red-600"
+                aria-label="Remove allocation"
+              >
+                <FiTrash2 className="h-5 w-5" />
+              </button>
+            </div>
+          ))}
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setAllocations(prev => [...prev, { category: '', amount: '' }])}
+              className="btn btn-secondary flex items-center gap-2"
+            >
+              <FiPlus className="h-4 w-4" />
+              Add Category
+            </button>
+            <button type="submit" disabled={isBusy} className="btn btn-primary">
+              Save Budget
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Line items and expenses */}
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Line Items & Expenses</h2>
+          {canManage && !itemForm && (
+            <button onClick={() => setItemForm(emptyItem)} className="btn btn-primary flex items-center gap-2">
+              <FiPlus className="h-4 w-4" />
+              Add Line Item
+            </button>
+          )}
+        </div>
+
+        {itemForm && (
+          <form onSubmit={handleSaveItem} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="item-description" className="form-label">Description</label>
+                <input
+                  id="item-description"
+                  type="text"
+                  value={itemForm.description}
+                  onChange={(e) => setItemForm(prev => ({ ...prev, description: e.target.value }))}
+                  className="input"
+                  maxLength={200}
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="item-category" className="form-label">Category</label>
+                <input
+                  id="item-category"
+                  type="text"
+                  list="budget-categories"
+                  value={itemForm.category}
+                  onChange={(e) => setItemForm(prev => ({ ...prev, category: e.target.value }))}
+                  className="input"
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="item-estimated" className="form-label">Planned amount</label>
+                <input
+                  id="item-estimated"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={itemForm.estimated}
+                  onChange={(e) => setItemForm(prev => ({ ...prev, estimated: e.target.value }))}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label htmlFor="item-actual" className="form-label">Amount spent</label>
+                <input
+                  id="item-actual"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={itemForm.actual}
+                  onChange={(e) => setItemForm(prev => ({ ...prev, actual: e.target.value }))}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label htmlFor="item-currency" className="form-label">Currency</label>
+                <input
+                  id="item-currency"
+                  type="text"
+                  value={itemForm.currency}
+                  onChange={(e) => setItemForm(prev => ({ ...prev, currency: e.target.value }))}
+                  className="input uppercase"
+                  placeholder={summary.currency}
+                  maxLength={3}
+                />
+              </div>
+              <div>
+                <label htmlFor="item-paid" className="form-label">Paid on</label>
+                <input
+                  id="item-paid"
+                  type="date"
+                  value={itemForm.paidAt}
+                  onChange={(e) => setItemForm(prev => ({ ...prev, paidAt: e.target.value }))}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label htmlFor="item-task" className="form-label">Task</label>
+                <select
+                  id="item-task"
+                  value={itemForm.task}
+                  onChange={(e) => setItemForm(prev => ({ ...prev, task: e.target.value }))}
+                  className="input"
+                >
+                  <option value="">None</option>
+                  {tasks.map(task => (
+                    <option key={task._id} value={task._id}>{task.title}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="item-vendor" className="form-label">Vendor</label>
+                <select
+                  id="item-vendor"
+                  value={itemForm.vendor}
+                  onChange={(e) => setItemForm(prev => ({ ...prev, vendor: e.target.value }))}
+                  className="input"
+                >
+                  <option value="">None</option>
+                  {vendors.map(vendor => (
+                    <option key={vendor._id} value={vendor._id}>{vendor.name} ({vendor.company})</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div>
+              <label htmlFor="item-notes" className="form-label">Notes</label>
+              <textarea
+                id="item-notes"
+                value={itemForm.notes}
+                onChange={(e) => setItemForm(prev => ({ ...prev, notes: e.target.value }))}
+                className="input"
+                rows={2}
+                maxLength={500}
+              />
+            </div>
+            <div className="flex gap-3">
+              <button type="submit" disabled={isBusy} className="btn btn-primary">
+                {itemForm._id ? 'Save Changes' : 'Add Line Item'}
+              </button>
+              <button type="button" onClick={() => setItemForm(null)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {items.length === 0 ? (
+          <p className="text-gray-600">No line items yet. Task budgets are included in the totals above.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {items.map(item => (
+              <li key={item._id} className="py-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900">{item.description}</p>
+                    <p className="text-sm text-gray-500">
+                      {item.category}
+                      {item.task && ` · Task: ${item.task.title}`}
+                      {item.vendor && ` · Vendor: ${item.vendor.name}`}
+                      {item.paidAt && ` · Paid ${format(new Date(item.paidAt), 'MMM d, yyyy')}`}
+                    </p>
+                    {item.notes && <p className="text-sm text-gray-600 mt-1">{item.notes}</p>}
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <p className="font-medium text-gray-900">{formatMoney(item.actual, item.currency)}</p>
+                    <p className="text-xs text-gray-500">planned {formatMoney(item.estimated, item.currency)}</p>
+                    {item.converted && (
+                      <p className="text-xs text-gray-500">
+                        ≈ {formatMoney(item.converted.actual, item.converted.currency)} / {formatMoney(item.converted.estimated, item.converted.currency)}
+                      </p>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-4 mt-2 text-sm">
+                  <button
+                    onClick={() => setOpenReceipts(openReceipts === item._id ? null : item._id)}
+                    className="flex items-center gap-1 text-primary-600 hover:text-primary-700"
+                  >
+                    <FiPaperclip className="h-4 w-4" />
+                    Receipts ({item.receipts.length})
+                  </button>
+                  {canManage && (
+                    <>
+                      <button onClick={() => handleEditItem(item)} className="flex items-center gap-1 text-gray-600 hover:text-gray-900">
+                        <FiEdit2 className="h-4 w-4" />
+                        Edit
+                      </button>
+                      <button onClick={() => handleDeleteItem(item)} className="flex items-center gap-1 text-gray-600 hover:text-red-600">
+                        <FiTrash2 className="h-4 w-4" />
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </div>
+                {openReceipts === item._id && (
+                  <div className="mt-3 pl-4 border-l-2 border-gray-200">
+                    <FileList
+                      files={item.receipts}
+                      onDelete={canManage ? (receipt) => handleDeleteReceipt(item, receipt) : undefined}
+                      emptyText="No receipts yet"
+                    />
+                    {canManage && (
+                      <div className="mt-3">
+                        <FileDropzone
+                          multiple
+                          maxFiles={5}
+                          accept={DOCUMENT_TYPES}
+                          onFiles={(files) => handleUploadReceipts(item, files)}
+                          disabled={isBusy}
+                          label={isBusy ? 'Uploading...' : 'Drag and drop receipts here, or click to browse'}
+                          hint="Images, PDF, Word, Excel, text or CSV up to 10 MB each"
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <datalist id="budget-categories">
+        {categoryOptions.map(category => (
+          <option key={category} value={category} />
+        ))}
+      </datalist>
+    </div>
+  );
+};
+
+export default EventBudget;
@@ -0,0 +1,336 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { FiPlus, FiTrash2, FiThumbsUp, FiThumbsDown, FiCheckCircle, FiSend, FiColumns } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { formatMoney } from '../common/Money';
+import QuoteRequestForm from '../bookings/QuoteRequestForm';
+import { STATUS_STYLES } from '../bookings/QuoteForm';
+import VendorComparison from './VendorComparison';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const priceSummary = (pricing) => {
+  if (!pricing) return null;
+  const currency = pricing.currency || 'USD';
+  return [
+    pricing.hourly && `${formatMoney(pricing.hourly, currency)}/hr`,
+    pricing.daily && `${formatMoney(pricing.daily, currency)}/day`,
+    pricing.perEvent && `${formatMoney(pricing.perEvent, currency)}/event`
+  ].filter(Boolean).join(' · ');
+};
+
+// Vendors the event team is considering: shortlist them, vote, discuss, compare
+// side by side, and request a quote from the favourite
+const EventShortlist = ({ event, canManage }) => {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [vendors, setVendors] = useState([]);
+  const [addForm, setAddForm] = useState({ vendor: '', note: '' });
+  const [selected, setSelected] = useState([]);
+  const [compared, setCompared] = useState(null);
+  const [comments, setComments] = useState({});
+  const [quoteVendor, setQuoteVendor] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchShortlist = async () => {
+      try {
+        const response = await axios.get(`/api/events/${event._id}/shortlist`);
+        setEntries(response.data);
+      } catch (error) {
+        toast.error('Failed to load the shortlist');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchShortlist();
+  }, [event._id]);
+
+  useEffect(() => {
+    if (!canManage) return;
+
+    const fetchVendors = async () => {
+      try {
+        const response = await axios.get('/api/vendors', { params: { limit: 100, sortBy: 'name', sortOrder: 'asc' } });
+        setVendors(response.data.docs);
+      } catch (error) {
+        toast.error('Failed to load vendors');
+      }
+    };
+
+    fetchVendors();
+  }, [canManage]);
+
+  const replaceEntry = (entry) => {
+    setEntries(prev => prev.map(e => (e._id === entry._id ? entry : e)));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await axios.post(`/api/events/${event._id}/shortlist`, addForm);
+      setEntries(prev => [...prev, response.data]);
+      setAddForm({ vendor: '', note: '' });
+      toast.success('Added to the shortlist');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add the vendor'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Remove ${entry.vendor?.company || 'this vendor'} from the shortlist? Its votes and comments are removed too.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/events/${event._id}/shortlist/${entry._id}`);
+      setEntries(prev => prev.filter(e => e._id !== entry._id));
+      setSelected(prev => prev.filter(id => id !== entry.vendor?._id));
+      toast.success('Removed from the shortlist');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove the vendor'));
+    }
+  };
+
+  const handleVote = async (entry, value) => {
+    try {
+      const response = await axios.put(`/api/events/${event._id}/shortlist/${entry._id}/vote`, {
+        value: entry.votes.mine === value ? 0 : value
+      });
+      replaceEntry(response.data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to vote'));
+    }
+  };
+
+  const handleComment = async (e, entry) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`/api/events/${event._id}/shortlist/${entry._id}/comments`, {
+        content: comments[entry._id]
+      });
+      replaceEntry(response.data);
+      setComments(prev => ({ ...prev, [entry._id]: '' }));
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add the comment'));
+    }
+  };
+
+  const handleDeleteComment = async (entry, comment) => {
+    if (!window.confirm('Delete this comment?')) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/api/events/${event._id}/shortlist/${entry._id}/comments/${comment._id}`);
+      replaceEntry(response.data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete the comment'));
+    }
+  };
+
+  const toggleSelected = (vendorId) => {
+    setSelected(prev => (prev.includes(vendorId) ? prev.filter(id => id !== vendorId) : [...prev, vendorId]));
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  const shortlisted = new Set(entries.map(entry => entry.vendor?._id));
+
+  return (
+    <div className="space-y-6">
+      {canManage && (
+        <form onSubmit={handleAdd} className="card p-6 space-y-3">
+          <h3 className="text-lg font-semibold text-gray-900">Add to Shortlist</h3>
+          <div className="flex flex-col md:flex-row gap-3">
+            <select
+              value={addForm.vendor}
+              onChange={(e) => setAddForm(prev => ({ ...prev, vendor: e.target.value }))}
+              className="input md:w-1/2"
+              aria-label="Vendor"
+              required
+            >
+              <option value="">Select a vendor</option>
+              {vendors.filter(v => !shortlisted.has(v._id)).map(v => (
+                <option key={v._id} value={v._id}>{v.name} ({v.company}) · {v.category}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={addForm.note}
+              onChange={(e) => setAddForm(prev => ({ ...prev, note: e.target.value }))}
+              className="input flex-1"
+              placeholder="Why this vendor? (optional)"
+              maxLength={500}
+            />
+            <button type="submit" disabled={isBusy} className="btn btn-primary flex items-center justify-center gap-2">
+              <FiPlus className="h-4 w-4" />
+              Add
+            </button>
+          </div>
+        </form>
+      )}
+
+      {entries.length > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            {selected.length > 1 ? `${selected.length} vendors selected` : 'Select two or more vendors to compare them'}
+          </p>
+          <button
+            onClick={() => setCompared(selected)}
+            disabled={selected.length < 2}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            <FiColumns className="h-4 w-4" />
+            Compare
+          </button>
+        </div>
+      )}
+
+      {compared && (
+        <VendorComparison event={event} vendorIds={compared} onClose={() => setCompared(null)} />
+      )}
+
+      {quoteVendor && (
+        <QuoteRequestForm
+          event={event}
+          vendor={quoteVendor}
+          onCreated={(booking) => {
+            setEntries(prev => prev.map(e => (e.vendor?._id === booking.vendor?._id
+              ? { ...e, booking: { _id: booking._id, status: booking.status } }
+              : e)));
+            setQuoteVendor(null);
+          }}
+          onCancel={() => setQuoteVendor(null)}
+        />
+      )}
+
+      {entries.length === 0 ? (
+        <div className="card p-6">
+          <p className="text-gray-600">No vendors on the shortlist yet.</p>
+        </div>
+      ) : (
+        entries.map(entry => (
+          <div key={entry._id} className="card p-6">
+            <div className="flex items-start justify-between gap-4 mb-3">
+              <div className="flex items-start gap-3">
+                {entry.vendor && entries.length > 1 && (
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(entry.vendor._id)}
+                    onChange={() => toggleSelected(entry.vendor._id)}
+                    className="mt-1.5"
+                    aria-label={`Compare ${entry.vendor.company || entry.vendor.name}`}
+                  />
+                )}
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                    {entry.vendor ? (
+                      <Link to={`/vendors/${entry.vendor._id}`} className="hover:text-primary-600">
+                        {entry.vendor.company || entry.vendor.name}
+                      </Link>
+                    ) : 'Deleted vendor'}
+                    {entry.vendor?.verified && <FiCheckCircle className="h-4 w-4 text-green-600" aria-label="Verified" />}
+                  </h3>
+                  {entry.vendor && (
+                    <p className="text-sm text-gray-600">
+                      {entry.vendor.category}
+                      {entry.vendor.reviewCount > 0 && ` · ${entry.vendor.rating.toFixed(1)}/5 (${entry.vendor.reviewCount})`}
+                      {priceSummary(entry.vendor.pricing) && ` · ${priceSummary(entry.vendor.pricing)}`}
+                    </p>
+                  )}
+                  {entry.note && <p className="text-sm text-gray-500 mt-1">{entry.note}</p>}
+                  <p className="text-xs text-gray-500 mt-1">Added by {entry.addedBy?.name || 'a former member'}</p>
+                </div>
+              </div>
+              {entry.booking && (
+                <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium capitalize flex-shrink-0 ${STATUS_STYLES[entry.booking.status]}`}>
+                  {entry.booking.status}
+                </span>
+              )}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+              <button
+                onClick={() => handleVote(entry, 1)}
+                className={`btn flex items-center gap-2 ${entry.votes.mine === 1 ? 'btn-primary' : 'btn-secondary'}`}
+                title={entry.voters.filter(v => v.value === 1).map(v => v.user?.name).join(', ')}
+              >
+                <FiThumbsUp className="h-4 w-4" />
+                {entry.votes.for}
+              </button>
+              <button
+                onClick={() => handleVote(entry, -1)}
+                className={`btn flex items-center gap-2 ${entry.votes.mine === -1 ? 'btn-danger' : 'btn-secondary'}`}
+                title={entry.voters.filter(v => v.value === -1).map(v => v.user?.name).join(', ')}
+              >
+                <FiThumbsDown className="h-4 w-4" />
+                {entry.votes.against}
+              </button>
+              {canManage && entry.vendor && !entry.booking && (
+                <button onClick={() => setQuoteVendor(entry.vendor)} className="btn btn-secondary flex items-center gap-2">
+                  <FiSend className="h-4 w-4" />
+                  Request Quote
+                </button>
+              )}
+              {canManage && (
+                <button onClick={() => handleRemove(entry)} className="btn btn-secondary flex items-center gap-2">
+                  <FiTrash2 className="h-4 w-4" />
+                  Remove
+                </button>
+              )}
+            </div>
+
+            {/* Discussion */}
+            <div className="border-t border-gray-200 pt-3 space-y-2">
+              {entry.comments.map(comment => (
+                <div key={comment._id} className="flex items-start justify-between gap-2 text-sm">
+                  <p className="text-gray-700">
+                    <span className="font-medium text-gray-900">{comment.user?.name || 'Former member'}</span>{' '}
+                    {comment.content}
+                    <span className="text-xs text-gray-400"> · {formatDistanceToNow(new Date(comment.date), { addSuffix: true })}</span>
+                  </p>
+                  {(canManage || comment.user?._id === user?._id) && (
+                    <button
+                      onClick={() => handleDeleteComment(entry, comment)}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label="Delete comment"
+                    >
+                      <FiTrash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              <form onSubmit={(e) => handleComment(e, entry)} className="flex gap-2">
+                <input
+                  type="text"
+                  value={comments[entry._id] || ''}
+                  onChange={(e) => setComments(prev => ({ ...prev, [entry._id]: e.target.value }))}
+                  className="input flex-1"
+                  placeholder="Add a comment"
+                  maxLength={500}
+                  required
+                />
+                <button type="submit" className="btn btn-secondary">Post</button>
+              </form>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default EventShortlist;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiTrash2, FiUserPlus } from 'react-icons/fi';
+
+export const STAFF_ROLES = {
+  'co-organizer': { label: 'Co-organizer', description: 'Edits the event, manages staff and tasks, checks in attendees, and manages the budget and vendor bookings' },
+  'task-manager': { label: 'Task manager', description: 'Creates, assigns and edits the event\'s tasks' },
+  'check-in': { label: 'Check-in staff', description: 'Scans tickets at the door' },
+  finance: { label: 'Finance', description: 'Manages the event budget, expenses and receipts' }
+};
+
+const EventStaff = ({ event, canManage, currentUserId }) => {
+  const [staff, setStaff] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [newStaff, setNewStaff] = useState({ user: '', role: 'task-manager' });
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchStaff = async () => {
+      try {
+        const response = await axios.get(`/api/events/${event._id}/staff`);
+        setStaff(response.data);
+      } catch (error) {
+        console.error('Error fetching event staff:', error);
+      }
+    };
+
+    fetchStaff();
+  }, [event._id]);
+
+  useEffect(() => {
+    if (!canManage) return;
+
+    const fetchMembers = async () => {
+      try {
+        const response = await axios.get('/api/users/assignable');
+        setMembers(response.data);
+      } catch (error) {
+        console.error('Error fetching members:', error);
+      }
+    };
+
+    fetchMembers();
+  }, [canManage]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newStaff.user) return;
+
+    setIsBusy(true);
+    try {
+      const response = await axios.post(`/api/events/${event._id}/staff`, newStaff);
+      setStaff(response.data);
+      setNewStaff(prev => ({ ...prev, user: '' }));
+      toast.success('Staff member added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add staff member');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const response = await axios.put(`/api/events/${event._id}/staff/${member.user._id}`, { role });
+      setStaff(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.user._id === currentUserId;
+    if (!window.confirm(isSelf ? 'Leave the staff of this event?' : `Remove ${member.user.name} from the event staff?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/events/${event._id}/staff/${member.user._id}`);
+      setStaff(prev => prev.filter(m => m.user._id !== member.user._id));
+      toast.success(isSelf ? 'You left the event staff' : 'Staff member removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove staff member');
+    }
+  };
+
+  // People who can still be added: not the organizer and not on the staff yet
+  const available = members.filter(member =>
+    member._id !== event.organizer._id && !staff.some(s => s.user._id === member._id)
+  );
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Event Staff</h3>
+
+      {staff.length === 0 ? (
+        <p className="text-sm text-gray-600 mb-4">Only the organizer manages this event.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {staff.map(member => (
+            <li key={member.user._id} className="py-3 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{member.user.name}</p>
+                {canManage ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    className="text-sm text-gray-600 bg-transparent border-none p-0 focus:ring-0"
+                    title={STAFF_ROLES[member.role]?.description}
+                  >
+                    {Object.entries(STAFF_ROLES).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <p className="text-sm text-gray-600" title={STAFF_ROLES[member.role]?.description}>
+                    {STAFF_ROLES[member.role]?.label || member.role}
+                  </p>
+                )}
+              </div>
+              {(canManage || member.user._id === currentUserId) && (
+                <button
+                  onClick={() => handleRemove(member)}
+                  className="text-gray-400 hover:text-red-600"
+                  title={member.user._id === currentUserId ? 'Leave event staff' : 'Remove'}
+                >
+                  <FiTrash2 className="h-4 w-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canManage && (
+        <form onSubmit={handleAdd} className="space-y-3">
+          <select
+            value={newStaff.user}
+            onChange={(e) => setNewStaff(prev => ({ ...prev, user: e.target.value }))}
+            className="input"
+          >
+            <option value="">Choose a team member</option>
+            {available.map(member => (
+              <option key={member._id} value={member._id}>{member.name}</option>
+            ))}
+          </select>
+          <select
+            value={newStaff.role}
+            onChange={(e) => setNewStaff(prev => ({ ...prev, role: e.target.value }))}
+            className="input"
+          >
+            {Object.entries(STAFF_ROLES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500">{STAFF_ROLES[newStaff.role].description}</p>
+          <button type="submit" disabled={isBusy || !newStaff.user} className="btn btn-secondary w-full flex items-center justify-center gap-2">
+            <FiUserPlus className="h-4 w-4" />
+            Add to Staff
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default EventStaff;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { useFieldArray } from 'react-hook-form';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+
+const emptyPromoCode = {
+  code: '',
+  discountType: 'percentage',
+  discountValue: 10,
+  maxUses: '',
+  expiresAt: ''
+};
+
+// Convert form values to the shape the API expects
+export const formatPromoCodes = (promoCodes = []) => promoCodes.map(({ _id, timesUsed, ...promo }) => ({
+  ...promo,
+  code: promo.code.trim().toUpperCase(),
+  discountValue: parseFloat(promo.discountValue) || 0,
+  maxUses: promo.maxUses ? parseInt(promo.maxUses) : undefined,
+  expiresAt: promo.expiresAt ? new Date(promo.expiresAt).toISOString() : undefined
+}));
+
+const PromoCodeEditor = ({ control, register, errors }) => {
+  const { fields, append, remove } = useFieldArray({ control, name: 'promoCodes' });
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Promo Codes</h3>
+          <p className="text-sm text-gray-500">Discount codes attendees can enter when registering</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => append(emptyPromoCode)}
+          className="btn btn-secondary flex items-center gap-2"
+        >
+          <FiPlus className="h-4 w-4" />
+          Add Code
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        {fields.map((field, index) => {
+          const promoErrors = errors.promoCodes?.[index] || {};
+          return (
+            <div key={field.id} className="grid grid-cols-1 md:grid-cols-6 gap-4 items-end border border-gray-200 rounded-lg p-4">
+              <div className="md:col-span-2">
+                <label className="form-label">Code *</label>
+                <input
+                  type="text"
+                  {...register(`promoCodes.${index}.code`, {
+                    required: 'Code is required',
+                    minLength: { value: 3, message: 'At least 3 characters' }
+                  })}
+                  className={`input uppercase ${promoErrors.code ? 'border-red-500' : ''}`}
+                  placeholder="EARLY20"
+                />
+                {promoErrors.code && (
+                  <p className="mt-1 text-sm text-red-600">{promoErrors.code.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="form-label">Type</label>
+                <select {...register(`promoCodes.${index}.discountType`)} className="input">
+                  <option value="percentage">% off</option>
+                  <option value="fixed">$ off</option>
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Amount *</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  {...register(`promoCodes.${index}.discountValue`, {
+                    required: 'Amount is required',
+                    min: { value: 0, message: 'Must be positive' }
+                  })}
+                  className={`input ${promoErrors.discountValue ? 'border-red-500' : ''}`}
+                />
+              </div>
+              <div>
+                <label className="form-label">Max Uses</label>
+                <input
+                  type="number"
+                  {...register(`promoCodes.${index}.maxUses`)}
+                  className="input"
+                  placeholder="Unlimited"
+                />
+                {field.timesUsed > 0 && (
+                  <p className="mt-1 text-xs text-gray-500">Used {field.timesUsed} times</p>
+                )}
+              </div>
+              <div className="flex items-end gap-2">
+                <div className="flex-1">
+                  <label className="form-label">Expires</label>
+                  <input
+                    type="datetime-local"
+                    {...register(`promoCodes.${index}.expiresAt`)}
+                    className="input"
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => remove(index)}
+                  className="p-2 text-red-600 hover:text-red-700"
+                  title="Remove code"
+                >
+                  <FiTrash2 className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PromoCodeEditor;
@@ -0,0 +1,165 @@
+import React from 'react';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Convert form values to the rule the API expects (undefined for one-off events)
+export const formatRecurrence = (recurrence) => {
+  if (!recurrence || !recurrence.frequency) return undefined;
+
+  const rule = {
+    frequency: recurrence.frequency,
+    interval: parseInt(recurrence.interval) || 1
+  };
+  if (recurrence.frequency === 'weekly') {
+    rule.weekdays = (Array.isArray(recurrence.weekdays) ? recurrence.weekdays : []).map(Number);
+  }
+  if (recurrence.frequency === 'monthly') {
+    rule.monthlyMode = recurrence.monthlyMode || 'dayOfMonth';
+  }
+  if (recurrence.endType === 'until') {
+    const until = new Date(recurrence.until);
+    until.setHours(23, 59, 59, 999);
+    rule.until = until.toISOString();
+  } else {
+    rule.count = parseInt(recurrence.count);
+  }
+  return rule;
+};
+
+// Describe a rule for display, e.g. "Every 2 weeks on Mon, Wed"
+export const describeRecurrence = (rule) => {
+  if (!rule || !rule.frequency) return '';
+  const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+  const interval = rule.interval || 1;
+  let text = interval === 1 ? `Every ${units[rule.frequency]}` : `Every ${interval} ${units[rule.frequency]}s`;
+  if (rule.frequency === 'weekly' && rule.weekdays?.length > 0) {
+    text += ` on ${rule.weekdays.map(day => WEEKDAYS[day]).join(', ')}`;
+  }
+  if (rule.frequency === 'monthly') {
+    text += rule.monthlyMode === 'nthWeekday' ? ' on the same weekday' : ' on the same date';
+  }
+  return text;
+};
+
+const RecurrenceEditor = ({ register, watch, errors }) => {
+  const frequency = watch('recurrence.frequency');
+  const endType = watch('recurrence.endType') || 'count';
+  const recurrenceErrors = errors.recurrence || {};
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="form-label">Repeats</label>
+          <select {...register('recurrence.frequency')} className="input">
+            <option value="">Does not repeat</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+        </div>
+
+        {frequency && (
+          <div>
+            <label className="form-label">Every</label>
+            <input
+              type="number"
+              min="1"
+              defaultValue={1}
+              {...register('recurrence.interval', { min: { value: 1, message: 'Must be at least 1' } })}
+              className="input"
+            />
+          </div>
+        )}
+      </div>
+
+      {frequency === 'weekly' && (
+        <div>
+          <label className="form-label">On</label>
+          <div className="flex flex-wrap gap-3">
+            {WEEKDAYS.map((day, index) => (
+              <label key={day} className="flex items-center">
+                <input
+                  type="checkbox"
+                  value={index}
+                  {...register('recurrence.weekdays')}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <span className="ml-1 text-sm text-gray-700">{day}</span>
+              </label>
+            ))}
+          </div>
+          <p className="mt-1 text-sm text-gray-500">Leave empty to repeat on the start date's weekday</p>
+        </div>
+      )}
+
+      {frequency === 'monthly' && (
+        <div className="flex items-center space-x-4">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              value="dayOfMonth"
+              defaultChecked
+              {...register('recurrence.monthlyMode')}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+            />
+            <span className="ml-2 text-sm text-gray-700">Same date each month</span>
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              value="nthWeekday"
+              {...register('recurrence.monthlyMode')}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+            />
+            <span className="ml-2 text-sm text-gray-700">Same weekday (e.g. 2nd Tuesday)</span>
+          </label>
+        </div>
+      )}
+
+      {frequency && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="form-label">Ends</label>
+            <select {...register('recurrence.endType')} className="input">
+              <option value="count">After a number of occurrences</option>
+              <option value="until">On a date</option>
+            </select>
+          </div>
+          {endType === 'until' ? (
+            <div>
+              <label className="form-label">End Date *</label>
+              <input
+                type="date"
+                {...register('recurrence.until', { required: 'End date is required' })}
+                className={`input ${recurrenceErrors.until ? 'border-red-500' : ''}`}
+              />
+              {recurrenceErrors.until && (
+                <p className="mt-1 text-sm text-red-600">{recurrenceErrors.until.message}</p>
+              )}
+            </div>
+          ) : (
+            <div>
+              <label className="form-label">Occurrences *</label>
+              <input
+                type="number"
+                defaultValue={10}
+                {...register('recurrence.count', {
+                  required: 'Number of occurrences is required',
+                  min: { value: 1, message: 'Must be at least 1' },
+                  max: { value: 200, message: 'At most 200 occurrences' }
+                })}
+                className={`input ${recurrenceErrors.count ? 'border-red-500' : ''}`}
+              />
+              {recurrenceErrors.count && (
+                <p className="mt-1 text-sm text-red-600">{recurrenceErrors.count.message}</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
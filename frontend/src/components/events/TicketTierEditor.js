@@ -0,0 +1,155 @@
+import React from 'react';
+import { useFieldArray } from 'react-hook-form';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+
+const emptyTier = {
+  name: '',
+  description: '',
+  price: 0,
+  quantity: 50,
+  maxPerOrder: 10,
+  salesStart: '',
+  salesEnd: ''
+};
+
+// Convert form values to the shape the API expects
+export const formatTicketTiers = (tiers = []) => tiers.map(({ _id, ...tier }) => ({
+  ...(_id ? { _id } : {}),
+  ...tier,
+  price: parseFloat(tier.price) || 0,
+  quantity: parseInt(tier.quantity),
+  maxPerOrder: parseInt(tier.maxPerOrder) || 10,
+  salesStart: tier.salesStart ? new Date(tier.salesStart).toISOString() : undefined,
+  salesEnd: tier.salesEnd ? new Date(tier.salesEnd).toISOString() : undefined
+}));
+
+const TicketTierEditor = ({ control, register, errors }) => {
+  const { fields, append, remove } = useFieldArray({ control, name: 'ticketTiers' });
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Ticket Tiers</h3>
+          <p className="text-sm text-gray-500">Offer several ticket types such as early-bird, VIP or student</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => append(emptyTier)}
+          className="btn btn-secondary flex items-center gap-2"
+        >
+          <FiPlus className="h-4 w-4" />
+          Add Tier
+        </button>
+      </div>
+
+      {fields.length === 0 && (
+        <p className="text-sm text-gray-500">No ticket tiers. The single event price above will be used.</p>
+      )}
+
+      <div className="space-y-4">
+        {fields.map((field, index) => {
+          const tierErrors = errors.ticketTiers?.[index] || {};
+          return (
+            <div key={field.id} className="border border-gray-200 rounded-lg p-4">
+              <input type="hidden" {...register(`ticketTiers.${index}._id`)} />
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Name *</label>
+                  <input
+                    type="text"
+                    {...register(`ticketTiers.${index}.name`, { required: 'Tier name is required' })}
+                    className={`input ${tierErrors.name ? 'border-red-500' : ''}`}
+                    placeholder="e.g., Early Bird"
+                  />
+                  {tierErrors.name && (
+                    <p className="mt-1 text-sm text-red-600">{tierErrors.name.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="form-label">Price ($) *</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    {...register(`ticketTiers.${index}.price`, {
+                      required: 'Price is required',
+                      min: { value: 0, message: 'Price must be positive' }
+                    })}
+                    className={`input ${tierErrors.price ? 'border-red-500' : ''}`}
+                  />
+                  {tierErrors.price && (
+                    <p className="mt-1 text-sm text-red-600">{tierErrors.price.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="form-label">Quantity *</label>
+                  <input
+                    type="number"
+                    {...register(`ticketTiers.${index}.quantity`, {
+                      required: 'Quantity is required',
+                      min: { value: 1, message: 'Must be at least 1' }
+                    })}
+                    className={`input ${tierErrors.quantity ? 'border-red-500' : ''}`}
+                  />
+                  {tierErrors.quantity && (
+                    <p className="mt-1 text-sm text-red-600">{tierErrors.quantity.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="form-label">Sales Start</label>
+                  <input
+                    type="datetime-local"
+                    {...register(`ticketTiers.${index}.salesStart`)}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Sales End</label>
+                  <input
+                    type="datetime-local"
+                    {...register(`ticketTiers.${index}.salesEnd`)}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Max Per Order</label>
+                  <input
+                    type="number"
+                    {...register(`ticketTiers.${index}.maxPerOrder`, {
+                      min: { value: 1, message: 'Must be at least 1' }
+                    })}
+                    className={`input ${tierErrors.maxPerOrder ? 'border-red-500' : ''}`}
+                  />
+                  {tierErrors.maxPerOrder && (
+                    <p className="mt-1 text-sm text-red-600">{tierErrors.maxPerOrder.message}</p>
+                  )}
+                </div>
+                <div className="md:col-span-3">
+                  <label className="form-label">Description</label>
+                  <input
+                    type="text"
+                    {...register(`ticketTiers.${index}.description`)}
+                    className="input"
+                    placeholder="What does this ticket include?"
+                  />
+                </div>
+              </div>
+              <div className="mt-4 flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => remove(index)}
+                  className="text-red-600 hover:text-red-700 text-sm flex items-center gap-1"
+                >
+                  <FiTrash2 className="h-4 w-4" />
+                  Remove Tier
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TicketTierEditor;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiCheckCircle, FiX } from 'react-icons/fi';
+import LoadingSpinner from '../common/LoadingSpinner';
+import Money from '../common/Money';
+import ComplianceBadge from '../vendors/ComplianceBadge';
+import { STATUS_STYLES } from '../bookings/QuoteForm';
+
+const PRICES = [
+  { key: 'hourly', label: 'Hourly' },
+  { key: 'daily', label: 'Daily' },
+  { key: 'perEvent', label: 'Per event' }
+];
+
+const CRITERIA = ['quality', 'punctuality', 'value', 'communication'];
+
+// Side-by-side comparison of shortlisted vendors: prices, ratings, verification,
+// compliance, services and distance to the event
+const VendorComparison = ({ event, vendorIds, onClose }) => {
+  const [comparison, setComparison] = useState(null);
+  const [currencies, setCurrencies] = useState([]);
+  const [currency, setCurrency] = useState('');
+
+  useEffect(() => {
+    const fetchCurrencies = async () => {
+      try {
+        const response = await axios.get('/api/currencies/rates');
+        setCurrencies(response.data.currencies);
+      } catch (error) {
+        console.error('Error fetching currencies:', error);
+      }
+    };
+
+    fetchCurrencies();
+  }, []);
+
+  useEffect(() => {
+    const fetchComparison = async () => {
+      try {
+        const response = await axios.get(`/api/events/${event._id}/shortlist/compare`, {
+          params: { vendors: vendorIds.join(','), currency: currency || undefined }
+        });
+        setComparison(response.data);
+      } catch (error) {
+        toast.error('Failed to load the comparison');
+      }
+    };
+
+    fetchComparison();
+  }, [event._id, vendorIds, currency]);
+
+  if (!comparison) {
+    return <LoadingSpinner />;
+  }
+
+  const rows = comparison.vendors;
+  const best = (values, pick) => {
+    const present = values.filter(value => typeof value === 'number' && value > 0);
+    return present.length > 1 ? pick(...present) : null;
+  };
+  const price = (row, key) => row.convertedPricing?.[key] ?? row.pricing?.[key];
+  const cheapest = Object.fromEntries(PRICES.map(({ key }) => [key, best(rows.map(row => price(row, key)), Math.min)]));
+  const topRating = best(rows.map(row => row.rating), Math.max);
+  const nearest = best(rows.map(row => row.distanceKm), Math.min);
+  const highlight = (isBest) => (isBest ? 'bg-green-50 font-semibold' : '');
+
+  return (
+    <div className="card p-6 overflow-x-auto">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Compare Vendors</h3>
+        <div className="flex items-center gap-3">
+          {currencies.length > 0 && (
+            <select
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="input"
+              aria-label="Compare prices in"
+            >
+              <option value="">Vendor's Currency</option>
+              {currencies.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          )}
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close comparison">
+            <FiX className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200">
+            <th className="py-2 pr-4 text-left text-gray-500 font-medium" />
+            {rows.map(row => (
+              <th key={row.entry} className="py-2 px-3 text-left align-bottom">
+                <Link to={`/vendors/${row.vendor._id}`} className="text-gray-900 hover:text-primary-600">
+                  {row.vendor.company || row.vendor.name}
+                </Link>
+                <p className="text-xs font-normal text-gray-500">{row.vendor.category}</p>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {PRICES.map(({ key, label }) => (
+            <tr key={key}>
+              <td className="py-2 pr-4 text-gray-600">{label}</td>
+              {rows.map(row => (
+                <td key={row.entry} className={`py-2 px-3 ${highlight(cheapest[key] !== null && price(row, key) === cheapest[key])}`}>
+                  {typeof row.pricing?.[key] === 'number' ? (
+                    <Money
+                      amount={row.pricing[key]}
+                      currency={row.pricing.currency || 'USD'}
+                      converted={row.convertedPricing && {
+                        amount: row.convertedPricing[key],
+                        currency: row.convertedPricing.currency,
+                        rate: row.convertedPricing.rate
+                      }}
+                    />
+                  ) : <span className="text-gray-400">—</span>}
+                </td>
+              ))}
+            </tr>
+          ))}
+          <tr>
+            <td className="py-2 pr-4 text-gray-600">Rating</td>
+            {rows.map(row => (
+              <td key={row.entry} className={`py-2 px-3 ${highlight(topRating !== null && row.rating === topRating)}`}>
+                {row.reviewCount > 0 ? `${row.rating.toFixed(1)} / 5 (${row.reviewCount})` : <span className="text-gray-400">No reviews</span>}
+              </td>
+            ))}
+          </tr>
+          {CRITERIA.map(criterion => (
+            <tr key={criterion}>
+              <td className="py-2 pr-4 pl-3 text-gray-500 capitalize">{criterion}</td>
+              {rows.map(row => (
+                <td key={row.entry} className="py-2 px-3 text-gray-700">
+                  {row.criteriaRatings?.[criterion] ? row.criteriaRatings[criterion].toFixed(1) : <span className="text-gray-400">—</span>}
+                </td>
+              ))}
+            </tr>
+          ))}
+          <tr>
+            <td className="py-2 pr-4 text-gray-600">Verified</td>
+            {rows.map(row => (
+              <td key={row.entry} className="py-2 px-3">
+                {row.verified ? <FiCheckCircle className="h-4 w-4 text-green-600" aria-label="Verified" /> : <span className="text-gray-400">No</span>}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <td className="py-2 pr-4 text-gray-600">Compliance</td>
+            {rows.map(row => (
+              <td key={row.entry} className="py-2 px-3"><ComplianceBadge status={row.compliance} /></td>
+            ))}
+          </tr>
+          <tr>
+            <td className="py-2 pr-4 text-gray-600">Services</td>
+            {rows.map(row => (
+              <td key={row.entry} className="py-2 px-3 text-gray-700">
+                {row.services?.length > 0 ? row.services.join(', ') : <span className="text-gray-400">—</span>}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <td className="py-2 pr-4 text-gray-600">Distance</td>
+            {rows.map(row => (
+              <td key={row.entry} className={`py-2 px-3 ${highlight(nearest !== null && row.distanceKm === nearest)}`}>
+                {row.distanceKm !== null ? `${row.distanceKm} km` : <span className="text-gray-400">Unknown</span>}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <td className="py-2 pr-4 text-gray-600">Team votes</td>
+            {rows.map(row => (
+              <td key={row.entry} className="py-2 px-3 text-gray-700">
+                +{row.votes.for} / −{row.votes.against}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <td className="py-2 pr-4 text-gray-600">Booking</td>
+            {rows.map(row => (
+              <td key={row.entry} className="py-2 px-3">
+                {row.booking ? (
+                  <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[row.booking.status]}`}>
+                    {row.booking.status}
+                  </span>
+                ) : <span className="text-gray-400">None</span>}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-3">
+        Best prices, rating and distance are highlighted. Distance is shown once both addresses have been found on the map.
+      </p>
+    </div>
+  );
+};
+
+export default VendorComparison;
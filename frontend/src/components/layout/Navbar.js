@@ -1,10 +1,18 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { FiMenu, FiX, FiUser, FiLogOut, FiPlus, FiCalendar, FiUsers, FiCheckSquare } from 'react-icons/fi';
+import { useOrganization } from '../../contexts/OrganizationContext';
+import { usePermissions } from '../../hooks/usePermissions';
+import { FiMenu, FiX, FiUser, FiLogOut, FiPlus, FiCalendar, FiUsers, FiCheckSquare, FiBriefcase, FiCheck, FiChevronDown } from 'react-icons/fi';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const { isAuthenticated, user, logout } = useAuth();
+  const { organizations, currentOrganization, switchOrganization } = useOrganization();
+  const { can } = usePermissions();
+  // Vendor accounts only have the vendor portal and their profile
+  const isVendor = user?.accountType === 'vendor';
+  const isMember = isAuthenticated && !isVendor;
   const navigate = useNavigate();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
 
@@ -29,73 +37,137 @@ const Navbar = () => {
             </Link>
           </div>
 
-          {/* Desktop Navigation */}
-          <div className="hidden md:flex items-center space-x-8">
-            <Link to="/events" className="text-gray-700 hover:text-primary-600 transition-colors">
-              Events
-            </Link>
-            {isAuthenticated && (
-              <>
-                <Link to="/vendors" className="text-gray-700 hover:text-primary-600 transition-colors flex items-center gap-1">
-                  <FiUsers className="h-4 w-4" />
-                  Vendors
+          <div className="flex items-center gap-8">
+            {/* Desktop Navigation */}
+            <div className="hidden md:flex items-center space-x-8">
+              {!isVendor && (
+                <Link to="/events" className="text-gray-700 hover:text-primary-600 transition-colors">
+                  Events
                 </Link>
-                <Link to="/tasks" className="text-gray-700 hover:text-primary-600 transition-colors flex items-center gap-1">
-                  <FiCheckSquare className="h-4 w-4" />
-                  Tasks
+              )}
+              {isVendor && (
+                <Link to="/portal" className="text-gray-700 hover:text-primary-600 transition-colors flex items-center gap-1">
+                  <FiBriefcase className="h-4 w-4" />
+                  Vendor Portal
                 </Link>
-              </>
-            )}
-            
-            {isAuthenticated ? (
-              <>
-                <Link to="/create-event" className="btn btn-primary flex items-center space-x-2">
-                  <FiPlus className="h-4 w-4" />
-                  <span>Create Event</span>
-                </Link>
-                
-                <div className="relative group">
-                  <button className="flex items-center space-x-2 text-gray-700 hover:text-primary-600 transition-colors">
-                    <FiUser className="h-5 w-5" />
-                    <span>{user?.name}</span>
-                  </button>
-                  
-                  <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-50 opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200">
-                    <Link to="/dashboard" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
-                      Dashboard
-                    </Link>
-                    <Link to="/profile" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
-                      Profile
+              )}
+              {isMember && (
+                <>
+                  <Link to="/vendors" className="text-gray-700 hover:text-primary-600 transition-colors flex items-center gap-1">
+                    <FiUsers className="h-4 w-4" />
+                    Vendors
+                  </Link>
+                  <Link to="/tasks" className="text-gray-700 hover:text-primary-600 transition-colors flex items-center gap-1">
+                    <FiCheckSquare className="h-4 w-4" />
+                    Tasks
+                  </Link>
+                </>
+              )}
+              
+              {isAuthenticated ? (
+                <>
+                  {isMember && (
+                    <div className="relative group">
+                      <button className="flex items-center gap-1 text-gray-700 hover:text-primary-600 transition-colors max-w-xs">
+                        <FiBriefcase className="h-4 w-4 flex-shrink-0" />
+                        <span className="truncate">{currentOrganization?.name || 'Workspace'}</span>
+                        <FiChevronDown className="h-4 w-4 flex-shrink-0" />
+                      </button>
+
+                      <div className="absolute right-0 mt-2 w-64 bg-white rounded-md shadow-lg py-1 z-50 opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200">
+                        <p className="px-4 py-2 text-xs font-medium text-gray-500 uppercase">Workspaces</p>
+                        {organizations.map(org => (
+                          <button
+                            key={org._id}
+                            onClick={() => switchOrganization(org._id)}
+                            className="flex items-center justify-between w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                          >
+                            <span className="truncate">{org.name}</span>
+                            {org._id === currentOrganization?._id && <FiCheck className="h-4 w-4 text-primary-600 flex-shrink-0" />}
+                          </button>
+                        ))}
+                        <div className="border-t border-gray-100 mt-1 pt-1">
+                          <Link to="/organization" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                            Manage workspaces
+                          </Link>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
+                  {can('event:create') && (
+                    <Link to="/create-event" className="btn btn-primary flex items-center space-x-2">
+                      <FiPlus className="h-4 w-4" />
+                      <span>Create Event</span>
                     </Link>
-                    <button
-                      onClick={handleLogout}
-                      className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
-                    >
-                      Logout
+                  )}
+                  
+                  <div className="relative group">
+                    <button className="flex items-center space-x-2 text-gray-700 hover:text-primary-600 transition-colors">
+                      <FiUser className="h-5 w-5" />
+                      <span>{user?.name}</span>
                     </button>
+                    
+                    <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-50 opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200">
+                      {isMember && (
+                        <Link to="/dashboard" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                          Dashboard
+                        </Link>
+                      )}
+                      <Link to="/profile" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                        Profile
+                      </Link>
+                      {can('role:manage') && (
+                        <Link to="/admin/roles" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                          Roles & Permissions
+                        </Link>
+                      )}
+                      {can('currency:manage') && (
+                        <Link to="/admin/currencies" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                          Exchange Rates
+                        </Link>
+                      )}
+                      {can('vendor:compliance') && (
+                        <Link to="/admin/vendor-compliance" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                          Vendor Compliance
+                        </Link>
+                      )}
+                      {can('vendor:moderate-reviews') && (
+                        <Link to="/admin/reviews" className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                          Review Moderation
+                        </Link>
+                      )}
+                      <button
+                        onClick={handleLogout}
+                        className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        Logout
+                      </button>
+                    </div>
                   </div>
+                </>
+              ) : (
+                <div className="flex items-center space-x-4">
+                  <Link to="/login" className="text-gray-700 hover:text-primary-600 transition-colors">
+                    Login
+                  </Link>
+                  <Link to="/register" className="btn btn-primary">
+                    Sign Up
+                  </Link>
                 </div>
-              </>
-            ) : (
-              <div className="flex items-center space-x-4">
-                <Link to="/login" className="text-gray-700 hover:text-primary-600 transition-colors">
-                  Login
-                </Link>
-                <Link to="/register" className="btn btn-primary">
-                  Sign Up
-                </Link>
-              </div>
-            )}
-          </div>
+              )}
+            </div>
 
-          {/* Mobile menu button */}
-          <div className="md:hidden flex items-center">
-            <button
-              onClick={toggleMenu}
-              className="text-gray-700 hover:text-primary-600 transition-colors"
-            >
-              {isMenuOpen ? <FiX className="h-6 w-6" /> : <FiMenu className="h-6 w-6" />}
-            </button>
+            {/* Notifications and mobile menu button */}
+            <div className="flex items-center gap-4">
+              {isMember && <NotificationBell />}
+              <button
+                onClick={toggleMenu}
+                className="md:hidden text-gray-700 hover:text-primary-600 transition-colors"
+              >
+                {isMenuOpen ? <FiX className="h-6 w-6" /> : <FiMenu className="h-6 w-6" />}
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -104,14 +176,26 @@ const Navbar = () => {
       {isMenuOpen && (
         <div className="md:hidden">
           <div className="px-2 pt-2 pb-3 space-y-1 sm:px-3 bg-white border-t border-gray-200">
-            <Link
-              to="/events"
-              className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
-              onClick={() => setIsMenuOpen(false)}
-            >
-              Events
-            </Link>
-            {isAuthenticated && (
+            {!isVendor && (
+              <Link
+                to="/events"
+                className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
+                onClick={() => setIsMenuOpen(false)}
+              >
+                Events
+              </Link>
+            )}
+            {isVendor && (
+              <Link
+                to="/portal"
+                className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors flex items-center gap-2"
+                onClick={() => setIsMenuOpen(false)}
+              >
+                <FiBriefcase className="h-4 w-4" />
+                Vendor Portal
+              </Link>
+            )}
+            {isMember && (
               <>
                 <Link
                   to="/vendors"
@@ -134,20 +218,51 @@ const Navbar = () => {
             
             {isAuthenticated ? (
               <>
-                <Link
-                  to="/create-event"
-                  className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
-                  onClick={() => setIsMenuOpen(false)}
-                >
-                  Create Event
-                </Link>
-                <Link
-                  to="/dashboard"
-                  className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
-                  onClick={() => setIsMenuOpen(false)}
-                >
-                  Dashboard
-                </Link>
+                {isMember && organizations.length > 1 && (
+                  <div className="px-3 py-2">
+                    <label htmlFor="mobile-workspace" className="form-label">Workspace</label>
+                    <select
+                      id="mobile-workspace"
+                      value={currentOrganization?._id || ''}
+                      onChange={(e) => {
+                        switchOrganization(e.target.value);
+                        setIsMenuOpen(false);
+                      }}
+                      className="input"
+                    >
+                      {organizations.map(org => (
+                        <option key={org._id} value={org._id}>{org.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {isMember && (
+                  <Link
+                    to="/organization"
+                    className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Manage workspaces
+                  </Link>
+                )}
+                {can('event:create') && (
+                  <Link
+                    to="/create-event"
+                    className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Create Event
+                  </Link>
+                )}
+                {isMember && (
+                  <Link
+                    to="/dashboard"
+                    className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Dashboard
+                  </Link>
+                )}
                 <Link
                   to="/profile"
                   className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
@@ -155,6 +270,42 @@ const Navbar = () => {
                 >
                   Profile
                 </Link>
+                {can('role:manage') && (
+                  <Link
+                    to="/admin/roles"
+                    className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Roles & Permissions
+                  </Link>
+                )}
+                {can('currency:manage') && (
+                  <Link
+                    to="/admin/currencies"
+                    className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Exchange Rates
+                  </Link>
+                )}
+                {can('vendor:compliance') && (
+                  <Link
+                    to="/admin/vendor-compliance"
+                    className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Vendor Compliance
+                  </Link>
+                )}
+                {can('vendor:moderate-reviews') && (
+                  <Link
+                    to="/admin/reviews"
+                    className="block px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Review Moderation
+                  </Link>
+                )}
                 <button
                   onClick={handleLogout}
                   className="block w-full text-left px-3 py-2 text-gray-700 hover:text-primary-600 transition-colors"
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { FiBell, FiCalendar, FiCheckSquare, FiUsers } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+
+const LINK_PATHS = {
+  task: (id) => `/tasks/${id}`,
+  event: (id) => `/events/${id}`,
+  vendor: (id) => `/vendors/${id}`
+};
+
+const LINK_ICONS = {
+  task: FiCheckSquare,
+  event: FiCalendar,
+  vendor: FiUsers
+};
+
+const NotificationBell = () => {
+  const { token } = useAuth();
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const dropdownRef = useRef(null);
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const fetchNotifications = async () => {
+      try {
+        const [listRes, countRes] = await Promise.all([
+          axios.get('/api/notifications', { params: { limit: 15 } }),
+          axios.get('/api/notifications/unread-count')
+        ]);
+        setNotifications(listRes.data.docs);
+        setUnreadCount(countRes.data.count);
+      } catch (error) {
+        console.error('Error fetching notifications:', error);
+      }
+    };
+
+    fetchNotifications();
+
+    // New notifications are pushed over server-sent events; EventSource reconnects on its own
+    const source = new EventSource(`${axios.defaults.baseURL || ''}/api/notifications/stream?token=${encodeURIComponent(token)}`);
+    source.addEventListener('notification', (e) => {
+      const notification = JSON.parse(e.data);
+      setNotifications(prev => [notification, ...prev].slice(0, 15));
+      setUnreadCount(prev => prev + 1);
+      toast(notification.title, { icon: '🔔' });
+    });
+    // An expired access token closes the stream for good. Any API call refreshes the
+    // token, and the new token reopens the stream through this effect.
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        fetchNotifications();
+      }
+    };
+
+    return () => source.close();
+  }, [token]);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const markRead = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      await axios.put(`/api/notifications/${notification._id}/read`);
+      setNotifications(prev => prev.map(n => (
+        n._id === notification._id ? { ...n, readAt: new Date().toISOString() } : n
+      )));
+      setUnreadCount(prev => Math.max(0, prev - 1));
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+    }
+  };
+
+  const handleOpen = (notification) => {
+    markRead(notification);
+    setIsOpen(false);
+    const { link } = notification;
+    if (link && link.kind && LINK_PATHS[link.kind]) {
+      navigate(LINK_PATHS[link.kind](link.id));
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.put('/api/notifications/read-all');
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || now })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error('Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative text-gray-700 hover:text-primary-600 transition-colors"
+        aria-label="Notifications"
+      >
+        <FiBell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-2 -right-2 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-50 border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-sm text-primary-600 hover:text-primary-700">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map(notification => {
+                const Icon = LINK_ICONS[notification.link?.kind] || FiBell;
+                return (
+                  <li key={notification._id}>
+                    <button
+                      onClick={() => handleOpen(notification)}
+                      className={`w-full text-left px-4 py-3 flex gap-3 hover:bg-gray-50 ${notification.readAt ? '' : 'bg-primary-50'}`}
+                    >
+                      <Icon className="h-4 w-4 mt-1 text-gray-400 flex-shrink-0" />
+                      <div className="min-w-0">
+                        <p className={`text-sm ${notification.readAt ? 'text-gray-700' : 'font-medium text-gray-900'}`}>
+                          {notification.title}
+                        </p>
+                        {notification.message && (
+                          <p className="text-xs text-gray-500 truncate">{notification.message}</p>
+                        )}
+                        <p className="text-xs text-gray-400 mt-1">
+                          {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                        </p>
+                      </div>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { FiShield } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+
+const TwoFactorBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated || !user?.twoFactorRequired || location.pathname === '/profile') {
+    return null;
+  }
+
+  return (
+    <div className="bg-red-50 border-b border-red-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center gap-2 text-sm text-red-800">
+        <FiShield className="h-4 w-4" />
+        <span>Two-factor authentication is required for your account.</span>
+        <Link to="/profile?tab=security" className="font-medium underline hover:text-red-900">
+          Set it up now
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorBanner;
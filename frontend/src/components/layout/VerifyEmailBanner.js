@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiAlertCircle } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+
+const VerifyEmailBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [isSending, setIsSending] = useState(false);
+
+  if (!isAuthenticated || !user || user.isVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not send the verification email');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center gap-2 text-sm text-yellow-800">
+        <FiAlertCircle className="h-4 w-4" />
+        <span>Please verify your email address ({user.email}).</span>
+        <button
+          onClick={handleResend}
+          disabled={isSending}
+          className="font-medium underline hover:text-yellow-900 disabled:opacity-50"
+        >
+          {isSending ? 'Sending...' : 'Resend verification email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiCalendar, FiCheckSquare, FiCopy, FiRefreshCw } from 'react-icons/fi';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const FEEDS = [
+  { key: 'events', label: 'My Events', description: 'Events you are registered for', icon: FiCalendar },
+  { key: 'tasks', label: 'My Tasks', description: 'Tasks assigned to you, on their due date', icon: FiCheckSquare }
+];
+
+const CalendarFeeds = () => {
+  const [feeds, setFeeds] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchFeeds = async () => {
+      try {
+        const response = await axios.get('/api/calendar/feeds');
+        setFeeds(response.data);
+      } catch (error) {
+        toast.error('Failed to load calendar feeds');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchFeeds();
+  }, []);
+
+  const handleCopy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Feed URL copied');
+    } catch (error) {
+      toast.error('Could not copy the URL');
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!window.confirm('Generate new feed URLs? Calendars subscribed to the current URLs will stop updating.')) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const response = await axios.post('/api/calendar/feeds/regenerate');
+      setFeeds(response.data);
+      toast.success('New feed URLs generated');
+    } catch (error) {
+      toast.error('Failed to regenerate feed URLs');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Turn off calendar feeds? Subscribed calendars will stop updating.')) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      await axios.delete('/api/calendar/feeds');
+      setFeeds(null);
+      toast.success('Calendar feeds turned off');
+    } catch (error) {
+      toast.error('Failed to turn off calendar feeds');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="card p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Calendar Feeds</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Subscribe to these URLs in Google Calendar, Outlook or Apple Calendar to keep your events and tasks in sync.
+        Anyone with a URL can read that feed, so keep them private.
+      </p>
+
+      {feeds ? (
+        <div className="space-y-4">
+          {FEEDS.map(({ key, label, description, icon: Icon }) => (
+            <div key={key}>
+              <label className="form-label flex items-center gap-2">
+                <Icon className="h-4 w-4 text-gray-400" />
+                {label}
+              </label>
+              <div className="flex gap-2">
+                <input type="text" readOnly value={feeds[key]} className="input font-mono text-xs" onFocus={(e) => e.target.select()} />
+                <button type="button" onClick={() => handleCopy(feeds[key])} className="btn btn-secondary flex items-center gap-1">
+                  <FiCopy className="h-4 w-4" />
+                  Copy
+                </button>
+              </div>
+              <p className="mt-1 text-xs text-gray-500">{description}</p>
+            </div>
+          ))}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button type="button" onClick={handleRevoke} disabled={isBusy} className="btn btn-danger">
+              Turn Off Feeds
+            </button>
+            <button type="button" onClick={handleRegenerate} disabled={isBusy} className="btn btn-secondary flex items-center gap-1">
+              <FiRefreshCw className="h-4 w-4" />
+              Regenerate URLs
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button type="button" onClick={handleRegenerate} disabled={isBusy} className="btn btn-primary">
+          Turn On Feeds
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeeds;
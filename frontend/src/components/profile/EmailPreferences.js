@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+
+const PREFERENCES = [
+  { key: 'taskAssigned', label: 'Task assigned', description: 'Someone assigns a task to you' },
+  { key: 'taskReminder', label: 'Task reminders', description: 'A task of yours is coming up on its due date' },
+  { key: 'taskComment', label: 'Task comments', description: 'Someone comments on a task you assigned or are working on' },
+  { key: 'eventRegistration', label: 'Registration confirmations', description: 'You register for an event' },
+  { key: 'eventChanges', label: 'Event changes', description: 'An event you are attending is cancelled or rescheduled' },
+  { key: 'waitlist', label: 'Waitlist updates', description: 'You join a waitlist or a spot opens up for you' },
+  { key: 'vendorBookings', label: 'Vendor quotes', description: 'A vendor responds to a quote you requested' }
+];
+
+const EmailPreferences = () => {
+  const { user, updateProfile } = useAuth();
+  const [isLoading, setIsLoading] = useState(false);
+  const [preferences, setPreferences] = useState(() => PREFERENCES.reduce((acc, { key }) => ({
+    ...acc,
+    [key]: user?.emailNotifications?.[key] !== false
+  }), {}));
+
+  const handleToggle = (key) => {
+    setPreferences(prev => ({
+      ...prev,
+      [key]: !prev[key]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      await updateProfile({ emailNotifications: preferences });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Email Notifications</h2>
+      <p className="text-sm text-gray-600 mb-6">Choose which emails we send to {user?.email}.</p>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="divide-y divide-gray-200">
+          {PREFERENCES.map(({ key, label, description }) => (
+            <label key={key} className="flex items-start gap-3 py-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={preferences[key]}
+                onChange={() => handleToggle(key)}
+                className="mt-1 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <div>
+                <p className="font-medium text-gray-900">{label}</p>
+                <p className="text-sm text-gray-500">{description}</p>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-end">
+          <button type="submit" disabled={isLoading} className="btn btn-primary">
+            {isLoading ? 'Saving...' : 'Save Preferences'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EmailPreferences;
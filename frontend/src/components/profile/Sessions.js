@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { FiMonitor, FiSmartphone, FiLogOut } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const isMobile = (device) => /iOS|Android/.test(device);
+
+const Sessions = () => {
+  const { logout, logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await axios.get('/api/auth/sessions');
+        setSessions(response.data);
+      } catch (error) {
+        toast.error('Failed to load sessions');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      await axios.delete(`/api/auth/sessions/${session._id}`);
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+      toast.success('Session logged out');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log out session');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) {
+      return;
+    }
+
+    setIsBusy(true);
+    const result = await logoutEverywhere();
+    if (!result.success) {
+      setIsBusy(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="card p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Active Sessions</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Devices that are signed in to your account. Log out any you don't recognise and change your password.
+      </p>
+
+      <ul className="divide-y divide-gray-200">
+        {sessions.map(session => {
+          const Icon = isMobile(session.device) ? FiSmartphone : FiMonitor;
+          return (
+            <li key={session._id} className="py-4 flex items-center justify-between gap-4">
+              <div className="flex items-center gap-3 min-w-0">
+                <Icon className="h-6 w-6 text-gray-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900">
+                    {session.device}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500 truncate">
+                    {session.ip || 'Unknown IP'} · Last seen {formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    Signed in {formatDistanceToNow(new Date(session.createdAt), { addSuffix: true })}
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                disabled={isBusy}
+                className="btn btn-secondary flex items-center gap-1 flex-shrink-0"
+              >
+                <FiLogOut className="h-4 w-4" />
+                Log out
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="flex justify-end pt-4">
+        <button type="button" onClick={handleRevokeAll} disabled={isBusy} className="btn btn-danger">
+          Log Out Everywhere
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiShield, FiCopy, FiDownload } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+import { usePermissions } from '../../hooks/usePermissions';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy the codes');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-md bg-yellow-50 p-4 text-sm text-yellow-800">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your
+        authenticator app. They will not be shown again.
+      </div>
+      <div className="grid grid-cols-2 gap-2 rounded-md bg-gray-50 p-4 font-mono text-sm text-gray-900">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={handleCopy} className="btn btn-secondary flex items-center gap-1">
+          <FiCopy className="h-4 w-4" />
+          Copy
+        </button>
+        <button type="button" onClick={handleDownload} className="btn btn-secondary flex items-center gap-1">
+          <FiDownload className="h-4 w-4" />
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="btn btn-primary">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const { refreshUser } = useAuth();
+  const { can } = usePermissions();
+  const [status, setStatus] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [disableForm, setDisableForm] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/api/auth/2fa');
+      setStatus(response.data);
+      if (can('settings:manage') && response.data.enabled) {
+        const settingsRes = await axios.get('/api/settings');
+        setSettings(settingsRes.data);
+      }
+    } catch (error) {
+      toast.error('Failed to load two-factor settings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+    // eslint-disable-next-line
+  }, []);
+
+  const handleStartSetup = async () => {
+    setIsBusy(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      setSetup(response.data);
+      setCode('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start setup');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      toast.success('Two-factor authentication enabled');
+      refreshUser();
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setCode('');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      await axios.post('/api/auth/2fa/disable', disableForm);
+      setDisableForm(null);
+      setSettings(null);
+      toast.success('Two-factor authentication disabled');
+      refreshUser();
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRequireToggle = async () => {
+    setIsBusy(true);
+    try {
+      const response = await axios.put('/api/settings', { requireAdminTwoFactor: !settings.requireAdminTwoFactor });
+      setSettings(response.data);
+      if (response.data.requireAdminTwoFactor && response.data.adminsWithoutTwoFactor > 0) {
+        toast(`${response.data.adminsWithoutTwoFactor} admin(s) will be asked to set up two-factor authentication`, { icon: 'ℹ️' });
+      } else {
+        toast.success('Setting updated');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update setting');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <FiShield className="h-5 w-5 text-gray-400" />
+            Two-Factor Authentication
+          </h2>
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+            status?.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+          }`}>
+            {status?.enabled ? 'On' : 'Off'}
+          </span>
+        </div>
+        <p className="text-sm text-gray-600 mb-6">
+          Sign in with a code from an authenticator app (such as Google Authenticator, Authy or 1Password) as well as your password.
+        </p>
+
+        {status?.required && !status.enabled && (
+          <div className="rounded-md bg-yellow-50 p-4 mb-6 text-sm text-yellow-800">
+            Two-factor authentication is required for admin accounts. Set it up to keep using the app.
+          </div>
+        )}
+
+        {recoveryCodes ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        ) : setup ? (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <p className="text-sm text-gray-700">
+              1. Scan this QR code with your authenticator app, or enter the key by hand.
+            </p>
+            <div className="flex flex-col sm:flex-row items-center gap-6">
+              <img src={setup.qrCode} alt="Two-factor QR code" className="h-44 w-44 border border-gray-200 rounded-md" />
+              <div>
+                <p className="form-label">Setup key</p>
+                <code className="block break-all rounded-md bg-gray-50 p-2 text-sm">{setup.secret}</code>
+              </div>
+            </div>
+            <div>
+              <label htmlFor="enable-code" className="form-label">2. Enter the 6-digit code it shows</label>
+              <input
+                id="enable-code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                className="input max-w-xs tracking-widest"
+                placeholder="123456"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+            <div className="flex justify-end gap-3">
+              <button type="button" onClick={() => setSetup(null)} className="btn btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={isBusy || !code} className="btn btn-primary disabled:opacity-50">
+                Turn On
+              </button>
+            </div>
+          </form>
+        ) : status?.enabled ? (
+          <div className="space-y-6">
+            <p className="text-sm text-gray-700">
+              {status.recoveryCodesRemaining} of 10 recovery codes left.
+            </p>
+
+            <form onSubmit={handleRegenerate} className="flex flex-wrap items-end gap-3">
+              <div>
+                <label htmlFor="regenerate-code" className="form-label">Authenticator code</label>
+                <input
+                  id="regenerate-code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  className="input tracking-widest"
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </div>
+              <button type="submit" disabled={isBusy || !code} className="btn btn-secondary disabled:opacity-50">
+                New Recovery Codes
+              </button>
+            </form>
+
+            {disableForm ? (
+              <form onSubmit={handleDisable} className="space-y-4 border-t border-gray-200 pt-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="disable-password" className="form-label">Password</label>
+                    <input
+                      id="disable-password"
+                      type="password"
+                      autoComplete="current-password"
+                      className="input"
+                      value={disableForm.password}
+                      onChange={(e) => setDisableForm(prev => ({ ...prev, password: e.target.value }))}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="disable-code" className="form-label">Authenticator code</label>
+                    <input
+                      id="disable-code"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      className="input tracking-widest"
+                      value={disableForm.code}
+                      onChange={(e) => setDisableForm(prev => ({ ...prev, code: e.target.value }))}
+                    />
+                  </div>
+                </div>
+                <div className="flex justify-end gap-3">
+                  <button type="button" onClick={() => setDisableForm(null)} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isBusy || !disableForm.password || !disableForm.code}
+                    className="btn btn-danger disabled:opacity-50"
+                  >
+                    Turn Off
+                  </button>
+                </div>
+              </form>
+            ) : (
+              !status.required && (
+                <div className="flex justify-end border-t border-gray-200 pt-4">
+                  <button type="button" onClick={() => setDisableForm({ password: '', code: '' })} className="btn btn-danger">
+                    Turn Off Two-Factor
+                  </button>
+                </div>
+              )
+            )}
+          </div>
+        ) : (
+          <button type="button" onClick={handleStartSetup} disabled={isBusy} className="btn btn-primary">
+            Set Up Two-Factor
+          </button>
+        )}
+      </div>
+
+      {settings && (
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Admin Security</h2>
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={Boolean(settings.requireAdminTwoFactor)}
+              onChange={handleRequireToggle}
+              disabled={isBusy}
+              className="mt-1 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <span>
+              <span className="block font-medium text-gray-900">Require two-factor authentication for admins</span>
+              <span className="block text-sm text-gray-600">
+                Admins without it can only use their profile until they set it up.
+              </span>
+            </span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
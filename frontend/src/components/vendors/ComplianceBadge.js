@@ -0,0 +1,24 @@
+import React from 'react';
+import { FiShield, FiAlertTriangle, FiAlertOctagon } from 'react-icons/fi';
+
+const STYLES = {
+  compliant: { className: 'bg-green-100 text-green-800', icon: FiShield, label: 'Compliant' },
+  expiring: { className: 'bg-yellow-100 text-yellow-800', icon: FiAlertTriangle, label: 'Expiring soon' },
+  expired: { className: 'bg-red-100 text-red-800', icon: FiAlertOctagon, label: 'Expired' }
+};
+
+const ComplianceBadge = ({ status, hideCompliant = false }) => {
+  if (!STYLES[status] || (hideCompliant && status === 'compliant')) {
+    return null;
+  }
+
+  const { className, icon: Icon, label } = STYLES[status];
+  return (
+    <span className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium ${className}`}>
+      <Icon className="h-3 w-3" />
+      {label}
+    </span>
+  );
+};
+
+export default ComplianceBadge;
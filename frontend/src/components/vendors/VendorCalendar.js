@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  format,
+  addDays,
+  addMonths,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  eachDayOfInterval,
+  isSameMonth
+} from 'date-fns';
+import { FiChevronLeft, FiChevronRight, FiTrash2, FiSave, FiPlus } from 'react-icons/fi';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const emptyBlackout = { start: '', end: '', reason: '' };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const overlapsDay = (entry, day) => new Date(entry.start) < addDays(day, 1) && new Date(entry.end) > day;
+
+// Month view of a vendor's weekly hours, blackouts and commitments, with the
+// hours and blackouts editable by whoever can update the vendor. The vendor portal
+// passes its own basePath and shows commitments without links into the workspace.
+const VendorCalendar = ({ vendor, canEdit, onChange, basePath = `/api/vendors/${vendor._id}`, linkCommitments = true }) => {
+  const [month, setMonth] = useState(startOfMonth(new Date()));
+  const [calendar, setCalendar] = useState(null);
+  const [hours, setHours] = useState(() =>
+    Object.fromEntries(WEEKDAYS.map(day => [day, {
+      start: vendor.availability?.[day]?.start || '',
+      end: vendor.availability?.[day]?.end || ''
+    }]))
+  );
+  const [blackout, setBlackout] = useState(emptyBlackout);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const gridStart = startOfWeek(month, { weekStartsOn: 1 });
+  const gridEnd = addDays(endOfWeek(endOfMonth(month), { weekStartsOn: 1 }), 1);
+
+  const fetchCalendar = async () => {
+    try {
+      const response = await axios.get(`${basePath}/calendar`, {
+        params: { from: gridStart.toISOString(), to: gridEnd.toISOString() }
+      });
+      setCalendar(response.data);
+    } catch (error) {
+      toast.error('Failed to load the calendar');
+    }
+  };
+
+  useEffect(() => {
+    fetchCalendar();
+    // eslint-disable-next-line
+  }, [vendor._id, month]);
+
+  const handleSaveHours = async (e) => {
+    e.preventDefault();
+    const incomplete = WEEKDAYS.find(day => Boolean(hours[day].start) !== Boolean(hours[day].end));
+    if (incomplete) {
+      toast.error(`Set both a start and an end for ${incomplete}, or leave both empty`);
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const response = await axios.put(basePath, { availability: hours });
+      onChange({ availability: response.data.availability });
+      await fetchCalendar();
+      toast.success('Working hours saved');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save working hours'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleAddBlackout = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await axios.post(`${basePath}/blackouts`, {
+        start: new Date(blackout.start).toISOString(),
+        end: new Date(blackout.end).toISOString(),
+        reason: blackout.reason
+      });
+      onChange({ blackouts: response.data });
+      setBlackout(emptyBlackout);
+      await fetchCalendar();
+      toast.success('Blackout added');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add the blackout'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDeleteBlackout = async (entry) => {
+    if (!window.confirm('Remove this blackout?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${basePath}/blackouts/${entry._id}`);
+      onChange({ blackouts: vendor.blackouts.filter(b => b._id !== entry._id) });
+      await fetchCalendar();
+      toast.success('Blackout removed');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove the blackout'));
+    }
+  };
+
+  const weeklyHours = calendar?.weeklyHours || {};
+  const hasHours = WEEKDAYS.some(day => weeklyHours[day]?.start && weeklyHours[day]?.end);
+  const upcomingBlackouts = (vendor.blackouts || []).filter(entry => new Date(entry.end) > new Date());
+
+  return (
+    <div className="space-y-8">
+      {/* Month */}
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">{format(month, 'MMMM yyyy')}</h2>
+          <div className="flex gap-2">
+            <button onClick={() => setMonth(prev => addMonths(prev, -1))} className="btn btn-secondary" aria-label="Previous month">
+              <FiChevronLeft className="h-4 w-4" />
+            </button>
+            <button onClick={() => setMonth(startOfMonth(new Date()))} className="btn btn-secondary">Today</button>
+            <button onClick={() => setMonth(prev => addMonths(prev, 1))} className="btn btn-secondary" aria-label="Next month">
+              <FiChevronRight className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden text-xs">
+          {WEEKDAYS.map(day => (
+            <div key={day} className="bg-gray-50 p-2 font-medium text-gray-600 capitalize">{day.slice(0, 3)}</div>
+          ))}
+          {eachDayOfInterval({ start: gridStart, end: addDays(gridEnd, -1) }).map(day => {
+            const dayHours = weeklyHours[format(day, 'EEEE').toLowerCase()];
+            const closed = hasHours && !(dayHours?.start && dayHours?.end);
+            const blackouts = (calendar?.blackouts || []).filter(entry => overlapsDay(entry, day));
+            const commitments = (calendar?.commitments || []).filter(entry => overlapsDay(entry, day));
+
+            return (
+              <div
+                key={day.toISOString()}
+                className={`min-h-24 p-2 space-y-1 ${closed || blackouts.length > 0 ? 'bg-gray-100' : 'bg-white'} ${isSameMonth(day, month) ? '' : 'opacity-50'}`}
+              >
+                <div className="flex justify-between text-gray-500">
+                  <span className="font-medium text-gray-900">{format(day, 'd')}</span>
+                  {!closed && dayHours?.start && <span>{dayHours.start}–{dayHours.end}</span>}
+                  {closed && <span>Closed</span>}
+                </div>
+                {blackouts.map(entry => (
+                  <p key={entry.id} className="truncate rounded bg-red-100 px-1 text-red-800" title={entry.label}>
+                    {entry.label}
+                  </p>
+                ))}
+                {commitments.map(entry => (
+                  <p
+                    key={`${entry.type}-${entry.id}`}
+                    className={`truncate rounded px-1 ${entry.type === 'booking' ? 'bg-blue-100 text-blue-800' : 'bg-yellow-100 text-yellow-800'}`}
+                    title={`${entry.label}, ${format(new Date(entry.start), 'MMM d h:mm a')} – ${format(new Date(entry.end), 'MMM d h:mm a')}`}
+                  >
+                    {!linkCommitments ? entry.label : entry.type === 'task' ? (
+                      <Link to={`/tasks/${entry.id}`}>{entry.label}</Link>
+                    ) : entry.event ? (
+                      <Link to={`/events/${entry.event._id}`}>{entry.label}</Link>
+                    ) : entry.label}
+                  </p>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Blue: accepted and confirmed bookings. Yellow: open tasks with this vendor. Red: blackouts.
+        </p>
+      </div>
+
+      {/* Weekly hours */}
+      <div className="card p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Working Hours</h2>
+        {canEdit ? (
+          <form onSubmit={handleSaveHours} className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Leave a day empty if the vendor doesn't work that day. An end before the start runs past midnight.
+              With no hours at all the vendor is treated as always open.
+            </p>
+            {WEEKDAYS.map(day => (
+              <div key={day} className="grid grid-cols-3 gap-3 items-center">
+                <span className="text-sm font-medium text-gray-700 capitalize">{day}</span>
+                <input
+                  type="time"
+                  value={hours[day].start}
+                  onChange={(e) => setHours(prev => ({ ...prev, [day]: { ...prev[day], start: e.target.value } }))}
+                  className="input"
+                  aria-label={`${day} start`}
+                />
+                <input
+                  type="time"
+                  value={hours[day].end}
+                  onChange={(e) => setHours(prev => ({ ...prev, [day]: { ...prev[day], end: e.target.value } }))}
+                  className="input"
+                  aria-label={`${day} end`}
+                />
+              </div>
+            ))}
+            <button type="submit" disabled={isBusy} className="btn btn-primary flex items-center gap-2">
+              <FiSave className="h-4 w-4" />
+              Save Hours
+            </button>
+          </form>
+        ) : hasHours ? (
+          <dl className="grid grid-cols-2 gap-2 text-sm">
+            {WEEKDAYS.map(day => (
+              <React.Fragment key={day}>
+                <dt className="text-gray-600 capitalize">{day}</dt>
+                <dd className="text-gray-900">
+                  {weeklyHours[day]?.start && weeklyHours[day]?.end ? `${weeklyHours[day].start}–${weeklyHours[day].end}` : 'Closed'}
+                </dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        ) : (
+          <p className="text-sm text-gray-500">No working hours set</p>
+        )}
+      </div>
+
+      {/* Blackouts */}
+      <div className="card p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Blackout Dates</h2>
+        {upcomingBlackouts.length > 0 ? (
+          <ul className="divide-y divide-gray-200 mb-4">
+            {upcomingBlackouts.map(entry => (
+              <li key={entry._id} className="py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-900">
+                  {format(new Date(entry.start), 'MMM d, yyyy h:mm a')} – {format(new Date(entry.end), 'MMM d, yyyy h:mm a')}
+                  {entry.reason && <span className="text-gray-500"> · {entry.reason}</span>}
+                </span>
+                {canEdit && (
+                  <button
+                    onClick={() => handleDeleteBlackout(entry)}
+                    className="text-gray-400 hover:text-red-600"
+                    aria-label="Remove blackout"
+                  >
+                    <FiTrash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 mb-4">No upcoming blackouts</p>
+        )}
+
+        {canEdit && (
+          <form onSubmit={handleAddBlackout} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end border-t border-gray-200 pt-4">
+            <div>
+              <label htmlFor="blackout-start" className="form-label">From</label>
+              <input
+                id="blackout-start"
+                type="datetime-local"
+                value={blackout.start}
+                onChange={(e) => setBlackout(prev => ({ ...prev, start: e.target.value }))}
+                className="input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="blackout-end" className="form-label">Until</label>
+              <input
+                id="blackout-end"
+                type="datetime-local"
+                value={blackout.end}
+                onChange={(e) => setBlackout(prev => ({ ...prev, end: e.target.value }))}
+                className="input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="blackout-reason" className="form-label">Reason</label>
+              <input
+                id="blackout-reason"
+                type="text"
+                value={blackout.reason}
+                onChange={(e) => setBlackout(prev => ({ ...prev, reason: e.target.value }))}
+                className="input"
+                maxLength={200}
+                placeholder="e.g. Holiday"
+              />
+            </div>
+            <button type="submit" disabled={isBusy} className="btn btn-primary flex items-center justify-center gap-2">
+              <FiPlus className="h-4 w-4" />
+              Add Blackout
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VendorCalendar;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiPlus, FiTrash2, FiSave } from 'react-icons/fi';
+import ComplianceBadge from './ComplianceBadge';
+
+const toInputDate = (date) => (date ? format(new Date(date), 'yyyy-MM-dd') : '');
+
+const emptyLicense = { name: '', number: '', issuingAuthority: '', expiryDate: '' };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+// Insurance and licenses with their expiry status; editable by whoever can update the
+// vendor. `hint` is shown under the list, e.g. to explain how to get dates updated.
+const VendorCompliance = ({ vendor, canEdit, onChange, hint, basePath = `/api/vendors/${vendor._id}` }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [insurance, setInsurance] = useState({});
+  const [licenses, setLicenses] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const startEditing = () => {
+    setInsurance({
+      hasInsurance: Boolean(vendor.insurance?.hasInsurance),
+      policyNumber: vendor.insurance?.policyNumber || '',
+      expiryDate: toInputDate(vendor.insurance?.expiryDate)
+    });
+    setLicenses((vendor.licenses || []).map(license => ({
+      name: license.name || '',
+      number: license.number || '',
+      issuingAuthority: license.issuingAuthority || '',
+      expiryDate: toInputDate(license.expiryDate)
+    })));
+    setIsEditing(true);
+  };
+
+  const updateLicense = (index, field, value) => {
+    setLicenses(prev => prev.map((license, i) => (i === index ? { ...license, [field]: value } : license)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await axios.put(basePath, {
+        insurance: { ...insurance, expiryDate: insurance.expiryDate || null },
+        licenses: licenses
+          .filter(license => license.name.trim() || license.number.trim())
+          .map(license => ({ ...license, expiryDate: license.expiryDate || null }))
+      });
+      // The compliance status is worked out when the vendor is read
+      const response = await axios.get(basePath);
+      onChange({ insurance: response.data.insurance, licenses: response.data.licenses, compliance: response.data.compliance });
+      setIsEditing(false);
+      toast.success('Compliance details saved');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save compliance details'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const documents = vendor.compliance?.documents || [];
+
+  return (
+    <div className="card p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-3">
+          Insurance & Licenses
+          <ComplianceBadge status={vendor.compliance?.status} />
+        </h2>
+        {canEdit && !isEditing && (
+          <button onClick={startEditing} className="btn btn-secondary">Edit</button>
+        )}
+      </div>
+
+      {isEditing ? (
+        <form onSubmit={handleSave} className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={insurance.hasInsurance}
+                onChange={(e) => setInsurance(prev => ({ ...prev, hasInsurance: e.target.checked }))}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+              />
+              Carries liability insurance
+            </label>
+            <div>
+              <label htmlFor="insurance-policy" className="form-label">Policy number</label>
+              <input
+                id="insurance-policy"
+                type="text"
+                value={insurance.policyNumber}
+                onChange={(e) => setInsurance(prev => ({ ...prev, policyNumber: e.target.value }))}
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="insurance-expiry" className="form-label">Insurance expires</label>
+              <input
+                id="insurance-expiry"
+                type="date"
+                value={insurance.expiryDate}
+                onChange={(e) => setInsurance(prev => ({ ...prev, expiryDate: e.target.value }))}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-medium text-gray-900">Licenses</h3>
+            {licenses.map((license, i) => (
+              <div key={i} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-center">
+                <input
+                  type="text"
+                  value={license.name}
+                  onChange={(e) => updateLicense(i, 'name', e.target.value)}
+                  className="input"
+                  placeholder="License"
+                  maxLength={100}
+                />
+                <input
+                  type="text"
+                  value={license.number}
+                  onChange={(e) => updateLicense(i, 'number', e.target.value)}
+                  className="input"
+                  placeholder="Number"
+                />
+                <input
+                  type="text"
+                  value={license.issuingAuthority}
+                  onChange={(e) => updateLicense(i, 'issuingAuthority', e.target.value)}
+                  className="input"
+                  placeholder="Issued by"
+                />
+                <input
+                  type="date"
+                  value={license.expiryDate}
+                  onChange={(e) => updateLicense(i, 'expiryDate', e.target.value)}
+                  className="input"
+                  aria-label="Expiry date"
+                />
+                <button
+                  type="button"
+                  onClick={() => setLicenses(prev => prev.filter((_, index) => index !== i))}
+                  className="text-gray-400 hover:text-red-600 justify-self-start"
+                  aria-label="Remove license"
+                >
+                  <FiTrash2 className="h-5 w-5" />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setLicenses(prev => [...prev, emptyLicense])}
+              className="text-sm text-primary-600 hover:text-primary-700 flex items-center gap-1"
+            >
+              <FiPlus className="h-4 w-4" />
+              Add license
+            </button>
+          </div>
+
+          <div className="flex gap-3">
+            <button type="submit" disabled={isSaving} className="btn btn-primary flex items-center gap-2">
+              <FiSave className="h-4 w-4" />
+              Save
+            </button>
+            <button type="button" onClick={() => setIsEditing(false)} className="btn btn-secondary">Cancel</button>
+          </div>
+        </form>
+      ) : documents.length > 0 ? (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {documents.map(document => (
+            <li key={`${document.type}-${document.id || document.name}`} className="py-2 flex items-center justify-between gap-4">
+              <span className="text-gray-900">
+                {document.name}
+                {document.number && <span className="text-gray-500"> #{document.number}</span>}
+                {document.issuingAuthority && <span className="text-gray-500"> · {document.issuingAuthority}</span>}
+              </span>
+              <span className="flex items-center gap-3 text-gray-600">
+                {document.status === 'expired' ? 'Expired' : 'Expires'} {format(new Date(document.expiryDate), 'MMM d, yyyy')}
+                <ComplianceBadge status={document.status} hideCompliant />
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No insurance or license expiry dates on file</p>
+      )}
+      {hint && !isEditing && <p className="text-sm text-gray-500 mt-4">{hint}</p>}
+    </div>
+  );
+};
+
+export default VendorCompliance;
@@ -0,0 +1,46 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiAlertTriangle } from 'react-icons/fi';
+
+const TYPE_LABELS = {
+  booking: 'Booked for',
+  task: 'Task',
+  blackout: 'Unavailable'
+};
+
+export const describeConflict = (conflict) => {
+  const label = conflict.type === 'blackout' ? conflict.label : `${TYPE_LABELS[conflict.type]} ${conflict.label}`;
+  return `${label} (${format(new Date(conflict.start), 'MMM d, h:mm a')} – ${format(new Date(conflict.end), 'MMM d, h:mm a')})`;
+};
+
+// Saving still succeeds when the vendor is double-booked, so say so after the fact
+export const warnVendorConflicts = (conflicts) => {
+  if (!conflicts?.length) return;
+  toast(
+    `Possible double booking: ${conflicts.slice(0, 2).map(describeConflict).join('; ')}${conflicts.length > 2 ? ` and ${conflicts.length - 2} more` : ''}`,
+    { icon: '⚠️', duration: 8000 }
+  );
+};
+
+const VendorConflicts = ({ conflicts }) => {
+  if (!conflicts?.length) {
+    return null;
+  }
+
+  return (
+    <div className="rounded-lg border border-yellow-200 bg-yellow-50 p-3 text-sm text-yellow-800">
+      <p className="font-medium flex items-center gap-2">
+        <FiAlertTriangle className="h-4 w-4" />
+        The vendor is already committed at this time
+      </p>
+      <ul className="mt-1 ml-6 list-disc">
+        {conflicts.map(conflict => (
+          <li key={`${conflict.type}-${conflict.id}`}>{describeConflict(conflict)}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default VendorConflicts;
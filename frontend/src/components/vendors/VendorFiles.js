@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiTrash2 } from 'react-icons/fi';
+import FileDropzone, { IMAGE_TYPES, DOCUMENT_TYPES } from '../common/FileDropzone';
+import FileList from '../common/FileList';
+
+// A vendor's portfolio and documents, with uploads for whoever can update the vendor
+const VendorFiles = ({ vendor, canEdit, onChange, basePath = `/api/vendors/${vendor._id}` }) => {
+  const [isUploading, setIsUploading] = useState(false);
+  const [portfolioItem, setPortfolioItem] = useState({ title: '', description: '', date: '' });
+  const [portfolioImage, setPortfolioImage] = useState(null);
+
+  const handleUploadDocuments = async (files) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    setIsUploading(true);
+    try {
+      const response = await axios.post(`${basePath}/documents`, formData);
+      onChange({ documents: response.data });
+      toast.success(files.length === 1 ? 'Document uploaded' : `${files.length} documents uploaded`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Upload failed');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDeleteDocument = async (document) => {
+    if (!window.confirm(`Delete ${document.name}?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${basePath}/documents/${document._id}`);
+      onChange({ documents: vendor.documents.filter(d => d._id !== document._id) });
+      toast.success('Document deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete document');
+    }
+  };
+
+  const handleAddPortfolioItem = async (e) => {
+    e.preventDefault();
+    if (!portfolioItem.title.trim() || !portfolioImage) {
+      toast.error('Add a title and an image');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('image', portfolioImage);
+    Object.entries(portfolioItem).forEach(([key, value]) => formData.append(key, value));
+
+    setIsUploading(true);
+    try {
+      const response = await axios.post(`${basePath}/portfolio`, formData);
+      onChange({ portfolio: response.data });
+      setPortfolioItem({ title: '', description: '', date: '' });
+      setPortfolioImage(null);
+      toast.success('Portfolio item added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Upload failed');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDeletePortfolioItem = async (item) => {
+    if (!window.confirm(`Delete "${item.title}" from the portfolio?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${basePath}/portfolio/${item._id}`);
+      onChange({ portfolio: vendor.portfolio.filter(p => p._id !== item._id) });
+      toast.success('Portfolio item deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete portfolio item');
+    }
+  };
+
+  return (
+    <>
+      {/* Portfolio */}
+      {(canEdit || vendor.portfolio?.length > 0) && (
+        <div className="card p-6 mb-8">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Portfolio</h2>
+          {vendor.portfolio?.length > 0 ? (
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+              {vendor.portfolio.map(item => (
+                <div key={item._id} className="relative group">
+                  {item.image && (
+                    <a href={item.image} target="_blank" rel="noopener noreferrer">
+                      <img
+                        src={item.thumbnail || item.image}
+                        alt={item.title}
+                        className="w-full h-32 object-cover rounded-lg"
+                      />
+                    </a>
+                  )}
+                  <p className="mt-2 text-sm font-medium text-gray-900">{item.title}</p>
+                  {item.description && <p className="text-xs text-gray-500">{item.description}</p>}
+                  {canEdit && (
+                    <button
+                      type="button"
+                      onClick={() => handleDeletePortfolioItem(item)}
+                      className="absolute top-2 right-2 bg-white rounded-full p-1 shadow text-gray-600 hover:text-red-600"
+                      aria-label={`Delete ${item.title}`}
+                    >
+                      <FiTrash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No portfolio items yet</p>
+          )}
+
+          {canEdit && (
+            <form onSubmit={handleAddPortfolioItem} className="mt-6 space-y-4 border-t border-gray-200 pt-6">
+              <h3 className="font-semibold text-gray-900">Add Portfolio Item</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="form-label">Title *</label>
+                  <input
+                    type="text"
+                    value={portfolioItem.title}
+                    onChange={(e) => setPortfolioItem(prev => ({ ...prev, title: e.target.value }))}
+                    className="input"
+                    placeholder="e.g., Smith wedding, 2024"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Date</label>
+                  <input
+                    type="date"
+                    value={portfolioItem.date}
+                    onChange={(e) => setPortfolioItem(prev => ({ ...prev, date: e.target.value }))}
+                    className="input"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="form-label">Description</label>
+                <input
+                  type="text"
+                  value={portfolioItem.description}
+                  onChange={(e) => setPortfolioItem(prev => ({ ...prev, description: e.target.value }))}
+                  className="input"
+                />
+              </div>
+              <FileDropzone
+                accept={IMAGE_TYPES}
+                maxSize={5 * 1024 * 1024}
+                onFiles={setPortfolioImage}
+                disabled={isUploading}
+                label={portfolioImage ? portfolioImage.name : 'Drag and drop an image, or click to browse'}
+                hint="JPEG, PNG, GIF or WebP up to 5 MB"
+              />
+              <div className="flex justify-end">
+                <button type="submit" disabled={isUploading} className="btn btn-primary">
+                  {isUploading ? 'Uploading...' : 'Add to Portfolio'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
+      {/* Documents */}
+      {(canEdit || vendor.documents?.length > 0) && (
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Documents</h2>
+          <FileList
+            files={vendor.documents}
+            onDelete={canEdit ? handleDeleteDocument : undefined}
+            emptyText="No documents yet"
+          />
+          {canEdit && (
+            <div className="mt-4">
+              <FileDropzone
+                multiple
+                maxFiles={5}
+                accept={DOCUMENT_TYPES}
+                onFiles={handleUploadDocuments}
+                disabled={isUploading}
+                label={isUploading ? 'Uploading...' : 'Drag and drop contracts, certificates or price lists'}
+                hint="Images, PDF, Word, Excel, text or CSV up to 10 MB each"
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default VendorFiles;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiSend, FiUserX } from 'react-icons/fi';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+// Who can sign in to the vendor portal for this vendor, with invitations and removal
+const VendorPortalAccess = ({ vendor, onChange }) => {
+  const [email, setEmail] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const { accounts = [], invitation = null } = vendor.portal || {};
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await axios.post(`/api/vendors/${vendor._id}/portal-invitation`, { email });
+      onChange({ portal: response.data });
+      setEmail('');
+      toast.success(`Invitation sent to ${response.data.invitation?.email}`);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to send the invitation'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm(`Remove portal access for ${vendor.name}? Their accounts will be signed out.`)) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const response = await axios.delete(`/api/vendors/${vendor._id}/portal-access`);
+      onChange({ portal: response.data });
+      toast.success('Portal access removed');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove portal access'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="card p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Vendor Portal</h2>
+        {(accounts.length > 0 || invitation) && (
+          <button onClick={handleRemove} disabled={isBusy} className="btn btn-danger flex items-center gap-2">
+            <FiUserX className="h-4 w-4" />
+            Remove Access
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Portal accounts let the vendor keep their own profile, availability and documents up to date, answer quote
+        requests and see the tasks they're booked for. They never see your notes or other vendors.
+      </p>
+
+      {accounts.length > 0 ? (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {accounts.map(account => (
+            <li key={account._id} className="py-2 flex items-center justify-between text-sm">
+              <span className="text-gray-900">{account.name} <span className="text-gray-500">· {account.email}</span></span>
+              <span className="text-gray-500">Joined {format(new Date(account.createdAt), 'MMM d, yyyy')}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">No portal accounts yet</p>
+      )}
+
+      {invitation && (
+        <p className="text-sm text-gray-600 mb-4">
+          Invitation sent to {invitation.email}, open until {format(new Date(invitation.expiresAt), 'MMM d, yyyy')}.
+        </p>
+      )}
+
+      <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-3 border-t border-gray-200 pt-4">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="input flex-1"
+          placeholder={vendor.email || 'Email address'}
+          aria-label="Invitation email"
+          required={!vendor.email}
+        />
+        <button type="submit" disabled={isBusy} className="btn btn-primary flex items-center justify-center gap-2">
+          <FiSend className="h-4 w-4" />
+          {invitation ? 'Resend Invitation' : 'Invite to Portal'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default VendorPortalAccess;
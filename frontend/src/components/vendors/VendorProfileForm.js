@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiSave } from 'react-icons/fi';
+
+const CATEGORIES = ['Catering', 'Audio/Visual', 'Photography', 'Venue', 'Transportation', 'Entertainment', 'Decoration', 'Security', 'Technology', 'Other'];
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+// The vendor's own profile, contact details and prices, as edited from the vendor portal
+const VendorProfileForm = ({ vendor, onSaved }) => {
+  const [form, setForm] = useState(() => ({
+    name: vendor.name || '',
+    company: vendor.company || '',
+    phone: vendor.phone || '',
+    website: vendor.website || '',
+    category: vendor.category || 'Other',
+    services: (vendor.services || []).join(', '),
+    description: vendor.description || '',
+    address: {
+      street: vendor.address?.street || '',
+      city: vendor.address?.city || '',
+      state: vendor.address?.state || '',
+      zipCode: vendor.address?.zipCode || '',
+      country: vendor.address?.country || ''
+    },
+    pricing: {
+      hourly: vendor.pricing?.hourly ?? '',
+      daily: vendor.pricing?.daily ?? '',
+      perEvent: vendor.pricing?.perEvent ?? '',
+      currency: vendor.pricing?.currency || 'USD'
+    },
+    contactPerson: {
+      name: vendor.contactPerson?.name || '',
+      title: vendor.contactPerson?.title || '',
+      email: vendor.contactPerson?.email || '',
+      phone: vendor.contactPerson?.phone || ''
+    }
+  }));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+  const updateNested = (group, field, value) => setForm(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const response = await axios.put('/api/portal/vendor', {
+        ...form,
+        website: form.website.trim() || undefined,
+        services: form.services.split(',').map(service => service.trim()).filter(Boolean),
+        pricing: {
+          hourly: toNumber(form.pricing.hourly),
+          daily: toNumber(form.pricing.daily),
+          perEvent: toNumber(form.pricing.perEvent),
+          currency: form.pricing.currency.trim().toUpperCase()
+        }
+      });
+      onSaved(response.data);
+      toast.success('Profile saved');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save your profile'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card p-6 mb-8 space-y-6">
+      <h2 className="text-xl font-semibold text-gray-900">Profile</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="profile-name" className="form-label">Name *</label>
+          <input id="profile-name" type="text" value={form.name} onChange={(e) => update('name', e.target.value)} className="input" required />
+        </div>
+        <div>
+          <label htmlFor="profile-company" className="form-label">Company *</label>
+          <input id="profile-company" type="text" value={form.company} onChange={(e) => update('company', e.target.value)} className="input" required />
+        </div>
+        <div>
+          <label htmlFor="profile-phone" className="form-label">Phone *</label>
+          <input id="profile-phone" type="tel" value={form.phone} onChange={(e) => update('phone', e.target.value)} className="input" required />
+        </div>
+        <div>
+          <label htmlFor="profile-website" className="form-label">Website</label>
+          <input
+            id="profile-website"
+            type="url"
+            value={form.website}
+            onChange={(e) => update('website', e.target.value)}
+            className="input"
+            placeholder="https://"
+          />
+        </div>
+        <div>
+          <label htmlFor="profile-category" className="form-label">Category *</label>
+          <select id="profile-category" value={form.category} onChange={(e) => update('category', e.target.value)} className="input">
+            {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="profile-services" className="form-label">Services</label>
+          <input
+            id="profile-services"
+            type="text"
+            value={form.services}
+            onChange={(e) => update('services', e.target.value)}
+            className="input"
+            placeholder="Separate services with commas"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="profile-description" className="form-label">Description *</label>
+        <textarea
+          id="profile-description"
+          value={form.description}
+          onChange={(e) => update('description', e.target.value)}
+          className="input"
+          rows={4}
+          minLength={10}
+          maxLength={1000}
+          required
+        />
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-900 mb-3">Address</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[['street', 'Street'], ['city', 'City'], ['state', 'State'], ['zipCode', 'ZIP code'], ['country', 'Country']].map(([field, label]) => (
+            <div key={field}>
+              <label htmlFor={`address-${field}`} className="form-label">{label}</label>
+              <input
+                id={`address-${field}`}
+                type="text"
+                value={form.address[field]}
+                onChange={(e) => updateNested('address', field, e.target.value)}
+                className="input"
+                required={field !== 'country'}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-900 mb-3">Pricing</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[['hourly', 'Hourly'], ['daily', 'Daily'], ['perEvent', 'Per event']].map(([field, label]) => (
+            <div key={field}>
+              <label htmlFor={`pricing-${field}`} className="form-label">{label}</label>
+              <input
+                id={`pricing-${field}`}
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.pricing[field]}
+                onChange={(e) => updateNested('pricing', field, e.target.value)}
+                className="input"
+              />
+            </div>
+          ))}
+          <div>
+            <label htmlFor="pricing-currency" className="form-label">Currency</label>
+            <input
+              id="pricing-currency"
+              type="text"
+              value={form.pricing.currency}
+              onChange={(e) => updateNested('pricing', 'currency', e.target.value)}
+              className="input uppercase"
+              maxLength={3}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-900 mb-3">Contact Person</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[['name', 'Name', 'text'], ['title', 'Title', 'text'], ['email', 'Email', 'email'], ['phone', 'Phone', 'tel']].map(([field, label, type]) => (
+            <div key={field}>
+              <label htmlFor={`contact-${field}`} className="form-label">{label}</label>
+              <input
+                id={`contact-${field}`}
+                type={type}
+                value={form.contactPerson[field]}
+                onChange={(e) => updateNested('contactPerson', field, e.target.value)}
+                className="input"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <button type="submit" disabled={isSaving} className="btn btn-primary flex items-center gap-2">
+        <FiSave className="h-4 w-4" />
+        {isSaving ? 'Saving...' : 'Save Profile'}
+      </button>
+    </form>
+  );
+};
+
+export default VendorProfileForm;
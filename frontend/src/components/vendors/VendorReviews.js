@@ -0,0 +1,304 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiStar, FiCheckCircle, FiFlag, FiCornerDownRight } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+
+const CRITERIA = ['quality', 'punctuality', 'value', 'communication'];
+
+const STATUS_NOTES = {
+  pending: 'Hidden while a moderator reviews it',
+  rejected: 'Rejected by a moderator; edit it to resubmit'
+};
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const Stars = ({ rating, size = 'h-4 w-4' }) => (
+  <span className="inline-flex items-center">
+    {[1, 2, 3, 4, 5].map(i => (
+      <FiStar key={i} className={`${size} ${i <= Math.round(rating) ? 'text-yellow-400 fill-current' : 'text-gray-300'}`} />
+    ))}
+  </span>
+);
+
+const RatingSelect = ({ id, value, onChange, optional }) => (
+  <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className="input" required={!optional}>
+    <option value="">{optional ? 'Not rated' : 'Select'}</option>
+    {[5, 4, 3, 2, 1].map(option => (
+      <option key={option} value={option}>{option} star{option === 1 ? '' : 's'}</option>
+    ))}
+  </select>
+);
+
+const emptyReview = { rating: '', comment: '', criteria: {} };
+
+// Ratings summary, the user's own review and everyone else's, with flagging and vendor replies.
+// The vendor portal passes its own basePath and turns off writing and flagging reviews.
+const VendorReviews = ({ vendor, canReply, onChange, basePath = `/api/vendors/${vendor._id}`, canReview = true }) => {
+  const { user } = useAuth();
+  const [form, setForm] = useState(null);
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const reviews = vendor.reviews || [];
+  const ownReview = reviews.find(review => (review.user?._id || review.user) === user._id);
+
+  const applyResponse = (data) => {
+    onChange({
+      reviews: data.reviews,
+      rating: data.rating,
+      reviewCount: data.reviewCount,
+      criteriaRatings: data.criteriaRatings
+    });
+  };
+
+  const startEditing = () => {
+    setForm(ownReview
+      ? {
+        rating: String(ownReview.rating),
+        comment: ownReview.comment || '',
+        criteria: Object.fromEntries(CRITERIA.map(criterion => [criterion, ownReview.criteria?.[criterion] ? String(ownReview.criteria[criterion]) : '']))
+      }
+      : emptyReview);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const payload = {
+        rating: Number(form.rating),
+        comment: form.comment,
+        criteria: Object.fromEntries(CRITERIA.filter(criterion => form.criteria[criterion]).map(criterion => [criterion, Number(form.criteria[criterion])]))
+      };
+      const response = ownReview
+        ? await axios.put(`/api/vendors/${vendor._id}/reviews`, payload)
+        : await axios.post(`/api/vendors/${vendor._id}/reviews`, payload);
+      applyResponse(response.data);
+      setForm(null);
+      toast.success(ownReview ? 'Review updated' : 'Review posted');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save your review'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete your review?')) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/api/vendors/${vendor._id}/reviews`);
+      applyResponse(response.data);
+      toast.success('Review deleted');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete your review'));
+    }
+  };
+
+  const handleFlag = async (review) => {
+    const reason = window.prompt('Why should a moderator look at this review?');
+    if (reason === null) return;
+
+    try {
+      const response = await axios.post(`/api/vendors/${vendor._id}/reviews/${review._id}/flags`, { reason });
+      applyResponse(response.data);
+      toast.success('Thanks, the review has been flagged');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to flag the review'));
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await axios.put(`${basePath}/reviews/${replyTo}/reply`, { comment: replyText });
+      applyResponse(response.data);
+      setReplyTo(null);
+      toast.success(replyText.trim() ? 'Reply posted' : 'Reply removed');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save the reply'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Summary */}
+      <div className="card p-6 grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div>
+          <p className="text-4xl font-bold text-gray-900">{(vendor.rating || 0).toFixed(1)}</p>
+          <Stars rating={vendor.rating || 0} size="h-5 w-5" />
+          <p className="text-sm text-gray-600 mt-1">
+            {vendor.reviewCount || 0} review{vendor.reviewCount === 1 ? '' : 's'}
+          </p>
+        </div>
+        <div className="md:col-span-2 space-y-2">
+          {CRITERIA.map(criterion => {
+            const value = vendor.criteriaRatings?.[criterion] || 0;
+            return (
+              <div key={criterion} className="flex items-center gap-3 text-sm">
+                <span className="w-32 text-gray-600 capitalize">{criterion}</span>
+                <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <div className="h-full bg-yellow-400" style={{ width: `${(value / 5) * 100}%` }} />
+                </div>
+                <span className="w-8 text-right text-gray-900">{value ? value.toFixed(1) : '–'}</span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Own review */}
+      {canReview && (form ? (
+        <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+          <h2 className="text-xl font-semibold text-gray-900">{ownReview ? 'Edit Your Review' : 'Write a Review'}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+            <div>
+              <label htmlFor="review-rating" className="form-label">Overall *</label>
+              <RatingSelect id="review-rating" value={form.rating} onChange={(value) => setForm(prev => ({ ...prev, rating: value }))} />
+            </div>
+            {CRITERIA.map(criterion => (
+              <div key={criterion}>
+                <label htmlFor={`review-${criterion}`} className="form-label capitalize">{criterion}</label>
+                <RatingSelect
+                  id={`review-${criterion}`}
+                  optional
+                  value={form.criteria[criterion] || ''}
+                  onChange={(value) => setForm(prev => ({ ...prev, criteria: { ...prev.criteria, [criterion]: value } }))}
+                />
+              </div>
+            ))}
+          </div>
+          <textarea
+            value={form.comment}
+            onChange={(e) => setForm(prev => ({ ...prev, comment: e.target.value }))}
+            className="input"
+            rows={3}
+            maxLength={500}
+            placeholder="How was working with this vendor?"
+          />
+          <p className="text-xs text-gray-500">
+            Reviews are marked verified when one of your events booked this vendor or gave it a task.
+          </p>
+          <div className="flex gap-3">
+            <button type="submit" disabled={isBusy} className="btn btn-primary">{ownReview ? 'Save Review' : 'Post Review'}</button>
+            <button type="button" onClick={() => setForm(null)} className="btn btn-secondary">Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex gap-3">
+          <button onClick={startEditing} className="btn btn-primary">
+            {ownReview ? 'Edit Your Review' : 'Write a Review'}
+          </button>
+          {ownReview && (
+            <button onClick={handleDelete} className="btn btn-secondary">Delete Your Review</button>
+          )}
+        </div>
+      ))}
+
+      {/* Reviews */}
+      <div className="card p-6">
+        {reviews.length === 0 ? (
+          <p className="text-gray-600">No reviews yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {reviews.map(review => {
+              const isOwn = review === ownReview;
+              return (
+                <li key={review._id} className="py-4 space-y-2">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <p className="font-medium text-gray-900 flex items-center gap-2">
+                        {review.user?.name || (canReview ? 'Former member' : 'Organizer')}
+                        {review.verified && (
+                          <span className="inline-flex items-center gap-1 text-xs font-medium text-green-700">
+                            <FiCheckCircle className="h-3 w-3" />
+                            Verified booking
+                          </span>
+                        )}
+                      </p>
+                      <div className="flex items-center gap-2 text-sm text-gray-500">
+                        <Stars rating={review.rating} />
+                        {format(new Date(review.date), 'MMM d, yyyy')}
+                      </div>
+                    </div>
+                    {canReview && !isOwn && (
+                      <button
+                        onClick={() => handleFlag(review)}
+                        disabled={review.flaggedByMe}
+                        className="text-sm text-gray-400 hover:text-red-600 disabled:opacity-50 flex items-center gap-1"
+                        title={review.flaggedByMe ? 'You flagged this review' : 'Flag as abusive'}
+                      >
+                        <FiFlag className="h-4 w-4" />
+                        {review.flaggedByMe ? 'Flagged' : 'Flag'}
+                      </button>
+                    )}
+                  </div>
+
+                  {STATUS_NOTES[review.status] && (
+                    <p className="text-xs font-medium text-yellow-800">{STATUS_NOTES[review.status]}</p>
+                  )}
+                  {Object.keys(review.criteria || {}).length > 0 && (
+                    <p className="text-xs text-gray-500 capitalize">
+                      {CRITERIA.filter(criterion => review.criteria[criterion]).map(criterion => `${criterion} ${review.criteria[criterion]}/5`).join(' · ')}
+                    </p>
+                  )}
+                  {review.comment && <p className="text-gray-700 whitespace-pre-line">{review.comment}</p>}
+
+                  {review.reply?.comment && replyTo !== review._id && (
+                    <div className="ml-6 pl-4 border-l-2 border-gray-200 text-sm">
+                      <p className="font-medium text-gray-900 flex items-center gap-1">
+                        <FiCornerDownRight className="h-4 w-4" />
+                        Reply from {vendor.company}
+                      </p>
+                      <p className="text-gray-700 whitespace-pre-line">{review.reply.comment}</p>
+                    </div>
+                  )}
+
+                  {canReply && (
+                    replyTo === review._id ? (
+                      <form onSubmit={handleReply} className="ml-6 space-y-2">
+                        <textarea
+                          value={replyText}
+                          onChange={(e) => setReplyText(e.target.value)}
+                          className="input"
+                          rows={2}
+                          maxLength={1000}
+                          placeholder={`${canReview ? 'Reply on behalf of the vendor' : 'Your reply'} (leave empty to remove the reply)`}
+                        />
+                        <div className="flex gap-2">
+                          <button type="submit" disabled={isBusy} className="btn btn-primary">Save Reply</button>
+                          <button type="button" onClick={() => setReplyTo(null)} className="btn btn-secondary">Cancel</button>
+                        </div>
+                      </form>
+                    ) : (
+                      <button
+                        onClick={() => {
+                          setReplyTo(review._id);
+                          setReplyText(review.reply?.comment || '');
+                        }}
+                        className="ml-6 text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        {review.reply?.comment ? 'Edit reply' : 'Reply'}
+                      </button>
+                    )
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VendorReviews;
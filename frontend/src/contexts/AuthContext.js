@@ -7,6 +7,29 @@ axios.defaults.baseURL = API_BASE_URL;
 
 const AuthContext = createContext();
 
+// Only one refresh request at a time: concurrent 401s all wait for the same new token
+let refreshRequest = null;
+
+const refreshTokens = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshRequest = axios.post('/api/auth/refresh', { refreshToken })
+      .then(res => res.data)
+      .catch(error => {
+        // Another tab may have rotated the shared refresh token first; use its tokens
+        const latest = localStorage.getItem('refreshToken');
+        if (latest && latest !== refreshToken) {
+          return { token: localStorage.getItem('token'), refreshToken: latest };
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
@@ -40,6 +63,11 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         loading: false
       };
+    case 'TOKEN_REFRESHED':
+      return {
+        ...state,
+        token: action.payload
+      };
     case 'UPDATE_USER':
       return {
         ...state,
@@ -64,6 +92,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const setRefreshToken = (refreshToken) => {
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    } else {
+      localStorage.removeItem('refreshToken');
+    }
+  };
+
+  // Forget the session locally, e.g. after it was logged out from another device
+  const clearSession = () => {
+    dispatch({ type: 'LOGOUT' });
+    setAuthToken(null);
+    setRefreshToken(null);
+  };
+
   // Load user
   const loadUser = async () => {
     if (state.token) {
@@ -75,19 +118,27 @@ export const AuthProvider = ({ children }) => {
         console.error('Load user error:', error);
         dispatch({ type: 'LOGIN_FAIL' });
         setAuthToken(null);
+        setRefreshToken(null);
       }
     } else {
       dispatch({ type: 'LOGIN_FAIL' });
     }
   };
 
+  // Store the tokens from a completed login or registration
+  const startSession = (data) => {
+    const { token, refreshToken, recoveryCodesRemaining, ...user } = data;
+    dispatch({ type: 'LOGIN_SUCCESS', payload: { user, token } });
+    setAuthToken(token);
+    setRefreshToken(refreshToken);
+  };
+
   // Register user
   const register = async (formData) => {
     try {
       const res = await axios.post('/api/auth/register', formData);
-      dispatch({ type: 'LOGIN_SUCCESS', payload: res.data });
-      setAuthToken(res.data.token);
-      toast.success('Registration successful!');
+      startSession(res.data);
+      toast.success('Registration successful! Check your inbox to verify your email.');
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
@@ -96,12 +147,28 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Create a vendor portal account from an invitation and sign in to it
+  const acceptVendorInvitation = async (token, formData) => {
+    try {
+      const res = await axios.post(`/api/auth/vendor-invitations/${token}/accept`, formData);
+      startSession(res.data);
+      toast.success('Welcome to the vendor portal!');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Could not accept the invitation';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
   // Login user
   const login = async (formData) => {
     try {
       const res = await axios.post('/api/auth/login', formData);
-      dispatch({ type: 'LOGIN_SUCCESS', payload: res.data });
-      setAuthToken(res.data.token);
+      if (res.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: res.data.challengeToken };
+      }
+      startSession(res.data);
       toast.success('Login successful!');
       return { success: true };
     } catch (error) {
@@ -111,11 +178,47 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step for accounts with two-factor authentication
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const res = await axios.post('/api/auth/login/2fa', { challengeToken, code, recoveryCode });
+      startSession(res.data);
+      toast.success('Login successful!');
+      if (res.data.recoveryCodesRemaining !== undefined && res.data.recoveryCodesRemaining <= 3) {
+        toast(`Only ${res.data.recoveryCodesRemaining} recovery codes left. Generate new ones from your profile.`, { icon: '⚠️' });
+      }
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, expired: error.response?.data?.code === 'CHALLENGE_EXPIRED', message };
+    }
+  };
+
   // Logout user
-  const logout = () => {
-    dispatch({ type: 'LOGOUT' });
-    setAuthToken(null);
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
     toast.success('Logged out successfully');
+    try {
+      await axios.post('/api/auth/logout', { refreshToken });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+  };
+
+  // Log out every device, including this one
+  const logoutEverywhere = async () => {
+    try {
+      await axios.delete('/api/auth/sessions');
+      clearSession();
+      toast.success('Logged out of all devices');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not log out other devices';
+      toast.error(message);
+      return { success: false, message };
+    }
   };
 
   // Update user profile
@@ -145,6 +248,43 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Access tokens are short-lived: when one expires, trade the refresh token for a new pair and retry once
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const { config, response } = error;
+        const code = response?.status === 401 ? response.data?.code : null;
+
+        if (code === 'SESSION_REVOKED' && !config?.url?.endsWith('/api/auth/refresh')) {
+          clearSession();
+          toast.error('Your session has ended, please log in again', { id: 'session-ended' });
+        }
+
+        if (code !== 'TOKEN_EXPIRED' || !config || config._retried) {
+          return Promise.reject(error);
+        }
+
+        config._retried = true;
+        try {
+          const { token, refreshToken } = await refreshTokens();
+          setAuthToken(token);
+          setRefreshToken(refreshToken);
+          dispatch({ type: 'TOKEN_REFRESHED', payload: token });
+          config.headers.Authorization = `Bearer ${token}`;
+          return axios(config);
+        } catch (refreshError) {
+          clearSession();
+          toast.error('Your session has expired, please log in again', { id: 'session-ended' });
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+    // eslint-disable-next-line
+  }, []);
+
   useEffect(() => {
     loadUser();
   }, []);
@@ -155,10 +295,14 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: state.isAuthenticated,
     loading: state.loading,
     register,
+    acceptVendorInvitation,
     login,
+    verifyTwoFactor,
     logout,
+    logoutEverywhere,
     updateProfile,
-    changePassword
+    changePassword,
+    refreshUser: loadUser
   };
 
   return (
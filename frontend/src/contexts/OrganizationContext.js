@@ -0,0 +1,121 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+
+const OrganizationContext = createContext();
+
+// Send the last used workspace from the very first request, before the list has loaded
+const setOrganizationHeader = (organizationId) => {
+  if (organizationId) {
+    axios.defaults.headers.common['X-Organization-Id'] = organizationId;
+    localStorage.setItem('organizationId', organizationId);
+  } else {
+    delete axios.defaults.headers.common['X-Organization-Id'];
+    localStorage.removeItem('organizationId');
+  }
+};
+
+setOrganizationHeader(localStorage.getItem('organizationId'));
+
+export const OrganizationProvider = ({ children }) => {
+  const { isAuthenticated, user } = useAuth();
+  // Vendor accounts belong to no workspace; they only use the vendor portal
+  const isVendor = user?.accountType === 'vendor';
+  const [organizations, setOrganizations] = useState([]);
+  const [organizationId, setOrganizationId] = useState(localStorage.getItem('organizationId'));
+
+  const selectOrganization = (id) => {
+    setOrganizationHeader(id);
+    setOrganizationId(id);
+  };
+
+  // Load the workspaces of the current user, falling back to the first one
+  // when the remembered workspace is gone (e.g. the user was removed from it)
+  const loadOrganizations = async () => {
+    try {
+      const res = await axios.get('/api/organizations');
+      setOrganizations(res.data);
+
+      const remembered = localStorage.getItem('organizationId');
+      if (!res.data.some(org => org._id === remembered)) {
+        selectOrganization(res.data[0]?._id || null);
+      }
+    } catch (error) {
+      console.error('Load organizations error:', error);
+    }
+  };
+
+  const switchOrganization = (id) => {
+    if (id === organizationId) return;
+    selectOrganization(id);
+    const organization = organizations.find(org => org._id === id);
+    if (organization) {
+      toast.success(`Switched to ${organization.name}`);
+    }
+  };
+
+  const createOrganization = async (name) => {
+    try {
+      const res = await axios.post('/api/organizations', { name });
+      setOrganizations(current => [...current, res.data]);
+      selectOrganization(res.data._id);
+      toast.success('Workspace created');
+      return { success: true, organization: res.data };
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Could not create workspace';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  useEffect(() => {
+    if (isAuthenticated && !isVendor) {
+      loadOrganizations();
+    } else {
+      setOrganizations([]);
+    }
+    // eslint-disable-next-line
+  }, [isAuthenticated, isVendor]);
+
+  // The remembered workspace is no longer accessible: drop it and pick another
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      (error) => {
+        const code = error.response?.data?.code;
+        if (code === 'ORGANIZATION_FORBIDDEN' || code === 'ORGANIZATION_INVALID') {
+          selectOrganization(null);
+          loadOrganizations();
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+    // eslint-disable-next-line
+  }, []);
+
+  const value = {
+    organizations,
+    organizationId,
+    currentOrganization: organizations.find(org => org._id === organizationId) || null,
+    switchOrganization,
+    createOrganization,
+    refreshOrganizations: loadOrganizations
+  };
+
+  return (
+    <OrganizationContext.Provider value={value}>
+      {children}
+    </OrganizationContext.Provider>
+  );
+};
+
+export const useOrganization = () => {
+  const context = useContext(OrganizationContext);
+  if (!context) {
+    throw new Error('useOrganization must be used within an OrganizationProvider');
+  }
+  return context;
+};
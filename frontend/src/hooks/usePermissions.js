@@ -0,0 +1,13 @@
+import { useAuth } from '../contexts/AuthContext';
+
+// Mirrors can() on the API. Role-wide permissions come with the user; permissions
+// on a single event, task or vendor come with that record as `permissions`,
+// so both sides always agree on what a button may do.
+export const usePermissions = () => {
+  const { user } = useAuth();
+
+  const can = (action, resource) =>
+    Boolean(user?.permissions?.includes(action) || resource?.permissions?.includes(action));
+
+  return { can };
+};
@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiBriefcase } from 'react-icons/fi';
+import { useAuth } from '../contexts/AuthContext';
+import { useOrganization } from '../contexts/OrganizationContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { refreshOrganizations, switchOrganization } = useOrganization();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isAccepting, setIsAccepting] = useState(false);
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await axios.get(`/api/organizations/invitations/${token}`);
+        setInvitation(response.data);
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to load invitation');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setIsAccepting(true);
+    try {
+      const response = await axios.post(`/api/organizations/invitations/${token}/accept`);
+      await refreshOrganizations();
+      switchOrganization(response.data._id);
+      toast.success(`Welcome to ${response.data.name}!`);
+      navigate('/dashboard');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to accept invitation');
+      setIsAccepting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full card p-8 text-center">
+        <FiBriefcase className="h-12 w-12 text-primary-600 mx-auto mb-4" />
+        {error ? (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Invitation unavailable</h1>
+            <p className="text-gray-600 mb-6">{error}</p>
+            <Link to="/dashboard" className="btn btn-primary">Go to Dashboard</Link>
+          </>
+        ) : (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Join {invitation.organization.name}</h1>
+            <p className="text-gray-600 mb-6">
+              {invitation.invitedBy?.name || 'A member'} invited you to join as {invitation.role === 'owner' ? 'an owner' : `a ${invitation.role}`}.
+            </p>
+            {invitation.emailMatches ? (
+              <button onClick={handleAccept} disabled={isAccepting} className="btn btn-primary w-full">
+                {isAccepting ? 'Joining...' : 'Accept Invitation'}
+              </button>
+            ) : (
+              <p className="text-sm text-red-600">
+                This invitation was sent to {invitation.email}, but you are signed in as {user?.email}.
+                Log in with the invited address to accept it.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import { FiBriefcase } from 'react-icons/fi';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+// Sets up a vendor portal account from the invitation an organizer emailed
+const AcceptVendorInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated, acceptVendorInvitation } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [formData, setFormData] = useState({ name: '', password: '', confirmPassword: '' });
+  const [formErrors, setFormErrors] = useState({});
+  const [isAccepting, setIsAccepting] = useState(false);
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await axios.get(`/api/auth/vendor-invitations/${token}`);
+        setInvitation(response.data);
+        setFormData(prev => ({ ...prev, name: response.data.vendor.name || '' }));
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to load invitation');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (formErrors[name]) {
+      setFormErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (formData.name.trim().length < 2) {
+      newErrors.name = 'Name must be at least 2 characters';
+    }
+    if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    setFormErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setIsAccepting(true);
+    const result = await acceptVendorInvitation(token, { name: formData.name, password: formData.password });
+    if (result.success) {
+      navigate('/portal');
+    } else {
+      setIsAccepting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full card p-8">
+        <FiBriefcase className="h-12 w-12 text-primary-600 mx-auto mb-4" />
+        {error ? (
+          <div className="text-center">
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Invitation unavailable</h1>
+            <p className="text-gray-600 mb-6">{error}</p>
+            <Link to="/login" className="btn btn-primary">Go to Login</Link>
+          </div>
+        ) : isAuthenticated ? (
+          <div className="text-center">
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">You're signed in</h1>
+            <p className="text-gray-600">
+              Log out first, then open this link again to set up the portal account for {invitation.email}.
+            </p>
+          </div>
+        ) : (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2 text-center">
+              {invitation.vendor.company || invitation.vendor.name} vendor portal
+            </h1>
+            <p className="text-gray-600 mb-6 text-center">
+              {invitation.organization?.name || 'An organizer'} invited {invitation.email} to manage your profile,
+              availability and quotes. Choose a name and password to get started.
+            </p>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="name" className="form-label">Your name</label>
+                <input id="name" name="name" type="text" value={formData.name} onChange={handleChange} className="input" />
+                {formErrors.name && <p className="mt-1 text-sm text-red-600">{formErrors.name}</p>}
+              </div>
+              <div>
+                <label htmlFor="password" className="form-label">Password</label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  className="input"
+                />
+                {formErrors.password && <p className="mt-1 text-sm text-red-600">{formErrors.password}</p>}
+              </div>
+              <div>
+                <label htmlFor="confirmPassword" className="form-label">Confirm password</label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className="input"
+                />
+                {formErrors.confirmPassword && <p className="mt-1 text-sm text-red-600">{formErrors.confirmPassword}</p>}
+              </div>
+              <button type="submit" disabled={isAccepting} className="btn btn-primary w-full">
+                {isAccepting ? 'Setting up...' : 'Create Portal Account'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptVendorInvitation;
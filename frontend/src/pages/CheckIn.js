@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiCheckCircle, FiXCircle, FiCamera, FiChevronLeft } from 'react-icons/fi';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const CheckIn = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [event, setEvent] = useState(null);
+  const [stats, setStats] = useState({ checkedIn: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  const cameraSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  useEffect(() => {
+    fetchData();
+    return () => stopCamera();
+    // eslint-disable-next-line
+  }, [id]);
+
+  const fetchData = async () => {
+    try {
+      const [eventResponse, statsResponse] = await Promise.all([
+        axios.get(`/api/events/${id}`),
+        axios.get(`/api/events/${id}/check-in/stats`)
+      ]);
+      setEvent(eventResponse.data);
+      setStats(statsResponse.data);
+    } catch (error) {
+      console.error('Error loading check-in:', error);
+      toast.error(error.response?.data?.message || 'Failed to load check-in');
+      navigate(`/events/${id}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitCode = async (ticketCode) => {
+    if (!ticketCode.trim() || isSubmitting) return;
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/api/events/${id}/check-in`, { code: ticketCode.trim() });
+      setResult({ success: true, ...response.data });
+      setStats({ checkedIn: response.data.checkedIn, total: response.data.total });
+    } catch (error) {
+      setResult({
+        success: false,
+        message: error.response?.data?.message || 'Check-in failed',
+        checkedInAt: error.response?.data?.checkedInAt,
+        checkedInBy: error.response?.data?.checkedInBy
+      });
+    } finally {
+      setIsSubmitting(false);
+      setCode('');
+      inputRef.current?.focus();
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCode(code);
+  };
+
+  const stopCamera = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setIsScanning(false);
+  };
+
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setIsScanning(true);
+
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      let lastCode = null;
+      const scan = async () => {
+        if (!streamRef.current) return;
+        try {
+          const codes = await detector.detect(videoRef.current);
+          if (codes.length > 0 && codes[0].rawValue !== lastCode) {
+            lastCode = codes[0].rawValue;
+            await submitCode(lastCode);
+          }
+        } catch (error) {
+          console.error('QR scan error:', error);
+        }
+        setTimeout(scan, 500);
+      };
+      scan();
+    } catch (error) {
+      console.error('Camera error:', error);
+      toast.error('Could not access the camera');
+      stopCamera();
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <button
+        className="flex items-center gap-2 text-gray-600 hover:text-primary-600 mb-6"
+        onClick={() => navigate(`/events/${id}`)}
+      >
+        <FiChevronLeft className="h-5 w-5" /> Back to Event
+      </button>
+
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Check-in</h1>
+        <p className="text-gray-600">{event?.title}</p>
+      </div>
+
+      <div className="card p-6 mb-6 text-center">
+        <p className="text-sm font-medium text-gray-600">Checked in</p>
+        <p className="text-4xl font-bold text-gray-900">
+          {stats.checkedIn} <span className="text-xl text-gray-500">/ {stats.total}</span>
+        </p>
+      </div>
+
+      <div className="card p-6 mb-6">
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <input
+            ref={inputRef}
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="input"
+            placeholder="Scan or type a ticket code"
+            autoFocus
+          />
+          <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+            Check In
+          </button>
+        </form>
+
+        {cameraSupported && (
+          <div className="mt-4">
+            <video ref={videoRef} className={`w-full rounded-lg ${isScanning ? '' : 'hidden'}`} muted playsInline />
+            <button
+              type="button"
+              onClick={isScanning ? stopCamera : startCamera}
+              className="btn btn-secondary flex items-center gap-2 mt-2"
+            >
+              <FiCamera className="h-4 w-4" />
+              {isScanning ? 'Stop Camera' : 'Scan with Camera'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {result && (
+        <div className={`card p-6 border-2 ${result.success ? 'border-green-500' : 'border-red-500'}`}>
+          <div className="flex items-start gap-4">
+            {result.success ? (
+              <FiCheckCircle className="h-8 w-8 text-green-600" />
+            ) : (
+              <FiXCircle className="h-8 w-8 text-red-600" />
+            )}
+            <div>
+              {result.success ? (
+                <>
+                  <p className="text-xl font-semibold text-gray-900">{result.attendee.user?.name}</p>
+                  <p className="text-gray-600">{result.attendee.user?.email}</p>
+                  {result.attendee.quantity > 1 && (
+                    <p className="text-gray-900 font-medium">Admit {result.attendee.quantity}</p>
+                  )}
+                </>
+              ) : (
+                <>
+                  <p className="text-xl font-semibold text-gray-900">{result.message}</p>
+                  {result.checkedInAt && (
+                    <p className="text-gray-600">
+                      Scanned {format(new Date(result.checkedInAt), 'MMM dd, h:mm a')}
+                      {result.checkedInBy?.name && ` by ${result.checkedInBy.name}`}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckIn;
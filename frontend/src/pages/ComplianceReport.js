@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format, differenceInCalendarDays } from 'date-fns';
+import { FiShield } from 'react-icons/fi';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import ComplianceBadge from '../components/vendors/ComplianceBadge';
+
+const DAY_OPTIONS = [7, 30, 60, 90];
+
+const expiryText = (date) => {
+  const days = differenceInCalendarDays(new Date(date), new Date());
+  if (days < 0) return `expired ${-days} day${days === -1 ? '' : 's'} ago`;
+  if (days === 0) return 'expires today';
+  return `expires in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+const ComplianceReport = () => {
+  const [days, setDays] = useState(30);
+  const [category, setCategory] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    axios.get('/api/vendors/categories')
+      .then(response => setCategories(response.data))
+      .catch(() => setCategories([]));
+  }, []);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setIsLoading(true);
+      try {
+        const response = await axios.get('/api/vendors/compliance', { params: { days, category: category || undefined } });
+        setVendors(response.data.vendors);
+      } catch (error) {
+        toast.error('Failed to load the compliance report');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [days, category]);
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center gap-3">
+          <FiShield className="h-8 w-8 text-primary-600" />
+          Vendor Compliance
+        </h1>
+        <p className="text-gray-600">
+          Vendors whose insurance or licenses have expired or are about to. Vendors with expired documents can't be attached to tasks.
+        </p>
+      </div>
+
+      <div className="card p-6 mb-8 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="report-days" className="form-label">Expiring within</label>
+          <select id="report-days" value={days} onChange={(e) => setDays(Number(e.target.value))} className="input">
+            {DAY_OPTIONS.map(option => (
+              <option key={option} value={option}>{option} days</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="report-category" className="form-label">Category</label>
+          <select id="report-category" value={category} onChange={(e) => setCategory(e.target.value)} className="input">
+            <option value="">All Categories</option>
+            {categories.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : vendors.length === 0 ? (
+        <div className="card p-6">
+          <p className="text-gray-600">Nothing expires in the next {days} days.</p>
+        </div>
+      ) : (
+        <div className="card p-6">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 font-medium">Vendor</th>
+                <th className="py-2 font-medium">Status</th>
+                <th className="py-2 font-medium">Documents</th>
+                <th className="py-2 font-medium">Contact</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {vendors.map(vendor => (
+                <tr key={vendor._id} className="align-top">
+                  <td className="py-3">
+                    <Link to={`/vendors/${vendor._id}`} className="font-medium text-gray-900 hover:text-primary-600">
+                      {vendor.company}
+                    </Link>
+                    <p className="text-gray-500">{vendor.category}</p>
+                  </td>
+                  <td className="py-3">
+                    <ComplianceBadge status={vendor.compliance.status} />
+                  </td>
+                  <td className="py-3 space-y-1">
+                    {vendor.compliance.documents.map(document => (
+                      <p key={`${document.type}-${document.id || document.name}`} className={document.status === 'expired' ? 'text-red-700' : 'text-yellow-800'}>
+                        {document.name}{document.number && ` #${document.number}`}:{' '}
+                        {format(new Date(document.expiryDate), 'MMM d, yyyy')} ({expiryText(document.expiryDate)})
+                      </p>
+                    ))}
+                  </td>
+                  <td className="py-3 text-gray-600">
+                    <p>{vendor.name}</p>
+                    <p>{vendor.email}</p>
+                    <p>{vendor.phone}</p>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplianceReport;
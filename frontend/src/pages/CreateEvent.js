@@ -1,9 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import axios from 'axios';
 import toast from 'react-hot-toast';
-import { FiCalendar, FiMapPin, FiUsers, FiDollarSign, FiTag } from 'react-icons/fi';
+import { FiCalendar, FiMapPin, FiUsers, FiDollarSign, FiTag, FiX } from 'react-icons/fi';
+import FileDropzone, { IMAGE_TYPES } from '../components/common/FileDropzone';
+import TicketTierEditor, { formatTicketTiers } from '../components/events/TicketTierEditor';
+import PromoCodeEditor, { formatPromoCodes } from '../components/events/PromoCodeEditor';
+import RecurrenceEditor, { formatRecurrence } from '../components/events/RecurrenceEditor';
 
 const CreateEvent = () => {
   const navigate = useNavigate();
@@ -16,11 +20,25 @@ const CreateEvent = () => {
   const {
     register,
     handleSubmit,
+    control,
     watch,
     setValue,
     formState: { errors }
   } = useForm();
 
+  const [imageFile, setImageFile] = useState(null);
+  const [imagePreview, setImagePreview] = useState('');
+
+  useEffect(() => {
+    if (!imageFile) {
+      setImagePreview('');
+      return undefined;
+    }
+    const url = URL.createObjectURL(imageFile);
+    setImagePreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [imageFile]);
+
   const isFree = watch('isFree');
   const startDate = watch('startDate');
   const endDate = watch('endDate');
@@ -35,12 +53,35 @@ const CreateEvent = () => {
         startDate: new Date(data.startDate).toISOString(),
         endDate: new Date(data.endDate).toISOString(),
         price: data.isFree ? 0 : parseFloat(data.price),
+        ticketTiers: formatTicketTiers(data.ticketTiers),
+        promoCodes: formatPromoCodes(data.promoCodes),
+        recurrence: formatRecurrence(data.recurrence),
         maxAttendees: parseInt(data.maxAttendees),
         tags: data.tags ? data.tags.split(',').map(tag => tag.trim()) : [],
         status: 'published' // Set status to published by default
       };
 
+      // With ticket tiers the headline price is the cheapest tier
+      if (eventData.ticketTiers.length > 0) {
+        eventData.price = Math.min(...eventData.ticketTiers.map(tier => tier.price));
+        eventData.isFree = eventData.ticketTiers.every(tier => tier.price === 0);
+      }
+
       const response = await axios.post('/api/events', eventData);
+
+      // The image is uploaded once the event exists; for a series it goes on every occurrence
+      if (imageFile) {
+        const formData = new FormData();
+        formData.append('image', imageFile);
+        try {
+          await axios.post(`/api/events/${response.data._id}/image`, formData, {
+            params: { scope: eventData.recurrence ? 'all' : 'this' }
+          });
+        } catch (error) {
+          toast.error(error.response?.data?.message || 'Event created, but the image upload failed');
+        }
+      }
+
       toast.success('Event created successfully!');
       navigate(`/events/${response.data._id}`);
     } catch (error) {
@@ -126,6 +167,31 @@ const CreateEvent = () => {
             />
             <p className="mt-1 text-sm text-gray-500">Tags help people find your event</p>
           </div>
+
+          <div className="mt-6">
+            <label className="form-label">Event Image</label>
+            {imagePreview ? (
+              <div className="relative">
+                <img src={imagePreview} alt="Event preview" className="w-full h-64 object-cover rounded-lg" />
+                <button
+                  type="button"
+                  onClick={() => setImageFile(null)}
+                  className="absolute top-2 right-2 bg-white rounded-full p-1 shadow text-gray-600 hover:text-red-600"
+                  aria-label="Remove image"
+                >
+                  <FiX className="h-5 w-5" />
+                </button>
+              </div>
+            ) : (
+              <FileDropzone
+                accept={IMAGE_TYPES}
+                maxSize={5 * 1024 * 1024}
+                onFiles={setImageFile}
+                label="Drag and drop a cover image, or click to browse"
+                hint="JPEG, PNG, GIF or WebP up to 5 MB"
+              />
+            )}
+          </div>
         </div>
 
         {/* Date and Time */}
@@ -175,6 +241,10 @@ const CreateEvent = () => {
               )}
             </div>
           </div>
+
+          <div className="mt-6">
+            <RecurrenceEditor register={register} watch={watch} errors={errors} />
+          </div>
         </div>
 
         {/* Location */}
@@ -308,6 +378,16 @@ const CreateEvent = () => {
           </div>
         </div>
 
+        {/* Tickets */}
+        <div className="card p-6 space-y-8">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <FiTag className="h-5 w-5" />
+            Tickets
+          </h2>
+          <TicketTierEditor control={control} register={register} errors={errors} />
+          <PromoCodeEditor control={control} register={register} errors={errors} />
+        </div>
+
         {/* Contact Information */}
         <div className="card p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-6">Contact Information</h2>
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { warnVendorConflicts } from '../components/vendors/VendorConflicts';
 import { FiCalendar, FiUser, FiTag, FiClock, FiDollarSign } from 'react-icons/fi';
 
 const CreateTask = () => {
@@ -10,6 +11,7 @@ const CreateTask = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [events, setEvents] = useState([]);
   const [users, setUsers] = useState([]);
+  const [vendors, setVendors] = useState([]);
   const [categories] = useState([
     'Planning',
     'Marketing',
@@ -34,11 +36,12 @@ const CreateTask = () => {
   useEffect(() => {
     fetchEvents();
     fetchUsers();
+    fetchVendors();
   }, []);
 
   const fetchEvents = async () => {
     try {
-      const response = await axios.get('/api/events');
+      const response = await axios.get('/api/events/workspace', { params: { limit: 100 } });
       setEvents(response.data.docs || response.data);
     } catch (error) {
       console.error('Error fetching events:', error);
@@ -54,23 +57,34 @@ const CreateTask = () => {
     }
   };
 
+  const fetchVendors = async () => {
+    try {
+      const response = await axios.get('/api/vendors', { params: { limit: 100, status: 'active', sortBy: 'name', sortOrder: 'asc' } });
+      setVendors(response.data.docs);
+    } catch (error) {
+      console.error('Error fetching vendors:', error);
+    }
+  };
+
   const onSubmit = async (data) => {
     setIsLoading(true);
     
     try {
       const taskData = {
         ...data,
+        vendor: data.vendor || undefined,
         tags: data.tags ? data.tags.split(',').map(tag => tag.trim()) : [],
         estimatedHours: data.estimatedHours ? parseFloat(data.estimatedHours) : null,
         budget: {
           estimated: data.estimatedBudget ? parseFloat(data.estimatedBudget) : null,
           actual: null,
-          currency: 'USD'
+          currency: (data.budgetCurrency || 'USD').toUpperCase()
         }
       };
 
       const response = await axios.post('/api/tasks', taskData);
       toast.success('Task created successfully!');
+      warnVendorConflicts(response.data.vendorConflicts);
       navigate(`/tasks/${response.data._id}`);
     } catch (error) {
       console.error('Error creating task:', error);
@@ -178,6 +192,21 @@ const CreateTask = () => {
                 </select>
               </div>
             </div>
+
+            <div>
+              <label className="form-label">Vendor</label>
+              <select
+                {...register('vendor')}
+                className="input"
+              >
+                <option value="">No vendor</option>
+                {vendors.map(vendor => (
+                  <option key={vendor._id} value={vendor._id} disabled={vendor.compliance?.status === 'expired'}>
+                    {vendor.company} ({vendor.category}){vendor.compliance?.status === 'expired' ? ' - insurance or license expired' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
 
           <div className="mt-6">
@@ -212,7 +241,7 @@ const CreateTask = () => {
         {/* Time and Budget */}
         <div className="card p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Time & Budget</h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div>
               <label className="form-label">Estimated Hours</label>
               <div className="relative">
@@ -229,7 +258,7 @@ const CreateTask = () => {
             </div>
 
             <div>
-              <label className="form-label">Estimated Budget ($)</label>
+              <label className="form-label">Estimated Budget</label>
               <div className="relative">
                 <FiDollarSign className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
                 <input
@@ -242,6 +271,20 @@ const CreateTask = () => {
                 />
               </div>
             </div>
+
+            <div>
+              <label className="form-label">Budget Currency</label>
+              <input
+                type="text"
+                {...register('budgetCurrency', {
+                  pattern: { value: /^[A-Za-z]{3}$/, message: 'Use a three-letter currency code' }
+                })}
+                defaultValue="USD"
+                className="input uppercase"
+                maxLength={3}
+              />
+              {errors.budgetCurrency && <p className="text-red-500 text-sm mt-1">{errors.budgetCurrency.message}</p>}
+            </div>
           </div>
         </div>
 
@@ -40,7 +40,7 @@ const CreateVendor = () => {
           hourly: data.hourlyRate ? parseFloat(data.hourlyRate) : null,
           daily: data.dailyRate ? parseFloat(data.dailyRate) : null,
           perEvent: data.perEventRate ? parseFloat(data.perEventRate) : null,
-          currency: 'USD'
+          currency: (data.currency || 'USD').toUpperCase()
         }
       };
 
@@ -251,9 +251,23 @@ const CreateVendor = () => {
         {/* Pricing Information */}
         <div className="card p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Pricing Information</h2>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
             <div>
-              <label className="form-label">Hourly Rate ($)</label>
+              <label className="form-label">Currency</label>
+              <input
+                type="text"
+                {...register('currency', {
+                  pattern: { value: /^[A-Za-z]{3}$/, message: 'Use a three-letter currency code' }
+                })}
+                defaultValue="USD"
+                className="input uppercase"
+                maxLength={3}
+              />
+              {errors.currency && <p className="text-red-500 text-sm mt-1">{errors.currency.message}</p>}
+            </div>
+
+            <div>
+              <label className="form-label">Hourly Rate</label>
               <div className="relative">
                 <FiDollarSign className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
                 <input
@@ -268,7 +282,7 @@ const CreateVendor = () => {
             </div>
 
             <div>
-              <label className="form-label">Daily Rate ($)</label>
+              <label className="form-label">Daily Rate</label>
               <div className="relative">
                 <FiDollarSign className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
                 <input
@@ -283,7 +297,7 @@ const CreateVendor = () => {
             </div>
 
             <div>
-              <label className="form-label">Per Event Rate ($)</label>
+              <label className="form-label">Per Event Rate</label>
               <div className="relative">
                 <FiDollarSign className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
                 <input
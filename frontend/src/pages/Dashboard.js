@@ -4,7 +4,9 @@ import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { format } from 'date-fns';
 import { FiPlus, FiEdit, FiTrash2, FiEye, FiUsers, FiCalendar, FiMapPin, FiTag } from 'react-icons/fi';
+import { QRCodeSVG } from 'qrcode.react';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import { STAFF_ROLES } from '../components/events/EventStaff';
 import toast from 'react-hot-toast';
 
 const Dashboard = () => {
@@ -88,6 +90,10 @@ const Dashboard = () => {
     return colors[status] || colors['draft'];
   };
 
+  // My events also lists events the user only staffs; their role decides which controls show
+  const getStaffRole = (event) =>
+    event.organizer === user._id ? null : event.staff?.find(member => member.user === user._id)?.role;
+
   const renderEventCard = (event, isMyEvent = false) => (
     <div key={event._id} className="card p-6">
       <div className="flex items-start justify-between mb-4">
@@ -99,6 +105,11 @@ const Dashboard = () => {
             <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(event.status)}`}>
               {event.status}
             </span>
+            {isMyEvent && getStaffRole(event) && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                {STAFF_ROLES[getStaffRole(event)]?.label}
+              </span>
+            )}
           </div>
           <h3 className="text-xl font-semibold text-gray-900 mb-2">{event.title}</h3>
           <p className="text-gray-600 mb-4 line-clamp-2">{event.description}</p>
@@ -121,6 +132,15 @@ const Dashboard = () => {
             </div>
           </div>
         </div>
+
+        {!isMyEvent && event.ticketCode && (
+          <div className="ml-6 text-center">
+            <div className="bg-white p-2 border border-gray-200 rounded-lg inline-block">
+              <QRCodeSVG value={event.ticketCode} size={112} />
+            </div>
+            <p className="mt-1 text-xs text-gray-500">Show at the door</p>
+          </div>
+        )}
       </div>
 
       <div className="flex items-center justify-between">
@@ -133,23 +153,24 @@ const Dashboard = () => {
             View
           </Link>
           
-          {isMyEvent && (
-            <>
-              <Link
-                to={`/edit-event/${event._id}`}
-                className="btn btn-primary flex items-center gap-2"
-              >
-                <FiEdit className="h-4 w-4" />
-                Edit
-              </Link>
-              <button
-                onClick={() => handleDeleteEvent(event._id)}
-                className="btn btn-danger flex items-center gap-2"
-              >
-                <FiTrash2 className="h-4 w-4" />
-                Delete
-              </button>
-            </>
+          {isMyEvent && (!getStaffRole(event) || getStaffRole(event) === 'co-organizer') && (
+            <Link
+              to={`/edit-event/${event._id}`}
+              className="btn btn-primary flex items-center gap-2"
+            >
+              <FiEdit className="h-4 w-4" />
+              Edit
+            </Link>
+          )}
+
+          {isMyEvent && !getStaffRole(event) && (
+            <button
+              onClick={() => handleDeleteEvent(event._id)}
+              className="btn btn-danger flex items-center gap-2"
+            >
+              <FiTrash2 className="h-4 w-4" />
+              Delete
+            </button>
           )}
           
           {!isMyEvent && (
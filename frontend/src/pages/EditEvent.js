@@ -4,6 +4,9 @@ import { useForm } from 'react-hook-form';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { FiCalendar, FiMapPin, FiUsers, FiDollarSign, FiTag } from 'react-icons/fi';
+import TicketTierEditor, { formatTicketTiers } from '../components/events/TicketTierEditor';
+import PromoCodeEditor, { formatPromoCodes } from '../components/events/PromoCodeEditor';
+import { describeRecurrence } from '../components/events/RecurrenceEditor';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 
 const EditEvent = () => {
@@ -12,6 +15,7 @@ const EditEvent = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [event, setEvent] = useState(null);
+  const [scope, setScope] = useState('this');
   const [categories] = useState([
     'Technology', 'Business', 'Education', 'Entertainment', 
     'Sports', 'Music', 'Art', 'Food', 'Health', 'Other'
@@ -20,6 +24,7 @@ const EditEvent = () => {
   const {
     register,
     handleSubmit,
+    control,
     watch,
     setValue,
     formState: { errors }
@@ -56,6 +61,18 @@ const EditEvent = () => {
       setValue('contactPhone', eventData.contactPhone || '');
       setValue('website', eventData.website || '');
       setValue('tags', eventData.tags ? eventData.tags.join(', ') : '');
+      setValue('ticketTiers', (eventData.ticketTiers || []).map(tier => ({
+        ...tier,
+        salesStart: tier.salesStart ? formatDateForInput(tier.salesStart) : '',
+        salesEnd: tier.salesEnd ? formatDateForInput(tier.salesEnd) : ''
+      })));
+
+      const promoResponse = await axios.get(`/api/events/${id}/promo-codes`);
+      setValue('promoCodes', promoResponse.data.map(promo => ({
+        ...promo,
+        maxUses: promo.maxUses || '',
+        expiresAt: promo.expiresAt ? formatDateForInput(promo.expiresAt) : ''
+      })));
     } catch (error) {
       console.error('Error fetching event:', error);
       toast.error('Failed to load event');
@@ -80,11 +97,19 @@ const EditEvent = () => {
         startDate: new Date(data.startDate).toISOString(),
         endDate: new Date(data.endDate).toISOString(),
         price: data.isFree === 'true' ? 0 : parseFloat(data.price),
+        ticketTiers: formatTicketTiers(data.ticketTiers),
+        promoCodes: formatPromoCodes(data.promoCodes),
         maxAttendees: parseInt(data.maxAttendees),
         tags: data.tags ? data.tags.split(',').map(tag => tag.trim()) : []
       };
 
-      await axios.put(`/api/events/${id}`, eventData);
+      // With ticket tiers the headline price is the cheapest tier
+      if (eventData.ticketTiers.length > 0) {
+        eventData.price = Math.min(...eventData.ticketTiers.map(tier => tier.price));
+        eventData.isFree = eventData.ticketTiers.every(tier => tier.price === 0);
+      }
+
+      await axios.put(`/api/events/${id}`, eventData, { params: { scope } });
       toast.success('Event updated successfully!');
       navigate(`/events/${id}`);
     } catch (error) {
@@ -370,6 +395,16 @@ const EditEvent = () => {
           </div>
         </div>
 
+        {/* Tickets */}
+        <div className="card p-6 space-y-8">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <FiTag className="h-5 w-5" />
+            Tickets
+          </h2>
+          <TicketTierEditor control={control} register={register} errors={errors} />
+          <PromoCodeEditor control={control} register={register} errors={errors} />
+        </div>
+
         {/* Contact Information */}
         <div className="card p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-6">Contact Information</h2>
@@ -416,6 +451,38 @@ const EditEvent = () => {
           </div>
         </div>
 
+        {/* Series Scope */}
+        {event.seriesId && (
+          <div className="card p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">Recurring Event</h2>
+            <p className="text-gray-600 mb-4">{describeRecurrence(event.recurrence)}. Apply these changes to:</p>
+            <div className="space-y-2">
+              {[
+                { value: 'this', label: 'This occurrence only' },
+                { value: 'following', label: 'This and following occurrences' },
+                { value: 'all', label: 'All occurrences in the series' }
+              ].map(option => (
+                <label key={option.value} className="flex items-center">
+                  <input
+                    type="radio"
+                    name="scope"
+                    value={option.value}
+                    checked={scope === option.value}
+                    onChange={(e) => setScope(e.target.value)}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">{option.label}</span>
+                </label>
+              ))}
+            </div>
+            {scope !== 'this' && (
+              <p className="mt-3 text-sm text-gray-500">
+                Date and time changes shift every selected occurrence by the same amount.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Submit Buttons */}
         <div className="flex justify-end space-x-4">
           <button
@@ -3,22 +3,71 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { format } from 'date-fns';
-import { FiCalendar, FiMapPin, FiUsers, FiMail, FiPhone, FiGlobe, FiUser, FiClock } from 'react-icons/fi';
+import { FiCalendar, FiMapPin, FiUsers, FiMail, FiPhone, FiGlobe, FiUser, FiClock, FiChevronUp, FiChevronDown, FiDownload } from 'react-icons/fi';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import { describeRecurrence } from '../components/events/RecurrenceEditor';
+import EventStaff from '../components/events/EventStaff';
+import TabNav from '../components/common/TabNav';
+import AuditHistory from '../components/common/AuditHistory';
+import EventBudget from '../components/events/EventBudget';
+import EventBookings from '../components/events/EventBookings';
+import EventShortlist from '../components/events/EventShortlist';
+import { usePermissions } from '../hooks/usePermissions';
 import toast from 'react-hot-toast';
 
 const EventDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
+  const { can } = usePermissions();
   const [event, setEvent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isRegistering, setIsRegistering] = useState(false);
+  const [ticketOrder, setTicketOrder] = useState({ ticketTier: '', quantity: 1, promoCode: '' });
+  const [quote, setQuote] = useState(null);
+  const [checkInStats, setCheckInStats] = useState(null);
+  const [seriesOccurrences, setSeriesOccurrences] = useState([]);
+  const [activeTab, setActiveTab] = useState('details');
 
   useEffect(() => {
     fetchEvent();
   }, [id]);
 
+  const canCheckIn = can('event:check-in', event);
+
+  // Poll check-in counts for door staff so the numbers stay live at the door
+  useEffect(() => {
+    if (!canCheckIn) return;
+
+    const fetchCheckInStats = async () => {
+      try {
+        const response = await axios.get(`/api/events/${id}/check-in/stats`);
+        setCheckInStats(response.data);
+      } catch (error) {
+        console.error('Error fetching check-in stats:', error);
+      }
+    };
+
+    fetchCheckInStats();
+    const interval = setInterval(fetchCheckInStats, 15000);
+    return () => clearInterval(interval);
+  }, [id, canCheckIn]);
+
+  useEffect(() => {
+    if (!event?.seriesId) return;
+
+    const fetchSeries = async () => {
+      try {
+        const response = await axios.get(`/api/events/series/${event.seriesId}`);
+        setSeriesOccurrences(response.data);
+      } catch (error) {
+        console.error('Error fetching event series:', error);
+      }
+    };
+
+    fetchSeries();
+  }, [event?.seriesId]);
+
   const fetchEvent = async () => {
     try {
       const response = await axios.get(`/api/events/${id}`);
@@ -41,8 +90,16 @@ const EventDetail = () => {
 
     setIsRegistering(true);
     try {
-      await axios.post(`/api/events/${id}/register`);
-      toast.success('Successfully registered for event!');
+      const response = await axios.post(`/api/events/${id}/register`, {
+        ticketTier: ticketOrder.ticketTier || undefined,
+        quantity: parseInt(ticketOrder.quantity) || 1,
+        promoCode: ticketOrder.promoCode || undefined
+      });
+      if (response.data.waitlisted) {
+        toast.success(`Event is full. You are #${response.data.position} on the waitlist`);
+      } else {
+        toast.success('Successfully registered for event!');
+      }
       fetchEvent(); // Refresh event data
     } catch (error) {
       console.error('Error registering for event:', error);
@@ -72,11 +129,103 @@ const EventDetail = () => {
     return event.attendees?.some(attendee => attendee.user._id === user._id);
   };
 
+  const getWaitlistPosition = () => {
+    if (!event || !user) return 0;
+    return (event.waitlist || []).findIndex(entry => entry.user._id === user._id) + 1;
+  };
+
+  const getSeatsTaken = () => {
+    return (event?.attendees || []).reduce((total, attendee) => total + (attendee.quantity || 1), 0);
+  };
+
+  const isEventFull = () => {
+    if (!event) return false;
+    return getSeatsTaken() >= event.maxAttendees;
+  };
+
+  const getTierRemaining = (tier) => {
+    const sold = (event.attendees || [])
+      .filter(attendee => attendee.ticketTier === tier._id)
+      .reduce((total, attendee) => total + (attendee.quantity || 1), 0);
+    return Math.max(0, tier.quantity - sold);
+  };
+
+  const getPriceLabel = () => {
+    if (event.ticketTiers?.length > 0) {
+      const lowest = Math.min(...event.ticketTiers.map(tier => tier.price));
+      return lowest === 0 ? 'From Free' : `From $${lowest}`;
+    }
+    return event.isFree ? 'Free' : `$${event.price}`;
+  };
+
+  const handleTicketOrderChange = (name, value) => {
+    setTicketOrder(prev => ({ ...prev, [name]: value }));
+    setQuote(null);
+  };
+
+  const handleGetQuote = async () => {
+    try {
+      const response = await axios.post(`/api/events/${id}/quote`, {
+        ticketTier: ticketOrder.ticketTier || undefined,
+        quantity: parseInt(ticketOrder.quantity) || 1,
+        promoCode: ticketOrder.promoCode || undefined
+      });
+      setQuote(response.data);
+    } catch (error) {
+      console.error('Error pricing tickets:', error);
+      setQuote(null);
+      toast.error(error.response?.data?.message || 'Failed to price tickets');
+    }
+  };
+
+  const handleLeaveWaitlist = async () => {
+    setIsRegistering(true);
+    try {
+      await axios.delete(`/api/events/${id}/register`);
+      toast.success('You have left the waitlist');
+      fetchEvent(); // Refresh event data
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      toast.error('Failed to leave waitlist');
+    } finally {
+      setIsRegistering(false);
+    }
+  };
+
+  const handleMoveWaitlistEntry = async (index, direction) => {
+    const order = event.waitlist.map(entry => entry.user._id);
+    const target = index + direction;
+    if (target < 0 || target >= order.length) return;
+    [order[index], order[target]] = [order[target], order[index]];
+
+    try {
+      const response = await axios.put(`/api/events/${id}/waitlist`, { order });
+      setEvent(prev => ({ ...prev, waitlist: response.data }));
+    } catch (error) {
+      console.error('Error reordering waitlist:', error);
+      toast.error(error.response?.data?.message || 'Failed to reorder waitlist');
+    }
+  };
+
+  const handleClearWaitlist = async () => {
+    if (!window.confirm('Are you sure you want to clear the waitlist?')) return;
+
+    try {
+      await axios.delete(`/api/events/${id}/waitlist`);
+      toast.success('Waitlist cleared');
+      fetchEvent(); // Refresh event data
+    } catch (error) {
+      console.error('Error clearing waitlist:', error);
+      toast.error('Failed to clear waitlist');
+    }
+  };
+
   const isUserOrganizer = () => {
     if (!event || !user) return false;
     return event.organizer._id === user._id;
   };
 
+
   const getCategoryColor = (category) => {
     const colors = {
       'Technology': 'bg-blue-100 text-blue-800',
@@ -121,6 +270,15 @@ const EventDetail = () => {
     );
   }
 
+  // Budget, bookings, the vendor shortlist and history are only for the event team
+  const tabs = [
+    { id: 'details', label: 'Details' },
+    can('event:view-budget', event) && { id: 'budget', label: 'Budget' },
+    (can('event:manage-bookings', event) || can('event:view-budget', event)) && { id: 'bookings', label: 'Bookings' },
+    event.permissions?.length > 0 && { id: 'shortlist', label: 'Vendor Shortlist' },
+    can('event:update', event) && { id: 'history', label: 'History' }
+  ].filter(Boolean);
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       {/* Header */}
@@ -140,143 +298,226 @@ const EventDetail = () => {
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Main Content */}
         <div className="lg:col-span-2 space-y-8">
-          {/* Event Image */}
-          {event.image && (
-            <div className="card p-0 overflow-hidden">
-              <img
-                src={event.image}
-                alt={event.title}
-                className="w-full h-64 object-cover"
-              />
-            </div>
+          {tabs.length > 1 && (
+            <TabNav
+              tabs={tabs}
+              active={activeTab}
+              onChange={setActiveTab}
+              className=""
+            />
           )}
 
-          {/* Event Details */}
-          <div className="card p-6">
-            <h2 className="text-2xl font-semibold text-gray-900 mb-6">Event Details</h2>
-            
-            <div className="space-y-6">
-              <div className="flex items-start gap-4">
-                <FiCalendar className="h-6 w-6 text-primary-600 mt-1" />
-                <div>
-                  <h3 className="font-semibold text-gray-900">Date & Time</h3>
-                  <p className="text-gray-600">
-                    {format(new Date(event.startDate), 'EEEE, MMMM dd, yyyy')}
-                  </p>
-                  <p className="text-gray-600">
-                    {format(new Date(event.startDate), 'h:mm a')} - {format(new Date(event.endDate), 'h:mm a')}
-                  </p>
+          {activeTab === 'details' && (
+            <>
+              {/* Event Image */}
+              {event.image && (
+                <div className="card p-0 overflow-hidden">
+                  <img
+                    src={event.image}
+                    alt={event.title}
+                    className="w-full h-64 object-cover"
+                  />
                 </div>
-              </div>
+              )}
 
-              <div className="flex items-start gap-4">
-                <FiMapPin className="h-6 w-6 text-primary-600 mt-1" />
-                <div>
-                  <h3 className="font-semibold text-gray-900">Location</h3>
-                  <p className="text-gray-600">
-                    {event.location.address}
-                  </p>
-                  <p className="text-gray-600">
-                    {event.location.city}, {event.location.state} {event.location.zipCode}
-                  </p>
-                </div>
-              </div>
+              {/* Event Details */}
+              <div className="card p-6">
+                <h2 className="text-2xl font-semibold text-gray-900 mb-6">Event Details</h2>
+            
+                <div className="space-y-6">
+                  <div className="flex items-start gap-4">
+                    <FiCalendar className="h-6 w-6 text-primary-600 mt-1" />
+                    <div>
+                      <h3 className="font-semibold text-gray-900">Date & Time</h3>
+                      <p className="text-gray-600">
+                        {format(new Date(event.startDate), 'EEEE, MMMM dd, yyyy')}
+                      </p>
+                      <p className="text-gray-600">
+                        {format(new Date(event.startDate), 'h:mm a')} - {format(new Date(event.endDate), 'h:mm a')}
+                      </p>
+                      <a
+                        href={`${axios.defaults.baseURL || ''}/api/events/${event._id}?format=ics`}
+                        className="inline-flex items-center gap-1 mt-2 text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        <FiDownload className="h-4 w-4" />
+                        Add to Calendar
+                      </a>
+                    </div>
+                  </div>
 
-              <div className="flex items-start gap-4">
-                <FiUsers className="h-6 w-6 text-primary-600 mt-1" />
-                <div>
-                  <h3 className="font-semibold text-gray-900">Capacity</h3>
-                  <p className="text-gray-600">
-                    {event.attendees?.length || 0} of {event.maxAttendees} spots filled
-                  </p>
-                  {event.isFull && (
-                    <p className="text-red-600 font-medium">Event is full</p>
+                  <div className="flex items-start gap-4">
+                    <FiMapPin className="h-6 w-6 text-primary-600 mt-1" />
+                    <div>
+                      <h3 className="font-semibold text-gray-900">Location</h3>
+                      <p className="text-gray-600">
+                        {event.location.address}
+                      </p>
+                      <p className="text-gray-600">
+                        {event.location.city}, {event.location.state} {event.location.zipCode}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex items-start gap-4">
+                    <FiUsers className="h-6 w-6 text-primary-600 mt-1" />
+                    <div>
+                      <h3 className="font-semibold text-gray-900">Capacity</h3>
+                      <p className="text-gray-600">
+                        {getSeatsTaken()} of {event.maxAttendees} spots filled
+                      </p>
+                      {isEventFull() && (
+                        <p className="text-red-600 font-medium">Event is full</p>
+                      )}
+                      {event.waitlist?.length > 0 && (
+                        <p className="text-gray-600">{event.waitlist.length} on the waitlist</p>
+                      )}
+                    </div>
+                  </div>
+
+                  {event.tags && event.tags.length > 0 && (
+                    <div className="flex items-start gap-4">
+                      <FiUser className="h-6 w-6 text-primary-600 mt-1" />
+                      <div>
+                        <h3 className="font-semibold text-gray-900">Tags</h3>
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {event.tags.map((tag, index) => (
+                            <span
+                              key={index}
+                              className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800"
+                            >
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
                   )}
                 </div>
               </div>
 
-              {event.tags && event.tags.length > 0 && (
-                <div className="flex items-start gap-4">
-                  <FiUser className="h-6 w-6 text-primary-600 mt-1" />
+              {/* Organizer Information */}
+              <div className="card p-6">
+                <h2 className="text-2xl font-semibold text-gray-900 mb-6">Organizer</h2>
+            
+                <div className="flex items-center gap-4">
+                  <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center">
+                    <FiUser className="h-8 w-8 text-primary-600" />
+                  </div>
                   <div>
-                    <h3 className="font-semibold text-gray-900">Tags</h3>
-                    <div className="flex flex-wrap gap-2 mt-2">
-                      {event.tags.map((tag, index) => (
-                        <span
-                          key={index}
-                          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800"
-                        >
-                          {tag}
-                        </span>
-                      ))}
-                    </div>
+                    <h3 className="text-lg font-semibold text-gray-900">{event.organizer.name}</h3>
+                    <p className="text-gray-600">{event.organizer.email}</p>
+                    {event.organizer.bio && (
+                      <p className="text-gray-600 mt-2">{event.organizer.bio}</p>
+                    )}
                   </div>
                 </div>
-              )}
-            </div>
-          </div>
 
-          {/* Organizer Information */}
-          <div className="card p-6">
-            <h2 className="text-2xl font-semibold text-gray-900 mb-6">Organizer</h2>
-            
-            <div className="flex items-center gap-4">
-              <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center">
-                <FiUser className="h-8 w-8 text-primary-600" />
-              </div>
-              <div>
-                <h3 className="text-lg font-semibold text-gray-900">{event.organizer.name}</h3>
-                <p className="text-gray-600">{event.organizer.email}</p>
-                {event.organizer.bio && (
-                  <p className="text-gray-600 mt-2">{event.organizer.bio}</p>
-                )}
+                <div className="mt-6 space-y-3">
+                  <div className="flex items-center gap-3">
+                    <FiMail className="h-5 w-5 text-gray-400" />
+                    <span className="text-gray-600">{event.contactEmail}</span>
+                  </div>
+                  {event.contactPhone && (
+                    <div className="flex items-center gap-3">
+                      <FiPhone className="h-5 w-5 text-gray-400" />
+                      <span className="text-gray-600">{event.contactPhone}</span>
+                    </div>
+                  )}
+                  {event.website && (
+                    <div className="flex items-center gap-3">
+                      <FiGlobe className="h-5 w-5 text-gray-400" />
+                      <a href={event.website} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:text-primary-700">
+                        {event.website}
+                      </a>
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
 
-            <div className="mt-6 space-y-3">
-              <div className="flex items-center gap-3">
-                <FiMail className="h-5 w-5 text-gray-400" />
-                <span className="text-gray-600">{event.contactEmail}</span>
-              </div>
-              {event.contactPhone && (
-                <div className="flex items-center gap-3">
-                  <FiPhone className="h-5 w-5 text-gray-400" />
-                  <span className="text-gray-600">{event.contactPhone}</span>
+              {/* Attendees */}
+              {event.attendees && event.attendees.length > 0 && (
+                <div className="card p-6">
+                  <h2 className="text-2xl font-semibold text-gray-900 mb-6">Attendees ({event.attendees.length})</h2>
+              
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {event.attendees.map((attendee) => (
+                      <div key={attendee.user._id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                        <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center">
+                          <FiUser className="h-5 w-5 text-primary-600" />
+                        </div>
+                        <div>
+                          <p className="font-medium text-gray-900">{attendee.user.name}</p>
+                          <p className="text-sm text-gray-500">
+                            Registered {format(new Date(attendee.registeredAt), 'MMM dd, yyyy')}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
-              {event.website && (
-                <div className="flex items-center gap-3">
-                  <FiGlobe className="h-5 w-5 text-gray-400" />
-                  <a href={event.website} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:text-primary-700">
-                    {event.website}
-                  </a>
+
+              {/* Waitlist (organizer only) */}
+              {can('event:update', event) && event.waitlist && event.waitlist.length > 0 && (
+                <div className="card p-6">
+                  <div className="flex items-center justify-between mb-6">
+                    <h2 className="text-2xl font-semibold text-gray-900">Waitlist ({event.waitlist.length})</h2>
+                    <button onClick={handleClearWaitlist} className="btn btn-danger">
+                      Clear Waitlist
+                    </button>
+                  </div>
+
+                  <div className="space-y-3">
+                    {event.waitlist.map((entry, index) => (
+                      <div key={entry.user._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                        <div className="flex items-center gap-3">
+                          <span className="w-8 text-center font-semibold text-gray-500">#{index + 1}</span>
+                          <div>
+                            <p className="font-medium text-gray-900">{entry.user.name}</p>
+                            <p className="text-sm text-gray-500">
+                              Joined {format(new Date(entry.joinedAt), 'MMM dd, yyyy')}
+                            </p>
+                          </div>
+                        </div>
+                        <div className="flex gap-1">
+                          <button
+                            onClick={() => handleMoveWaitlistEntry(index, -1)}
+                            disabled={index === 0}
+                            className="p-2 text-gray-500 hover:text-primary-600 disabled:opacity-30"
+                            title="Move up"
+                          >
+                            <FiChevronUp className="h-5 w-5" />
+                          </button>
+                          <button
+                            onClick={() => handleMoveWaitlistEntry(index, 1)}
+                            disabled={index === event.waitlist.length - 1}
+                            className="p-2 text-gray-500 hover:text-primary-600 disabled:opacity-30"
+                            title="Move down"
+                          >
+                            <FiChevronDown className="h-5 w-5" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
-            </div>
-          </div>
+            </>
+          )}
 
-          {/* Attendees */}
-          {event.attendees && event.attendees.length > 0 && (
-            <div className="card p-6">
-              <h2 className="text-2xl font-semibold text-gray-900 mb-6">Attendees ({event.attendees.length})</h2>
-              
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {event.attendees.map((attendee) => (
-                  <div key={attendee.user._id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
-                    <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center">
-                      <FiUser className="h-5 w-5 text-primary-600" />
-                    </div>
-                    <div>
-                      <p className="font-medium text-gray-900">{attendee.user.name}</p>
-                      <p className="text-sm text-gray-500">
-                        Registered {format(new Date(attendee.registeredAt), 'MMM dd, yyyy')}
-                      </p>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </div>
+          {activeTab === 'budget' && (
+            <EventBudget event={event} canManage={can('event:manage-budget', event)} />
+          )}
+
+          {activeTab === 'bookings' && (
+            <EventBookings event={event} canManage={can('event:manage-bookings', event)} />
+          )}
+
+          {activeTab === 'shortlist' && (
+            <EventShortlist event={event} canManage={can('event:manage-bookings', event)} />
           )}
+
+          {activeTab === 'history' && <AuditHistory url={`/api/events/${id}/history`} />}
         </div>
 
         {/* Sidebar */}
@@ -285,18 +526,20 @@ const EventDetail = () => {
           <div className="card p-6">
             <div className="text-center mb-6">
               <div className="text-3xl font-bold text-gray-900 mb-2">
-                {event.isFree ? 'Free' : `$${event.price}`}
+                {getPriceLabel()}
               </div>
               <p className="text-gray-600">
-                {event.attendees?.length || 0} of {event.maxAttendees} spots filled
+                {getSeatsTaken()} of {event.maxAttendees} spots filled
               </p>
             </div>
 
-            {event.status === 'published' && !event.isFull && (
+            {event.status === 'published' && (
               <div className="space-y-4">
-                {isUserOrganizer() ? (
+                {can('event:update', event) ? (
                   <div className="text-center">
-                    <p className="text-gray-600 mb-4">You are the organizer of this event</p>
+                    <p className="text-gray-600 mb-4">
+                      {isUserOrganizer() ? 'You are the organizer of this event' : 'You help organize this event'}
+                    </p>
                     <button
                       onClick={() => navigate(`/edit-event/${event._id}`)}
                       className="btn btn-primary w-full"
@@ -312,14 +555,115 @@ const EventDetail = () => {
                   >
                     {isRegistering ? 'Unregistering...' : 'Unregister'}
                   </button>
+                ) : getWaitlistPosition() > 0 ? (
+                  <div className="text-center">
+                    <p className="text-gray-900 font-medium mb-1">
+                      You are #{getWaitlistPosition()} on the waitlist
+                    </p>
+                    <p className="text-sm text-gray-600 mb-4">
+                      You will be registered automatically when a spot opens up
+                    </p>
+                    <button
+                      onClick={handleLeaveWaitlist}
+                      disabled={isRegistering}
+                      className="btn btn-secondary w-full"
+                    >
+                      {isRegistering ? 'Leaving...' : 'Leave Waitlist'}
+                    </button>
+                  </div>
                 ) : (
-                  <button
-                    onClick={handleRegister}
-                    disabled={isRegistering}
-                    className="btn btn-primary w-full"
-                  >
-                    {isRegistering ? 'Registering...' : 'Register for Event'}
-                  </button>
+                  <>
+                    {isAuthenticated && event.ticketTiers?.length > 0 && (
+                      <div className="space-y-3">
+                        {event.ticketTiers.map(tier => (
+                          <label
+                            key={tier._id}
+                            className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer ${
+                              ticketOrder.ticketTier === tier._id ? 'border-primary-500 bg-primary-50' : 'border-gray-200'
+                            }`}
+                          >
+                            <input
+                              type="radio"
+                              name="ticketTier"
+                              value={tier._id}
+                              checked={ticketOrder.ticketTier === tier._id}
+                              onChange={(e) => handleTicketOrderChange('ticketTier', e.target.value)}
+                              disabled={getTierRemaining(tier) === 0}
+                              className="mt-1 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                            />
+                            <div className="flex-1">
+                              <div className="flex justify-between">
+                                <span className="font-medium text-gray-900">{tier.name}</span>
+                                <span className="font-medium text-gray-900">{tier.price === 0 ? 'Free' : `$${tier.price}`}</span>
+                              </div>
+                              {tier.description && (
+                                <p className="text-sm text-gray-600">{tier.description}</p>
+                              )}
+                              <p className="text-xs text-gray-500">
+                                {getTierRemaining(tier) === 0 ? 'Sold out' : `${getTierRemaining(tier)} left`}
+                                {tier.salesEnd && ` · Sales end ${format(new Date(tier.salesEnd), 'MMM dd, yyyy')}`}
+                              </p>
+                            </div>
+                          </label>
+                        ))}
+
+                        <div className="grid grid-cols-3 gap-2">
+                          <div>
+                            <label className="form-label">Qty</label>
+                            <input
+                              type="number"
+                              min="1"
+                              value={ticketOrder.quantity}
+                              onChange={(e) => handleTicketOrderChange('quantity', e.target.value)}
+                              className="input"
+                            />
+                          </div>
+                          <div className="col-span-2">
+                            <label className="form-label">Promo Code</label>
+                            <div className="flex gap-2">
+                              <input
+                                type="text"
+                                value={ticketOrder.promoCode}
+                                onChange={(e) => handleTicketOrderChange('promoCode', e.target.value)}
+                                className="input uppercase"
+                              />
+                              <button type="button" onClick={handleGetQuote} className="btn btn-secondary">
+                                Apply
+                              </button>
+                            </div>
+                          </div>
+                        </div>
+
+                        {quote && (
+                          <div className="text-sm text-gray-700 bg-gray-50 rounded-lg p-3 space-y-1">
+                            <div className="flex justify-between">
+                              <span>Subtotal</span>
+                              <span>${quote.subtotal.toFixed(2)}</span>
+                            </div>
+                            {quote.discount > 0 && (
+                              <div className="flex justify-between text-green-700">
+                                <span>Discount ({quote.promoCode})</span>
+                                <span>-${quote.discount.toFixed(2)}</span>
+                              </div>
+                            )}
+                            <div className="flex justify-between font-semibold text-gray-900">
+                              <span>Total</span>
+                              <span>${quote.total.toFixed(2)}</span>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    <button
+                      onClick={handleRegister}
+                      disabled={isRegistering}
+                      className="btn btn-primary w-full"
+                    >
+                      {isRegistering
+                        ? 'Registering...'
+                        : isEventFull() ? 'Join Waitlist' : 'Register for Event'}
+                    </button>
+                  </>
                 )}
               </div>
             )}
@@ -330,13 +674,69 @@ const EventDetail = () => {
               </div>
             )}
 
-            {event.isFull && (
+            {isEventFull() && (
               <div className="text-center">
                 <p className="text-red-600 font-medium">Event is full</p>
+                {event.waitlist?.length > 0 && (
+                  <p className="text-sm text-gray-600">{event.waitlist.length} on the waitlist</p>
+                )}
               </div>
             )}
           </div>
 
+          {/* Check-in (organizer and check-in staff) */}
+          {canCheckIn && checkInStats && (
+            <div className="card p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Check-in</h3>
+              <p className="text-3xl font-bold text-gray-900">
+                {checkInStats.checkedIn} <span className="text-lg text-gray-500">/ {checkInStats.total}</span>
+              </p>
+              <p className="text-gray-600 mb-4">attendees checked in</p>
+              <button
+                onClick={() => navigate(`/events/${event._id}/check-in`)}
+                className="btn btn-primary w-full"
+              >
+                Open Check-in
+              </button>
+            </div>
+          )}
+
+          {/* Event staff (anyone who helps run the event) */}
+          {event.permissions?.length > 0 && (
+            <EventStaff
+              event={event}
+              canManage={can('event:manage-staff', event)}
+              currentUserId={user?._id}
+            />
+          )}
+
+          {/* Series Dates */}
+          {seriesOccurrences.length > 1 && (
+            <div className="card p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">More Dates</h3>
+              <p className="text-sm text-gray-500 mb-4">{describeRecurrence(event.recurrence)}</p>
+              <div className="space-y-2">
+                {seriesOccurrences
+                  .filter(occurrence => new Date(occurrence.endDate) >= new Date())
+                  .slice(0, 6)
+                  .map(occurrence => (
+                    <button
+                      key={occurrence._id}
+                      onClick={() => navigate(`/events/${occurrence._id}`)}
+                      disabled={occurrence._id === event._id}
+                      className={`w-full text-left px-3 py-2 rounded-lg text-sm ${
+                        occurrence._id === event._id
+                          ? 'bg-primary-50 text-primary-700 font-medium'
+                          : 'text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      {format(new Date(occurrence.startDate), 'EEE, MMM dd, yyyy h:mm a')}
+                    </button>
+                  ))}
+              </div>
+            </div>
+          )}
+
           {/* Quick Info */}
           <div className="card p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Info</h3>
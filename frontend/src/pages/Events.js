@@ -2,8 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { format } from 'date-fns';
-import { FiSearch, FiFilter, FiMapPin, FiCalendar, FiUsers, FiTag } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { FiSearch, FiFilter, FiMapPin, FiCalendar, FiUsers, FiTag, FiRepeat, FiNavigation, FiMap } from 'react-icons/fi';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import MapView, { pointOf } from '../components/common/MapView';
+import { describeRecurrence } from '../components/events/RecurrenceEditor';
 
 const Events = () => {
   const [events, setEvents] = useState([]);
@@ -14,8 +17,11 @@ const Events = () => {
     city: '',
     startDate: '',
     endDate: '',
-    status: ''
+    status: '',
+    radiusKm: ''
   });
+  const [myPosition, setMyPosition] = useState(null);
+  const [showMap, setShowMap] = useState(false);
   const [categories, setCategories] = useState([]);
   const [pagination, setPagination] = useState({
     page: 1,
@@ -31,7 +37,7 @@ const Events = () => {
 
   useEffect(() => {
     fetchEvents();
-  }, [pagination.page]);
+  }, [pagination.page, myPosition]);
 
   const fetchCategories = async () => {
     try {
@@ -50,7 +56,8 @@ const Events = () => {
       const params = {
         page: pagination.page,
         limit: pagination.limit,
-        ...filters
+        ...filters,
+        near: myPosition ? `${myPosition.lat},${myPosition.lng}` : undefined
       };
 
       const response = await axios.get('/api/events', { params });
@@ -67,6 +74,26 @@ const Events = () => {
     }
   };
 
+  // Nearest events first, from the browser's position
+  const toggleNearMe = () => {
+    if (myPosition) {
+      setMyPosition(null);
+      setPagination(prev => ({ ...prev, page: 1 }));
+      return;
+    }
+    if (!navigator.geolocation) {
+      toast.error('Your browser cannot share its location');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setPagination(prev => ({ ...prev, page: 1 }));
+        setMyPosition({ lat: coords.latitude, lng: coords.longitude });
+      },
+      () => toast.error('Could not get your location')
+    );
+  };
+
   const handleFilterChange = (name, value) => {
     setFilters(prev => ({
       ...prev,
@@ -87,8 +114,10 @@ const Events = () => {
       city: '',
       startDate: '',
       endDate: '',
-      status: ''
+      status: '',
+      radiusKm: ''
     });
+    setMyPosition(null);
     setPagination(prev => ({ ...prev, page: 1 }));
   };
 
@@ -112,6 +141,23 @@ const Events = () => {
     return colors[category] || colors['Other'];
   };
 
+  // Collapse occurrences of the same series into one card, keeping the earliest as the lead
+  const groupSeries = (list) => {
+    const groups = [];
+    const bySeries = {};
+    list.forEach(event => {
+      if (!event.seriesId) {
+        groups.push({ event, occurrences: [event] });
+      } else if (bySeries[event.seriesId]) {
+        bySeries[event.seriesId].occurrences.push(event);
+      } else {
+        bySeries[event.seriesId] = { event, occurrences: [event] };
+        groups.push(bySeries[event.seriesId]);
+      }
+    });
+    return groups;
+  };
+
   const getStatusColor = (status) => {
     const colors = {
       'draft': 'bg-gray-100 text-gray-800',
@@ -184,6 +230,22 @@ const Events = () => {
             <FiFilter className="h-4 w-4" />
             Filters
           </button>
+          <button
+            type="button"
+            onClick={toggleNearMe}
+            className={`btn flex items-center justify-center gap-2 ${myPosition ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <FiNavigation className="h-4 w-4" />
+            Near Me
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowMap(!showMap)}
+            className={`btn flex items-center justify-center gap-2 ${showMap ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <FiMap className="h-4 w-4" />
+            Map
+          </button>
           <button type="submit" className="btn btn-primary">
             Search
           </button>
@@ -192,7 +254,7 @@ const Events = () => {
         {/* Advanced Filters */}
         {showFilters && (
           <div className="card p-6 mb-4">
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
               <div>
                 <label className="form-label">Category</label>
                 <select
@@ -248,6 +310,22 @@ const Events = () => {
                   className="input"
                 />
               </div>
+              <div>
+                <label className="form-label">Distance</label>
+                <select
+                  value={filters.radiusKm}
+                  onChange={(e) => handleFilterChange('radiusKm', e.target.value)}
+                  className="input"
+                  disabled={!myPosition}
+                  title={myPosition ? undefined : 'Use Near Me to search by distance'}
+                >
+                  <option value="">Any Distance</option>
+                  <option value="10">Within 10 km</option>
+                  <option value="25">Within 25 km</option>
+                  <option value="50">Within 50 km</option>
+                  <option value="100">Within 100 km</option>
+                </select>
+              </div>
             </div>
             <div className="mt-4 flex justify-end">
               <button
@@ -262,13 +340,37 @@ const Events = () => {
         )}
       </div>
 
+      {myPosition && (
+        <p className="text-sm text-gray-600 mb-4">
+          Showing events {filters.radiusKm ? `within ${filters.radiusKm} km of you` : 'near you'}, nearest first.
+          Events without a known address are left out.
+        </p>
+      )}
+
       {/* Events Grid */}
       {loading ? (
         <LoadingSpinner />
       ) : (
         <>
+          {showMap && (
+            <div className="mb-8">
+              <MapView
+                origin={myPosition}
+                markers={events
+                  .filter(event => pointOf(event.location?.point))
+                  .map(event => ({
+                    id: event._id,
+                    ...pointOf(event.location.point),
+                    label: event.title,
+                    detail: `${format(new Date(event.startDate), 'MMM dd, yyyy')} · ${event.location.city}, ${event.location.state}`,
+                    to: `/events/${event._id}`
+                  }))}
+              />
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 mb-8">
-            {events.map((event) => (
+            {groupSeries(events).map(({ event, occurrences }) => (
               <Link key={event._id} to={`/events/${event._id}`} className="group">
                 <div className="card overflow-hidden hover:shadow-lg transition-shadow duration-300">
                   {event.image && (
@@ -305,9 +407,21 @@ const Events = () => {
                         <FiCalendar className="h-4 w-4" />
                         <span>{format(new Date(event.startDate), 'MMM dd, yyyy')}</span>
                       </div>
+                      {event.seriesId && (
+                        <div className="flex items-center gap-2 text-primary-700">
+                          <FiRepeat className="h-4 w-4" />
+                          <span>
+                            {describeRecurrence(event.recurrence)}
+                            {occurrences.length > 1 && ` · ${occurrences.length} dates shown`}
+                          </span>
+                        </div>
+                      )}
                       <div className="flex items-center gap-2">
                         <FiMapPin className="h-4 w-4" />
-                        <span>{event.location.city}, {event.location.state}</span>
+                        <span>
+                          {event.location.city}, {event.location.state}
+                          {typeof event.distanceKm === 'number' && ` · ${event.distanceKm} km away`}
+                        </span>
                       </div>
                       <div className="flex items-center gap-2">
                         <FiUsers className="h-4 w-4" />
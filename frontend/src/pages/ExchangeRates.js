@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiRepeat, FiTrash2, FiSave } from 'react-icons/fi';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import FileDropzone from '../components/common/FileDropzone';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const RATE_FILE_TYPES = ['text/csv', 'text/plain', 'application/json'];
+
+const emptyRate = { base: '', quote: '', rate: '' };
+
+const ExchangeRates = () => {
+  const [rates, setRates] = useState([]);
+  const [form, setForm] = useState(emptyRate);
+  const [importErrors, setImportErrors] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const fetchRates = async () => {
+    const response = await axios.get('/api/currencies/rates');
+    setRates(response.data.rates);
+  };
+
+  useEffect(() => {
+    const fetchAll = async () => {
+      try {
+        await fetchRates();
+      } catch (error) {
+        toast.error('Failed to load exchange rates');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchAll();
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      await axios.put('/api/currencies/rates', {
+        base: form.base.trim().toUpperCase(),
+        quote: form.quote.trim().toUpperCase(),
+        rate: Number(form.rate)
+      });
+      await fetchRates();
+      setForm(emptyRate);
+      toast.success('Exchange rate saved');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save exchange rate'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleImport = async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    setIsBusy(true);
+    try {
+      const response = await axios.post('/api/currencies/rates/import', formData);
+      setImportErrors(response.data.errors);
+      await fetchRates();
+      toast.success(`${response.data.imported} exchange rates imported`);
+    } catch (error) {
+      setImportErrors(error.response?.data?.errors || []);
+      toast.error(errorMessage(error, 'Import failed'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete the ${rate.base}/${rate.quote} rate?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/currencies/rates/${rate._id}`);
+      setRates(prev => prev.filter(r => r._id !== rate._id));
+      toast.success('Exchange rate deleted');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete exchange rate'));
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center gap-3">
+          <FiRepeat className="h-8 w-8 text-primary-600" />
+          Exchange Rates
+        </h1>
+        <p className="text-gray-600">
+          Used to convert budgets and vendor prices. Inverse and cross rates are worked out from the rates below.
+        </p>
+      </div>
+
+      <div className="space-y-8">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <form onSubmit={handleSave} className="card p-6 space-y-4">
+            <h2 className="text-xl font-semibold text-gray-900">Add or Update a Rate</h2>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="rate-base" className="form-label">1 unit of</label>
+                <input
+                  id="rate-base"
+                  type="text"
+                  value={form.base}
+                  onChange={(e) => setForm(prev => ({ ...prev, base: e.target.value }))}
+                  className="input uppercase"
+                  placeholder="EUR"
+                  maxLength={3}
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="rate-value" className="form-label">equals</label>
+                <input
+                  id="rate-value"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={form.rate}
+                  onChange={(e) => setForm(prev => ({ ...prev, rate: e.target.value }))}
+                  className="input"
+                  placeholder="1.08"
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="rate-quote" className="form-label">units of</label>
+                <input
+                  id="rate-quote"
+                  type="text"
+                  value={form.quote}
+                  onChange={(e) => setForm(prev => ({ ...prev, quote: e.target.value }))}
+                  className="input uppercase"
+                  placeholder="USD"
+                  maxLength={3}
+                  required
+                />
+              </div>
+            </div>
+            <button type="submit" disabled={isBusy} className="btn btn-primary flex items-center gap-2">
+              <FiSave className="h-4 w-4" />
+              Save Rate
+            </button>
+          </form>
+
+          <div className="card p-6 space-y-4">
+            <h2 className="text-xl font-semibold text-gray-900">Import from a File</h2>
+            <p className="text-sm text-gray-600">
+              CSV with <code>base,quote,rate</code> lines, or JSON like{' '}
+              <code>{'{ "base": "USD", "rates": { "EUR": 0.92 } }'}</code>. Existing rates for the same pairs are replaced.
+            </p>
+            <FileDropzone
+              accept={RATE_FILE_TYPES}
+              onFiles={handleImport}
+              maxSize={1024 * 1024}
+              disabled={isBusy}
+              label={isBusy ? 'Importing...' : 'Drag and drop a rates file here, or click to browse'}
+              hint="CSV or JSON up to 1 MB"
+            />
+            {importErrors.length > 0 && (
+              <ul className="text-sm text-red-600 space-y-1">
+                {importErrors.map(error => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        {/* Rates */}
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Rates</h2>
+          {rates.length === 0 ? (
+            <p className="text-gray-600">No exchange rates yet. Amounts in different currencies will not be added together.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 font-medium">Pair</th>
+                  <th className="py-2 font-medium">Rate</th>
+                  <th className="py-2 font-medium">Source</th>
+                  <th className="py-2 font-medium">Updated</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rates.map(rate => (
+                  <tr key={rate._id}>
+                    <td className="py-2 font-medium text-gray-900">{rate.base}/{rate.quote}</td>
+                    <td className="py-2 text-gray-700">
+                      1 {rate.base} = {rate.rate} {rate.quote}
+                    </td>
+                    <td className="py-2 text-gray-600 capitalize">{rate.source}</td>
+                    <td className="py-2 text-gray-600">
+                      {format(new Date(rate.updatedAt), 'MMM d, yyyy')}
+                      {rate.updatedBy && ` by ${rate.updatedBy.name}`}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleDelete(rate)}
+                        className="text-gray-400 hover:text-red-600"
+                        aria-label={`Delete ${rate.base}/${rate.quote}`}
+                      >
+                        <FiTrash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRates;
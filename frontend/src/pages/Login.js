@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FiMail, FiLock, FiEye, FiEyeOff } from 'react-icons/fi';
+import { FiMail, FiLock, FiEye, FiEyeOff, FiShield } from 'react-icons/fi';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -11,9 +11,16 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  // Set once the password is accepted for an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  // Pages like invitation links send logged-out users here and expect them back afterwards
+  const redirectTo = location.state?.from?.pathname || '/dashboard';
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -59,7 +66,9 @@ const Login = () => {
     try {
       const result = await login(formData);
       if (result.success) {
-        navigate('/dashboard');
+        navigate(redirectTo);
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -68,6 +77,101 @@ const Login = () => {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      return;
+    }
+
+    setIsLoading(true);
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+    setIsLoading(false);
+
+    if (result.success) {
+      navigate(redirectTo);
+    } else if (result.expired) {
+      // The challenge only lasts a few minutes; start over with the password
+      setChallengeToken(null);
+      setCode('');
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <FiShield className="mx-auto h-12 w-12 text-primary-600" />
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleVerify}>
+            <div>
+              <label htmlFor="code" className="form-label">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoFocus
+                required
+                className="input text-center tracking-widest"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <div className="flex items-center justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+                className="font-medium text-primary-600 hover:text-primary-500"
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setChallengeToken(null);
+                  setCode('');
+                }}
+                className="font-medium text-gray-600 hover:text-gray-500"
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -77,7 +181,7 @@ const Login = () => {
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600">
             Or{' '}
-            <Link to="/register" className="font-medium text-primary-600 hover:text-primary-500">
+            <Link to="/register" state={location.state} className="font-medium text-primary-600 hover:text-primary-500">
               create a new account
             </Link>
           </p>
@@ -161,9 +265,9 @@ const Login = () => {
             </div>
 
             <div className="text-sm">
-              <a href="#" className="font-medium text-primary-600 hover:text-primary-500">
+              <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-500">
                 Forgot your password?
-              </a>
+              </Link>
             </div>
           </div>
 
@@ -0,0 +1,347 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiBriefcase, FiMail, FiTrash2, FiUserPlus, FiLogOut, FiPlus } from 'react-icons/fi';
+import { useAuth } from '../contexts/AuthContext';
+import { useOrganization } from '../contexts/OrganizationContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const ROLES = ['owner', 'manager', 'staff', 'viewer'];
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Full control, including members and deleting the workspace',
+  manager: 'Manages every event, task and vendor, and invites staff',
+  staff: 'Creates events, tasks and vendors and works on assigned tasks',
+  viewer: 'Read-only access to the workspace'
+};
+
+const rank = (role) => ROLES.indexOf(role);
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const Organization = () => {
+  const { user } = useAuth();
+  const { organizationId, refreshOrganizations, createOrganization } = useOrganization();
+  const [organization, setOrganization] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+  const [name, setName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'staff' });
+  const [newName, setNewName] = useState('');
+
+  const fetchOrganization = async () => {
+    if (!organizationId) return;
+    try {
+      const response = await axios.get(`/api/organizations/${organizationId}`);
+      setOrganization(response.data);
+      setName(response.data.name);
+    } catch (error) {
+      toast.error('Failed to load workspace');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setIsLoading(true);
+    fetchOrganization();
+    // eslint-disable-next-line
+  }, [organizationId]);
+
+  if (isLoading || !organization) {
+    return <LoadingSpinner />;
+  }
+
+  const myRole = organization.role;
+  const isOwner = myRole === 'owner';
+  const canInvite = rank(myRole) <= rank('manager');
+  // Owners manage everyone; managers only staff and viewers
+  const canManageMember = (member) => isOwner || (myRole === 'manager' && rank(member.role) > rank('manager'));
+  const assignableRoles = ROLES.filter(role => isOwner || rank(role) > rank('manager'));
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      await axios.put(`/api/organizations/${organization._id}`, { name });
+      setOrganization(prev => ({ ...prev, name }));
+      refreshOrganizations();
+      toast.success('Workspace renamed');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to rename workspace'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const response = await axios.post(`/api/organizations/${organization._id}/invitations`, invite);
+      setOrganization(prev => ({
+        ...prev,
+        invitations: [...prev.invitations.filter(i => i.email !== response.data.email), response.data]
+      }));
+      setInvite({ email: '', role: invite.role });
+      toast.success(`Invitation sent to ${response.data.email}`);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to send invitation'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCancelInvitation = async (invitation) => {
+    try {
+      await axios.delete(`/api/organizations/${organization._id}/invitations/${invitation._id}`);
+      setOrganization(prev => ({
+        ...prev,
+        invitations: prev.invitations.filter(i => i._id !== invitation._id)
+      }));
+      toast.success('Invitation cancelled');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to cancel invitation'));
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const response = await axios.put(`/api/organizations/${organization._id}/members/${member.user._id}`, { role });
+      setOrganization(prev => ({ ...prev, members: response.data }));
+      toast.success(`${member.user.name} is now ${role === 'owner' ? 'an owner' : `a ${role}`}`);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to change role'));
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.user._id === user._id;
+    const prompt = isSelf
+      ? `Leave ${organization.name}? You will lose access to its events, tasks and vendors.`
+      : `Remove ${member.user.name} from ${organization.name}?`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/organizations/${organization._id}/members/${member.user._id}`);
+      if (isSelf) {
+        toast.success('You left the workspace');
+        refreshOrganizations();
+        return;
+      }
+      setOrganization(prev => ({
+        ...prev,
+        members: prev.members.filter(m => m.user._id !== member.user._id)
+      }));
+      toast.success('Member removed');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove member'));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${organization.name}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/organizations/${organization._id}`);
+      toast.success('Workspace deleted');
+      refreshOrganizations();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete workspace'));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    const result = await createOrganization(newName);
+    if (result.success) {
+      setNewName('');
+    }
+    setIsBusy(false);
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center gap-3">
+          <FiBriefcase className="h-8 w-8 text-primary-600" />
+          {organization.name}
+        </h1>
+        <p className="text-gray-600">
+          {organization.isPersonal ? 'Your personal workspace' : 'Team workspace'} &middot; You are {myRole === 'owner' ? 'an owner' : `a ${myRole}`}
+        </p>
+      </div>
+
+      <div className="space-y-8">
+        {isOwner && (
+          <div className="card p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Workspace Name</h2>
+            <form onSubmit={handleRename} className="flex gap-3">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="input flex-1"
+                minLength={2}
+                maxLength={100}
+                required
+              />
+              <button type="submit" disabled={isBusy || name === organization.name} className="btn btn-primary">
+                Save
+              </button>
+            </form>
+          </div>
+        )}
+
+        {/* Members */}
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Members</h2>
+          <ul className="divide-y divide-gray-200">
+            {organization.members.map(member => (
+              <li key={member.user._id} className="py-4 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">
+                    {member.user.name}
+                    {member.user._id === user._id && <span className="text-gray-500 font-normal"> (you)</span>}
+                  </p>
+                  <p className="text-sm text-gray-500 truncate">{member.user.email}</p>
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0">
+                  {canManageMember(member) && member.user._id !== user._id ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      className="input py-1"
+                      title={ROLE_DESCRIPTIONS[member.role]}
+                    >
+                      {assignableRoles.map(role => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="text-sm text-gray-700 capitalize" title={ROLE_DESCRIPTIONS[member.role]}>
+                      {member.role}
+                    </span>
+                  )}
+                  {(member.user._id === user._id || canManageMember(member)) && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      className="text-gray-400 hover:text-red-600"
+                      title={member.user._id === user._id ? 'Leave workspace' : 'Remove member'}
+                    >
+                      {member.user._id === user._id ? <FiLogOut className="h-5 w-5" /> : <FiTrash2 className="h-5 w-5" />}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Invitations */}
+        {canInvite && (
+          <div className="card p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Invite People</h2>
+            <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-2">
+              <input
+                type="email"
+                value={invite.email}
+                onChange={(e) => setInvite(prev => ({ ...prev, email: e.target.value }))}
+                className="input md:col-span-2"
+                placeholder="colleague@example.com"
+                required
+              />
+              <select
+                value={invite.role}
+                onChange={(e) => setInvite(prev => ({ ...prev, role: e.target.value }))}
+                className="input"
+              >
+                {assignableRoles.map(role => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <button type="submit" disabled={isBusy} className="btn btn-primary flex items-center justify-center gap-2">
+                <FiUserPlus className="h-4 w-4" />
+                Invite
+              </button>
+            </form>
+            <p className="text-sm text-gray-500 mb-6">{ROLE_DESCRIPTIONS[invite.role]}</p>
+
+            {organization.invitations.length > 0 && (
+              <>
+                <h3 className="font-medium text-gray-900 mb-2">Pending Invitations</h3>
+                <ul className="divide-y divide-gray-200">
+                  {organization.invitations.map(invitation => (
+                    <li key={invitation._id} className="py-3 flex items-center justify-between gap-4">
+                      <div className="flex items-center gap-3 min-w-0">
+                        <FiMail className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="text-gray-900 truncate">{invitation.email}</p>
+                          <p className="text-sm text-gray-500">
+                            <span className="capitalize">{invitation.role}</span> &middot; expires {format(new Date(invitation.expiresAt), 'MMM d, yyyy')}
+                          </p>
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => handleCancelInvitation(invitation)}
+                        className="text-sm text-red-600 hover:text-red-700"
+                      >
+                        Cancel
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* New workspace */}
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">New Workspace</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Workspaces keep a team's events, tasks and vendors separate. You will be its owner.
+          </p>
+          <form onSubmit={handleCreate} className="flex gap-3">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="input flex-1"
+              placeholder="Workspace name"
+              minLength={2}
+              maxLength={100}
+              required
+            />
+            <button type="submit" disabled={isBusy} className="btn btn-secondary flex items-center gap-2">
+              <FiPlus className="h-4 w-4" />
+              Create
+            </button>
+          </form>
+        </div>
+
+        {isOwner && !organization.isPersonal && (
+          <div className="card p-6 border border-red-200">
+            <h2 className="text-xl font-semibold text-red-700 mb-2">Delete Workspace</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Only empty workspaces can be deleted. Remove its events, tasks and vendors first.
+            </p>
+            <button onClick={handleDelete} className="btn btn-danger">
+              Delete Workspace
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Organization;
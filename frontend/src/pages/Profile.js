@@ -1,10 +1,18 @@
 import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { FiUser, FiMail, FiPhone, FiEdit3, FiLock } from 'react-icons/fi';
+import CalendarFeeds from '../components/profile/CalendarFeeds';
+import EmailPreferences from '../components/profile/EmailPreferences';
+import Sessions from '../components/profile/Sessions';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
 
 const Profile = () => {
   const { user, updateProfile, changePassword } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile');
+  // Vendor accounts get no member notifications and can't reach the calendar feeds
+  const isVendor = user?.accountType === 'vendor';
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'profile');
   const [isLoading, setIsLoading] = useState(false);
 
   const [profileData, setProfileData] = useState({
@@ -179,6 +187,50 @@ const Profile = () => {
           >
             Change Password
           </button>
+          {!isVendor && (
+            <>
+              <button
+                onClick={() => setActiveTab('notifications')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'notifications'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Notifications
+              </button>
+              <button
+                onClick={() => setActiveTab('calendar')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'calendar'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Calendar
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => setActiveTab('security')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'security'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Two-Factor
+          </button>
+          <button
+            onClick={() => setActiveTab('sessions')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'sessions'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Sessions
+          </button>
         </nav>
       </div>
 
@@ -394,6 +446,18 @@ const Profile = () => {
           </form>
         </div>
       )}
+
+      {/* Email Notifications Tab */}
+      {activeTab === 'notifications' && !isVendor && <EmailPreferences />}
+
+      {/* Calendar Feeds Tab */}
+      {activeTab === 'calendar' && !isVendor && <CalendarFeeds />}
+
+      {/* Two-Factor Authentication Tab */}
+      {activeTab === 'security' && <TwoFactorSettings />}
+
+      {/* Active Sessions Tab */}
+      {activeTab === 'sessions' && <Sessions />}
     </div>
   );
 };
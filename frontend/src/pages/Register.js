@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { FiUser, FiMail, FiLock, FiEye, FiEyeOff } from 'react-icons/fi';
 
@@ -17,6 +17,8 @@ const Register = () => {
   
   const { register } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const redirectTo = location.state?.from?.pathname || '/dashboard';
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -77,7 +79,7 @@ const Register = () => {
       const { name, email, password } = formData;
       const result = await register({ name, email, password });
       if (result.success) {
-        navigate('/dashboard');
+        navigate(redirectTo);
       }
     } catch (error) {
       console.error('Registration error:', error);
@@ -95,7 +97,7 @@ const Register = () => {
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600">
             Or{' '}
-            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            <Link to="/login" state={location.state} className="font-medium text-primary-600 hover:text-primary-500">
               sign in to your existing account
             </Link>
           </p>
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiFlag, FiCheck, FiX, FiStar, FiCheckCircle } from 'react-icons/fi';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const ReviewModeration = () => {
+  const [queue, setQueue] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    const fetchQueue = async () => {
+      try {
+        const response = await axios.get('/api/vendors/reviews/moderation');
+        setQueue(response.data);
+      } catch (error) {
+        toast.error('Failed to load the moderation queue');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchQueue();
+  }, []);
+
+  const handleDecision = async ({ vendor, review }, status) => {
+    setBusyId(review._id);
+    try {
+      await axios.put(`/api/vendors/${vendor._id}/reviews/${review._id}/moderation`, {
+        status,
+        note: notes[review._id] || undefined
+      });
+      setQueue(prev => prev.filter(entry => entry.review._id !== review._id));
+      toast.success(status === 'approved' ? 'Review approved' : 'Review rejected');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to moderate the review'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center gap-3">
+          <FiFlag className="h-8 w-8 text-primary-600" />
+          Review Moderation
+        </h1>
+        <p className="text-gray-600">
+          Flagged reviews, and reviews hidden after three flags. Approving clears the flags; rejecting hides the review
+          and leaves it out of the vendor's rating.
+        </p>
+      </div>
+
+      {queue.length === 0 ? (
+        <div className="card p-6">
+          <p className="text-gray-600">Nothing to moderate.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {queue.map(entry => {
+            const { vendor, review } = entry;
+            return (
+              <div key={review._id} className="card p-6 space-y-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <Link to={`/vendors/${vendor._id}`} className="font-semibold text-gray-900 hover:text-primary-600">
+                      {vendor.company}
+                    </Link>
+                    <p className="text-sm text-gray-600 flex items-center gap-2">
+                      {review.user?.name || 'Former member'} · {format(new Date(review.date), 'MMM d, yyyy')} ·
+                      <span className="inline-flex items-center gap-1">
+                        <FiStar className="h-4 w-4 text-yellow-400 fill-current" />
+                        {review.rating}
+                      </span>
+                      {review.verified && (
+                        <span className="inline-flex items-center gap-1 text-green-700">
+                          <FiCheckCircle className="h-3 w-3" />
+                          Verified
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${review.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-800'}`}>
+                    {review.status === 'pending' ? 'Hidden' : 'Visible'}
+                  </span>
+                </div>
+
+                {review.comment && <p className="text-gray-700 whitespace-pre-line">{review.comment}</p>}
+
+                {review.flags.length > 0 && (
+                  <ul className="text-sm text-red-700 space-y-1">
+                    {review.flags.map(flag => (
+                      <li key={flag._id} className="flex items-start gap-2">
+                        <FiFlag className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                        <span>
+                          {flag.user?.name || 'Former member'}: {flag.reason || 'No reason given'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <div className="flex flex-col md:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={notes[review._id] || ''}
+                    onChange={(e) => setNotes(prev => ({ ...prev, [review._id]: e.target.value }))}
+                    className="input flex-1"
+                    maxLength={500}
+                    placeholder="Moderation note (optional)"
+                  />
+                  <button
+                    onClick={() => handleDecision(entry, 'approved')}
+                    disabled={busyId === review._id}
+                    className="btn btn-primary flex items-center justify-center gap-2"
+                  >
+                    <FiCheck className="h-4 w-4" />
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => handleDecision(entry, 'rejected')}
+                    disabled={busyId === review._id}
+                    className="btn btn-danger flex items-center justify-center gap-2"
+                  >
+                    <FiX className="h-4 w-4" />
+                    Reject
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewModeration;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiShield, FiPlus, FiTrash2, FiSave } from 'react-icons/fi';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+// Group actions by resource ("event:update" -> "event") for the checkbox grid
+const groupActions = (actions) =>
+  Object.entries(actions).reduce((groups, [action, label]) => {
+    const group = action.split(':')[0];
+    (groups[group] = groups[group] || []).push({ action, label });
+    return groups;
+  }, {});
+
+const emptyRole = { name: '', description: '', permissions: [] };
+
+const Roles = () => {
+  const { user: currentUser } = useAuth();
+  const [catalog, setCatalog] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const fetchRoles = async () => {
+    const response = await axios.get('/api/roles');
+    setCatalog(response.data);
+  };
+
+  useEffect(() => {
+    const fetchAll = async () => {
+      try {
+        const [, usersRes] = await Promise.all([fetchRoles(), axios.get('/api/users')]);
+        setUsers(usersRes.data);
+      } catch (error) {
+        toast.error('Failed to load roles');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchAll();
+  }, []);
+
+  if (isLoading || !catalog) {
+    return <LoadingSpinner />;
+  }
+
+  const groups = groupActions(catalog.actions);
+
+  const togglePermission = (action) => {
+    setEditing(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(action)
+        ? prev.permissions.filter(a => a !== action)
+        : [...prev.permissions, action]
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const { _id, name, description, permissions } = editing;
+      if (_id) {
+        await axios.put(`/api/roles/${_id}`, { description, permissions });
+        toast.success('Role updated');
+      } else {
+        await axios.post('/api/roles', { name, description, permissions });
+        toast.success('Role created');
+      }
+      await fetchRoles();
+      setEditing(null);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save role'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/roles/${role._id}`);
+      setCatalog(prev => ({ ...prev, roles: prev.roles.filter(r => r._id !== role._id) }));
+      toast.success('Role deleted');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete role'));
+    }
+  };
+
+  const handleUserRole = async (user, role) => {
+    try {
+      const response = await axios.put(`/api/users/${user._id}`, { role });
+      setUsers(prev => prev.map(u => (u._id === user._id ? response.data : u)));
+      await fetchRoles();
+      toast.success(`${user.name} is now ${role}`);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to change role'));
+    }
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8 flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center gap-3">
+            <FiShield className="h-8 w-8 text-primary-600" />
+            Roles & Permissions
+          </h1>
+          <p className="text-gray-600">Custom roles get everything a regular user can do, plus the permissions you pick</p>
+        </div>
+        {!editing && (
+          <button onClick={() => setEditing(emptyRole)} className="btn btn-primary flex items-center gap-2">
+            <FiPlus className="h-4 w-4" />
+            New Role
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-8">
+        {editing && (
+          <form onSubmit={handleSave} className="card p-6 space-y-4">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {editing._id ? `Edit ${editing.name}` : 'New Role'}
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="role-name" className="form-label">Name</label>
+                <input
+                  id="role-name"
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value.toLowerCase() }))}
+                  className="input"
+                  placeholder="e.g. moderator"
+                  disabled={Boolean(editing._id)}
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="role-description" className="form-label">Description</label>
+                <input
+                  id="role-description"
+                  type="text"
+                  value={editing.description || ''}
+                  onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+                  className="input"
+                  maxLength={200}
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {Object.entries(groups).map(([group, actions]) => (
+                <div key={group}>
+                  <h3 className="font-medium text-gray-900 capitalize mb-2">{group}</h3>
+                  <div className="space-y-1">
+                    {actions.map(({ action, label }) => {
+                      const baseline = catalog.baseline.includes(action);
+                      return (
+                        <label key={action} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={baseline || editing.permissions.includes(action)}
+                            disabled={baseline}
+                            onChange={() => togglePermission(action)}
+                            className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                          />
+                          {label}
+                        </label>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex gap-3">
+              <button type="submit" disabled={isBusy} className="btn btn-primary flex items-center gap-2">
+                <FiSave className="h-4 w-4" />
+                Save Role
+              </button>
+              <button type="button" onClick={() => setEditing(null)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Roles */}
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Roles</h2>
+          <ul className="divide-y divide-gray-200">
+            {catalog.roles.map(role => (
+              <li key={role.name} className="py-4 flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900">
+                    {role.name}
+                    {role.builtIn && <span className="ml-2 text-xs text-gray-500">built-in</span>}
+                  </p>
+                  {role.description && <p className="text-sm text-gray-600">{role.description}</p>}
+                  <p className="text-sm text-gray-500 mt-1">
+                    {role.permissions.map(action => catalog.actions[action]).filter(Boolean).join(', ') || 'Regular user permissions only'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0">
+                  <span className="text-sm text-gray-500">{role.userCount} users</span>
+                  {!role.builtIn && (
+                    <>
+                      <button onClick={() => setEditing(role)} className="btn btn-secondary">
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(role)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete role"
+                      >
+                        <FiTrash2 className="h-5 w-5" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Users */}
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Users</h2>
+          <ul className="divide-y divide-gray-200">
+            {users.map(user => (
+              <li key={user._id} className="py-3 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{user.name}</p>
+                  <p className="text-sm text-gray-500 truncate">{user.email}</p>
+                </div>
+                <select
+                  value={user.role}
+                  onChange={(e) => handleUserRole(user, e.target.value)}
+                  disabled={user._id === currentUser._id}
+                  className="input w-48"
+                >
+                  {catalog.roles.map(role => (
+                    <option key={role.name} value={role.name}>{role.name}</option>
+                  ))}
+                </select>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Roles;
@@ -1,16 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { usePermissions } from '../hooks/usePermissions';
 import axios from 'axios';
 import { format } from 'date-fns';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import FileDropzone, { DOCUMENT_TYPES } from '../components/common/FileDropzone';
+import FileList from '../components/common/FileList';
+import TabNav from '../components/common/TabNav';
+import AuditHistory from '../components/common/AuditHistory';
 import toast from 'react-hot-toast';
 import { FiCalendar, FiUser, FiTag, FiClock, FiDollarSign, FiChevronLeft } from 'react-icons/fi';
 
 const TaskDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { can } = usePermissions();
   const [task, setTask] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [activeTab, setActiveTab] = useState('details');
 
   useEffect(() => {
     fetchTask();
@@ -31,6 +39,36 @@ const TaskDetail = () => {
     }
   };
 
+  const handleUpload = async (files) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    setIsUploading(true);
+    try {
+      const response = await axios.post(`/api/tasks/${id}/attachments`, formData);
+      setTask(prev => ({ ...prev, attachments: response.data }));
+      toast.success(files.length === 1 ? 'File uploaded' : `${files.length} files uploaded`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Upload failed');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.name}?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/tasks/${id}/attachments/${attachment._id}`);
+      setTask(prev => ({ ...prev, attachments: prev.attachments.filter(a => a._id !== attachment._id) }));
+      toast.success('Attachment deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete attachment');
+    }
+  };
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -49,6 +87,8 @@ const TaskDetail = () => {
     );
   }
 
+  const canEdit = can('task:update', task);
+
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <button
@@ -130,6 +170,38 @@ const TaskDetail = () => {
           </div>
         )}
       </div>
+
+      <TabNav
+        tabs={[{ id: 'details', label: 'Details' }, canEdit && { id: 'history', label: 'History' }].filter(Boolean)}
+        active={activeTab}
+        onChange={setActiveTab}
+      />
+
+      {activeTab === 'details' && (
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Attachments</h2>
+          <FileList
+            files={task.attachments}
+            onDelete={canEdit ? handleDeleteAttachment : undefined}
+            emptyText="No attachments yet"
+          />
+          {canEdit && (
+            <div className="mt-4">
+              <FileDropzone
+                multiple
+                maxFiles={5}
+                accept={DOCUMENT_TYPES}
+                onFiles={handleUpload}
+                disabled={isUploading}
+                label={isUploading ? 'Uploading...' : 'Drag and drop files here, or click to browse'}
+                hint="Images, PDF, Word, Excel, text or CSV up to 10 MB each"
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'history' && <AuditHistory url={`/api/tasks/${id}/history`} />}
     </div>
   );
 };
@@ -1,15 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { usePermissions } from '../hooks/usePermissions';
 import axios from 'axios';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import TabNav from '../components/common/TabNav';
+import AuditHistory from '../components/common/AuditHistory';
+import QuoteRequestForm from '../components/bookings/QuoteRequestForm';
+import VendorCalendar from '../components/vendors/VendorCalendar';
+import VendorCompliance from '../components/vendors/VendorCompliance';
+import ComplianceBadge from '../components/vendors/ComplianceBadge';
+import VendorReviews from '../components/vendors/VendorReviews';
+import VendorFiles from '../components/vendors/VendorFiles';
+import VendorPortalAccess from '../components/vendors/VendorPortalAccess';
 import toast from 'react-hot-toast';
-import { FiUser, FiMail, FiPhone, FiMapPin, FiTag, FiChevronLeft } from 'react-icons/fi';
+import { FiUser, FiMail, FiPhone, FiMapPin, FiTag, FiChevronLeft, FiSend } from 'react-icons/fi';
 
 const VendorDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { can } = usePermissions();
   const [vendor, setVendor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('details');
+  const [showQuoteForm, setShowQuoteForm] = useState(false);
 
   useEffect(() => {
     fetchVendor();
@@ -48,6 +61,8 @@ const VendorDetail = () => {
     );
   }
 
+  const canEdit = can('vendor:update', vendor);
+
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <button
@@ -59,9 +74,18 @@ const VendorDetail = () => {
       <div className="card p-6 mb-8">
         <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4">
           <h1 className="text-3xl font-bold text-gray-900 mb-2 md:mb-0">{vendor.name}</h1>
-          <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-800`}>
-            {vendor.category || 'Vendor'}
-          </span>
+          <div className="flex items-center gap-3">
+            <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-800`}>
+              {vendor.category || 'Vendor'}
+            </span>
+            <ComplianceBadge status={vendor.compliance?.status} hideCompliant />
+            {can('event:create') && !showQuoteForm && (
+              <button onClick={() => setShowQuoteForm(true)} className="btn btn-primary flex items-center gap-2">
+                <FiSend className="h-4 w-4" />
+                Request Quote
+              </button>
+            )}
+          </div>
         </div>
         <div className="flex flex-wrap gap-4 mb-4">
           {vendor.company && (
@@ -132,6 +156,72 @@ const VendorDetail = () => {
           </div>
         )}
       </div>
+
+      {showQuoteForm && (
+        <div className="mb-8">
+          <QuoteRequestForm
+            vendor={vendor}
+            onCreated={() => setShowQuoteForm(false)}
+            onCancel={() => setShowQuoteForm(false)}
+          />
+        </div>
+      )}
+
+      <TabNav
+        tabs={[
+          { id: 'details', label: 'Details' },
+          { id: 'availability', label: 'Availability' },
+          { id: 'reviews', label: `Reviews (${vendor.reviewCount || 0})` },
+          canEdit && { id: 'history', label: 'History' }
+        ].filter(Boolean)}
+        active={activeTab}
+        onChange={setActiveTab}
+      />
+
+      {activeTab === 'details' && (
+        <>
+          {(canEdit || vendor.compliance?.documents.length > 0) && (
+            <VendorCompliance
+              vendor={vendor}
+              canEdit={canEdit}
+              onChange={(changes) => setVendor(prev => ({ ...prev, ...changes }))}
+            />
+          )}
+
+          <VendorFiles
+            vendor={vendor}
+            canEdit={canEdit}
+            onChange={(changes) => setVendor(prev => ({ ...prev, ...changes }))}
+          />
+
+          {canEdit && vendor.portal && (
+            <div className="mt-8">
+              <VendorPortalAccess
+                vendor={vendor}
+                onChange={(changes) => setVendor(prev => ({ ...prev, ...changes }))}
+              />
+            </div>
+          )}
+        </>
+      )}
+
+      {activeTab === 'availability' && (
+        <VendorCalendar
+          vendor={vendor}
+          canEdit={canEdit}
+          onChange={(changes) => setVendor(prev => ({ ...prev, ...changes }))}
+        />
+      )}
+
+      {activeTab === 'reviews' && (
+        <VendorReviews
+          vendor={vendor}
+          canReply={canEdit}
+          onChange={(changes) => setVendor(prev => ({ ...prev, ...changes }))}
+        />
+      )}
+
+      {activeTab === 'history' && <AuditHistory url={`/api/vendors/${id}/history`} />}
     </div>
   );
 };
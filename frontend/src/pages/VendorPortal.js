@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiCalendar, FiMapPin, FiX } from 'react-icons/fi';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import TabNav from '../components/common/TabNav';
+import QuoteForm, { QuoteSummary, STATUS_STYLES } from '../components/bookings/QuoteForm';
+import VendorProfileForm from '../components/vendors/VendorProfileForm';
+import VendorCompliance from '../components/vendors/VendorCompliance';
+import VendorCalendar from '../components/vendors/VendorCalendar';
+import VendorFiles from '../components/vendors/VendorFiles';
+import VendorReviews from '../components/vendors/VendorReviews';
+import ComplianceBadge from '../components/vendors/ComplianceBadge';
+
+const PORTAL_VENDOR = '/api/portal/vendor';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+
+const TASK_STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-800',
+  'in-progress': 'bg-blue-100 text-blue-800',
+  review: 'bg-purple-100 text-purple-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+// Quote requests from organizers, with the quote form for open ones
+const PortalBookings = ({ vendor }) => {
+  const [bookings, setBookings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [quotingId, setQuotingId] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchBookings = async () => {
+      try {
+        const response = await axios.get('/api/portal/bookings');
+        setBookings(response.data);
+      } catch (error) {
+        toast.error('Failed to load quote requests');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchBookings();
+  }, []);
+
+  const replaceBooking = (booking) => {
+    setBookings(prev => prev.map(b => (b._id === booking._id ? booking : b)));
+  };
+
+  const handleDecline = async (booking) => {
+    const note = window.prompt(`Decline the request for ${booking.event?.title || 'this event'}? Add a reason (optional):`);
+    if (note === null) return;
+
+    setIsBusy(true);
+    try {
+      const response = await axios.put(`/api/portal/bookings/${booking._id}/decline`, { note: note || undefined });
+      replaceBooking(response.data);
+      toast.success('Request declined');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to decline the request'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (bookings.length === 0) {
+    return (
+      <div className="card p-6">
+        <p className="text-gray-600">No quote requests yet. Organizers' requests will show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {bookings.map(booking => (
+        <div key={booking._id} className="card p-6">
+          <div className="flex items-start justify-between gap-4 mb-3">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{booking.event?.title || 'Event'}</h3>
+              <p className="text-sm text-gray-600">
+                {format(new Date(booking.request.date), 'MMM d, yyyy h:mm a')}
+                {booking.request.hours ? ` · ${booking.request.hours} hours` : ''}
+                {booking.request.services.length > 0 && ` · ${booking.request.services.join(', ')}`}
+              </p>
+              {booking.event?.location?.address && (
+                <p className="text-sm text-gray-500 flex items-center gap-1">
+                  <FiMapPin className="h-4 w-4" />
+                  {[booking.event.location.address, booking.event.location.city].filter(Boolean).join(', ')}
+                </p>
+              )}
+              {booking.request.notes && <p className="text-sm text-gray-500 mt-1">{booking.request.notes}</p>}
+              {booking.requestedBy && (
+                <p className="text-xs text-gray-500 mt-1">Requested by {booking.requestedBy.name} · {booking.requestedBy.email}</p>
+              )}
+            </div>
+            <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium capitalize flex-shrink-0 ${STATUS_STYLES[booking.status]}`}>
+              {booking.status}
+            </span>
+          </div>
+
+          {booking.quote?.items?.length > 0 && <QuoteSummary quote={booking.quote} />}
+
+          {booking.status === 'cancelled' && booking.history[booking.history.length - 1]?.note && (
+            <p className="text-sm text-gray-500 mb-3">Note: {booking.history[booking.history.length - 1].note}</p>
+          )}
+
+          {quotingId === booking._id ? (
+            <QuoteForm
+              booking={booking}
+              url={`/api/portal/bookings/${booking._id}/quote`}
+              defaultCurrency={vendor.pricing?.currency}
+              title="Your Quote"
+              onSaved={(saved) => {
+                replaceBooking(saved);
+                setQuotingId(null);
+                toast.success('Quote sent');
+              }}
+              onCancel={() => setQuotingId(null)}
+            />
+          ) : ['requested', 'quoted'].includes(booking.status) && (
+            <div className="flex flex-wrap gap-2">
+              <button onClick={() => setQuotingId(booking._id)} className="btn btn-primary">
+                {booking.status === 'quoted' ? 'Revise Quote' : 'Send Quote'}
+              </button>
+              <button
+                onClick={() => handleDecline(booking)}
+                disabled={isBusy}
+                className="btn btn-danger flex items-center gap-2"
+              >
+                <FiX className="h-4 w-4" />
+                Decline
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Tasks organizers booked the vendor for
+const PortalTasks = () => {
+  const [tasks, setTasks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTasks = async () => {
+      try {
+        const response = await axios.get('/api/portal/tasks');
+        setTasks(response.data);
+      } catch (error) {
+        toast.error('Failed to load tasks');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchTasks();
+  }, []);
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (tasks.length === 0) {
+    return (
+      <div className="card p-6">
+        <p className="text-gray-600">No tasks assigned to you yet.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {tasks.map(task => (
+        <div key={task._id} className="card p-6">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{task.title}</h3>
+              {task.event && <p className="text-sm text-gray-600">{task.event.title}</p>}
+              {task.dueDate && (
+                <p className="text-sm text-gray-500 flex items-center gap-1">
+                  <FiCalendar className="h-4 w-4" />
+                  Due {format(new Date(task.dueDate), 'MMM d, yyyy h:mm a')}
+                </p>
+              )}
+              {task.description && <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{task.description}</p>}
+              {task.assignedTo && (
+                <p className="text-xs text-gray-500 mt-2">Contact: {task.assignedTo.name} · {task.assignedTo.email}</p>
+              )}
+            </div>
+            <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium capitalize flex-shrink-0 ${TASK_STATUS_STYLES[task.status] || TASK_STATUS_STYLES.pending}`}>
+              {task.status.replace('-', ' ')}
+            </span>
+          </div>
+          {task.checklist?.length > 0 && (
+            <ul className="mt-3 text-sm text-gray-700 space-y-1">
+              {task.checklist.map(item => (
+                <li key={item._id} className={item.completed ? 'line-through text-gray-400' : ''}>{item.item}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const VendorPortal = () => {
+  const [vendor, setVendor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('bookings');
+
+  useEffect(() => {
+    const fetchVendor = async () => {
+      try {
+        const response = await axios.get(PORTAL_VENDOR);
+        setVendor(response.data);
+      } catch (error) {
+        toast.error(errorMessage(error, 'Failed to load your vendor profile'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchVendor();
+  }, []);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!vendor) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Vendor Portal Unavailable</h1>
+        <p className="text-gray-600">Your portal access may have been removed. Contact the organizer who invited you.</p>
+      </div>
+    );
+  }
+
+  const applyChanges = (changes) => setVendor(prev => ({ ...prev, ...changes }));
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">{vendor.company || vendor.name}</h1>
+          <p className="text-gray-600">Vendor portal</p>
+        </div>
+        <ComplianceBadge status={vendor.compliance?.status} hideCompliant />
+      </div>
+
+      <TabNav
+        tabs={[
+          { id: 'bookings', label: 'Quote Requests' },
+          { id: 'tasks', label: 'Tasks' },
+          { id: 'profile', label: 'Profile' },
+          { id: 'availability', label: 'Availability' },
+          { id: 'files', label: 'Documents & Portfolio' },
+          { id: 'reviews', label: 'Reviews' }
+        ]}
+        active={activeTab}
+        onChange={setActiveTab}
+      />
+
+      {activeTab === 'bookings' && <PortalBookings vendor={vendor} />}
+
+      {activeTab === 'tasks' && <PortalTasks />}
+
+      {activeTab === 'profile' && (
+        <>
+          <VendorProfileForm vendor={vendor} onSaved={setVendor} />
+          <VendorCompliance
+            vendor={vendor}
+            hint="Renewed a policy or license? Upload the new certificate under Documents & Portfolio and the organization will update the dates."
+          />
+        </>
+      )}
+
+      {activeTab === 'availability' && (
+        <VendorCalendar
+          vendor={vendor}
+          canEdit
+          basePath={PORTAL_VENDOR}
+          linkCommitments={false}
+          onChange={applyChanges}
+        />
+      )}
+
+      {activeTab === 'files' && (
+        <VendorFiles vendor={vendor} canEdit basePath={PORTAL_VENDOR} onChange={applyChanges} />
+      )}
+
+      {activeTab === 'reviews' && (
+        <VendorReviews vendor={vendor} canReply canReview={false} basePath={PORTAL_VENDOR} onChange={applyChanges} />
+      )}
+    </div>
+  );
+};
+
+export default VendorPortal;
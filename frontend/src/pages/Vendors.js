@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
-import { FiSearch, FiFilter, FiMapPin, FiPhone, FiMail, FiStar, FiPlus, FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import { FiSearch, FiFilter, FiMapPin, FiPhone, FiMail, FiStar, FiPlus, FiCheckCircle, FiXCircle, FiNavigation, FiMap } from 'react-icons/fi';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import Money from '../components/common/Money';
+import ComplianceBadge from '../components/vendors/ComplianceBadge';
+import MapView, { pointOf } from '../components/common/MapView';
 import toast from 'react-hot-toast';
 
 const Vendors = () => {
@@ -15,9 +18,19 @@ const Vendors = () => {
     state: '',
     verified: '',
     minRating: '',
-    status: ''
+    status: '',
+    currency: '',
+    compliance: '',
+    freeFrom: '',
+    freeUntil: '',
+    nearEvent: '',
+    radiusKm: ''
   });
+  const [myPosition, setMyPosition] = useState(null);
+  const [showMap, setShowMap] = useState(false);
   const [categories, setCategories] = useState([]);
+  const [currencies, setCurrencies] = useState([]);
+  const [events, setEvents] = useState([]);
   const [pagination, setPagination] = useState({
     page: 1,
     limit: 12,
@@ -28,11 +41,13 @@ const Vendors = () => {
 
   useEffect(() => {
     fetchCategories();
+    fetchCurrencies();
+    fetchEvents();
   }, []);
 
   useEffect(() => {
     fetchVendors();
-  }, [pagination.page]);
+  }, [pagination.page, myPosition]);
 
   const fetchCategories = async () => {
     try {
@@ -47,13 +62,53 @@ const Vendors = () => {
     }
   };
 
+  const fetchCurrencies = async () => {
+    try {
+      const response = await axios.get('/api/currencies/rates');
+      setCurrencies(response.data.currencies);
+    } catch (error) {
+      console.error('Error fetching currencies:', error);
+    }
+  };
+
+  const fetchEvents = async () => {
+    try {
+      const response = await axios.get('/api/events/workspace', { params: { limit: 100, sortBy: 'startDate', sortOrder: 'desc' } });
+      setEvents(response.data.docs);
+    } catch (error) {
+      console.error('Error fetching events:', error);
+    }
+  };
+
   const fetchVendors = async () => {
     setLoading(true);
     try {
+      const { freeFrom, freeUntil, ...listFilters } = filters;
+
+      // A time window switches to the availability search, which isn't paginated
+      if (freeFrom && freeUntil) {
+        const response = await axios.get('/api/vendors/available', {
+          params: {
+            start: new Date(freeFrom).toISOString(),
+            end: new Date(freeUntil).toISOString(),
+            category: filters.category,
+            city: filters.city,
+            state: filters.state,
+            verified: filters.verified,
+            minRating: filters.minRating,
+            compliance: filters.compliance
+          }
+        });
+        setVendors(response.data.vendors);
+        setPagination(prev => ({ ...prev, page: 1, total: response.data.vendors.length, totalPages: 1 }));
+        return;
+      }
+
       const params = {
         page: pagination.page,
         limit: pagination.limit,
-        ...filters
+        ...listFilters,
+        near: myPosition && !listFilters.nearEvent ? `${myPosition.lat},${myPosition.lng}` : undefined
       };
 
       const response = await axios.get('/api/vendors', { params });
@@ -65,12 +120,33 @@ const Vendors = () => {
       }));
     } catch (error) {
       console.error('Error fetching vendors:', error);
-      toast.error('Failed to load vendors');
+      toast.error(error.response?.data?.errors?.[0]?.msg || 'Failed to load vendors');
     } finally {
       setLoading(false);
     }
   };
 
+  // Nearest vendors first, from the browser's position
+  const toggleNearMe = () => {
+    if (myPosition) {
+      setMyPosition(null);
+      setPagination(prev => ({ ...prev, page: 1 }));
+      return;
+    }
+    if (!navigator.geolocation) {
+      toast.error('Your browser cannot share its location');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setFilters(prev => ({ ...prev, nearEvent: '' }));
+        setPagination(prev => ({ ...prev, page: 1 }));
+        setMyPosition({ lat: coords.latitude, lng: coords.longitude });
+      },
+      () => toast.error('Could not get your location')
+    );
+  };
+
   const handleFilterChange = (name, value) => {
     setFilters(prev => ({
       ...prev,
@@ -92,8 +168,15 @@ const Vendors = () => {
       state: '',
       verified: '',
       minRating: '',
-      status: ''
+      status: '',
+      currency: '',
+      compliance: '',
+      freeFrom: '',
+      freeUntil: '',
+      nearEvent: '',
+      radiusKm: ''
     });
+    setMyPosition(null);
     setPagination(prev => ({ ...prev, page: 1 }));
   };
 
@@ -132,6 +215,12 @@ const Vendors = () => {
     return stars;
   };
 
+  // Where the distances shown are measured from: the chosen event or the browser's position
+  const originEvent = filters.nearEvent && events.find(event => event._id === filters.nearEvent);
+  const distanceOrigin = originEvent
+    ? { ...pointOf(originEvent.location.point), label: originEvent.title }
+    : myPosition;
+
   if (loading && vendors.length === 0) {
     return <LoadingSpinner />;
   }
@@ -176,6 +265,22 @@ const Vendors = () => {
             <FiFilter className="h-4 w-4" />
             Filters
           </button>
+          <button
+            type="button"
+            onClick={toggleNearMe}
+            className={`btn flex items-center justify-center gap-2 ${myPosition ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <FiNavigation className="h-4 w-4" />
+            Near Me
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowMap(!showMap)}
+            className={`btn flex items-center justify-center gap-2 ${showMap ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <FiMap className="h-4 w-4" />
+            Map
+          </button>
           <button type="submit" className="btn btn-primary">
             Search
           </button>
@@ -261,6 +366,84 @@ const Vendors = () => {
                   <option value="suspended">Suspended</option>
                 </select>
               </div>
+              <div>
+                <label className="form-label">Insurance & Licenses</label>
+                <select
+                  value={filters.compliance}
+                  onChange={(e) => handleFilterChange('compliance', e.target.value)}
+                  className="input"
+                >
+                  <option value="">Any</option>
+                  <option value="compliant">Compliant</option>
+                  <option value="expiring">Expiring within 30 days</option>
+                  <option value="expired">Expired</option>
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Free From</label>
+                <input
+                  type="datetime-local"
+                  value={filters.freeFrom}
+                  onChange={(e) => handleFilterChange('freeFrom', e.target.value)}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="form-label">Free Until</label>
+                <input
+                  type="datetime-local"
+                  value={filters.freeUntil}
+                  onChange={(e) => handleFilterChange('freeUntil', e.target.value)}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="form-label">Near Event</label>
+                <select
+                  value={filters.nearEvent}
+                  onChange={(e) => {
+                    handleFilterChange('nearEvent', e.target.value);
+                    if (e.target.value) setMyPosition(null);
+                  }}
+                  className="input"
+                >
+                  <option value="">Any Location</option>
+                  {events.filter(event => pointOf(event.location?.point)).map(event => (
+                    <option key={event._id} value={event._id}>{event.title} ({event.location.city})</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Distance</label>
+                <select
+                  value={filters.radiusKm}
+                  onChange={(e) => handleFilterChange('radiusKm', e.target.value)}
+                  className="input"
+                  disabled={!filters.nearEvent && !myPosition}
+                  title={filters.nearEvent || myPosition ? undefined : 'Pick an event or use Near Me to search by distance'}
+                >
+                  <option value="">Any Distance</option>
+                  <option value="10">Within 10 km</option>
+                  <option value="25">Within 25 km</option>
+                  <option value="50">Within 50 km</option>
+                  <option value="100">Within 100 km</option>
+                </select>
+              </div>
+              {currencies.length > 0 && (
+                <div>
+                  <label className="form-label">Show Prices In</label>
+                  <select
+                    value={filters.currency}
+                    onChange={(e) => handleFilterChange('currency', e.target.value)}
+                    className="input"
+                  >
+                    <option value="">Vendor's Currency</option>
+                    {currencies.map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
             <div className="mt-4 flex justify-end">
               <button
@@ -280,6 +463,23 @@ const Vendors = () => {
         <LoadingSpinner />
       ) : (
         <>
+          {showMap && (
+            <div className="mb-8">
+              <MapView
+                origin={distanceOrigin}
+                markers={vendors
+                  .filter(vendor => pointOf(vendor.address?.point))
+                  .map(vendor => ({
+                    id: vendor._id,
+                    ...pointOf(vendor.address.point),
+                    label: vendor.name,
+                    detail: `${vendor.category} · ${vendor.address.city}, ${vendor.address.state}`,
+                    to: `/vendors/${vendor._id}`
+                  }))}
+              />
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 mb-8">
             {vendors.map((vendor) => (
               <Link key={vendor._id} to={`/vendors/${vendor._id}`} className="group">
@@ -290,6 +490,7 @@ const Vendors = () => {
                         {vendor.category}
                       </span>
                       <div className="flex items-center gap-1">
+                        <ComplianceBadge status={vendor.compliance?.status} hideCompliant />
                         {vendor.verified ? (
                           <FiCheckCircle className="h-4 w-4 text-green-500" title="Verified" />
                         ) : (
@@ -310,7 +511,10 @@ const Vendors = () => {
                     <div className="space-y-2 text-sm text-gray-500 mb-3">
                       <div className="flex items-center gap-2">
                         <FiMapPin className="h-4 w-4" />
-                        <span>{vendor.address.city}, {vendor.address.state}</span>
+                        <span>
+                          {vendor.address.city}, {vendor.address.state}
+                          {typeof vendor.distanceKm === 'number' && ` · ${vendor.distanceKm} km away`}
+                        </span>
                       </div>
                       <div className="flex items-center gap-2">
                         <FiPhone className="h-4 w-4" />
@@ -326,11 +530,21 @@ const Vendors = () => {
                       <div className="flex items-center gap-1">
                         {renderStars(vendor.rating)}
                         <span className="text-sm text-gray-600 ml-1">
-                          ({vendor.reviews?.length || 0})
+                          ({vendor.reviewCount ?? vendor.reviews?.length ?? 0})
                         </span>
                       </div>
                       <span className="text-sm font-medium text-gray-900">
-                        {vendor.pricing?.perEvent ? `$${vendor.pricing.perEvent}` : 'Contact for pricing'}
+                        {vendor.pricing?.perEvent ? (
+                          <Money
+                            amount={vendor.pricing.perEvent}
+                            currency={vendor.pricing.currency || 'USD'}
+                            converted={vendor.convertedPricing && {
+                              amount: vendor.convertedPricing.perEvent,
+                              currency: vendor.convertedPricing.currency,
+                              rate: vendor.convertedPricing.rate
+                            }}
+                          />
+                        ) : 'Contact for pricing'}
                       </span>
                     </div>
                   </div>
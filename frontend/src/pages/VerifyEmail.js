@@ -0,0 +1,65 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so never send the same one twice
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await axios.post(`/api/auth/verify-email/${token}`);
+        setMessage(response.data.message);
+        setStatus('verified');
+        if (isAuthenticated) {
+          refreshUser();
+        }
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Verification failed');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+    // eslint-disable-next-line
+  }, [token]);
+
+  if (status === 'verifying') {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full card p-8 text-center space-y-4">
+        {status === 'verified' ? (
+          <FiCheckCircle className="h-12 w-12 text-green-600 mx-auto" />
+        ) : (
+          <FiXCircle className="h-12 w-12 text-red-600 mx-auto" />
+        )}
+        <h2 className="text-2xl font-bold text-gray-900">
+          {status === 'verified' ? 'Email verified' : 'Could not verify email'}
+        </h2>
+        <p className="text-gray-600">{message}</p>
+        {status === 'failed' && isAuthenticated && (
+          <p className="text-sm text-gray-500">You can request a new link from the banner at the top of the page.</p>
+        )}
+        <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn btn-primary inline-block">
+          {isAuthenticated ? 'Go to Dashboard' : 'Sign in'}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;